@@ -15,6 +15,8 @@ import { Textarea } from "@/components/ui/textarea";
 import { Avatar, AvatarFallback, AvatarImage } from "@/components/ui/avatar";
 import { X, UserPlus } from "lucide-react";
 import { Badge } from "@/components/ui/badge";
+import { CurrencySelect } from "@/components/currency-select";
+import { DEFAULT_CURRENCY } from "@/lib/currencies";
 import {
   Command,
   CommandEmpty,
@@ -28,10 +30,12 @@ import {
   PopoverContent,
   PopoverTrigger,
 } from "@/components/ui/popover";
+import { InviteByEmailItem } from "@/components/invite-by-email-item";
 
 const groupSchema = z.object({
   name: z.string().min(1, "Group name is required"),
   description: z.string().optional(),
+  baseCurrency: z.string().optional(),
 });
 
 export function CreateGroupModal({ isOpen, onClose, onSuccess }) {
@@ -56,6 +60,7 @@ export function CreateGroupModal({ isOpen, onClose, onSuccess }) {
     defaultValues: {
       name: "",
       description: "",
+      baseCurrency: DEFAULT_CURRENCY,
     },
   });
 
@@ -79,6 +84,7 @@ export function CreateGroupModal({ isOpen, onClose, onSuccess }) {
       const groupId = await createGroup.mutate({
         name: data.name,
         description: data.description,
+        baseCurrency: data.baseCurrency,
         members: memberIds,
       });
 
@@ -132,6 +138,11 @@ export function CreateGroupModal({ isOpen, onClose, onSuccess }) {
             />
           </div>
 
+          <div className="space-y-2">
+            <Label htmlFor="baseCurrency">Base currency</Label>
+            <CurrencySelect id="baseCurrency" {...register("baseCurrency")} />
+          </div>
+
           <div className="space-y-2">
             <Label>Members</Label>
             <div className="flex flex-wrap gap-2 mb-2">
@@ -232,6 +243,11 @@ export function CreateGroupModal({ isOpen, onClose, onSuccess }) {
                           </CommandItem>
                         ))}
                       </CommandGroup>
+                      <InviteByEmailItem
+                        query={searchQuery}
+                        results={searchResults}
+                        onInvited={addMember}
+                      />
                     </CommandList>
                   </Command>
                 </PopoverContent>
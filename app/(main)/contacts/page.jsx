@@ -9,7 +9,9 @@ import { BarLoader } from "react-spinners";
 import { Button } from "@/components/ui/button";
 import { Card, CardContent } from "@/components/ui/card";
 import { Avatar, AvatarFallback, AvatarImage } from "@/components/ui/avatar";
-import { Plus, Users, User } from "lucide-react";
+import { Badge } from "@/components/ui/badge";
+import { Archive, Plus, Users, User } from "lucide-react";
+import { format } from "date-fns";
 import { CreateGroupModal } from "./_components/create-group-modal";
 
 export default function ContactsPage() {
@@ -44,7 +46,10 @@ export default function ContactsPage() {
     );
   }
 
-  const { users, groups } = data || { users: [], groups: [] };
+  const { users, groups, archivedGroups = [] } = data || {
+    users: [],
+    groups: [],
+  };
 
   return (
     <div className="container mx-auto py-6">
@@ -84,7 +89,14 @@ export default function ContactsPage() {
                             </AvatarFallback>
                           </Avatar>
                           <div>
-                            <p className="font-medium">{user.name}</p>
+                            <div className="flex items-center gap-2">
+                              <p className="font-medium">{user.name}</p>
+                              {user.isPlaceholder && (
+                                <Badge variant="outline" className="text-xs">
+                                  Invited
+                                </Badge>
+                              )}
+                            </div>
                             <p className="text-sm text-muted-foreground">
                               {user.email}
                             </p>
@@ -136,6 +148,38 @@ export default function ContactsPage() {
               ))}
             </div>
           )}
+
+          {/* Archived groups (read-only, restorable from the group page) */}
+          {archivedGroups.length > 0 && (
+            <>
+              <h2 className="text-xl font-bold mt-8 mb-4 flex items-center text-muted-foreground">
+                <Archive className="mr-2 h-5 w-5" />
+                Archived groups
+              </h2>
+              <div className="flex flex-col gap-4">
+                {archivedGroups.map((group) => (
+                  <Link key={group.id} href={`/groups/${group.id}`}>
+                    <Card className="hover:bg-muted/30 transition-colors cursor-pointer opacity-75">
+                      <CardContent className="py-4">
+                        <div className="flex items-center gap-3">
+                          <div className="bg-muted p-2 rounded-md">
+                            <Users className="h-6 w-6 text-muted-foreground" />
+                          </div>
+                          <div>
+                            <p className="font-medium">{group.name}</p>
+                            <p className="text-sm text-muted-foreground">
+                              {group.memberCount} members · archived{" "}
+                              {format(new Date(group.archivedAt), "MMM d, yyyy")}
+                            </p>
+                          </div>
+                        </div>
+                      </CardContent>
+                    </Card>
+                  </Link>
+                ))}
+              </div>
+            </>
+          )}
         </div>
       </div>
 
@@ -39,7 +39,7 @@ export function BalanceSummary({ balances }) {
                   <span className="text-sm">{item.name}</span>
                 </div>
                 <span className="font-medium text-green-600">
-                  {formatCurrency(item.amount)}
+                  {formatCurrency(item.amount, balances.currency)}
                 </span>
               </Link>
             ))}
@@ -68,7 +68,7 @@ export function BalanceSummary({ balances }) {
                   <span className="text-sm">{item.name}</span>
                 </div>
                 <span className="font-medium text-red-600">
-                  {formatCurrency(item.amount)}
+                  {formatCurrency(item.amount, balances.currency)}
                 </span>
               </Link>
             ))}
@@ -11,8 +11,9 @@ import {
   ResponsiveContainer,
 } from "recharts";
 import { formatCurrency } from "@/lib/utils";
+import { fromMinorUnits } from "@/lib/money";
 
-export function ExpenseSummary({ monthlySpending, totalSpent }) {
+export function ExpenseSummary({ monthlySpending, totalSpent, currency }) {
   // Format monthly data for chart
   const monthNames = [
     "Jan",
@@ -52,13 +53,13 @@ export function ExpenseSummary({ monthlySpending, totalSpent }) {
           <div className="bg-muted rounded-lg p-4">
             <p className="text-sm text-muted-foreground">Total this month</p>
             <h3 className="text-2xl font-bold mt-1">
-              {formatCurrency(monthlySpending?.[currentMonth]?.total || 0)}
+              {formatCurrency(monthlySpending?.[currentMonth]?.total || 0, currency)}
             </h3>
           </div>
           <div className="bg-muted rounded-lg p-4">
             <p className="text-sm text-muted-foreground">Total this year</p>
             <h3 className="text-2xl font-bold mt-1">
-              {formatCurrency(totalSpent || 0)}
+              {formatCurrency(totalSpent || 0, currency)}
             </h3>
           </div>
         </div>
@@ -68,9 +69,9 @@ export function ExpenseSummary({ monthlySpending, totalSpent }) {
             <BarChart data={chartData}>
               <CartesianGrid strokeDasharray="3 3" vertical={false} />
               <XAxis dataKey="name" />
-              <YAxis />
+              <YAxis tickFormatter={(value) => fromMinorUnits(value, currency)} />
               <Tooltip
-                formatter={(value) => [formatCurrency(value), "Amount"]}
+                formatter={(value) => [formatCurrency(value, currency), "Amount"]}
                 labelFormatter={() => "Spending"}
               />
               <Bar dataKey="amount" fill="#36d7b7" radius={[4, 4, 0, 0]} />
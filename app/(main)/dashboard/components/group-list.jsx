@@ -45,7 +45,7 @@ export function GroupList({ groups }) {
                   balance > 0 ? "text-green-600" : "text-red-600"
                 }`}
               >
-                {balance > 0 ? "+" : ""}{formatCurrency(balance)}
+                {balance > 0 ? "+" : ""}{formatCurrency(balance, group.currency)}
               </span>
             )}
           </Link>
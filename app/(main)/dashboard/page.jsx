@@ -1,7 +1,8 @@
   "use client";
 
+  import { useState } from "react";
   import { api } from "@/convex/_generated/api";
-  import { useConvexQuery } from "@/hooks/use-convex-query";
+  import { useConvexMutation, useConvexQuery } from "@/hooks/use-convex-query";
   import { BarLoader } from "react-spinners";
   import {
     Card,
@@ -11,20 +12,46 @@
     CardTitle,
   } from "@/components/ui/card";
   import { Button } from "@/components/ui/button";
-  import { PlusCircle, Users, CreditCard, ChevronRight } from "lucide-react";
+  import {
+    BellRing,
+    Landmark,
+    PlusCircle,
+    Users,
+    CreditCard,
+    ChevronRight,
+  } from "lucide-react";
   import Link from "next/link";
   import { ExpenseSummary } from "./components/expense-summary";
   import { BalanceSummary } from "./components/balance-summary";
   import { GroupList } from "./components/group-list";
   import { formatCurrency } from "@/lib/utils";
+  import { CurrencySelect } from "@/components/currency-select";
+  import { RatesUsed } from "@/components/rates-used";
+  import { ActivityItem } from "@/components/activity-item";
+  import { ExportDialog } from "@/components/export-dialog";
+  import { PendingToggle } from "@/components/pending-toggle";
+  import { SettlementList } from "@/components/settlement-list";
 
   export default function Dashboard() {
+    const { data: currentUser } = useConvexQuery(api.users.getCurrentUser);
+    const setBaseCurrency = useConvexMutation(api.users.setBaseCurrency);
+
+    // Balances count confirmed payments unless asked otherwise
+    const [includePending, setIncludePending] = useState(false);
+
     const { data: balances, isLoading: balancesLoading } = useConvexQuery(
-      api.dashboard.getUserBalances
+      api.dashboard.getUserBalances,
+      { includePending }
     );
+    const currency = balances?.currency;
 
     const { data: groups, isLoading: groupsLoading } = useConvexQuery(
-      api.dashboard.getUserGroups
+      api.dashboard.getUserGroups,
+      { includePending }
+    );
+
+    const { data: toConfirm } = useConvexQuery(
+      api.settlements.getSettlementsToConfirm
     );
 
     const { data: totalSpent, isLoading: totalSpentLoading } = useConvexQuery(
@@ -34,6 +61,10 @@
     const { data: monthlySpending, isLoading: monthlySpendingLoading } =
       useConvexQuery(api.dashboard.getMonthlySpending);
 
+    const { data: recentActivity } = useConvexQuery(
+      api.activities.getRecentActivity
+    );
+
     const isLoading =
       balancesLoading ||
       groupsLoading ||
@@ -50,12 +81,44 @@
           <>
             <div className="flex  justify-between flex-col sm:flex-row sm:items-center gap-4">
               <h1 className="text-5xl gradient-title">Dashboard</h1>
-              <Button asChild>
-                <Link href="/expenses/new">
-                  <PlusCircle className="mr-2 h-4 w-4" />
-                  Add expense
-                </Link>
-              </Button>
+              <div className="flex items-center gap-2">
+                <PendingToggle
+                  checked={includePending}
+                  onChange={setIncludePending}
+                />
+                <CurrencySelect
+                  className="w-48"
+                  aria-label="Show balances in"
+                  value={currency}
+                  onChange={(e) =>
+                    setBaseCurrency.mutate({ currency: e.target.value })
+                  }
+                />
+                {currentUser?.isAdmin && (
+                  <Button variant="outline" asChild>
+                    <Link href="/fx-rates">Exchange rates</Link>
+                  </Button>
+                )}
+                <ExportDialog scope="all" />
+                <Button variant="outline" asChild>
+                  <Link href="/settlements/reconcile">
+                    <Landmark className="mr-2 h-4 w-4" />
+                    Bank statement
+                  </Link>
+                </Button>
+                <Button variant="outline" asChild>
+                  <Link href="/reminders">
+                    <BellRing className="mr-2 h-4 w-4" />
+                    Reminders
+                  </Link>
+                </Button>
+                <Button asChild>
+                  <Link href="/expenses/new">
+                    <PlusCircle className="mr-2 h-4 w-4" />
+                    Add expense
+                  </Link>
+                </Button>
+              </div>
             </div>
 
             {/* Balance overview cards */}
@@ -70,14 +133,14 @@
                   <div className="text-2xl font-bold">
                     {balances?.totalBalance > 0 ? (
                       <span className="text-green-600">
-                        +{formatCurrency(balances?.totalBalance)}
+                        +{formatCurrency(balances?.totalBalance, currency)}
                       </span>
                     ) : balances?.totalBalance < 0 ? (
                       <span className="text-red-600">
-                        -{formatCurrency(Math.abs(balances?.totalBalance))}
+                        -{formatCurrency(Math.abs(balances?.totalBalance), currency)}
                       </span>
                     ) : (
-                      <span>{formatCurrency(0)}</span>
+                      <span>{formatCurrency(0, currency)}</span>
                     )}
                   </div>
                   <p className="text-xs text-muted-foreground mt-1">
@@ -98,7 +161,7 @@
                 </CardHeader>
                 <CardContent>
                   <div className="text-2xl font-bold text-green-600">
-                    {formatCurrency(balances?.youAreOwed)}
+                    {formatCurrency(balances?.youAreOwed, currency)}
                   </div>
                   <p className="text-xs text-muted-foreground mt-1">
                     From {balances?.oweDetails?.youAreOwedBy?.length || 0} people
@@ -116,7 +179,7 @@
                   {balances?.oweDetails?.youOwe?.length > 0 ? (
                     <>
                       <div className="text-2xl font-bold text-red-600">
-                        {formatCurrency(balances?.youOwe)}
+                        {formatCurrency(balances?.youOwe, currency)}
                       </div>
                       <p className="text-xs text-muted-foreground mt-1">
                         To {balances?.oweDetails?.youOwe?.length || 0} people
@@ -124,7 +187,9 @@
                     </>
                   ) : (
                     <>
-                      <div className="text-2xl font-bold">{formatCurrency(0)}</div>
+                      <div className="text-2xl font-bold">
+                        {formatCurrency(0, currency)}
+                      </div>
                       <p className="text-xs text-muted-foreground mt-1">
                         You don't owe anyone
                       </p>
@@ -138,11 +203,60 @@
             <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
               {/* Left column */}
               <div className="lg:col-span-2 space-y-6">
+                {/* Payments others recorded, waiting for me to confirm */}
+                {toConfirm?.length > 0 && (
+                  <Card>
+                    <CardHeader className="pb-3">
+                      <CardTitle>Payments to confirm</CardTitle>
+                    </CardHeader>
+                    <CardContent>
+                      <SettlementList
+                        settlements={toConfirm}
+                        userLookupMap={Object.fromEntries(
+                          toConfirm.map((s) => [
+                            s.paidByUserId,
+                            { name: s.payerName },
+                          ])
+                        )}
+                      />
+                    </CardContent>
+                  </Card>
+                )}
+
                 {/* Expense summary */}
                 <ExpenseSummary
                   monthlySpending={monthlySpending}
                   totalSpent={totalSpent}
+                  currency={currency}
                 />
+
+                {/* Recent activity in my groups and with my contacts */}
+                <Card>
+                  <CardHeader className="pb-3">
+                    <div className="flex items-center justify-between">
+                      <CardTitle>Recent Activity</CardTitle>
+                      <Button variant="link" asChild className="p-0">
+                        <Link href="/expenses">
+                          All expenses
+                          <ChevronRight className="ml-1 h-4 w-4" />
+                        </Link>
+                      </Button>
+                    </div>
+                  </CardHeader>
+                  <CardContent>
+                    {recentActivity?.length > 0 ? (
+                      <div className="space-y-1">
+                        {recentActivity.map((activity) => (
+                          <ActivityItem key={activity._id} activity={activity} />
+                        ))}
+                      </div>
+                    ) : (
+                      <p className="text-center text-muted-foreground py-6">
+                        No activity yet
+                      </p>
+                    )}
+                  </CardContent>
+                </Card>
               </div>
 
               {/* Right column */}
@@ -162,6 +276,9 @@
                   </CardHeader>
                   <CardContent>
                     <BalanceSummary balances={balances} />
+                    <div className="mt-4">
+                      <RatesUsed ratesUsed={balances?.ratesUsed} />
+                    </div>
                   </CardContent>
                 </Card>
 
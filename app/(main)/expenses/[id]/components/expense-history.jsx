@@ -0,0 +1,107 @@
+"use client";
+
+import { format } from "date-fns";
+import { useConvexQuery } from "@/hooks/use-convex-query";
+import { api } from "@/convex/_generated/api";
+import { getCategoryById } from "@/lib/expense-categories";
+import { formatCurrency } from "@/lib/utils";
+
+const FIELD_LABELS = {
+  description: "Description",
+  amount: "Amount",
+  currency: "Currency",
+  category: "Category",
+  date: "Date",
+  paidByUserId: "Paid by",
+  payers: "Payers",
+  splitType: "Split type",
+  splits: "Splits",
+  items: "Items",
+  extras: "Tax, tip & service",
+};
+
+export function ExpenseHistory({ history, participants = [], currency }) {
+  const { data: currentUser } = useConvexQuery(api.users.getCurrentUser);
+
+  if (!history || history.length === 0) {
+    return (
+      <div className="text-center py-4 text-muted-foreground">
+        This expense hasn&apos;t been edited
+      </div>
+    );
+  }
+
+  const nameOf = (userId) =>
+    userId === currentUser?._id
+      ? "You"
+      : participants.find((p) => p.id === userId)?.name || "Other User";
+
+  // Render a tracked field value in a human readable way
+  const formatValue = (field, value) => {
+    switch (field) {
+      case "amount":
+        return formatCurrency(value, currency);
+      case "category":
+        return getCategoryById(value).name;
+      case "date":
+        return format(new Date(value), "MMM d, yyyy");
+      case "paidByUserId":
+        return nameOf(value);
+      case "payers":
+        return value
+          ? value
+              .map((p) => `${nameOf(p.userId)}: ${formatCurrency(p.amount, currency)}`)
+              .join(", ")
+          : "Single payer";
+      case "items":
+        return (value ?? [])
+          .map((item) => `${item.name}: ${formatCurrency(item.amount, currency)}`)
+          .join(", ");
+      case "extras":
+        return value
+          ? formatCurrency(value.tax + value.tip + value.serviceCharge, currency)
+          : "";
+      case "splits":
+        return value
+          .map((s) => `${nameOf(s.userId)}: ${formatCurrency(s.amount, currency)}`)
+          .join(", ");
+      default:
+        return String(value ?? "");
+    }
+  };
+
+  return (
+    <div className="space-y-4">
+      {history.map((revision) => (
+        <div key={revision.id} className="border-b pb-3 last:border-0">
+          <p className="text-sm text-muted-foreground mb-2">
+            {revision.editedBy.id === currentUser?._id
+              ? "You"
+              : revision.editedBy.name}{" "}
+            edited on {format(new Date(revision.editedAt), "MMM d, yyyy h:mm a")}
+          </p>
+          {revision.changes.length === 0 ? (
+            <p className="text-sm">No changes</p>
+          ) : (
+            <ul className="space-y-1 text-sm">
+              {revision.changes.map((change) => (
+                <li key={change.field}>
+                  <span className="font-medium">
+                    {FIELD_LABELS[change.field]}:
+                  </span>{" "}
+                  <span className="text-red-600 line-through">
+                    {formatValue(change.field, change.from)}
+                  </span>{" "}
+                  →{" "}
+                  <span className="text-green-600">
+                    {formatValue(change.field, change.to)}
+                  </span>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+}
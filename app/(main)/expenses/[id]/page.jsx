@@ -0,0 +1,83 @@
+"use client";
+
+import { useParams, useRouter } from "next/navigation";
+import { api } from "@/convex/_generated/api";
+import { useConvexQuery } from "@/hooks/use-convex-query";
+import { BarLoader } from "react-spinners";
+import { Button } from "@/components/ui/button";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { ArrowLeft } from "lucide-react";
+import { ExpenseForm } from "../new/components/expense-form";
+import { ExpenseHistory } from "./components/expense-history";
+
+export default function ExpenseDetailsPage() {
+  const params = useParams();
+  const router = useRouter();
+
+  const { data, isLoading } = useConvexQuery(api.expenses.getExpenseById, {
+    expenseId: params.id,
+  });
+
+  if (isLoading) {
+    return (
+      <div className="container mx-auto py-12">
+        <BarLoader width={"100%"} color="#36d7b7" />
+      </div>
+    );
+  }
+
+  const expense = data?.expense;
+  const isGroupExpense = !!expense?.groupId;
+
+  return (
+    <div className="container max-w-3xl mx-auto py-6">
+      <Button
+        variant="outline"
+        size="sm"
+        className="mb-4"
+        onClick={() => router.back()}
+      >
+        <ArrowLeft className="h-4 w-4 mr-2" />
+        Back
+      </Button>
+
+      <div className="mb-6">
+        <h1 className="text-5xl gradient-title">
+          {data?.canEdit ? "Edit expense" : expense?.description}
+        </h1>
+        <p className="text-muted-foreground mt-1">
+          {data?.canEdit
+            ? "Changes are kept in the history below"
+            : "See how this expense has changed"}
+        </p>
+      </div>
+
+      {data?.canEdit && (
+        <Card className="mb-6">
+          <CardContent>
+            <ExpenseForm
+              type={isGroupExpense ? "group" : "individual"}
+              expenseData={data}
+              onSuccess={(id) =>
+                router.push(isGroupExpense ? `/groups/${id}` : `/person/${id}`)
+              }
+            />
+          </CardContent>
+        </Card>
+      )}
+
+      <Card>
+        <CardHeader className="pb-2">
+          <CardTitle className="text-xl">Edit history</CardTitle>
+        </CardHeader>
+        <CardContent>
+          <ExpenseHistory
+            history={data?.history}
+            participants={data?.participants}
+            currency={expense?.currency}
+          />
+        </CardContent>
+      </Card>
+    </div>
+  );
+}
@@ -0,0 +1,84 @@
+"use client";
+
+import { useState } from "react";
+import { api } from "@/convex/_generated/api";
+import { useConvexMutation } from "@/hooks/use-convex-query";
+import { toast } from "sonner";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { isValidEmail } from "@/lib/email";
+
+const selectClassName =
+  "w-full rounded-md border border-input bg-background px-3 py-2 text-sm";
+
+// Match one name from the file to a user. Outside groups someone who isn't
+// on Splitz yet can be invited by email (a placeholder user).
+export function PersonMatch({ name, value, candidates, allowInvite, onChange }) {
+  const [inviting, setInviting] = useState(false);
+  const [email, setEmail] = useState("");
+  const createPlaceholderUser = useConvexMutation(
+    api.users.createPlaceholderUser
+  );
+
+  const handleInvite = async () => {
+    try {
+      const user = await createPlaceholderUser.mutate({ email, name });
+      onChange(user.id, user);
+      setInviting(false);
+      setEmail("");
+    } catch (error) {
+      toast.error("Failed to invite: " + error.message);
+    }
+  };
+
+  return (
+    <div className="grid grid-cols-1 sm:grid-cols-2 gap-2 items-center">
+      <span className="text-sm font-medium truncate">{name}</span>
+      {inviting ? (
+        <div className="flex gap-2">
+          <Input
+            type="email"
+            placeholder="Their email"
+            value={email}
+            onChange={(e) => setEmail(e.target.value)}
+          />
+          <Button
+            type="button"
+            size="sm"
+            onClick={handleInvite}
+            disabled={!isValidEmail(email) || createPlaceholderUser.isLoading}
+          >
+            Invite
+          </Button>
+          <Button
+            type="button"
+            size="sm"
+            variant="ghost"
+            onClick={() => setInviting(false)}
+          >
+            Cancel
+          </Button>
+        </div>
+      ) : (
+        <select
+          className={selectClassName}
+          value={value ?? ""}
+          onChange={(e) =>
+            e.target.value === "invite"
+              ? setInviting(true)
+              : onChange(e.target.value || undefined)
+          }
+        >
+          <option value="">Not matched</option>
+          {candidates.map((user) => (
+            <option key={user.id} value={user.id}>
+              {user.name}
+              {user.email ? ` (${user.email})` : ""}
+            </option>
+          ))}
+          {allowInvite && <option value="invite">Invite by email…</option>}
+        </select>
+      )}
+    </div>
+  );
+}
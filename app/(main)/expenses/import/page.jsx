@@ -0,0 +1,377 @@
+"use client";
+
+import { useMemo, useState } from "react";
+import Link from "next/link";
+import { format } from "date-fns";
+import { api } from "@/convex/_generated/api";
+import { useConvexMutation, useConvexQuery } from "@/hooks/use-convex-query";
+import { toast } from "sonner";
+import { Badge } from "@/components/ui/badge";
+import { Button } from "@/components/ui/button";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { FileUp } from "lucide-react";
+import { DEFAULT_CURRENCY } from "@/lib/currencies";
+import { getCategoryById } from "@/lib/expense-categories";
+import { parseCsv } from "@/lib/import/csv";
+import {
+  buildExpense,
+  isSplitwiseExport,
+  readGeneric,
+  readSplitwise,
+} from "@/lib/import/expenses";
+import { formatCurrency } from "@/lib/utils";
+import { PersonMatch } from "./components/person-match";
+
+const selectClassName =
+  "w-full rounded-md border border-input bg-background px-3 py-2 text-sm";
+
+// Must match IMPORT_BATCH_SIZE in convex/expenses.js
+const BATCH_SIZE = 50;
+
+// Columns a generic spreadsheet has to provide (currency and category can
+// come from the defaults)
+const GENERIC_FIELDS = [
+  { key: "date", label: "Date", required: true },
+  { key: "description", label: "Description", required: true },
+  { key: "amount", label: "Amount", required: true },
+  { key: "paidBy", label: "Paid by", required: true },
+  { key: "splitWith", label: "Split between", required: true },
+  { key: "currency", label: "Currency" },
+  { key: "category", label: "Category" },
+];
+
+export default function ImportExpensesPage() {
+  const [fileName, setFileName] = useState("");
+  const [rows, setRows] = useState(null);
+  const [layout, setLayout] = useState("splitwise");
+  const [columns, setColumns] = useState({});
+  const [groupId, setGroupId] = useState("");
+  const [matches, setMatches] = useState({});
+  const [invited, setInvited] = useState([]);
+  // Server result per file line: { expenseId } or { error }
+  const [results, setResults] = useState({});
+  const [isImporting, setIsImporting] = useState(false);
+
+  const { data: currentUser } = useConvexQuery(api.users.getCurrentUser);
+  const { data: groupData } = useConvexQuery(
+    api.groups.getGroupOrMembers,
+    groupId ? { groupId } : {}
+  );
+  const { data: contacts } = useConvexQuery(api.contacts.getAllContacts);
+  const importExpenses = useConvexMutation(api.expenses.importExpenses);
+
+  const group = groupId ? groupData?.selectedGroup : null;
+  const defaultCurrency =
+    group?.baseCurrency ?? currentUser?.baseCurrency ?? DEFAULT_CURRENCY;
+
+  // Who the people in the file can be: the group's members, or yourself,
+  // your contacts and anyone invited on this page
+  const candidates = useMemo(() => {
+    if (!currentUser) return [];
+    if (groupId) return group?.members ?? [];
+    const me = {
+      id: currentUser._id,
+      name: currentUser.name,
+      email: currentUser.email,
+    };
+    const all = [me, ...(contacts?.users ?? []), ...invited];
+    return all.filter((u, i) => all.findIndex((o) => o.id === u.id) === i);
+  }, [currentUser, groupId, group, contacts, invited]);
+
+  const parsed = useMemo(() => {
+    if (!rows) return null;
+    if (layout === "splitwise") return readSplitwise(rows);
+    const missing = GENERIC_FIELDS.some((f) => f.required && !columns[f.key]);
+    return missing ? null : readGeneric(rows, columns);
+  }, [rows, layout, columns]);
+
+  // Names matched by hand win over names matched automatically by name or
+  // email
+  const userIds = useMemo(() => {
+    const ids = {};
+    for (const name of parsed?.people ?? []) {
+      const key = name.toLowerCase();
+      const auto = candidates.find(
+        (u) => u.name?.toLowerCase() === key || u.email?.toLowerCase() === key
+      );
+      const chosen = name in matches ? matches[name] : auto?.id;
+      if (chosen && candidates.some((u) => u.id === chosen)) ids[name] = chosen;
+    }
+    return ids;
+  }, [parsed, candidates, matches]);
+
+  const preview = useMemo(
+    () =>
+      (parsed?.drafts ?? []).map((draft) => ({
+        draft,
+        ...buildExpense(draft, { userIds, defaultCurrency }),
+      })),
+    [parsed, userIds, defaultCurrency]
+  );
+
+  const ready = preview.filter((p) => p.expense && !results[p.draft.line]);
+
+  const handleFile = async (file) => {
+    if (!file) return;
+    const parsedRows = parseCsv(await file.text());
+    if (parsedRows.length < 2) {
+      toast.error("That file has no rows to import");
+      return;
+    }
+    setFileName(file.name);
+    setRows(parsedRows);
+    setLayout(isSplitwiseExport(parsedRows) ? "splitwise" : "generic");
+    setColumns({});
+    setMatches({});
+    setResults({});
+  };
+
+  const handleImport = async () => {
+    setIsImporting(true);
+    const outcome = { ...results };
+    try {
+      for (let i = 0; i < ready.length; i += BATCH_SIZE) {
+        const batch = ready.slice(i, i + BATCH_SIZE);
+        const batchResults = await importExpenses.mutate({
+          groupId: groupId || undefined,
+          expenses: batch.map((p) => p.expense),
+        });
+        batch.forEach((p, j) => (outcome[p.draft.line] = batchResults[j]));
+        setResults({ ...outcome });
+      }
+      const created = Object.values(outcome).filter((r) => r.expenseId);
+      toast.success(
+        `Imported ${created.length} ${created.length === 1 ? "expense" : "expenses"}`
+      );
+    } catch (error) {
+      toast.error("Failed to import expenses: " + error.message);
+    } finally {
+      setIsImporting(false);
+    }
+  };
+
+  const header = rows?.[0] ?? [];
+
+  return (
+    <div className="container max-w-4xl mx-auto py-6 space-y-6">
+      <div>
+        <h1 className="text-5xl gradient-title">Import expenses</h1>
+        <p className="text-muted-foreground mt-1">
+          Bring your history over from Splitwise or any spreadsheet
+        </p>
+      </div>
+
+      <Card>
+        <CardHeader>
+          <CardTitle>1. File</CardTitle>
+        </CardHeader>
+        <CardContent className="space-y-4">
+          <div className="space-y-2">
+            <Label htmlFor="import-file">CSV file</Label>
+            <Input
+              id="import-file"
+              type="file"
+              accept=".csv,text/csv"
+              onChange={(e) => handleFile(e.target.files?.[0])}
+            />
+            {fileName && (
+              <p className="text-xs text-muted-foreground">
+                {fileName}: {rows.length - 1} rows
+              </p>
+            )}
+          </div>
+
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+            <div className="space-y-2">
+              <Label htmlFor="import-layout">Layout</Label>
+              <select
+                id="import-layout"
+                className={selectClassName}
+                value={layout}
+                onChange={(e) => setLayout(e.target.value)}
+              >
+                <option value="splitwise">Splitwise export</option>
+                <option value="generic">Other spreadsheet</option>
+              </select>
+            </div>
+            <div className="space-y-2">
+              <Label htmlFor="import-group">Import into</Label>
+              <select
+                id="import-group"
+                className={selectClassName}
+                value={groupId}
+                onChange={(e) => {
+                  setGroupId(e.target.value);
+                  setMatches({});
+                }}
+              >
+                <option value="">One-on-one expenses</option>
+                {(groupData?.groups ?? []).map((g) => (
+                  <option key={g.id} value={g.id}>
+                    {g.name}
+                  </option>
+                ))}
+              </select>
+            </div>
+          </div>
+        </CardContent>
+      </Card>
+
+      {rows && layout === "generic" && (
+        <Card>
+          <CardHeader>
+            <CardTitle>2. Columns</CardTitle>
+          </CardHeader>
+          <CardContent className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+            {GENERIC_FIELDS.map((field) => (
+              <div key={field.key} className="space-y-2">
+                <Label htmlFor={`column-${field.key}`}>
+                  {field.label}
+                  {!field.required && " (optional)"}
+                </Label>
+                <select
+                  id={`column-${field.key}`}
+                  className={selectClassName}
+                  value={columns[field.key] ?? ""}
+                  onChange={(e) =>
+                    setColumns({ ...columns, [field.key]: e.target.value })
+                  }
+                >
+                  <option value="">
+                    {field.key === "currency"
+                      ? `Always ${defaultCurrency}`
+                      : field.key === "category"
+                        ? "Always Other"
+                        : "Pick a column"}
+                  </option>
+                  {header.map((column) => (
+                    <option key={column} value={column}>
+                      {column}
+                    </option>
+                  ))}
+                </select>
+              </div>
+            ))}
+            <p className="text-xs text-muted-foreground sm:col-span-2">
+              Each row is split equally between the people in &quot;Split
+              between&quot;, separated by ; or |.
+            </p>
+          </CardContent>
+        </Card>
+      )}
+
+      {parsed && (
+        <Card>
+          <CardHeader>
+            <CardTitle>{layout === "generic" ? "3" : "2"}. People</CardTitle>
+          </CardHeader>
+          <CardContent className="space-y-3">
+            {parsed.people.map((name) => (
+              <PersonMatch
+                key={name}
+                name={name}
+                value={userIds[name]}
+                candidates={candidates}
+                allowInvite={!groupId}
+                onChange={(id, user) => {
+                  if (user) setInvited([...invited, user]);
+                  setMatches({ ...matches, [name]: id });
+                }}
+              />
+            ))}
+            {groupId && (
+              <p className="text-xs text-muted-foreground">
+                Only group members can be picked. Add anyone missing to the
+                group first.
+              </p>
+            )}
+          </CardContent>
+        </Card>
+      )}
+
+      {parsed && (
+        <Card>
+          <CardHeader>
+            <div className="flex items-center justify-between">
+              <CardTitle>Preview</CardTitle>
+              <Button
+                onClick={handleImport}
+                disabled={ready.length === 0 || isImporting}
+              >
+                <FileUp className="mr-2 h-4 w-4" />
+                {isImporting
+                  ? "Importing..."
+                  : `Import ${ready.length} ${ready.length === 1 ? "expense" : "expenses"}`}
+              </Button>
+            </div>
+          </CardHeader>
+          <CardContent>
+            <div className="overflow-x-auto">
+              <table className="w-full text-sm">
+                <thead className="text-left text-muted-foreground">
+                  <tr>
+                    <th className="py-2 pr-2">Line</th>
+                    <th className="py-2 pr-2">Date</th>
+                    <th className="py-2 pr-2">Description</th>
+                    <th className="py-2 pr-2">Category</th>
+                    <th className="py-2 pr-2 text-right">Amount</th>
+                    <th className="py-2">Status</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {preview.map(({ draft, expense, error }) => {
+                    const result = results[draft.line];
+                    const problem = error ?? result?.error;
+                    return (
+                      <tr key={draft.line} className="border-t align-top">
+                        <td className="py-2 pr-2 text-muted-foreground">
+                          {draft.line}
+                        </td>
+                        <td className="py-2 pr-2 whitespace-nowrap">
+                          {expense
+                            ? format(new Date(expense.date), "MMM d, yyyy")
+                            : draft.date}
+                        </td>
+                        <td className="py-2 pr-2">{draft.description}</td>
+                        <td className="py-2 pr-2">
+                          {expense && getCategoryById(expense.category).name}
+                        </td>
+                        <td className="py-2 pr-2 text-right whitespace-nowrap">
+                          {expense
+                            ? formatCurrency(expense.amount, expense.currency)
+                            : draft.cost}
+                        </td>
+                        <td className="py-2">
+                          {result?.expenseId ? (
+                            <Badge variant="outline">Imported</Badge>
+                          ) : problem ? (
+                            <span className="text-red-600">{problem}</span>
+                          ) : (
+                            <Badge variant="secondary">Ready</Badge>
+                          )}
+                        </td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+            {Object.values(results).some((r) => r.expenseId) && (
+              <p className="text-sm text-muted-foreground mt-4">
+                Done?{" "}
+                <Link
+                  href={groupId ? `/groups/${groupId}` : "/dashboard"}
+                  className="underline"
+                >
+                  {groupId ? "Open the group" : "Back to the dashboard"}
+                </Link>
+              </p>
+            )}
+          </CardContent>
+        </Card>
+      )}
+    </div>
+  );
+}
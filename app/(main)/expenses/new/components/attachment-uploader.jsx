@@ -0,0 +1,150 @@
+"use client";
+
+import { useRef, useState } from "react";
+import { api } from "@/convex/_generated/api";
+import { useConvexMutation } from "@/hooks/use-convex-query";
+import { toast } from "sonner";
+import { Button } from "@/components/ui/button";
+import { Paperclip, X } from "lucide-react";
+import {
+  AttachmentThumbnail,
+  attachmentUrl,
+} from "@/components/expense-attachments";
+
+// Must match convex/lib/attachments.js
+const MAX_ATTACHMENTS = 5;
+const MAX_ATTACHMENT_SIZE = 10 * 1024 * 1024;
+
+const ATTACHMENT_TYPES = [
+  "image/png",
+  "image/jpeg",
+  "image/webp",
+  "image/gif",
+  "image/heic",
+  "application/pdf",
+];
+
+const isAllowedType = (type) => ATTACHMENT_TYPES.includes(type);
+
+// Receipts and photos for ExpenseForm. Files are uploaded straight away;
+// `attachments` is [{ storageId, name, contentType, previewUrl? }] and is
+// saved with the expense. `expenseId` shows the saved files when editing;
+// `onImageAdded` gets the first newly uploaded photo, to scan it.
+export function AttachmentUploader({
+  attachments,
+  onChange,
+  expenseId,
+  onImageAdded,
+}) {
+  const inputRef = useRef(null);
+  const [uploading, setUploading] = useState(0);
+  const generateUploadUrl = useConvexMutation(
+    api.attachments.generateUploadUrl
+  );
+  const recordUpload = useConvexMutation(api.attachments.recordUpload);
+
+  const handleFiles = async (fileList) => {
+    const files = [...fileList];
+    if (inputRef.current) inputRef.current.value = "";
+
+    if (attachments.length + files.length > MAX_ATTACHMENTS) {
+      toast.error(`You can attach up to ${MAX_ATTACHMENTS} files`);
+      return;
+    }
+    const rejected = files.find(
+      (f) => !isAllowedType(f.type) || f.size > MAX_ATTACHMENT_SIZE
+    );
+    if (rejected) {
+      toast.error(
+        `${rejected.name}: attach PNG, JPEG, WebP, GIF, HEIC or PDF files up to 10 MB`
+      );
+      return;
+    }
+
+    setUploading(files.length);
+    const uploaded = [];
+    try {
+      for (const file of files) {
+        const uploadUrl = await generateUploadUrl.mutate();
+        const response = await fetch(uploadUrl, {
+          method: "POST",
+          headers: { "Content-Type": file.type },
+          body: file,
+        });
+        if (!response.ok) throw new Error(`${file.name} didn't upload`);
+        const { storageId } = await response.json();
+        await recordUpload.mutate({ storageId });
+        uploaded.push({
+          storageId,
+          name: file.name,
+          contentType: file.type,
+          previewUrl: URL.createObjectURL(file),
+        });
+      }
+    } catch (error) {
+      toast.error("Failed to upload: " + error.message);
+    } finally {
+      setUploading(0);
+      if (uploaded.length) onChange([...attachments, ...uploaded]);
+    }
+
+    const image = files.find(
+      (f, i) => i < uploaded.length && f.type.startsWith("image/")
+    );
+    if (image && onImageAdded) onImageAdded(image);
+  };
+
+  return (
+    <div className="space-y-2">
+      {attachments.length > 0 && (
+        <div className="flex gap-2 flex-wrap">
+          {attachments.map((attachment) => (
+            <div key={attachment.storageId} className="relative">
+              <AttachmentThumbnail
+                src={
+                  attachment.previewUrl ??
+                  attachmentUrl(expenseId, attachment.storageId)
+                }
+                attachment={attachment}
+                className="h-16 w-16"
+              />
+              <button
+                type="button"
+                className="absolute -top-2 -right-2 rounded-full bg-background border p-0.5"
+                onClick={() =>
+                  onChange(
+                    attachments.filter(
+                      (a) => a.storageId !== attachment.storageId
+                    )
+                  )
+                }
+              >
+                <X className="h-3 w-3" />
+                <span className="sr-only">Remove {attachment.name}</span>
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+
+      <input
+        ref={inputRef}
+        type="file"
+        accept={ATTACHMENT_TYPES.join(",")}
+        multiple
+        className="hidden"
+        onChange={(e) => handleFiles(e.target.files)}
+      />
+      <Button
+        type="button"
+        variant="outline"
+        size="sm"
+        disabled={uploading > 0 || attachments.length >= MAX_ATTACHMENTS}
+        onClick={() => inputRef.current?.click()}
+      >
+        <Paperclip className="mr-2 h-4 w-4" />
+        {uploading > 0 ? "Uploading..." : "Attach receipt or photo"}
+      </Button>
+    </div>
+  );
+}
@@ -1,6 +1,5 @@
 "use client";
 
-import { useState } from "react";
 import {
   Select,
   SelectContent,
@@ -8,54 +7,49 @@ import {
   SelectTrigger,
   SelectValue,
 } from "@/components/ui/select";
+import { Button } from "@/components/ui/button";
+import { Sparkles } from "lucide-react";
 
-export function CategorySelector({ categories, onChange }) {
-  const [selectedCategory, setSelectedCategory] = useState("");
-
-  // Handle when a category is selected
-  const handleCategoryChange = (categoryId) => {
-    setSelectedCategory(categoryId);
-
-    // Only call onChange if it exists and the value has changed
-    if (onChange && categoryId !== selectedCategory) {
-      onChange(categoryId);
-    }
-  };
-
+// `value` is the chosen category id ("" for none yet). `suggestion`
+// ({ category, source }, from api.categories.suggestCategory) is offered
+// below the select when it differs from the choice.
+export function CategorySelector({ categories, value, onChange, suggestion }) {
   // If no categories or empty categories array
   if (!categories || categories.length === 0) {
     return <div>No categories available</div>;
   }
 
-  // Set default value if not already set
-  if (!selectedCategory && categories.length > 0) {
-    // Find a default category or use the first one
-    const defaultCategory =
-      categories.find((cat) => cat.isDefault) || categories[0];
-
-    // Set the default without triggering a re-render loop
-    setTimeout(() => {
-      setSelectedCategory(defaultCategory.id);
-      if (onChange) {
-        onChange(defaultCategory.id);
-      }
-    }, 0);
-  }
+  const suggested = categories.find((cat) => cat.id === suggestion?.category);
 
   return (
-    <Select value={selectedCategory} onValueChange={handleCategoryChange}>
-      <SelectTrigger className="w-full">
-        <SelectValue placeholder="Select a category" />
-      </SelectTrigger>
-      <SelectContent>
-        {categories.map((category) => (
-          <SelectItem key={category.id} value={category.id}>
-            <div className="flex items-center gap-2">
-              <span>{category.name}</span>
-            </div>
-          </SelectItem>
-        ))}
-      </SelectContent>
-    </Select>
+    <div className="space-y-1">
+      <Select value={value ?? ""} onValueChange={onChange}>
+        <SelectTrigger className="w-full">
+          <SelectValue placeholder="Select a category" />
+        </SelectTrigger>
+        <SelectContent>
+          {categories.map((category) => (
+            <SelectItem key={category.id} value={category.id}>
+              <div className="flex items-center gap-2">
+                <span>{category.name}</span>
+              </div>
+            </SelectItem>
+          ))}
+        </SelectContent>
+      </Select>
+      {suggested && suggested.id !== value && (
+        <Button
+          type="button"
+          variant="link"
+          size="sm"
+          className="h-auto p-0 text-xs"
+          onClick={() => onChange(suggested.id)}
+        >
+          <Sparkles className="mr-1 h-3 w-3" />
+          Suggested: {suggested.name}
+          {suggestion.source === "history" && " (from your past expenses)"}
+        </Button>
+      )}
+    </div>
   );
-}
\ No newline at end of file
+}
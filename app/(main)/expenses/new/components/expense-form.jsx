@@ -15,8 +15,15 @@ import { ParticipantSelector } from "./participant-selector";
 import { GroupSelector } from "./group-selector";
 import { CategorySelector } from "./category-selector";
 import { SplitSelector } from "./split-selector";
+import { PayerSelector } from "./payer-selector";
+import { AttachmentUploader } from "./attachment-uploader";
+import { ReceiptScan } from "./receipt-scan";
+import {
+  ItemizedSplitSelector,
+  toItemizedReceipt,
+} from "./itemized-split-selector";
 import { Calendar } from "@/components/ui/calendar";
-import { format } from "date-fns";
+import { endOfDay, format, parseISO } from "date-fns";
 import {
   Popover,
   PopoverContent,
@@ -25,6 +32,14 @@ import {
 import { cn } from "@/lib/utils";
 import { CalendarIcon } from "lucide-react";
 import { getAllCategories } from "@/lib/expense-categories";
+import { DEFAULT_CURRENCY } from "@/lib/currencies";
+import {
+  fromMinorUnits,
+  itemizedExtrasTotal,
+  splitItemized,
+  toMinorUnits,
+} from "@/lib/money";
+import { CurrencySelect } from "@/components/currency-select";
 
 // Form schema validation
 const expenseSchema = z.object({
@@ -35,23 +50,85 @@ const expenseSchema = z.object({
     .refine((val) => !isNaN(parseFloat(val)) && parseFloat(val) > 0, {
       message: "Amount must be a positive number",
     }),
+  currency: z.string().min(1, "Currency is required"),
   category: z.string().optional(),
   date: z.date(),
   paidByUserId: z.string().min(1, "Payer is required"),
-  splitType: z.enum(["equal", "percentage", "exact"]),
+  splitType: z.enum([
+    "equal",
+    "percentage",
+    "exact",
+    "shares",
+    "adjustment",
+    "itemized",
+  ]),
   groupId: z.string().optional(),
 });
 
-export function ExpenseForm({ type = "individual", onSuccess }) {
-  const [participants, setParticipants] = useState([]);
-  const [selectedDate, setSelectedDate] = useState(new Date());
-  const [selectedGroup, setSelectedGroup] = useState(null);
+// `expenseData` (from getExpenseById) switches the form into edit mode
+export function ExpenseForm({ type = "individual", onSuccess, expenseData }) {
+  const editingExpense = expenseData?.expense;
+  const isEditing = !!editingExpense;
+
+  const [participants, setParticipants] = useState(
+    expenseData?.participants ?? []
+  );
+  const [selectedDate, setSelectedDate] = useState(
+    isEditing ? new Date(editingExpense.date) : new Date()
+  );
+  const [selectedGroup, setSelectedGroup] = useState(
+    expenseData?.group ?? null
+  );
   const [splits, setSplits] = useState([]);
+  // Several payers: { userId: contribution in minor units }
+  const [multiplePayers, setMultiplePayers] = useState(
+    editingExpense?.payers?.length > 1
+  );
+  const [contributions, setContributions] = useState(() =>
+    Object.fromEntries(
+      (editingExpense?.payers ?? []).map((p) => [p.userId, p.amount])
+    )
+  );
+  // Repeating group expenses: "none", "daily", "weekly", "monthly", "custom"
+  const [cadence, setCadence] = useState("none");
+  const [intervalDays, setIntervalDays] = useState("7");
+  const [endDate, setEndDate] = useState(""); // yyyy-mm-dd, optional
+  const isRecurring = type === "group" && !isEditing && cadence !== "none";
+
+  // Itemized receipts, kept as the editor's text inputs
+  const [itemRows, setItemRows] = useState(() =>
+    (editingExpense?.items ?? []).map((item) => ({
+      name: item.name,
+      amount: String(fromMinorUnits(item.amount, editingExpense.currency)),
+      participantIds: item.participantIds,
+    }))
+  );
+  const [extraInputs, setExtraInputs] = useState(() => {
+    const extras = editingExpense?.extras;
+    const text = (value) =>
+      value ? String(fromMinorUnits(value, editingExpense.currency)) : "";
+    return {
+      tax: text(extras?.tax),
+      tip: text(extras?.tip),
+      serviceCharge: text(extras?.serviceCharge),
+    };
+  });
+
+  // Receipts and photos: [{ storageId, name, contentType, previewUrl? }]
+  const [attachments, setAttachments] = useState(
+    editingExpense?.attachments ?? []
+  );
+  // Photo of a receipt being read to prefill the form
+  const [scanFile, setScanFile] = useState(null);
 
   // Mutations and queries
   const { data: currentUser } = useConvexQuery(api.users.getCurrentUser);
 
   const createExpense = useConvexMutation(api.expenses.createExpense);
+  const createRecurringExpense = useConvexMutation(
+    api.recurring.createRecurringExpense
+  );
+  const updateExpense = useConvexMutation(api.expenses.updateExpense);
   const categories = getAllCategories();
 
   // Set up form with validation
@@ -64,20 +141,88 @@ export function ExpenseForm({ type = "individual", onSuccess }) {
     formState: { errors, isSubmitting },
   } = useForm({
     resolver: zodResolver(expenseSchema),
-    defaultValues: {
-      description: "",
-      amount: "",
-      category: "",
-      date: new Date(),
-      paidByUserId: currentUser?._id || "",
-      splitType: "equal",
-      groupId: undefined,
-    },
+    defaultValues: isEditing
+      ? {
+          description: editingExpense.description,
+          amount: String(
+            fromMinorUnits(
+              editingExpense.amount,
+              editingExpense.currency ?? DEFAULT_CURRENCY
+            )
+          ),
+          currency: editingExpense.currency ?? DEFAULT_CURRENCY,
+          category: editingExpense.category,
+          date: new Date(editingExpense.date),
+          paidByUserId: editingExpense.paidByUserId,
+          splitType: editingExpense.splitType,
+          groupId: editingExpense.groupId,
+        }
+      : {
+          description: "",
+          amount: "",
+          currency: currentUser?.baseCurrency ?? DEFAULT_CURRENCY,
+          category: "",
+          date: new Date(),
+          paidByUserId: currentUser?._id || "",
+          splitType: "equal",
+          groupId: undefined,
+        },
   });
 
   // Watch for changes
   const amountValue = watch("amount");
   const paidByUserId = watch("paidByUserId");
+  const splitType = watch("splitType");
+  const currency = watch("currency");
+  const category = watch("category");
+  const description = watch("description");
+
+  // Category suggestion for the description, once typing pauses
+  const [typedDescription, setTypedDescription] = useState("");
+  useEffect(() => {
+    const timer = setTimeout(() => setTypedDescription((description ?? "").trim()), 400);
+    return () => clearTimeout(timer);
+  }, [description]);
+  const { data: suggestion } = useConvexQuery(
+    api.categories.suggestCategory,
+    typedDescription.length >= 3
+      ? { description: typedDescription, groupId: selectedGroup?.id }
+      : "skip"
+  );
+
+  // With several payers the largest contributor is the main payer (it absorbs
+  // leftover minor units when splitting)
+  const payerList = multiplePayers
+    ? participants
+        .map((p) => ({ userId: p.id, amount: contributions[p.id] ?? 0 }))
+        .filter((p) => p.amount > 0)
+    : [];
+  const mainPayerId =
+    payerList.length > 0
+      ? payerList.reduce((top, p) => (p.amount > top.amount ? p : top)).userId
+      : paidByUserId;
+
+  // Seed the custom split editors with the saved splits (and shares /
+  // adjustments) of the expense being edited; equal splits are recomputed
+  const initialSplitsFor = (tab) =>
+    isEditing && editingExpense.splitType === tab
+      ? editingExpense.splits
+      : undefined;
+
+  // Itemized expenses: the total is the items plus tax, tip and service
+  useEffect(() => {
+    if (splitType !== "itemized") return;
+    const { items, extras } = toItemizedReceipt(
+      itemRows,
+      extraInputs,
+      currency,
+      participants
+    );
+    const total =
+      items.reduce((sum, item) => sum + item.amount, 0) +
+      itemizedExtrasTotal(extras);
+    setValue("amount", total > 0 ? String(fromMinorUnits(total, currency)) : "");
+  }, [splitType, itemRows, extraInputs, currency, participants, setValue]);
 
   // When a user is added or removed, update the participant list
   useEffect(() => {
@@ -91,29 +236,105 @@ export function ExpenseForm({ type = "individual", onSuccess }) {
           imageUrl: currentUser.imageUrl,
         },
       ]);
+      // New expenses start in the user's own base currency
+      setValue("currency", currentUser.baseCurrency ?? DEFAULT_CURRENCY);
     }
-  }, [currentUser, participants]);
+  }, [currentUser, participants, setValue]);
+
+  // Fill in what the receipt scan found (after the user checked it)
+  const applyScan = (scan) => {
+    if (scan.description) setValue("description", scan.description);
+    if (scan.date) {
+      setSelectedDate(scan.date);
+      setValue("date", scan.date);
+    }
+    if (scan.category) setValue("category", scan.category);
+    // Itemized splits: the items and tax make up the amount
+    if (splitType === "itemized" && scan.items.length > 0) {
+      setItemRows(
+        scan.items.map((item) => ({
+          name: item.name,
+          amount: String(item.amount),
+          participantIds: participants.map((p) => p.id),
+        }))
+      );
+      setExtraInputs({ ...extraInputs, tax: scan.tax ? String(scan.tax) : "" });
+    } else if (scan.amount) {
+      setValue("amount", String(scan.amount));
+    }
+    setScanFile(null);
+  };
 
   // Handle form submission
   const onSubmit = async (data) => {
     try {
-      const amount = parseFloat(data.amount);
+      // Amounts are sent as integer minor units (paise, cents…)
+      const amount = toMinorUnits(data.amount, data.currency);
+
+      // Several payers: contributions must cover exactly the total
+      if (multiplePayers) {
+        const totalPaid = payerList.reduce((sum, p) => sum + p.amount, 0);
+        if (totalPaid !== amount) {
+          toast.error(
+            `Payer contributions don't add up to the total. Please adjust them.`
+          );
+          return;
+        }
+      }
+      const payers = payerList.length > 1 ? payerList : undefined;
+
+      // Itemized receipts: every item needs a name, a price and someone to pay for it
+      const itemized = data.splitType === "itemized";
+      const receipt = itemized
+        ? toItemizedReceipt(itemRows, extraInputs, data.currency, participants)
+        : null;
+      if (
+        itemized &&
+        (receipt.items.length === 0 ||
+          receipt.items.some(
+            (item) =>
+              !item.name || item.amount <= 0 || item.participantIds.length === 0
+          ))
+      ) {
+        toast.error("Every item needs a name, an amount and at least one person.");
+        return;
+      }
+      if (itemized && isRecurring) {
+        toast.error("Itemized expenses can't repeat.");
+        return;
+      }
 
-      // Prepare splits in the format expected by the API
-      const formattedSplits = splits.map((split) => ({
+      // Prepare splits in the format expected by the API (with several
+      // payers nobody's share is settled up front); itemized splits are
+      // derived from the items, the server does the same
+      const splitSource = itemized
+        ? splitItemized(
+            receipt.items,
+            itemizedExtrasTotal(receipt.extras),
+            mainPayerId
+          )
+        : splits;
+      const formattedSplits = splitSource.map((split) => ({
         userId: split.userId,
         amount: split.amount,
-        paid: split.userId === data.paidByUserId,
+        paid: !payers && split.userId === mainPayerId,
+        // Metadata the server re-derives the amounts from
+        ...(data.splitType === "shares" && { shares: split.shares }),
+        ...(data.splitType === "adjustment" && {
+          adjustment: split.adjustment,
+        }),
       }));
 
-      // Validate that splits add up to the total (with small tolerance)
+      // Validate that splits add up to exactly the total
       const totalSplitAmount = formattedSplits.reduce(
         (sum, split) => sum + split.amount,
         0
       );
-      const tolerance = 0.01;
 
-      if (Math.abs(totalSplitAmount - amount) > tolerance) {
+      if (
+        totalSplitAmount !== amount ||
+        formattedSplits.some((split) => split.amount < 0)
+      ) {
         toast.error(
           `Split amounts don't add up to the total. Please adjust your splits.`
         );
@@ -123,20 +344,60 @@ export function ExpenseForm({ type = "individual", onSuccess }) {
       // For 1:1 expenses, set groupId to undefined instead of empty string
       const groupId = type === "individual" ? undefined : data.groupId;
 
-      // Create the expense
-      await createExpense.mutate({
+      const expenseFields = {
         description: data.description,
         amount: amount,
-        category: data.category || "Other",
+        currency: data.currency,
+        category: data.category || undefined, // the server suggests one
         date: data.date.getTime(), // Convert to timestamp
-        paidByUserId: data.paidByUserId,
+        paidByUserId: mainPayerId,
+        payers,
         splitType: data.splitType,
         splits: formattedSplits,
-        groupId,
-      });
+        ...(itemized && receipt),
+        attachments: attachments.map(({ storageId, name }) => ({
+          storageId,
+          name,
+        })),
+      };
+
+      if (isEditing) {
+        // Update the expense (its group can't change)
+        await updateExpense.mutate({
+          expenseId: editingExpense._id,
+          ...expenseFields,
+        });
+
+        toast.success("Expense updated successfully!");
+      } else if (isRecurring) {
+        // Create the template; occurrences up to today are created right away
+        await createRecurringExpense.mutate({
+          description: expenseFields.description,
+          amount: expenseFields.amount,
+          currency: expenseFields.currency,
+          category: expenseFields.category,
+          paidByUserId: expenseFields.paidByUserId,
+          payers: expenseFields.payers,
+          splitType: expenseFields.splitType,
+          splits: expenseFields.splits,
+          groupId,
+          cadence,
+          intervalDays:
+            cadence === "custom" ? parseInt(intervalDays, 10) : undefined,
+          startDate: expenseFields.date,
+          endDate: endDate ? endOfDay(parseISO(endDate)).getTime() : undefined,
+        });
 
-      toast.success("Expense created successfully!");
-      reset(); // Reset form
+        toast.success("Recurring expense created successfully!");
+        reset(); // Reset form
+      } else {
+        // Create the expense
+        await createExpense.mutate({ ...expenseFields, groupId });
+
+        toast.success("Expense created successfully!");
+        reset(); // Reset form
+        setAttachments([]);
+      }
 
       const otherParticipant = participants.find(
         (p) => p.id !== currentUser._id
@@ -145,7 +406,10 @@ export function ExpenseForm({ type = "individual", onSuccess }) {
 
       if (onSuccess) onSuccess(type === "individual" ? otherUserId : groupId);
     } catch (error) {
-      toast.error("Failed to create expense: " + error.message);
+      toast.error(
+        `Failed to ${isEditing ? "update" : "create"} expense: ` +
+          error.message
+      );
     }
   };
 
@@ -172,14 +436,22 @@ export function ExpenseForm({ type = "individual", onSuccess }) {
 
           <div className="space-y-2">
             <Label htmlFor="amount">Amount</Label>
-            <Input
-              id="amount"
-              placeholder="0.00"
-              type="number"
-              step="0.01"
-              min="0.01"
-              {...register("amount")}
-            />
+            <div className="flex gap-2">
+              <Input
+                id="amount"
+                placeholder="0.00"
+                type="number"
+                step="0.01"
+                min="0.01"
+                readOnly={splitType === "itemized"} // sum of the items
+                {...register("amount")}
+              />
+              <CurrencySelect
+                className="w-28"
+                aria-label="Currency"
+                {...register("currency")}
+              />
+            </div>
             {errors.amount && (
               <p className="text-sm text-red-500">{errors.amount.message}</p>
             )}
@@ -193,11 +465,9 @@ export function ExpenseForm({ type = "individual", onSuccess }) {
 
             <CategorySelector
               categories={categories || []}
-              onChange={(categoryId) => {
-                if (categoryId) {
-                  setValue("category", categoryId);
-                }
-              }}
+              value={category}
+              suggestion={typedDescription.length >= 3 ? suggestion : null}
+              onChange={(categoryId) => setValue("category", categoryId)}
             />
           </div>
 
@@ -235,8 +505,37 @@ export function ExpenseForm({ type = "individual", onSuccess }) {
           </div>
         </div>
 
+        {/* Receipts and photos (not for repeating expenses) */}
+        {!isRecurring && (
+          <div className="space-y-2">
+            <Label>Receipts</Label>
+            <AttachmentUploader
+              attachments={attachments}
+              onChange={setAttachments}
+              expenseId={editingExpense?._id}
+              onImageAdded={setScanFile}
+            />
+          </div>
+        )}
+        {scanFile && (
+          <ReceiptScan
+            file={scanFile}
+            onApply={applyScan}
+            onDismiss={() => setScanFile(null)}
+          />
+        )}
+
         {/* Group selector (for group expenses) */}
-        {type === "group" && (
+        {type === "group" && isEditing && (
+          <div className="space-y-2">
+            <Label>Group</Label>
+            <p className="text-sm rounded-md border px-3 py-2">
+              {selectedGroup?.name}
+            </p>
+          </div>
+        )}
+
+        {type === "group" && !isEditing && (
           <div className="space-y-2">
             <Label>Group</Label>
             <GroupSelector
@@ -245,6 +544,7 @@ export function ExpenseForm({ type = "individual", onSuccess }) {
                 if (!selectedGroup || selectedGroup.id !== group.id) {
                   setSelectedGroup(group);
                   setValue("groupId", group.id);
+                  setValue("currency", group.baseCurrency);
 
                   // Update participants with the group members
                   if (group.members && Array.isArray(group.members)) {
@@ -280,18 +580,41 @@ export function ExpenseForm({ type = "individual", onSuccess }) {
 
         {/* Paid by selector */}
         <div className="space-y-2">
-          <Label>Paid by</Label>
-          <select
-            className="w-full rounded-md border border-input bg-background px-3 py-2 text-sm"
-            {...register("paidByUserId")}
-          >
-            <option value="">Select who paid</option>
-            {participants.map((participant) => (
-              <option key={participant.id} value={participant.id}>
-                {participant.id === currentUser._id ? "You" : participant.name}
-              </option>
-            ))}
-          </select>
+          <div className="flex items-center justify-between">
+            <Label>Paid by</Label>
+            <Button
+              type="button"
+              variant="link"
+              size="sm"
+              className="h-auto p-0"
+              onClick={() => setMultiplePayers(!multiplePayers)}
+            >
+              {multiplePayers ? "Single payer" : "Multiple people paid"}
+            </Button>
+          </div>
+          {multiplePayers ? (
+            <PayerSelector
+              amount={toMinorUnits(amountValue || 0, currency)}
+              participants={participants}
+              contributions={contributions}
+              onContributionsChange={setContributions}
+              currency={currency}
+            />
+          ) : (
+            <select
+              className="w-full rounded-md border border-input bg-background px-3 py-2 text-sm"
+              {...register("paidByUserId")}
+            >
+              <option value="">Select who paid</option>
+              {participants.map((participant) => (
+                <option key={participant.id} value={participant.id}>
+                  {participant.id === currentUser._id
+                    ? "You"
+                    : participant.name}
+                </option>
+              ))}
+            </select>
+          )}
           {errors.paidByUserId && (
             <p className="text-sm text-red-500">
               {errors.paidByUserId.message}
@@ -299,17 +622,65 @@ export function ExpenseForm({ type = "individual", onSuccess }) {
           )}
         </div>
 
+        {/* Repeat schedule (new group expenses only) */}
+        {type === "group" && !isEditing && (
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            <div className="space-y-2">
+              <Label htmlFor="cadence">Repeats</Label>
+              <select
+                id="cadence"
+                className="w-full rounded-md border border-input bg-background px-3 py-2 text-sm"
+                value={cadence}
+                onChange={(e) => setCadence(e.target.value)}
+              >
+                <option value="none">Doesn&apos;t repeat</option>
+                <option value="daily">Daily</option>
+                <option value="weekly">Weekly</option>
+                <option value="monthly">Monthly</option>
+                <option value="custom">Every few days</option>
+              </select>
+            </div>
+            {cadence === "custom" && (
+              <div className="space-y-2">
+                <Label htmlFor="intervalDays">Every (days)</Label>
+                <Input
+                  id="intervalDays"
+                  type="number"
+                  min="1"
+                  step="1"
+                  value={intervalDays}
+                  onChange={(e) => setIntervalDays(e.target.value)}
+                />
+              </div>
+            )}
+            {isRecurring && (
+              <div className="space-y-2">
+                <Label htmlFor="endDate">Ends (optional)</Label>
+                <Input
+                  id="endDate"
+                  type="date"
+                  value={endDate}
+                  onChange={(e) => setEndDate(e.target.value)}
+                />
+              </div>
+            )}
+          </div>
+        )}
+
         {/* Split type */}
         <div className="space-y-2">
           <Label>Split type</Label>
           <Tabs
-            defaultValue="equal"
+            defaultValue={splitType}
             onValueChange={(value) => setValue("splitType", value)}
           >
-            <TabsList className="grid w-full grid-cols-3">
+            <TabsList className="grid w-full grid-cols-6">
               <TabsTrigger value="equal">Equal</TabsTrigger>
               <TabsTrigger value="percentage">Percentage</TabsTrigger>
-              <TabsTrigger value="exact">Exact Amounts</TabsTrigger>
+              <TabsTrigger value="exact">Exact</TabsTrigger>
+              <TabsTrigger value="shares">Shares</TabsTrigger>
+              <TabsTrigger value="adjustment">Adjust</TabsTrigger>
+              <TabsTrigger value="itemized">Items</TabsTrigger>
             </TabsList>
             <TabsContent value="equal" className="pt-4">
               <p className="text-sm text-muted-foreground">
@@ -317,9 +688,10 @@ export function ExpenseForm({ type = "individual", onSuccess }) {
               </p>
               <SplitSelector
                 type="equal"
-                amount={parseFloat(amountValue) || 0}
+                amount={toMinorUnits(amountValue || 0, currency)}
                 participants={participants}
-                paidByUserId={paidByUserId}
+                paidByUserId={mainPayerId}
+                currency={currency}
                 onSplitsChange={setSplits} // Use setSplits directly
               />
             </TabsContent>
@@ -329,9 +701,11 @@ export function ExpenseForm({ type = "individual", onSuccess }) {
               </p>
               <SplitSelector
                 type="percentage"
-                amount={parseFloat(amountValue) || 0}
+                amount={toMinorUnits(amountValue || 0, currency)}
                 participants={participants}
-                paidByUserId={paidByUserId}
+                paidByUserId={mainPayerId}
+                currency={currency}
+                initialSplits={initialSplitsFor("percentage")}
                 onSplitsChange={setSplits} // Use setSplits directly
               />
             </TabsContent>
@@ -341,12 +715,57 @@ export function ExpenseForm({ type = "individual", onSuccess }) {
               </p>
               <SplitSelector
                 type="exact"
-                amount={parseFloat(amountValue) || 0}
+                amount={toMinorUnits(amountValue || 0, currency)}
+                participants={participants}
+                paidByUserId={mainPayerId}
+                currency={currency}
+                initialSplits={initialSplitsFor("exact")}
+                onSplitsChange={setSplits} // Use setSplits directly
+              />
+            </TabsContent>
+            <TabsContent value="shares" className="pt-4">
+              <p className="text-sm text-muted-foreground">
+                Split by shares (e.g. 2 for a couple, 1 for a single)
+              </p>
+              <SplitSelector
+                type="shares"
+                amount={toMinorUnits(amountValue || 0, currency)}
+                participants={participants}
+                paidByUserId={mainPayerId}
+                currency={currency}
+                initialSplits={initialSplitsFor("shares")}
+                onSplitsChange={setSplits} // Use setSplits directly
+              />
+            </TabsContent>
+            <TabsContent value="adjustment" className="pt-4">
+              <p className="text-sm text-muted-foreground">
+                Split equally, then add or subtract extras per person
+              </p>
+              <SplitSelector
+                type="adjustment"
+                amount={toMinorUnits(amountValue || 0, currency)}
                 participants={participants}
-                paidByUserId={paidByUserId}
+                paidByUserId={mainPayerId}
+                currency={currency}
+                initialSplits={initialSplitsFor("adjustment")}
                 onSplitsChange={setSplits} // Use setSplits directly
               />
             </TabsContent>
+            <TabsContent value="itemized" className="pt-4">
+              <p className="text-sm text-muted-foreground">
+                Add the receipt&apos;s items and who had each one; tax, tip and
+                service are shared in proportion
+              </p>
+              <ItemizedSplitSelector
+                itemRows={itemRows}
+                onItemRowsChange={setItemRows}
+                extraInputs={extraInputs}
+                onExtraInputsChange={setExtraInputs}
+                participants={participants}
+                paidByUserId={mainPayerId}
+                currency={currency}
+              />
+            </TabsContent>
           </Tabs>
         </div>
       </div>
@@ -356,7 +775,15 @@ export function ExpenseForm({ type = "individual", onSuccess }) {
           type="submit"
           disabled={isSubmitting || participants.length <= 1}
         >
-          {isSubmitting ? "Creating..." : "Create Expense"}
+          {isSubmitting
+            ? isEditing
+              ? "Saving..."
+              : "Creating..."
+            : isEditing
+              ? "Save Changes"
+              : isRecurring
+                ? "Create Recurring Expense"
+                : "Create Expense"}
         </Button>
       </div>
     </form>
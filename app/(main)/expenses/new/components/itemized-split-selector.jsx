@@ -0,0 +1,216 @@
+"use client";
+
+import { useUser } from "@clerk/nextjs";
+import { Avatar, AvatarFallback, AvatarImage } from "@/components/ui/avatar";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { formatCurrency } from "@/lib/utils";
+import { getCurrencyByCode } from "@/lib/currencies";
+import { itemizedExtrasTotal, splitItemized, toMinorUnits } from "@/lib/money";
+import { Plus, Trash2 } from "lucide-react";
+
+const EXTRA_FIELDS = [
+  { key: "tax", label: "Tax" },
+  { key: "tip", label: "Tip" },
+  { key: "serviceCharge", label: "Service charge" },
+];
+
+// Turn the editor's text inputs into the items / extras createExpense
+// expects (minor units, only current participants)
+export function toItemizedReceipt(itemRows, extraInputs, currency, participants) {
+  const participantIds = participants.map((p) => p.id);
+
+  return {
+    items: itemRows.map((row) => ({
+      name: row.name.trim(),
+      amount: toMinorUnits(parseFloat(row.amount) || 0, currency),
+      participantIds: row.participantIds.filter((id) =>
+        participantIds.includes(id)
+      ),
+    })),
+    extras: Object.fromEntries(
+      EXTRA_FIELDS.map(({ key }) => [
+        key,
+        toMinorUnits(parseFloat(extraInputs[key]) || 0, currency),
+      ])
+    ),
+  };
+}
+
+// Line items with their own participants; tax, tip and service charge are
+// spread across the items in proportion to their amounts
+export function ItemizedSplitSelector({
+  itemRows,
+  onItemRowsChange,
+  extraInputs,
+  onExtraInputsChange,
+  participants,
+  paidByUserId,
+  currency,
+}) {
+  const { user } = useUser();
+  const { symbol, decimals } = getCurrencyByCode(currency);
+
+  const { items, extras } = toItemizedReceipt(
+    itemRows,
+    extraInputs,
+    currency,
+    participants
+  );
+  const extrasTotal = itemizedExtrasTotal(extras);
+  const total = items.reduce((sum, item) => sum + item.amount, 0) + extrasTotal;
+
+  // Per-person preview, only once every item is complete
+  const isComplete =
+    items.length > 0 &&
+    items.every((item) => item.amount > 0 && item.participantIds.length > 0);
+  const shares = isComplete
+    ? splitItemized(items, extrasTotal, paidByUserId)
+    : [];
+
+  const updateRow = (index, changes) =>
+    onItemRowsChange(
+      itemRows.map((row, i) => (i === index ? { ...row, ...changes } : row))
+    );
+
+  const toggleParticipant = (index, userId) => {
+    const ids = itemRows[index].participantIds;
+    updateRow(index, {
+      participantIds: ids.includes(userId)
+        ? ids.filter((id) => id !== userId)
+        : [...ids, userId],
+    });
+  };
+
+  const addRow = () =>
+    onItemRowsChange([
+      ...itemRows,
+      { name: "", amount: "", participantIds: participants.map((p) => p.id) },
+    ]);
+
+  const nameOf = (participant) =>
+    participant.id === user?.id ? "You" : participant.name;
+
+  return (
+    <div className="space-y-4 mt-4">
+      {itemRows.map((row, index) => (
+        <div key={index} className="space-y-2 border-b pb-3">
+          <div className="flex items-center gap-2">
+            <Input
+              placeholder="Item name"
+              value={row.name}
+              onChange={(e) => updateRow(index, { name: e.target.value })}
+              className="flex-1 h-8"
+            />
+            <span className="text-sm text-muted-foreground">{symbol}</span>
+            <Input
+              type="number"
+              min="0"
+              step={1 / 10 ** decimals}
+              placeholder="0.00"
+              value={row.amount}
+              onChange={(e) => updateRow(index, { amount: e.target.value })}
+              className="w-24 h-8"
+            />
+            <Button
+              type="button"
+              variant="ghost"
+              size="icon"
+              className="h-8 w-8 rounded-full text-red-500 hover:text-red-700 hover:bg-red-100"
+              onClick={() =>
+                onItemRowsChange(itemRows.filter((_, i) => i !== index))
+              }
+            >
+              <Trash2 className="h-4 w-4" />
+              <span className="sr-only">Remove item</span>
+            </Button>
+          </div>
+
+          <div className="flex flex-wrap gap-2">
+            {participants.map((participant) => {
+              const isIncluded = row.participantIds.includes(participant.id);
+              return (
+                <Button
+                  key={participant.id}
+                  type="button"
+                  variant={isIncluded ? "secondary" : "outline"}
+                  size="sm"
+                  className={`h-7 px-2 ${!isIncluded ? "text-muted-foreground" : ""}`}
+                  onClick={() => toggleParticipant(index, participant.id)}
+                >
+                  {nameOf(participant)}
+                </Button>
+              );
+            })}
+          </div>
+          {items[index]?.participantIds.length === 0 && (
+            <p className="text-xs text-amber-600">
+              Pick at least one person for this item
+            </p>
+          )}
+        </div>
+      ))}
+
+      <Button type="button" variant="outline" size="sm" onClick={addRow}>
+        <Plus className="mr-2 h-4 w-4" />
+        Add item
+      </Button>
+
+      {/* Tax, tip and service charge */}
+      <div className="grid grid-cols-3 gap-4">
+        {EXTRA_FIELDS.map(({ key, label }) => (
+          <div key={key} className="space-y-1">
+            <Label htmlFor={`extra-${key}`} className="text-xs">
+              {label}
+            </Label>
+            <Input
+              id={`extra-${key}`}
+              type="number"
+              min="0"
+              step={1 / 10 ** decimals}
+              placeholder="0.00"
+              value={extraInputs[key]}
+              onChange={(e) =>
+                onExtraInputsChange({ ...extraInputs, [key]: e.target.value })
+              }
+              className="h-8"
+            />
+          </div>
+        ))}
+      </div>
+
+      {/* Per-person preview */}
+      {shares.map((share) => {
+        const participant = participants.find((p) => p.id === share.userId);
+        return (
+          <div
+            key={share.userId}
+            className="flex items-center justify-between gap-4"
+          >
+            <div className="flex items-center gap-2">
+              <Avatar className="h-7 w-7">
+                <AvatarImage src={participant?.imageUrl} />
+                <AvatarFallback>
+                  {participant?.name?.charAt(0) || "?"}
+                </AvatarFallback>
+              </Avatar>
+              <span className="text-sm">
+                {participant ? nameOf(participant) : "Other User"}
+              </span>
+            </div>
+            <span className="text-sm">
+              {formatCurrency(share.amount, currency)}
+            </span>
+          </div>
+        );
+      })}
+
+      {/* Total row */}
+      <div className="flex justify-between border-t pt-3 mt-3">
+        <span className="font-medium">Total</span>
+        <span className="font-medium">{formatCurrency(total, currency)}</span>
+      </div>
+    </div>
+  );
+}
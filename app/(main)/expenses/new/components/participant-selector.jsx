@@ -21,6 +21,7 @@ import {
   PopoverContent,
   PopoverTrigger,
 } from "@/components/ui/popover";
+import { InviteByEmailItem } from "@/components/invite-by-email-item";
 
 export function ParticipantSelector({ participants, onParticipantsChange }) {
   const { data: currentUser } = useConvexQuery(api.users.getCurrentUser);
@@ -148,6 +149,11 @@ export function ParticipantSelector({ participants, onParticipantsChange }) {
                       </CommandItem>
                     ))}
                   </CommandGroup>
+                  <InviteByEmailItem
+                    query={searchQuery}
+                    results={searchResults}
+                    onInvited={addParticipant}
+                  />
                 </CommandList>
               </Command>
             </PopoverContent>
@@ -0,0 +1,91 @@
+"use client";
+
+import { useUser } from "@clerk/nextjs";
+import { Avatar, AvatarFallback, AvatarImage } from "@/components/ui/avatar";
+import { Input } from "@/components/ui/input";
+import { formatCurrency } from "@/lib/utils";
+import { getCurrencyByCode } from "@/lib/currencies";
+import { fromMinorUnits, toMinorUnits } from "@/lib/money";
+
+// Contribution per participant when several people paid.
+// `amount` and `contributions` ({ userId: amount }) are minor units of `currency`
+export function PayerSelector({
+  amount,
+  participants,
+  contributions,
+  onContributionsChange,
+  currency,
+}) {
+  const { user } = useUser();
+  const { symbol, decimals } = getCurrencyByCode(currency);
+
+  const totalPaid = participants.reduce(
+    (sum, participant) => sum + (contributions[participant.id] ?? 0),
+    0
+  );
+  const isTotalValid = totalPaid === amount;
+
+  const updateContribution = (userId, value) => {
+    onContributionsChange({
+      ...contributions,
+      [userId]: toMinorUnits(parseFloat(value) || 0, currency),
+    });
+  };
+
+  return (
+    <div className="space-y-4 mt-2">
+      {participants.map((participant) => (
+        <div
+          key={participant.id}
+          className="flex items-center justify-between gap-4"
+        >
+          <div className="flex items-center gap-2 min-w-[120px]">
+            <Avatar className="h-7 w-7">
+              <AvatarImage src={participant.imageUrl} />
+              <AvatarFallback>
+                {participant.name?.charAt(0) || "?"}
+              </AvatarFallback>
+            </Avatar>
+            <span className="text-sm">
+              {participant.id === user?.id ? "You" : participant.name}
+            </span>
+          </div>
+
+          <div className="flex gap-1 items-center">
+            <span className="text-sm text-muted-foreground">{symbol}</span>
+            <Input
+              type="number"
+              min="0"
+              step={1 / 10 ** decimals}
+              value={fromMinorUnits(
+                contributions[participant.id] ?? 0,
+                currency
+              ).toFixed(decimals)}
+              onChange={(e) =>
+                updateContribution(participant.id, e.target.value)
+              }
+              className="w-24 h-8"
+            />
+          </div>
+        </div>
+      ))}
+
+      {/* Total row */}
+      <div className="flex justify-between border-t pt-3 mt-3">
+        <span className="font-medium">Total paid</span>
+        <span
+          className={`font-medium ${!isTotalValid ? "text-amber-600" : ""}`}
+        >
+          {formatCurrency(totalPaid, currency)}
+        </span>
+      </div>
+
+      {!isTotalValid && (
+        <div className="text-sm text-amber-600 mt-2">
+          The contributions ({formatCurrency(totalPaid, currency)}) should equal
+          the total amount ({formatCurrency(amount, currency)}).
+        </div>
+      )}
+    </div>
+  );
+}
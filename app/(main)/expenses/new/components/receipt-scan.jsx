@@ -0,0 +1,200 @@
+"use client";
+
+import { useEffect, useState } from "react";
+import { format } from "date-fns";
+import { Badge } from "@/components/ui/badge";
+import { Button } from "@/components/ui/button";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { ScanText, X } from "lucide-react";
+import { getAllCategories } from "@/lib/expense-categories";
+
+const selectClassName =
+  "w-full rounded-md border border-input bg-background px-3 py-2 text-sm";
+
+// How sure the scan is about a field
+function ConfidenceBadge({ field }) {
+  if (!field) return <Badge variant="outline">Not found</Badge>;
+  const { label, className } =
+    field.confidence >= 0.75
+      ? { label: "High", className: "bg-green-100 text-green-800" }
+      : field.confidence >= 0.5
+        ? { label: "Medium", className: "bg-amber-100 text-amber-800" }
+        : { label: "Low", className: "bg-red-100 text-red-800" };
+  return (
+    <Badge
+      variant="secondary"
+      className={className}
+      title={`${Math.round(field.confidence * 100)}% confident`}
+    >
+      {label}
+    </Badge>
+  );
+}
+
+// The scan's values as text inputs the user can correct
+const toInputs = (scan) => ({
+  description: scan.merchant?.value ?? "",
+  amount: scan.total ? String(scan.total.value) : "",
+  date: scan.date ? format(new Date(scan.date.value), "yyyy-MM-dd") : "",
+  category: scan.category?.value ?? "",
+  tax: scan.tax ? String(scan.tax.value) : "",
+});
+
+/* ──────────────────────────────────────────────────────────────────────────
+   ReceiptScan – read a receipt photo and offer its fields to ExpenseForm
+   ----------------------------------------------------------------------------
+   The image is read on our own server (app/api/receipts/scan). Every field
+   shows how confident the scan is and can be corrected; `onApply` gets
+   { description, amount, date (Date), category, tax, items: [{ name,
+   amount }] } with empty fields left out.
+   ──────────────────────────────────────────────────────────────────────── */
+export function ReceiptScan({ file, onApply, onDismiss }) {
+  const [scan, setScan] = useState(null);
+  const [inputs, setInputs] = useState(null);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    let cancelled = false;
+    setScan(null);
+    setError("");
+
+    const body = new FormData();
+    body.append("file", file);
+    fetch("/api/receipts/scan", { method: "POST", body })
+      .then(async (response) => {
+        if (!response.ok) throw new Error(await response.text());
+        return response.json();
+      })
+      .then((result) => {
+        if (cancelled) return;
+        setScan(result);
+        setInputs(toInputs(result));
+      })
+      .catch((err) => !cancelled && setError(err.message));
+
+    return () => {
+      cancelled = true;
+    };
+  }, [file]);
+
+  const set = (key) => (e) => setInputs({ ...inputs, [key]: e.target.value });
+
+  const handleApply = () => {
+    const amount = parseFloat(inputs.amount);
+    const tax = parseFloat(inputs.tax);
+    onApply({
+      ...(inputs.description.trim() && {
+        description: inputs.description.trim(),
+      }),
+      ...(amount > 0 && { amount }),
+      ...(inputs.date && { date: new Date(`${inputs.date}T12:00:00`) }),
+      ...(inputs.category && { category: inputs.category }),
+      ...(tax > 0 && { tax }),
+      items: scan.items.map((item) => ({
+        name: item.name.value,
+        amount: item.amount.value,
+      })),
+    });
+  };
+
+  const fields = [
+    { key: "description", label: "Merchant", field: scan?.merchant },
+    { key: "amount", label: "Total", field: scan?.total, type: "number" },
+    { key: "date", label: "Date", field: scan?.date, type: "date" },
+    { key: "tax", label: "Tax", field: scan?.tax, type: "number" },
+  ];
+
+  return (
+    <Card>
+      <CardHeader className="pb-2">
+        <div className="flex items-center justify-between">
+          <CardTitle className="text-base flex items-center gap-2">
+            <ScanText className="h-4 w-4" />
+            Receipt scan
+          </CardTitle>
+          <Button
+            type="button"
+            variant="ghost"
+            size="icon"
+            className="h-8 w-8"
+            onClick={onDismiss}
+          >
+            <X className="h-4 w-4" />
+            <span className="sr-only">Dismiss</span>
+          </Button>
+        </div>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        {error ? (
+          <p className="text-sm text-red-600">
+            Couldn&apos;t read the receipt: {error}
+          </p>
+        ) : !scan ? (
+          <p className="text-sm text-muted-foreground">Reading {file.name}…</p>
+        ) : (
+          <>
+            <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+              {fields.map(({ key, label, field, type }) => (
+                <div key={key} className="space-y-2">
+                  <div className="flex items-center justify-between">
+                    <Label htmlFor={`scan-${key}`}>{label}</Label>
+                    <ConfidenceBadge field={field} />
+                  </div>
+                  <Input
+                    id={`scan-${key}`}
+                    type={type ?? "text"}
+                    step={type === "number" ? "0.01" : undefined}
+                    value={inputs[key]}
+                    onChange={set(key)}
+                  />
+                </div>
+              ))}
+              <div className="space-y-2">
+                <div className="flex items-center justify-between">
+                  <Label htmlFor="scan-category">Category</Label>
+                  <ConfidenceBadge field={scan.category} />
+                </div>
+                <select
+                  id="scan-category"
+                  className={selectClassName}
+                  value={inputs.category}
+                  onChange={set("category")}
+                >
+                  <option value="">Keep the form&apos;s category</option>
+                  {getAllCategories().map((category) => (
+                    <option key={category.id} value={category.id}>
+                      {category.name}
+                    </option>
+                  ))}
+                </select>
+              </div>
+            </div>
+
+            {scan.items.length > 0 && (
+              <div className="space-y-1 text-sm">
+                <p className="text-muted-foreground">
+                  {scan.items.length} items found (used when the split type
+                  is Items)
+                </p>
+                {scan.items.map((item, idx) => (
+                  <div key={idx} className="flex justify-between gap-4">
+                    <span>{item.name.value}</span>
+                    <span>{item.amount.value.toFixed(2)}</span>
+                  </div>
+                ))}
+              </div>
+            )}
+
+            <div className="flex justify-end">
+              <Button type="button" onClick={handleApply}>
+                Fill in the expense
+              </Button>
+            </div>
+          </>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
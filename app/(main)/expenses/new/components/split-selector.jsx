@@ -5,6 +5,35 @@ import { useUser } from "@clerk/nextjs";
 import { Avatar, AvatarFallback, AvatarImage } from "@/components/ui/avatar";
 import { Input } from "@/components/ui/input";
 import { Slider } from "@/components/ui/slider";
+import { formatCurrency } from "@/lib/utils";
+import { getCurrencyByCode } from "@/lib/currencies";
+import {
+  allocateByWeights,
+  fromMinorUnits,
+  splitByShares,
+  splitEqually,
+  splitWithAdjustments,
+  toMinorUnits,
+} from "@/lib/money";
+
+// `amount` and every split amount are integer minor units of `currency`
+
+// "shares" and "adjustment" splits store per-person metadata; their amounts
+// are always derived from it, the same way createExpense checks them
+const DERIVED_TYPES = ["shares", "adjustment"];
+
+function withDerivedAmounts(type, amount, splits, paidByUserId) {
+  const amounts =
+    type === "shares"
+      ? splitByShares(amount, splits, paidByUserId)
+      : splitWithAdjustments(amount, splits, paidByUserId);
+
+  return splits.map((split, i) => ({
+    ...split,
+    amount: amounts[i].amount,
+    percentage: amount > 0 ? (amounts[i].amount / amount) * 100 : 0,
+  }));
+}
 
 export function SplitSelector({
   type,
@@ -12,6 +41,8 @@ export function SplitSelector({
   participants,
   paidByUserId,
   onSplitsChange,
+  initialSplits,
+  currency,
 }) {
   const { user } = useUser();
   const [splits, setSplits] = useState([]);
@@ -26,40 +57,65 @@ export function SplitSelector({
 
     let newSplits = [];
 
-    if (type === "equal") {
-      // Equal splits
-      const shareAmount = amount / participants.length;
-      newSplits = participants.map((participant) => ({
-        userId: participant.id,
-        name: participant.name,
-        email: participant.email,
-        imageUrl: participant.imageUrl,
-        amount: shareAmount,
-        percentage: 100 / participants.length,
-        paid: participant.id === paidByUserId,
-      }));
-    } else if (type === "percentage") {
-      // Initialize percentage splits evenly
-      const evenPercentage = 100 / participants.length;
-      newSplits = participants.map((participant) => ({
-        userId: participant.id,
-        name: participant.name,
-        email: participant.email,
-        imageUrl: participant.imageUrl,
-        amount: (amount * evenPercentage) / 100,
-        percentage: evenPercentage,
-        paid: participant.id === paidByUserId,
-      }));
-    } else if (type === "exact") {
-      // Initialize exact splits evenly
-      const evenAmount = amount / participants.length;
-      newSplits = participants.map((participant) => ({
+    // Saved splits (edit mode) are reused while they still match the total
+    const canUseInitialSplits =
+      initialSplits?.length > 0 &&
+      initialSplits.every((s) =>
+        participants.some((participant) => participant.id === s.userId)
+      ) &&
+      initialSplits.reduce((sum, s) => sum + s.amount, 0) === amount;
+
+    if (DERIVED_TYPES.includes(type)) {
+      // Saved shares / adjustments (edit mode) are kept even if the total changed
+      newSplits = withDerivedAmounts(
+        type,
+        amount,
+        participants.map((participant) => {
+          const saved = initialSplits?.find((s) => s.userId === participant.id);
+          return {
+            userId: participant.id,
+            name: participant.name,
+            email: participant.email,
+            imageUrl: participant.imageUrl,
+            shares: saved?.shares ?? 1,
+            adjustment: saved?.adjustment ?? 0,
+            paid: participant.id === paidByUserId,
+          };
+        }),
+        paidByUserId
+      );
+    } else if (canUseInitialSplits) {
+      newSplits = participants.map((participant) => {
+        const savedAmount =
+          initialSplits.find((s) => s.userId === participant.id)?.amount ?? 0;
+        return {
+          userId: participant.id,
+          name: participant.name,
+          email: participant.email,
+          imageUrl: participant.imageUrl,
+          amount: savedAmount,
+          percentage: (savedAmount / amount) * 100,
+          paid: participant.id === paidByUserId,
+        };
+      });
+    } else {
+      // Equal splits (and the starting point for percentage / exact splits);
+      // leftover minor units go to the payer first, see lib/money.js
+      const shares = splitEqually(
+        amount,
+        participants.map((participant) => participant.id),
+        paidByUserId
+      );
+      newSplits = participants.map((participant, i) => ({
         userId: participant.id,
         name: participant.name,
         email: participant.email,
         imageUrl: participant.imageUrl,
-        amount: evenAmount,
-        percentage: (evenAmount / amount) * 100,
+        amount: shares[i].amount,
+        percentage:
+          type === "exact"
+            ? (shares[i].amount / amount) * 100
+            : 100 / participants.length,
         paid: participant.id === paidByUserId,
       }));
     }
@@ -83,21 +139,32 @@ export function SplitSelector({
     if (onSplitsChange) {
       onSplitsChange(newSplits);
     }
-  }, [type, amount, participants, paidByUserId, onSplitsChange]);
+  }, [type, amount, participants, paidByUserId, onSplitsChange, initialSplits]);
 
   // Update the percentage splits - no automatic adjustment of other values
   const updatePercentageSplit = (userId, newPercentage) => {
-    // Update just this user's percentage and recalculate amount
-    const updatedSplits = splits.map((split) => {
-      if (split.userId === userId) {
-        return {
-          ...split,
-          percentage: newPercentage,
-          amount: (amount * newPercentage) / 100,
-        };
-      }
-      return split;
-    });
+    // Update just this user's percentage
+    const withPercentage = splits.map((split) =>
+      split.userId === userId ? { ...split, percentage: newPercentage } : split
+    );
+
+    // Recalculate every amount together so that 100% is exactly the total
+    const coveredPercentage = withPercentage.reduce(
+      (sum, split) => sum + split.percentage,
+      0
+    );
+    const amounts = allocateByWeights(
+      Math.round((amount * coveredPercentage) / 100),
+      withPercentage.map((split) => ({
+        userId: split.userId,
+        weight: split.percentage,
+      })),
+      paidByUserId
+    );
+    const updatedSplits = withPercentage.map((split, i) => ({
+      ...split,
+      amount: amounts[i].amount,
+    }));
 
     setSplits(updatedSplits);
 
@@ -122,7 +189,7 @@ export function SplitSelector({
 
   // Update the exact amount splits - no automatic adjustment of other values
   const updateExactSplit = (userId, newAmount) => {
-    const parsedAmount = parseFloat(newAmount) || 0;
+    const parsedAmount = toMinorUnits(parseFloat(newAmount) || 0, currency);
 
     // Update just this user's amount and recalculate percentage
     const updatedSplits = splits.map((split) => {
@@ -157,9 +224,43 @@ export function SplitSelector({
     }
   };
 
+  // Update one person's shares or adjustment and re-derive every amount
+  const updateDerivedSplit = (userId, field, value) => {
+    const updatedSplits = withDerivedAmounts(
+      type,
+      amount,
+      splits.map((split) =>
+        split.userId === userId ? { ...split, [field]: value } : split
+      ),
+      paidByUserId
+    );
+
+    setSplits(updatedSplits);
+
+    // Recalculate totals
+    const newTotalAmount = updatedSplits.reduce(
+      (sum, split) => sum + split.amount,
+      0
+    );
+    const newTotalPercentage = updatedSplits.reduce(
+      (sum, split) => sum + split.percentage,
+      0
+    );
+
+    setTotalAmount(newTotalAmount);
+    setTotalPercentage(newTotalPercentage);
+
+    // Notify parent about the split changes
+    if (onSplitsChange) {
+      onSplitsChange(updatedSplits);
+    }
+  };
+
   // Check if totals are valid
   const isPercentageValid = Math.abs(totalPercentage - 100) < 0.01;
-  const isAmountValid = Math.abs(totalAmount - amount) < 0.01;
+  const isAmountValid = totalAmount === amount;
+  const hasNegativeSplit = splits.some((split) => split.amount < 0);
+  const { symbol, decimals } = getCurrencyByCode(currency);
 
   return (
     <div className="space-y-4 mt-4">
@@ -180,7 +281,8 @@ export function SplitSelector({
 
           {type === "equal" && (
             <div className="text-right text-sm">
-              ₹{split.amount.toFixed(2)} ({split.percentage.toFixed(1)}%)
+              {formatCurrency(split.amount, currency)} (
+              {split.percentage.toFixed(1)}%)
             </div>
           )}
 
@@ -211,7 +313,9 @@ export function SplitSelector({
                   className="w-16 h-8"
                 />
                 <span className="text-sm text-muted-foreground">%</span>
-                <span className="text-sm ml-1">₹{split.amount.toFixed(2)}</span>
+                <span className="text-sm ml-1">
+                  {formatCurrency(split.amount, currency)}
+                </span>
               </div>
             </div>
           )}
@@ -220,13 +324,15 @@ export function SplitSelector({
             <div className="flex items-center gap-2 flex-1">
               <div className="flex-1"></div>
               <div className="flex gap-1 items-center">
-                <span className="text-sm text-muted-foreground">₹</span>
+                <span className="text-sm text-muted-foreground">{symbol}</span>
                 <Input
                   type="number"
                   min="0"
-                  max={amount * 2} // Allow values even higher than total for flexibility
-                  step="0.01"
-                  value={split.amount.toFixed(2)}
+                  max={fromMinorUnits(amount * 2, currency)} // Allow values even higher than total for flexibility
+                  step={1 / 10 ** decimals}
+                  value={fromMinorUnits(split.amount, currency).toFixed(
+                    decimals
+                  )}
                   onChange={(e) =>
                     updateExactSplit(split.userId, e.target.value)
                   }
@@ -238,6 +344,63 @@ export function SplitSelector({
               </div>
             </div>
           )}
+
+          {type === "shares" && (
+            <div className="flex items-center gap-2 flex-1">
+              <div className="flex-1"></div>
+              <div className="flex gap-1 items-center">
+                <Input
+                  type="number"
+                  min="0"
+                  step="1"
+                  value={split.shares}
+                  onChange={(e) =>
+                    updateDerivedSplit(
+                      split.userId,
+                      "shares",
+                      Math.max(0, parseInt(e.target.value, 10) || 0)
+                    )
+                  }
+                  className="w-16 h-8"
+                />
+                <span className="text-sm text-muted-foreground">
+                  {split.shares === 1 ? "share" : "shares"}
+                </span>
+                <span className="text-sm ml-1 min-w-[80px] text-right">
+                  {formatCurrency(split.amount, currency)}
+                </span>
+              </div>
+            </div>
+          )}
+
+          {type === "adjustment" && (
+            <div className="flex items-center gap-2 flex-1">
+              <div className="flex-1"></div>
+              <div className="flex gap-1 items-center">
+                <span className="text-sm text-muted-foreground">
+                  +/− {symbol}
+                </span>
+                <Input
+                  type="number"
+                  step={1 / 10 ** decimals}
+                  value={fromMinorUnits(split.adjustment, currency).toFixed(
+                    decimals
+                  )}
+                  onChange={(e) =>
+                    updateDerivedSplit(
+                      split.userId,
+                      "adjustment",
+                      toMinorUnits(parseFloat(e.target.value) || 0, currency)
+                    )
+                  }
+                  className="w-24 h-8"
+                />
+                <span className="text-sm ml-1 min-w-[80px] text-right">
+                  {formatCurrency(split.amount, currency)}
+                </span>
+              </div>
+            </div>
+          )}
         </div>
       ))}
 
@@ -248,7 +411,7 @@ export function SplitSelector({
           <span
             className={`font-medium ${!isAmountValid ? "text-amber-600" : ""}`}
           >
-            ₹{totalAmount.toFixed(2)}
+            {formatCurrency(totalAmount, currency)}
           </span>
           {type !== "equal" && (
             <span
@@ -269,8 +432,20 @@ export function SplitSelector({
 
       {type === "exact" && !isAmountValid && (
         <div className="text-sm text-amber-600 mt-2">
-          The sum of all splits (₹{totalAmount.toFixed(2)}) should equal the
-          total amount (₹{amount.toFixed(2)}).
+          The sum of all splits ({formatCurrency(totalAmount, currency)}) should
+          equal the total amount ({formatCurrency(amount, currency)}).
+        </div>
+      )}
+
+      {type === "shares" && !isAmountValid && (
+        <div className="text-sm text-amber-600 mt-2">
+          Give at least one person a share.
+        </div>
+      )}
+
+      {type === "adjustment" && hasNegativeSplit && (
+        <div className="text-sm text-amber-600 mt-2">
+          The adjustments add up to more than the total amount.
         </div>
       )}
     </div>
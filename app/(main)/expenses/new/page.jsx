@@ -1,6 +1,7 @@
 "use client";
 
 import { useRouter } from "next/navigation";
+import Link from "next/link";
 import { ExpenseForm } from "./components/expense-form";
 import { Tabs, TabsContent, TabsList, TabsTrigger } from "@/components/ui/tabs";
 import { Card, CardContent } from "@/components/ui/card";
@@ -13,7 +14,10 @@ export default function NewExpensePage() {
       <div className="mb-6">
         <h1 className="text-5xl gradient-title">Add a new expense</h1>
         <p className="text-muted-foreground mt-1">
-          Record a new expense to split with others
+          Record a new expense to split with others, or{" "}
+          <Link href="/expenses/import" className="underline">
+            import them from a file
+          </Link>
         </p>
       </div>
 
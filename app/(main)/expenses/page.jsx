@@ -0,0 +1,30 @@
+"use client";
+
+import Link from "next/link";
+import { Button } from "@/components/ui/button";
+import { ExpenseSearch } from "@/components/expense-search";
+import { PlusCircle } from "lucide-react";
+
+// Every expense I'm part of, across groups and 1-to-1
+export default function ExpensesPage() {
+  return (
+    <div className="container max-w-4xl mx-auto py-6 space-y-6">
+      <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-4">
+        <div>
+          <h1 className="text-5xl gradient-title">Expenses</h1>
+          <p className="text-muted-foreground mt-1">
+            Everything you&apos;ve paid for or shared, newest first
+          </p>
+        </div>
+        <Button asChild>
+          <Link href="/expenses/new">
+            <PlusCircle className="mr-2 h-4 w-4" />
+            Add expense
+          </Link>
+        </Button>
+      </div>
+
+      <ExpenseSearch showOtherPerson={true} />
+    </div>
+  );
+}
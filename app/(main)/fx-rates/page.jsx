@@ -0,0 +1,191 @@
+"use client";
+
+import { useState } from "react";
+import { format } from "date-fns";
+import { api } from "@/convex/_generated/api";
+import { useConvexMutation, useConvexQuery } from "@/hooks/use-convex-query";
+import { BarLoader } from "react-spinners";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { CurrencySelect } from "@/components/currency-select";
+import { DEFAULT_CURRENCY } from "@/lib/currencies";
+import { Trash2, Upload } from "lucide-react";
+import { toast } from "sonner";
+
+export default function FxRatesPage() {
+  const [fromCurrency, setFromCurrency] = useState("USD");
+  const [toCurrency, setToCurrency] = useState(DEFAULT_CURRENCY);
+  const [rate, setRate] = useState("");
+
+  const { data: currentUser } = useConvexQuery(api.users.getCurrentUser);
+  const { data: rates, isLoading } = useConvexQuery(api.fxRates.getRates);
+  const setRateMutation = useConvexMutation(api.fxRates.setRate);
+  const deleteRate = useConvexMutation(api.fxRates.deleteRate);
+  const importRatesCsv = useConvexMutation(api.fxRates.importRatesCsv);
+
+  if (isLoading || !currentUser) {
+    return (
+      <div className="container mx-auto py-12">
+        <BarLoader width={"100%"} color="#36d7b7" />
+      </div>
+    );
+  }
+
+  const isAdmin = !!currentUser.isAdmin;
+
+  // Save a single rate (updates the existing one for the same pair)
+  const handleSave = async (e) => {
+    e.preventDefault();
+    try {
+      await setRateMutation.mutate({
+        fromCurrency,
+        toCurrency,
+        rate: parseFloat(rate),
+      });
+      toast.success("Exchange rate saved");
+      setRate("");
+    } catch (error) {
+      toast.error("Failed to save rate: " + error.message);
+    }
+  };
+
+  // Import `from,to,rate` lines from a CSV file
+  const handleImport = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+
+    try {
+      const { imported, errors } = await importRatesCsv.mutate({
+        csv: await file.text(),
+      });
+      toast.success(`Imported ${imported} rates`);
+      errors.forEach((err) =>
+        toast.error(`Line ${err.line}: ${err.message}`)
+      );
+    } catch (error) {
+      toast.error("Failed to import rates: " + error.message);
+    }
+  };
+
+  return (
+    <div className="container max-w-3xl mx-auto py-6 space-y-6">
+      <div>
+        <h1 className="text-5xl gradient-title">Exchange rates</h1>
+        <p className="text-muted-foreground mt-1">
+          Used to convert expenses into each group&apos;s or person&apos;s
+          base currency
+        </p>
+      </div>
+
+      {isAdmin && (
+        <Card>
+          <CardHeader className="pb-2">
+            <div className="flex items-center justify-between">
+              <CardTitle className="text-xl">Add or update a rate</CardTitle>
+              <Button variant="outline" size="sm" asChild>
+                <label className="cursor-pointer">
+                  <Upload className="mr-2 h-4 w-4" />
+                  Import CSV
+                  <input
+                    type="file"
+                    accept=".csv,text/csv"
+                    className="hidden"
+                    onChange={handleImport}
+                  />
+                </label>
+              </Button>
+            </div>
+          </CardHeader>
+          <CardContent>
+            <form
+              onSubmit={handleSave}
+              className="grid grid-cols-1 sm:grid-cols-4 gap-4 items-end"
+            >
+              <div className="space-y-2">
+                <Label htmlFor="fromCurrency">1 unit of</Label>
+                <CurrencySelect
+                  id="fromCurrency"
+                  value={fromCurrency}
+                  onChange={(e) => setFromCurrency(e.target.value)}
+                />
+              </div>
+              <div className="space-y-2">
+                <Label htmlFor="rate">equals</Label>
+                <Input
+                  id="rate"
+                  type="number"
+                  step="any"
+                  min="0"
+                  placeholder="0.00"
+                  value={rate}
+                  onChange={(e) => setRate(e.target.value)}
+                />
+              </div>
+              <div className="space-y-2">
+                <Label htmlFor="toCurrency">units of</Label>
+                <CurrencySelect
+                  id="toCurrency"
+                  value={toCurrency}
+                  onChange={(e) => setToCurrency(e.target.value)}
+                />
+              </div>
+              <Button type="submit" disabled={!rate}>
+                Save rate
+              </Button>
+            </form>
+            <p className="text-xs text-muted-foreground mt-3">
+              CSV files need one <code>from,to,rate</code> line per pair, e.g.{" "}
+              <code>USD,INR,83.25</code>
+            </p>
+          </CardContent>
+        </Card>
+      )}
+
+      <Card>
+        <CardHeader className="pb-2">
+          <CardTitle className="text-xl">Stored rates</CardTitle>
+        </CardHeader>
+        <CardContent>
+          {!rates?.length ? (
+            <div className="text-center py-4 text-muted-foreground">
+              No exchange rates yet
+            </div>
+          ) : (
+            <div className="space-y-3">
+              {rates.map((r) => (
+                <div
+                  key={r._id}
+                  className="flex items-center justify-between text-sm"
+                >
+                  <span className="font-medium">
+                    1 {r.fromCurrency} = {r.rate} {r.toCurrency}
+                  </span>
+                  <div className="flex items-center gap-2 text-muted-foreground">
+                    <span>
+                      {r.source === "csv" ? "Imported" : "Updated"}{" "}
+                      {format(new Date(r.updatedAt), "MMM d, yyyy")}
+                    </span>
+                    {isAdmin && (
+                      <Button
+                        variant="ghost"
+                        size="icon"
+                        className="h-8 w-8 rounded-full text-red-500 hover:text-red-700 hover:bg-red-100"
+                        onClick={() => deleteRate.mutate({ rateId: r._id })}
+                      >
+                        <Trash2 className="h-4 w-4" />
+                        <span className="sr-only">Delete rate</span>
+                      </Button>
+                    )}
+                  </div>
+                </div>
+              ))}
+            </div>
+          )}
+        </CardContent>
+      </Card>
+    </div>
+  );
+}
@@ -4,25 +4,59 @@ import { useState } from "react";
 import { useParams, useRouter } from "next/navigation";
 import Link from "next/link";
 import { api } from "@/convex/_generated/api";
-import { useConvexQuery } from "@/hooks/use-convex-query";
+import { useConvexMutation, useConvexQuery } from "@/hooks/use-convex-query";
 import { BarLoader } from "react-spinners";
 import { Button } from "@/components/ui/button";
 import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
 import { Tabs, TabsContent, TabsList, TabsTrigger } from "@/components/ui/tabs";
-import { PlusCircle, ArrowLeftRight, ArrowLeft, Users } from "lucide-react";
-import { ExpenseList } from "@/components/expense-list";
+import {
+  PlusCircle,
+  ArrowLeftRight,
+  ArrowLeft,
+  Users,
+  Pencil,
+  Archive,
+  ArchiveRestore,
+  Trash2,
+} from "lucide-react";
+import { toast } from "sonner";
+import { ExpenseSearch } from "@/components/expense-search";
 import { SettlementList } from "@/components/settlement-list";
 import { GroupBalances } from "@/components/group-balances";
 import { GroupMembers } from "@/components/group-members";
+import { RecurringExpenseList } from "@/components/recurring-expense-list";
+import { CurrencySelect } from "@/components/currency-select";
+import { RatesUsed } from "@/components/rates-used";
+import { EditGroupDialog } from "@/components/edit-group-dialog";
+import { GroupInvites } from "@/components/group-invites";
+import { ExportDialog } from "@/components/export-dialog";
+import { PendingToggle } from "@/components/pending-toggle";
 
 export default function GroupExpensesPage() {
   const params = useParams();
   const router = useRouter();
   const [activeTab, setActiveTab] = useState("expenses");
+  const [isEditOpen, setIsEditOpen] = useState(false);
+  // Balances count confirmed payments unless asked otherwise
+  const [includePending, setIncludePending] = useState(false);
 
   const { data, isLoading } = useConvexQuery(api.groups.getGroupExpenses, {
     groupId: params.id,
+    includePending,
   });
+  const { data: simplifiedDebts } = useConvexQuery(
+    api.groups.getSimplifiedDebts,
+    { groupId: params.id, includePending }
+  );
+  const { data: recurringExpenses } = useConvexQuery(
+    api.recurring.getGroupRecurringExpenses,
+    { groupId: params.id }
+  );
+  const setSimplifyDebts = useConvexMutation(api.groups.setSimplifyDebts);
+  const setBaseCurrency = useConvexMutation(api.groups.setBaseCurrency);
+  const setGroupArchived = useConvexMutation(api.groups.setGroupArchived);
+  const deleteGroup = useConvexMutation(api.groups.deleteGroup);
+  const { data: currentUser } = useConvexQuery(api.users.getCurrentUser);
 
   if (isLoading) {
     return (
@@ -38,6 +72,37 @@ export default function GroupExpensesPage() {
   const settlements = data?.settlements || [];
   const balances = data?.balances || [];
   const userLookupMap = data?.userLookupMap || {};
+  const isAdmin = members.some(
+    (m) => m.id === currentUser?._id && m.role === "admin"
+  );
+  const isOwner = group?.ownerId === currentUser?._id;
+  const isArchived = !!group?.archivedAt;
+
+  const handleArchive = async (archived) => {
+    try {
+      await setGroupArchived.mutate({ groupId: params.id, archived });
+      toast.success(archived ? "Group archived" : "Group restored");
+    } catch (error) {
+      toast.error("Failed to update group: " + error.message);
+    }
+  };
+
+  const handleDelete = async () => {
+    if (
+      !window.confirm(
+        "Delete this group with all its expenses and settlements? This can't be undone."
+      )
+    ) {
+      return;
+    }
+    try {
+      await deleteGroup.mutate({ groupId: params.id });
+      toast.success("Group deleted");
+      router.push("/contacts");
+    } catch (error) {
+      toast.error("Failed to delete group: " + error.message);
+    }
+  };
 
   return (
     <div className="container mx-auto py-6 max-w-4xl">
@@ -67,31 +132,142 @@ export default function GroupExpensesPage() {
           </div>
 
           <div className="flex gap-2">
-            <Button asChild variant="outline">
-              <Link href={`/settlements/group/${params.id}`}>
-                <ArrowLeftRight className="mr-2 h-4 w-4" />
-                Settle up
-              </Link>
-            </Button>
-            <Button asChild>
-              <Link href={`/expenses/new`}>
-                <PlusCircle className="mr-2 h-4 w-4" />
-                Add expense
-              </Link>
-            </Button>
+            <ExportDialog scope="group" id={params.id} />
+            {!isArchived && (
+              <>
+                <Button asChild variant="outline">
+                  <Link href={`/settlements/group/${params.id}`}>
+                    <ArrowLeftRight className="mr-2 h-4 w-4" />
+                    Settle up
+                  </Link>
+                </Button>
+                <Button asChild>
+                  <Link href={`/expenses/new`}>
+                    <PlusCircle className="mr-2 h-4 w-4" />
+                    Add expense
+                  </Link>
+                </Button>
+              </>
+            )}
           </div>
         </div>
+
+        {/* Group management (admins; deleting is up to the owner) */}
+        {isAdmin && (
+          <div className="flex flex-wrap gap-2 mt-4">
+            {!isArchived && (
+              <Button
+                variant="outline"
+                size="sm"
+                onClick={() => setIsEditOpen(true)}
+              >
+                <Pencil className="mr-2 h-4 w-4" />
+                Edit group
+              </Button>
+            )}
+            <Button
+              variant="outline"
+              size="sm"
+              onClick={() => handleArchive(!isArchived)}
+            >
+              {isArchived ? (
+                <ArchiveRestore className="mr-2 h-4 w-4" />
+              ) : (
+                <Archive className="mr-2 h-4 w-4" />
+              )}
+              {isArchived ? "Restore" : "Archive"}
+            </Button>
+            {isOwner && (
+              <Button
+                variant="outline"
+                size="sm"
+                className="text-red-600 hover:text-red-700"
+                onClick={handleDelete}
+              >
+                <Trash2 className="mr-2 h-4 w-4" />
+                Delete group
+              </Button>
+            )}
+          </div>
+        )}
+
+        {isArchived && (
+          <div className="mt-4 text-sm text-amber-700 p-3 bg-amber-50 rounded-md">
+            This group is archived and read-only.
+            {isAdmin
+              ? " Restore it to add expenses or settle up."
+              : " An admin can restore it."}
+          </div>
+        )}
       </div>
 
+      <EditGroupDialog
+        group={group}
+        isOpen={isEditOpen}
+        onClose={() => setIsEditOpen(false)}
+      />
+
       {/* Grid layout for group details */}
       <div className="grid grid-cols-1 lg:grid-cols-3 gap-6 mb-6">
         <div className="lg:col-span-2">
           <Card>
             <CardHeader className="pb-2">
-              <CardTitle className="text-xl">Group Balances</CardTitle>
+              <div className="flex items-center justify-between">
+                <CardTitle className="text-xl">Group Balances</CardTitle>
+                <Tabs
+                  value={group?.simplifyDebts ? "simplified" : "pairwise"}
+                  onValueChange={(value) =>
+                    setSimplifyDebts.mutate({
+                      groupId: params.id,
+                      simplifyDebts: value === "simplified",
+                    })
+                  }
+                >
+                  <TabsList>
+                    <TabsTrigger value="pairwise">Pairwise</TabsTrigger>
+                    <TabsTrigger value="simplified">Simplified</TabsTrigger>
+                  </TabsList>
+                </Tabs>
+              </div>
             </CardHeader>
             <CardContent>
-              <GroupBalances balances={balances} />
+              <GroupBalances
+                balances={balances}
+                simplified={group?.simplifyDebts}
+                simplifiedDebts={simplifiedDebts}
+                currency={group?.baseCurrency}
+                readOnly={isArchived}
+              />
+              <div className="mt-4">
+                <PendingToggle
+                  checked={includePending}
+                  onChange={setIncludePending}
+                />
+              </div>
+              <div className="mt-4 pt-4 border-t space-y-2">
+                {isAdmin && !isArchived ? (
+                  <div className="flex items-center gap-2 text-sm">
+                    <span className="text-muted-foreground whitespace-nowrap">
+                      Base currency
+                    </span>
+                    <CurrencySelect
+                      className="w-56"
+                      value={group?.baseCurrency}
+                      onChange={(e) =>
+                        setBaseCurrency.mutate({
+                          groupId: params.id,
+                          currency: e.target.value,
+                        })
+                      }
+                    />
+                  </div>
+                ) : (
+                  <p className="text-sm text-muted-foreground">
+                    Balances shown in {group?.baseCurrency}
+                  </p>
+                )}
+                <RatesUsed ratesUsed={data?.ratesUsed} />
+              </div>
             </CardContent>
           </Card>
         </div>
@@ -102,9 +278,27 @@ export default function GroupExpensesPage() {
               <CardTitle className="text-xl">Members</CardTitle>
             </CardHeader>
             <CardContent>
-              <GroupMembers members={members} />
+              <GroupMembers
+                members={members}
+                groupId={params.id}
+                ownerId={group?.ownerId}
+                balances={balances}
+                currency={group?.baseCurrency}
+                readOnly={isArchived}
+              />
             </CardContent>
           </Card>
+
+          {isAdmin && !isArchived && (
+            <Card className="mt-6">
+              <CardHeader className="pb-2">
+                <CardTitle className="text-xl">Invite links</CardTitle>
+              </CardHeader>
+              <CardContent>
+                <GroupInvites groupId={params.id} />
+              </CardContent>
+            </Card>
+          )}
         </div>
       </div>
 
@@ -115,18 +309,21 @@ export default function GroupExpensesPage() {
         onValueChange={setActiveTab}
         className="space-y-4"
       >
-        <TabsList className="grid w-full grid-cols-2">
+        <TabsList className="grid w-full grid-cols-3">
           <TabsTrigger value="expenses">
             Expenses ({expenses.length})
           </TabsTrigger>
           <TabsTrigger value="settlements">
             Settlements ({settlements.length})
           </TabsTrigger>
+          <TabsTrigger value="recurring">
+            Recurring ({recurringExpenses?.length ?? 0})
+          </TabsTrigger>
         </TabsList>
 
         <TabsContent value="expenses" className="space-y-4">
-          <ExpenseList
-            expenses={expenses}
+          <ExpenseSearch
+            groupId={params.id}
             showOtherPerson={true}
             isGroupExpense={true}
             userLookupMap={userLookupMap}
@@ -140,6 +337,13 @@ export default function GroupExpensesPage() {
             userLookupMap={userLookupMap}
           />
         </TabsContent>
+
+        <TabsContent value="recurring" className="space-y-4">
+          <RecurringExpenseList
+            recurringExpenses={recurringExpenses}
+            userLookupMap={userLookupMap}
+          />
+        </TabsContent>
       </Tabs>
     </div>
   );
@@ -0,0 +1,102 @@
+"use client";
+
+import { useParams, useRouter } from "next/navigation";
+import { api } from "@/convex/_generated/api";
+import { useConvexMutation, useConvexQuery } from "@/hooks/use-convex-query";
+import { BarLoader } from "react-spinners";
+import { Button } from "@/components/ui/button";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { Users } from "lucide-react";
+import { toast } from "sonner";
+
+export default function JoinGroupPage() {
+  const params = useParams();
+  const router = useRouter();
+
+  const { data: invite, isLoading } = useConvexQuery(api.groups.getInvite, {
+    token: params.token,
+  });
+  const joinWithInvite = useConvexMutation(api.groups.joinWithInvite);
+
+  if (isLoading) {
+    return (
+      <div className="container mx-auto py-12">
+        <BarLoader width={"100%"} color="#36d7b7" />
+      </div>
+    );
+  }
+
+  const handleJoin = async () => {
+    try {
+      const { status, groupId } = await joinWithInvite.mutate({
+        token: params.token,
+      });
+      if (status === "joined") {
+        toast.success(`You joined ${invite.groupName}`);
+        router.push(`/groups/${groupId}`);
+      } else {
+        toast.success("Request sent. An admin will let you in");
+      }
+    } catch (error) {
+      toast.error("Failed to join group: " + error.message);
+    }
+  };
+
+  return (
+    <div className="container max-w-md mx-auto py-6">
+      <Card>
+        {!invite ? (
+          <CardContent className="py-8 text-center text-muted-foreground">
+            This invite link doesn&apos;t exist.
+          </CardContent>
+        ) : (
+          <>
+            <CardHeader className="text-center">
+              <div className="bg-primary/10 p-4 rounded-md mx-auto mb-2">
+                <Users className="h-8 w-8 text-primary" />
+              </div>
+              <CardTitle className="text-2xl">{invite.groupName}</CardTitle>
+              {invite.description && (
+                <p className="text-muted-foreground">{invite.description}</p>
+              )}
+              <p className="text-sm text-muted-foreground">
+                {invite.memberCount} members
+              </p>
+            </CardHeader>
+            <CardContent className="space-y-3 text-center">
+              {invite.isMember ? (
+                <Button
+                  className="w-full"
+                  onClick={() => router.push(`/groups/${invite.groupId}`)}
+                >
+                  You&apos;re a member. Open group
+                </Button>
+              ) : invite.isPending ? (
+                <p className="text-sm text-muted-foreground">
+                  Your request to join is waiting for an admin&apos;s approval.
+                </p>
+              ) : invite.problem ? (
+                <p className="text-sm text-red-600">{invite.problem}.</p>
+              ) : (
+                <>
+                  <Button
+                    className="w-full"
+                    onClick={handleJoin}
+                    disabled={joinWithInvite.isLoading}
+                  >
+                    {invite.requiresApproval ? "Request to join" : "Join group"}
+                  </Button>
+                  {invite.requiresApproval && (
+                    <p className="text-xs text-muted-foreground">
+                      An admin has to approve new members of this group.
+                    </p>
+                  )}
+                </>
+              )}
+            </CardContent>
+          </>
+        )}
+      </Card>
+    </div>
+  );
+}
@@ -11,18 +11,24 @@ import { Button } from "@/components/ui/button";
 import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
 import { Tabs, TabsContent, TabsList, TabsTrigger } from "@/components/ui/tabs";
 import { PlusCircle, ArrowLeftRight, ArrowLeft } from "lucide-react";
-import { ExpenseList } from "@/components/expense-list";
+import { ExpenseSearch } from "@/components/expense-search";
 import { SettlementList } from "@/components/settlement-list";
 import { formatCurrency } from "@/lib/utils";
+import { RatesUsed } from "@/components/rates-used";
+import { ExportDialog } from "@/components/export-dialog";
+import { expenseSettlementStatus } from "@/lib/allocation";
+import { PendingToggle } from "@/components/pending-toggle";
 
 export default function PersonExpensesPage() {
   const params = useParams();
   const router = useRouter();
   const [activeTab, setActiveTab] = useState("expenses");
+  // The balance counts confirmed payments unless asked otherwise
+  const [includePending, setIncludePending] = useState(false);
 
   const { data, isLoading } = useConvexQuery(
     api.expenses.getExpensesBetweenUsers,
-    { userId: params.id }
+    { userId: params.id, includePending }
   );
 
   if (isLoading) {
@@ -38,6 +44,14 @@ export default function PersonExpensesPage() {
   const settlements = data?.settlements || [];
   const balance = data?.balance || 0;
 
+  // Expenses settlements haven't fully paid off yet
+  const openCount = expenses.filter(
+    (e) => expenseSettlementStatus(e) === "open"
+  ).length;
+  const partialCount = expenses.filter(
+    (e) => expenseSettlementStatus(e) === "partial"
+  ).length;
+
   return (
     <div className="container mx-auto py-6 max-w-4xl">
       <div className="mb-6">
@@ -66,6 +80,7 @@ export default function PersonExpensesPage() {
           </div>
 
           <div className="flex gap-2">
+            <ExportDialog scope="person" id={params.id} />
             <Button asChild variant="outline">
               <Link href={`/settlements/user/${params.id}`}>
                 <ArrowLeftRight className="mr-2 h-4 w-4" />
@@ -106,9 +121,16 @@ export default function PersonExpensesPage() {
             <div
               className={`text-2xl font-bold ${balance > 0 ? "text-green-600" : balance < 0 ? "text-red-600" : ""}`}
             >
-              {formatCurrency(Math.abs(balance))}
+              {formatCurrency(Math.abs(balance), data?.currency)}
             </div>
           </div>
+          <div className="mt-2 flex items-center justify-between gap-2">
+            <RatesUsed ratesUsed={data?.ratesUsed} />
+            <PendingToggle
+              checked={includePending}
+              onChange={setIncludePending}
+            />
+          </div>
         </CardContent>
       </Card>
 
@@ -129,8 +151,14 @@ export default function PersonExpensesPage() {
         </TabsList>
 
         <TabsContent value="expenses" className="space-y-4">
-          <ExpenseList
-            expenses={expenses}
+          {openCount + partialCount > 0 && (
+            <p className="text-sm text-muted-foreground">
+              {openCount} open
+              {partialCount > 0 && ` · ${partialCount} partially settled`}
+            </p>
+          )}
+          <ExpenseSearch
+            otherUserId={params.id}
             showOtherPerson={false}
             otherPersonId={params.id}
             userLookupMap={{ [otherUser.id]: otherUser }}
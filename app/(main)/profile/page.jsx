@@ -0,0 +1,101 @@
+"use client";
+
+import { useForm } from "react-hook-form";
+import { api } from "@/convex/_generated/api";
+import { useConvexMutation, useConvexQuery } from "@/hooks/use-convex-query";
+import { BarLoader } from "react-spinners";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { toast } from "sonner";
+import { formatIban, PAYMENT_METHODS } from "@/lib/payment-links";
+
+export default function ProfilePage() {
+  const { data: currentUser, isLoading } = useConvexQuery(
+    api.users.getCurrentUser
+  );
+
+  if (isLoading || !currentUser) {
+    return (
+      <div className="container mx-auto py-12">
+        <BarLoader width={"100%"} color="#36d7b7" />
+      </div>
+    );
+  }
+
+  return (
+    <div className="container max-w-3xl mx-auto py-6 space-y-6">
+      <div>
+        <h1 className="text-5xl gradient-title">Profile</h1>
+        <p className="text-muted-foreground mt-1">
+          How people who owe you can pay you
+        </p>
+      </div>
+
+      <PaymentHandlesForm handles={currentUser.paymentHandles ?? {}} />
+    </div>
+  );
+}
+
+function PaymentHandlesForm({ handles }) {
+  const setPaymentHandles = useConvexMutation(api.users.setPaymentHandles);
+
+  const {
+    register,
+    handleSubmit,
+    formState: { isSubmitting, isDirty },
+  } = useForm({
+    values: Object.fromEntries(
+      PAYMENT_METHODS.map((m) => [
+        m.id,
+        m.id === "iban" && handles.iban
+          ? formatIban(handles.iban)
+          : (handles[m.id] ?? ""),
+      ])
+    ),
+  });
+
+  const onSubmit = async (data) => {
+    try {
+      await setPaymentHandles.mutate(data);
+      toast.success("Payment details saved");
+    } catch (error) {
+      toast.error("Failed to save payment details: " + error.message);
+    }
+  };
+
+  return (
+    <Card>
+      <CardHeader className="pb-2">
+        <CardTitle className="text-xl">Payment details</CardTitle>
+      </CardHeader>
+      <CardContent>
+        <form onSubmit={handleSubmit(onSubmit)} className="space-y-4">
+          <p className="text-sm text-muted-foreground">
+            Shown on the settle-up screen to people who owe you, with a link
+            and QR code for the exact amount. Leave a field blank to hide it.
+          </p>
+
+          {PAYMENT_METHODS.map((method) => (
+            <div key={method.id} className="space-y-2">
+              <Label htmlFor={`handle-${method.id}`}>{method.label}</Label>
+              <Input
+                id={`handle-${method.id}`}
+                placeholder={method.placeholder}
+                autoComplete="off"
+                {...register(method.id)}
+              />
+            </div>
+          ))}
+
+          <div className="flex justify-end">
+            <Button type="submit" disabled={isSubmitting || !isDirty}>
+              {isSubmitting ? "Saving..." : "Save"}
+            </Button>
+          </div>
+        </form>
+      </CardContent>
+    </Card>
+  );
+}
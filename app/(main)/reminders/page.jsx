@@ -0,0 +1,272 @@
+"use client";
+
+import { useState } from "react";
+import { addDays, addWeeks, format } from "date-fns";
+import { api } from "@/convex/_generated/api";
+import { useConvexMutation, useConvexQuery } from "@/hooks/use-convex-query";
+import { BarLoader } from "react-spinners";
+import { Button } from "@/components/ui/button";
+import { Badge } from "@/components/ui/badge";
+import { Label } from "@/components/ui/label";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { BellRing } from "lucide-react";
+import { toast } from "sonner";
+import { formatCurrency } from "@/lib/utils";
+
+const selectClassName =
+  "w-full rounded-md border border-input bg-background px-3 py-2 text-sm";
+
+const HOURS = Array.from({ length: 24 }, (_, hour) => hour);
+const formatHour = (hour) => `${String(hour).padStart(2, "0")}:00`;
+
+export default function RemindersPage() {
+  const { data: settings, isLoading: settingsLoading } = useConvexQuery(
+    api.reminders.getMyReminderSettings
+  );
+  const { data: reminders, isLoading: remindersLoading } = useConvexQuery(
+    api.reminders.getMyReminders
+  );
+  const snoozeReminders = useConvexMutation(api.reminders.snoozeReminders);
+  const markRemindersRead = useConvexMutation(api.reminders.markRemindersRead);
+
+  if (settingsLoading || remindersLoading || !settings) {
+    return (
+      <div className="container mx-auto py-12">
+        <BarLoader width={"100%"} color="#36d7b7" />
+      </div>
+    );
+  }
+
+  const isSnoozed = settings.snoozedUntil && settings.snoozedUntil > Date.now();
+  const unreadCount = (reminders || []).filter((r) => !r.readAt).length;
+
+  const handleSnooze = async (until) => {
+    try {
+      await snoozeReminders.mutate({ until });
+      toast.success(
+        until
+          ? `Reminders snoozed until ${format(new Date(until), "MMM d, h:mm a")}`
+          : "Reminders resumed"
+      );
+    } catch (error) {
+      toast.error("Failed to snooze reminders: " + error.message);
+    }
+  };
+
+  return (
+    <div className="container max-w-3xl mx-auto py-6 space-y-6">
+      <div>
+        <h1 className="text-5xl gradient-title">Reminders</h1>
+        <p className="text-muted-foreground mt-1">
+          Nudges about money you still owe, in your inbox or by email
+        </p>
+      </div>
+
+      <ReminderSettingsForm
+        key={settings._id ?? "default"}
+        settings={settings}
+      />
+
+      <Card>
+        <CardHeader className="pb-2">
+          <CardTitle className="text-xl">Snooze</CardTitle>
+        </CardHeader>
+        <CardContent className="flex flex-wrap items-center gap-2">
+          {isSnoozed ? (
+            <>
+              <span className="text-sm text-muted-foreground mr-2">
+                Snoozed until{" "}
+                {format(new Date(settings.snoozedUntil), "MMM d, h:mm a")}
+              </span>
+              <Button variant="outline" onClick={() => handleSnooze(undefined)}>
+                Resume now
+              </Button>
+            </>
+          ) : (
+            <>
+              <Button
+                variant="outline"
+                onClick={() => handleSnooze(addDays(new Date(), 1).getTime())}
+              >
+                For a day
+              </Button>
+              <Button
+                variant="outline"
+                onClick={() => handleSnooze(addWeeks(new Date(), 1).getTime())}
+              >
+                For a week
+              </Button>
+            </>
+          )}
+        </CardContent>
+      </Card>
+
+      <Card>
+        <CardHeader className="pb-2">
+          <div className="flex items-center justify-between">
+            <CardTitle className="text-xl">
+              Inbox{" "}
+              {unreadCount > 0 && <Badge className="ml-1">{unreadCount}</Badge>}
+            </CardTitle>
+            {unreadCount > 0 && (
+              <Button
+                variant="outline"
+                size="sm"
+                onClick={() => markRemindersRead.mutate({})}
+              >
+                Mark all as read
+              </Button>
+            )}
+          </div>
+        </CardHeader>
+        <CardContent>
+          {!reminders?.length ? (
+            <p className="text-sm text-muted-foreground py-4 text-center">
+              No reminders yet
+            </p>
+          ) : (
+            <div className="divide-y">
+              {reminders.map((reminder) => (
+                <div key={reminder._id} className="py-3 flex gap-3">
+                  <div className="bg-primary/10 p-2 rounded-full h-fit">
+                    <BellRing className="h-4 w-4 text-primary" />
+                  </div>
+                  <div className="flex-1">
+                    <div className="flex items-center justify-between">
+                      <span
+                        className={`text-sm ${!reminder.readAt ? "font-medium" : ""}`}
+                      >
+                        You have outstanding balances
+                      </span>
+                      <span className="text-xs text-muted-foreground">
+                        {format(new Date(reminder.sentAt), "MMM d, yyyy")}
+                        {reminder.channel === "email" && " · emailed"}
+                      </span>
+                    </div>
+                    <ul className="mt-1 text-sm text-muted-foreground">
+                      {reminder.debts.map((debt, i) => (
+                        <li key={i}>
+                          {formatCurrency(debt.amount, debt.currency)} to{" "}
+                          {debt.toName}
+                          {debt.groupName && ` (${debt.groupName})`}
+                        </li>
+                      ))}
+                    </ul>
+                  </div>
+                </div>
+              ))}
+            </div>
+          )}
+        </CardContent>
+      </Card>
+    </div>
+  );
+}
+
+// How often, where, and outside which hours reminders are sent
+function ReminderSettingsForm({ settings }) {
+  const [frequency, setFrequency] = useState(settings.frequency);
+  const [channel, setChannel] = useState(settings.channel);
+  const [quietHoursStart, setQuietHoursStart] = useState(
+    settings.quietHoursStart
+  );
+  const [quietHoursEnd, setQuietHoursEnd] = useState(settings.quietHoursEnd);
+
+  const updateReminderSettings = useConvexMutation(
+    api.reminders.updateReminderSettings
+  );
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    try {
+      await updateReminderSettings.mutate({
+        frequency,
+        channel,
+        quietHoursStart,
+        quietHoursEnd,
+        // Quiet hours are in the browser's time zone
+        timeZone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+      });
+      toast.success("Reminder preferences saved");
+    } catch (error) {
+      toast.error("Failed to save preferences: " + error.message);
+    }
+  };
+
+  return (
+    <Card>
+      <CardHeader className="pb-2">
+        <CardTitle className="text-xl">Preferences</CardTitle>
+      </CardHeader>
+      <CardContent>
+        <form onSubmit={handleSave} className="space-y-4">
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+            <div className="space-y-2">
+              <Label htmlFor="frequency">Remind me</Label>
+              <select
+                id="frequency"
+                className={selectClassName}
+                value={frequency}
+                onChange={(e) => setFrequency(e.target.value)}
+              >
+                <option value="daily">Daily</option>
+                <option value="weekly">Weekly</option>
+                <option value="monthly">Monthly</option>
+                <option value="off">Never</option>
+              </select>
+            </div>
+            <div className="space-y-2">
+              <Label htmlFor="channel">Send to</Label>
+              <select
+                id="channel"
+                className={selectClassName}
+                value={channel}
+                onChange={(e) => setChannel(e.target.value)}
+              >
+                <option value="inbox">Inbox only</option>
+                <option value="email">Inbox and email</option>
+              </select>
+            </div>
+            <div className="space-y-2">
+              <Label htmlFor="quietHoursStart">Quiet from</Label>
+              <select
+                id="quietHoursStart"
+                className={selectClassName}
+                value={quietHoursStart}
+                onChange={(e) => setQuietHoursStart(parseInt(e.target.value, 10))}
+              >
+                {HOURS.map((hour) => (
+                  <option key={hour} value={hour}>
+                    {formatHour(hour)}
+                  </option>
+                ))}
+              </select>
+            </div>
+            <div className="space-y-2">
+              <Label htmlFor="quietHoursEnd">Quiet until</Label>
+              <select
+                id="quietHoursEnd"
+                className={selectClassName}
+                value={quietHoursEnd}
+                onChange={(e) => setQuietHoursEnd(parseInt(e.target.value, 10))}
+              >
+                {HOURS.map((hour) => (
+                  <option key={hour} value={hour}>
+                    {formatHour(hour)}
+                  </option>
+                ))}
+              </select>
+            </div>
+          </div>
+          <p className="text-xs text-muted-foreground">
+            Quiet hours use this device&apos;s time zone (currently{" "}
+            {settings.timeZone}). Pick the same hour twice to turn them off.
+          </p>
+          <Button type="submit" disabled={updateReminderSettings.isLoading}>
+            Save preferences
+          </Button>
+        </form>
+      </CardContent>
+    </Card>
+  );
+}
@@ -0,0 +1,112 @@
+"use client";
+
+import { format } from "date-fns";
+import { api } from "@/convex/_generated/api";
+import { useConvexQuery } from "@/hooks/use-convex-query";
+import { Button } from "@/components/ui/button";
+import { Label } from "@/components/ui/label";
+import { formatCurrency } from "@/lib/utils";
+import { allocateInOrder } from "@/lib/allocation";
+
+// The open expenses a settlement pays off. `value` is the ticked expense
+// ids, or null for every open one, oldest first (createSettlement's default).
+// `amount` is in minor units and previews how far the money goes.
+export function ExpenseAllocation({
+  paidByUserId,
+  receivedByUserId,
+  groupId,
+  currency,
+  amount,
+  value,
+  onChange,
+}) {
+  const { data: openExpenses, isLoading } = useConvexQuery(
+    api.settlements.getOpenExpenses,
+    { paidByUserId, receivedByUserId, groupId, currency }
+  );
+
+  if (isLoading || !openExpenses?.length) return null;
+
+  const chosen = value
+    ? openExpenses.filter((e) => value.includes(e.id))
+    : openExpenses;
+  const allocation = allocateInOrder(
+    amount,
+    chosen.map((e) => ({ id: e.id, remaining: e.remaining }))
+  );
+  const covered = Object.fromEntries(allocation.map((a) => [a.id, a.amount]));
+  const leftover =
+    amount - allocation.reduce((sum, a) => sum + a.amount, 0);
+
+  const toggle = (id) => {
+    const ids = value ?? openExpenses.map((e) => e.id);
+    onChange(ids.includes(id) ? ids.filter((x) => x !== id) : [...ids, id]);
+  };
+
+  return (
+    <div className="space-y-2">
+      <div className="flex items-center justify-between">
+        <Label>Expenses this pays off</Label>
+        {value && (
+          <Button
+            type="button"
+            variant="link"
+            size="sm"
+            className="h-auto p-0 text-xs"
+            onClick={() => onChange(null)}
+          >
+            Oldest first
+          </Button>
+        )}
+      </div>
+      <p className="text-xs text-muted-foreground">
+        {value
+          ? "Only the ticked expenses, oldest first"
+          : "Oldest first, until the amount runs out"}
+      </p>
+
+      <div className="border rounded-md divide-y max-h-64 overflow-y-auto">
+        {openExpenses.map((expense) => {
+          const amountCovered = covered[expense.id] ?? 0;
+          return (
+            <label
+              key={expense.id}
+              className="flex items-center gap-3 p-2 text-sm cursor-pointer"
+            >
+              <input
+                type="checkbox"
+                checked={value ? value.includes(expense.id) : true}
+                onChange={() => toggle(expense.id)}
+              />
+              <div className="flex-1 min-w-0">
+                <p className="truncate">{expense.description}</p>
+                <p className="text-xs text-muted-foreground">
+                  {format(new Date(expense.date), "MMM d, yyyy")} ·{" "}
+                  {formatCurrency(expense.remaining, currency)} open
+                </p>
+              </div>
+              <span
+                className={
+                  amountCovered > 0 ? "font-medium" : "text-muted-foreground"
+                }
+              >
+                {amountCovered === expense.remaining
+                  ? "Settled"
+                  : amountCovered > 0
+                    ? `${formatCurrency(amountCovered, currency)} of it`
+                    : "—"}
+              </span>
+            </label>
+          );
+        })}
+      </div>
+
+      {leftover > 0 && (
+        <p className="text-xs text-muted-foreground">
+          {formatCurrency(leftover, currency)} isn&apos;t tied to an expense
+          and only counts towards the balance
+        </p>
+      )}
+    </div>
+  );
+}
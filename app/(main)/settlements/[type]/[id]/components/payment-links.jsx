@@ -0,0 +1,152 @@
+"use client";
+
+import { useEffect, useState } from "react";
+import { QRCodeSVG } from "qrcode.react";
+import { Button } from "@/components/ui/button";
+import { Label } from "@/components/ui/label";
+import { Copy, ExternalLink } from "lucide-react";
+import { toast } from "sonner";
+import { formatCurrency } from "@/lib/utils";
+import {
+  formatIban,
+  PAYMENT_METHODS,
+  paymentRequest,
+} from "@/lib/payment-links";
+
+// Pay `payee` through one of the handles on their profile: a deep link to
+// open and a QR code to scan, prefilled with `amount` (minor units) and
+// `note`. Coming back after opening the link offers to record the payment
+// (`onPaid`), which then waits for the payee to confirm it.
+export function PaymentLinks({ payee, amount, currency, note, onPaid, isRecording }) {
+  const methods = PAYMENT_METHODS.filter((m) => payee.paymentHandles?.[m.id]);
+  const [methodId, setMethodId] = useState(null);
+  // Set once a deep link was opened; the page becoming visible again means
+  // they're back from the payment app
+  const [launched, setLaunched] = useState(false);
+  const [returned, setReturned] = useState(false);
+
+  useEffect(() => {
+    if (!launched) return;
+    const onVisible = () => {
+      if (document.visibilityState === "visible") setReturned(true);
+    };
+    document.addEventListener("visibilitychange", onVisible);
+    window.addEventListener("focus", onVisible);
+    return () => {
+      document.removeEventListener("visibilitychange", onVisible);
+      window.removeEventListener("focus", onVisible);
+    };
+  }, [launched]);
+
+  if (!methods.length) return null;
+
+  const method = methods.find((m) => m.id === methodId) ?? methods[0];
+  const handle = payee.paymentHandles[method.id];
+  const request =
+    amount > 0
+      ? paymentRequest(method.id, handle, {
+          amount,
+          currency,
+          note,
+          payeeName: payee.name,
+        })
+      : null;
+
+  const copyHandle = async () => {
+    await navigator.clipboard.writeText(handle);
+    toast.success(`${method.label} copied`);
+  };
+
+  return (
+    <div className="space-y-3 border rounded-md p-3">
+      <Label>Pay {payee.name} directly</Label>
+
+      {methods.length > 1 && (
+        <div className="flex flex-wrap gap-2">
+          {methods.map((m) => (
+            <Button
+              key={m.id}
+              type="button"
+              size="sm"
+              variant={m.id === method.id ? "default" : "outline"}
+              onClick={() => setMethodId(m.id)}
+            >
+              {m.label}
+            </Button>
+          ))}
+        </div>
+      )}
+
+      <div className="flex items-center justify-between gap-2 text-sm">
+        <span className="font-mono break-all">
+          {method.id === "iban" ? formatIban(handle) : handle}
+        </span>
+        <Button type="button" variant="ghost" size="sm" onClick={copyHandle}>
+          <Copy className="h-4 w-4" />
+        </Button>
+      </div>
+
+      {request ? (
+        <div className="flex flex-col items-center gap-3">
+          <div className="bg-white p-2 rounded-md">
+            <QRCodeSVG value={request.qr} size={160} />
+          </div>
+          <p className="text-xs text-muted-foreground text-center">
+            {method.id === "iban"
+              ? "Scan with your banking app to prefill the transfer"
+              : "Scan with your phone, or open the app on this device"}
+          </p>
+          {request.url && (
+            <Button type="button" variant="outline" asChild>
+              <a
+                href={request.url}
+                target="_blank"
+                rel="noopener noreferrer"
+                onClick={() => setLaunched(true)}
+              >
+                <ExternalLink className="mr-2 h-4 w-4" />
+                Pay {formatCurrency(amount, currency)} with {method.label}
+              </a>
+            </Button>
+          )}
+        </div>
+      ) : (
+        <p className="text-xs text-muted-foreground">
+          {amount > 0
+            ? `${method.label} can only be prefilled in ${method.currency}; copy the details instead`
+            : "Enter an amount to get a payment link"}
+        </p>
+      )}
+
+      {returned && (
+        <div className="bg-muted rounded-md p-3 space-y-2 text-sm">
+          <p>
+            Paid {payee.name} {formatCurrency(amount, currency)}? Record it
+            and they&apos;ll be asked to confirm it arrived.
+          </p>
+          <div className="flex gap-2 justify-end">
+            <Button
+              type="button"
+              variant="ghost"
+              size="sm"
+              onClick={() => {
+                setLaunched(false);
+                setReturned(false);
+              }}
+            >
+              Not yet
+            </Button>
+            <Button
+              type="button"
+              size="sm"
+              onClick={onPaid}
+              disabled={isRecording}
+            >
+              {isRecording ? "Recording..." : "Record as pending"}
+            </Button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
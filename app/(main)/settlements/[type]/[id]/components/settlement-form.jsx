@@ -13,6 +13,11 @@ import { Textarea } from "@/components/ui/textarea";
 import { RadioGroup, RadioGroupItem } from "@/components/ui/radio-group";
 import { Avatar, AvatarFallback, AvatarImage } from "@/components/ui/avatar";
 import { toast } from "sonner";
+import { formatCurrency } from "@/lib/utils";
+import { toMinorUnits } from "@/lib/money";
+import { CurrencySelect } from "@/components/currency-select";
+import { ExpenseAllocation } from "./expense-allocation";
+import { PaymentLinks } from "./payment-links";
 
 // Form schema validation
 const settlementSchema = z.object({
@@ -22,6 +27,7 @@ const settlementSchema = z.object({
     .refine((val) => !isNaN(parseFloat(val)) && parseFloat(val) > 0, {
       message: "Amount must be a positive number",
     }),
+  currency: z.string().min(1, "Currency is required"),
   note: z.string().optional(),
   paymentType: z.enum(["youPaid", "theyPaid"]),
 });
@@ -40,6 +46,7 @@ export default function SettlementForm({ entityType, entityData, onSuccess }) {
     resolver: zodResolver(settlementSchema),
     defaultValues: {
       amount: "",
+      currency: entityData.currency,
       note: "",
       paymentType: "youPaid",
     },
@@ -47,10 +54,34 @@ export default function SettlementForm({ entityType, entityData, onSuccess }) {
 
   // Get selected payment direction
   const paymentType = watch("paymentType");
+  const amountValue = watch("amount");
+  const currency = watch("currency");
+  const noteValue = watch("note");
+
+  // For group settlements, we need to select a member
+  const [selectedGroupMemberId, setSelectedGroupMemberId] = useState(null);
+
+  // Who pays whom, once known
+  const counterpartId =
+    entityType === "user"
+      ? entityData.counterpart.userId
+      : selectedGroupMemberId;
+  const youPaid = paymentType === "youPaid";
+  const paidByUserId = youPaid ? currentUser?._id : counterpartId;
+  const receivedByUserId = youPaid ? counterpartId : currentUser?._id;
+
+  // Expenses ticked to pay off; null (the default) pays the oldest first.
+  // A different payer, receiver or currency starts over.
+  const allocationKey = `${paidByUserId}:${receivedByUserId}:${currency}`;
+  const [allocation, setAllocation] = useState({ key: null, expenseIds: null });
+  const relatedExpenseIds =
+    allocation.key === allocationKey ? allocation.expenseIds : null;
+  const allocationAmount =
+    parseFloat(amountValue) > 0 ? toMinorUnits(amountValue, currency) : 0;
 
   // Single user settlement
   const handleUserSettlement = async (data) => {
-    const amount = parseFloat(data.amount);
+    const amount = toMinorUnits(data.amount, data.currency);
 
     try {
       // Determine payer and receiver based on the selected payment type
@@ -66,9 +97,11 @@ export default function SettlementForm({ entityType, entityData, onSuccess }) {
 
       await createSettlement.mutate({
         amount,
+        currency: data.currency,
         note: data.note,
         paidByUserId,
         receivedByUserId,
+        relatedExpenseIds: relatedExpenseIds ?? undefined,
         // No groupId for user settlements
       });
 
@@ -86,7 +119,7 @@ export default function SettlementForm({ entityType, entityData, onSuccess }) {
       return;
     }
 
-    const amount = parseFloat(data.amount);
+    const amount = toMinorUnits(data.amount, data.currency);
 
     try {
       // Get the selected user from the group balances
@@ -108,10 +141,12 @@ export default function SettlementForm({ entityType, entityData, onSuccess }) {
 
       await createSettlement.mutate({
         amount,
+        currency: data.currency,
         note: data.note,
         paidByUserId,
         receivedByUserId,
         groupId: entityData.group.id,
+        relatedExpenseIds: relatedExpenseIds ?? undefined,
       });
 
       toast.success("Settlement recorded successfully!");
@@ -130,11 +165,36 @@ export default function SettlementForm({ entityType, entityData, onSuccess }) {
     }
   };
 
-  // For group settlements, we need to select a member
-  const [selectedGroupMemberId, setSelectedGroupMemberId] = useState(null);
-
   if (!currentUser) return null;
 
+  const allocationPicker = counterpartId && (
+    <ExpenseAllocation
+      paidByUserId={paidByUserId}
+      receivedByUserId={receivedByUserId}
+      groupId={entityType === "group" ? entityData.group.id : undefined}
+      currency={currency}
+      amount={allocationAmount}
+      value={relatedExpenseIds}
+      onChange={(expenseIds) =>
+        setAllocation({ key: allocationKey, expenseIds })
+      }
+    />
+  );
+
+  // Deep links / QR codes to the receiver's payment handles, when paying
+  const paymentLinks = (payee) =>
+    youPaid &&
+    payee && (
+      <PaymentLinks
+        payee={payee}
+        amount={allocationAmount}
+        currency={currency}
+        note={noteValue?.trim() || "Splitz settle-up"}
+        onPaid={handleSubmit(onSubmit)}
+        isRecording={isSubmitting}
+      />
+    );
+
   // Render the form for individual settlement
   if (entityType === "user") {
     const otherUser = entityData.counterpart;
@@ -153,7 +213,7 @@ export default function SettlementForm({ entityType, entityData, onSuccess }) {
                 <span className="font-medium">{otherUser.name}</span> owes you
               </p>
               <span className="text-xl font-bold text-green-600">
-                ₹{netBalance.toFixed(2)}
+                {formatCurrency(netBalance, entityData.currency)}
               </span>
             </div>
           ) : (
@@ -162,7 +222,7 @@ export default function SettlementForm({ entityType, entityData, onSuccess }) {
                 You owe <span className="font-medium">{otherUser.name}</span>
               </p>
               <span className="text-xl font-bold text-red-600">
-                ₹{Math.abs(netBalance).toFixed(2)}
+                {formatCurrency(Math.abs(netBalance), entityData.currency)}
               </span>
             </div>
           )}
@@ -215,23 +275,28 @@ export default function SettlementForm({ entityType, entityData, onSuccess }) {
         {/* Amount */}
         <div className="space-y-2">
           <Label htmlFor="amount">Amount</Label>
-          <div className="relative">
-            <span className="absolute left-3 top-2.5">₹</span>
+          <div className="flex gap-2">
             <Input
               id="amount"
               placeholder="0.00"
               type="number"
               step="0.01"
               min="0.01"
-              className="pl-7"
               {...register("amount")}
             />
+            <CurrencySelect
+              className="w-28"
+              aria-label="Currency"
+              {...register("currency")}
+            />
           </div>
           {errors.amount && (
             <p className="text-sm text-red-500">{errors.amount.message}</p>
           )}
         </div>
 
+        {allocationPicker}
+
         {/* Note */}
         <div className="space-y-2">
           <Label htmlFor="note">Note (optional)</Label>
@@ -242,6 +307,14 @@ export default function SettlementForm({ entityType, entityData, onSuccess }) {
           />
         </div>
 
+        {paymentLinks(otherUser)}
+
+        {youPaid && (
+          <p className="text-sm text-muted-foreground">
+            {otherUser.name} will be asked to confirm they received it
+          </p>
+        )}
+
         <Button type="submit" className="w-full" disabled={isSubmitting}>
           {isSubmitting ? "Recording..." : "Record settlement"}
         </Button>
@@ -292,9 +365,9 @@ export default function SettlementForm({ entityType, entityData, onSuccess }) {
                       }`}
                     >
                       {isOwing
-                        ? `They owe you ₹${Math.abs(member.netBalance).toFixed(2)}`
+                        ? `They owe you ${formatCurrency(Math.abs(member.netBalance), entityData.currency)}`
                         : isOwed
-                          ? `You owe ₹${Math.abs(member.netBalance).toFixed(2)}`
+                          ? `You owe ${formatCurrency(Math.abs(member.netBalance), entityData.currency)}`
                           : "Settled up"}
                     </div>
                   </div>
@@ -384,23 +457,28 @@ export default function SettlementForm({ entityType, entityData, onSuccess }) {
             {/* Amount */}
             <div className="space-y-2">
               <Label htmlFor="amount">Amount</Label>
-              <div className="relative">
-                <span className="absolute left-3 top-2.5">₹</span>
+              <div className="flex gap-2">
                 <Input
                   id="amount"
                   placeholder="0.00"
                   type="number"
                   step="0.01"
                   min="0.01"
-                  className="pl-7"
                   {...register("amount")}
                 />
+                <CurrencySelect
+                  className="w-28"
+                  aria-label="Currency"
+                  {...register("currency")}
+                />
               </div>
               {errors.amount && (
                 <p className="text-sm text-red-500">{errors.amount.message}</p>
               )}
             </div>
 
+            {allocationPicker}
+
             {/* Note */}
             <div className="space-y-2">
               <Label htmlFor="note">Note (optional)</Label>
@@ -410,6 +488,20 @@ export default function SettlementForm({ entityType, entityData, onSuccess }) {
                 {...register("note")}
               />
             </div>
+
+            {paymentLinks(
+              groupMembers.find((m) => m.userId === selectedGroupMemberId)
+            )}
+
+            {youPaid && (
+              <p className="text-sm text-muted-foreground">
+                {
+                  groupMembers.find((m) => m.userId === selectedGroupMemberId)
+                    ?.name
+                }{" "}
+                will be asked to confirm they received it
+              </p>
+            )}
           </>
         )}
 
@@ -20,6 +20,8 @@ export default function SettlementPage() {
     {
       entityType: type,
       entityId: id,
+      // Money already sent but not yet confirmed shouldn't be paid twice
+      includePending: true,
     }
   );
 
@@ -60,6 +62,14 @@ export default function SettlementPage() {
             ? `Settling up with ${data?.counterpart?.name}`
             : `Settling up in ${data?.group?.name}`}
         </p>
+        <p className="text-sm text-muted-foreground mt-1">
+          Payments still waiting for confirmation are already counted
+        </p>
+        {type === "group" && data?.simplified && (
+          <p className="text-sm text-muted-foreground mt-1">
+            Balances follow the group&apos;s simplified payment plan
+          </p>
+        )}
       </div>
 
       <Card>
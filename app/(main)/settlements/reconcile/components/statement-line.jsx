@@ -0,0 +1,177 @@
+"use client";
+
+import { useState } from "react";
+import { format } from "date-fns";
+import { api } from "@/convex/_generated/api";
+import { useConvexMutation } from "@/hooks/use-convex-query";
+import { toast } from "sonner";
+import { Badge } from "@/components/ui/badge";
+import { Button } from "@/components/ui/button";
+import { ArrowDownLeft, ArrowUpRight, Check } from "lucide-react";
+import { formatCurrency } from "@/lib/utils";
+
+const selectClassName =
+  "w-full rounded-md border border-input bg-background px-3 py-2 text-sm";
+
+// One line of the review queue: the suggested matches, a manual pick of
+// who the transfer was with, or ignoring it
+export function StatementLine({ line, contacts, groups }) {
+  const [userId, setUserId] = useState("");
+  const [groupId, setGroupId] = useState("");
+  const confirmLine = useConvexMutation(api.reconciliation.confirmStatementLine);
+  const setIgnored = useConvexMutation(api.reconciliation.setStatementLineIgnored);
+
+  const incoming = line.amount > 0;
+  const busy = confirmLine.isLoading || setIgnored.isLoading;
+
+  const handleConfirm = async (args, message) => {
+    try {
+      await confirmLine.mutate({ lineId: line.id, ...args });
+      toast.success(message);
+    } catch (error) {
+      toast.error("Failed to match the transfer: " + error.message);
+    }
+  };
+
+  const handleIgnore = async () => {
+    try {
+      await setIgnored.mutate({ lineId: line.id, ignored: true });
+    } catch (error) {
+      toast.error("Failed to ignore the line: " + error.message);
+    }
+  };
+
+  return (
+    <div className="border rounded-md p-4 space-y-3">
+      <div className="flex items-start justify-between gap-4">
+        <div className="flex items-start gap-3 min-w-0">
+          <div
+            className={`p-2 rounded-full ${incoming ? "bg-green-100" : "bg-red-100"}`}
+          >
+            {incoming ? (
+              <ArrowDownLeft className="h-4 w-4 text-green-600" />
+            ) : (
+              <ArrowUpRight className="h-4 w-4 text-red-600" />
+            )}
+          </div>
+          <div className="min-w-0">
+            <p className="font-medium truncate">{line.description || "—"}</p>
+            <p className="text-sm text-muted-foreground">
+              {format(new Date(line.date), "MMM d, yyyy")} ·{" "}
+              {incoming ? "Received" : "Sent"}
+            </p>
+          </div>
+        </div>
+        <span
+          className={`font-bold whitespace-nowrap ${incoming ? "text-green-600" : "text-red-600"}`}
+        >
+          {incoming ? "+" : "-"}
+          {formatCurrency(Math.abs(line.amount), line.currency)}
+        </span>
+      </div>
+
+      {line.suggestions.length > 0 && (
+        <div className="space-y-2">
+          <p className="text-xs text-muted-foreground">Suggested matches</p>
+          {line.suggestions.map((s) => (
+            <div
+              key={s.settlementId ?? `${s.userId}-${s.groupId ?? ""}`}
+              className="flex items-center justify-between gap-2 bg-muted rounded-md px-3 py-2"
+            >
+              <div className="text-sm min-w-0">
+                {s.kind === "settlement" ? (
+                  <>
+                    <Badge variant="outline" className="mr-2">
+                      Recorded
+                    </Badge>
+                    {incoming ? `${s.name} paid you` : `You paid ${s.name}`}{" "}
+                    {formatCurrency(s.amount, s.currency)} on{" "}
+                    {format(new Date(s.date), "MMM d")}
+                  </>
+                ) : (
+                  <>
+                    {incoming ? `${s.name} owes you` : `You owe ${s.name}`}{" "}
+                    {formatCurrency(s.amount, s.currency)}
+                  </>
+                )}
+                {s.groupName && (
+                  <span className="text-muted-foreground"> in {s.groupName}</span>
+                )}
+              </div>
+              <Button
+                size="sm"
+                variant="outline"
+                disabled={busy}
+                onClick={() =>
+                  s.kind === "settlement"
+                    ? handleConfirm(
+                        { settlementId: s.settlementId },
+                        "Matched to the recorded settlement"
+                      )
+                    : handleConfirm(
+                        { userId: s.userId, groupId: s.groupId },
+                        "Settlement recorded"
+                      )
+                }
+              >
+                <Check className="mr-1 h-4 w-4" />
+                {s.kind === "settlement" ? "Match" : "Settle"}
+              </Button>
+            </div>
+          ))}
+        </div>
+      )}
+
+      <div className="grid grid-cols-1 sm:grid-cols-[1fr_1fr_auto_auto] gap-2">
+        <select
+          className={selectClassName}
+          aria-label={incoming ? "Received from" : "Paid to"}
+          value={userId}
+          onChange={(e) => setUserId(e.target.value)}
+        >
+          <option value="">{incoming ? "Received from…" : "Paid to…"}</option>
+          {contacts.map((user) => (
+            <option key={user.id} value={user.id}>
+              {user.name}
+            </option>
+          ))}
+        </select>
+        <select
+          className={selectClassName}
+          aria-label="Group"
+          value={groupId}
+          onChange={(e) => setGroupId(e.target.value)}
+        >
+          <option value="">Outside groups</option>
+          {groups.map((group) => (
+            <option key={group.id} value={group.id}>
+              {group.name}
+            </option>
+          ))}
+        </select>
+        <Button
+          size="sm"
+          className="h-auto"
+          disabled={!userId || busy}
+          onClick={() =>
+            handleConfirm(
+              { userId, groupId: groupId || undefined },
+              "Settlement recorded"
+            )
+          }
+        >
+          Record
+        </Button>
+        <Button
+          size="sm"
+          variant="ghost"
+          className="h-auto"
+          disabled={busy}
+          onClick={handleIgnore}
+        >
+          Ignore
+        </Button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,272 @@
+"use client";
+
+import { useMemo, useState } from "react";
+import { format } from "date-fns";
+import { api } from "@/convex/_generated/api";
+import { useConvexMutation, useConvexQuery } from "@/hooks/use-convex-query";
+import { BarLoader } from "react-spinners";
+import { toast } from "sonner";
+import { Button } from "@/components/ui/button";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { CurrencySelect } from "@/components/currency-select";
+import { FileUp } from "lucide-react";
+import { DEFAULT_CURRENCY } from "@/lib/currencies";
+import { isOfx, readBankCsv, readOfx } from "@/lib/import/bank";
+import { parseCsv } from "@/lib/import/csv";
+import { toMinorUnits } from "@/lib/money";
+import { formatCurrency } from "@/lib/utils";
+import { StatementLine } from "./components/statement-line";
+
+const selectClassName =
+  "w-full rounded-md border border-input bg-background px-3 py-2 text-sm";
+
+// Must match MAX_LINES in convex/reconciliation.js
+const BATCH_SIZE = 500;
+
+const CSV_FIELDS = [
+  { key: "date", label: "Date", required: true },
+  { key: "description", label: "Description", required: true },
+  { key: "amount", label: "Amount (+ received, – sent)" },
+  { key: "credit", label: "Money in" },
+  { key: "debit", label: "Money out" },
+];
+
+export default function ReconcilePage() {
+  const [fileName, setFileName] = useState("");
+  // { kind: "ofx", statement } or { kind: "csv", rows }
+  const [file, setFile] = useState(null);
+  const [columns, setColumns] = useState({});
+  const [currency, setCurrency] = useState("");
+  const [isUploading, setIsUploading] = useState(false);
+
+  const { data: currentUser } = useConvexQuery(api.users.getCurrentUser);
+  const { data: contacts } = useConvexQuery(api.contacts.getAllContacts);
+  const { data: queue, isLoading } = useConvexQuery(
+    api.reconciliation.getReviewQueue
+  );
+  const addLines = useConvexMutation(api.reconciliation.addStatementLines);
+  const setIgnored = useConvexMutation(
+    api.reconciliation.setStatementLineIgnored
+  );
+
+  const statementCurrency =
+    currency || currentUser?.baseCurrency || DEFAULT_CURRENCY;
+
+  const parsed = useMemo(() => {
+    if (file?.kind === "ofx") return { lines: file.statement.lines, skipped: [] };
+    if (file?.kind !== "csv") return null;
+    const hasAmount = columns.amount || columns.credit || columns.debit;
+    if (!columns.date || !columns.description || !hasAmount) return null;
+    return readBankCsv(file.rows, columns);
+  }, [file, columns]);
+
+  const handleFile = async (picked) => {
+    if (!picked) return;
+    const text = await picked.text();
+
+    if (isOfx(text)) {
+      const statement = readOfx(text);
+      if (statement.lines.length === 0) {
+        toast.error("No transactions found in that statement");
+        return;
+      }
+      setFile({ kind: "ofx", statement });
+      if (statement.currency) setCurrency(statement.currency);
+    } else {
+      const rows = parseCsv(text);
+      if (rows.length < 2) {
+        toast.error("That file has no rows to import");
+        return;
+      }
+      setFile({ kind: "csv", rows });
+    }
+    setFileName(picked.name);
+    setColumns({});
+  };
+
+  const handleUpload = async () => {
+    setIsUploading(true);
+    let added = 0;
+    let duplicates = 0;
+    try {
+      const lines = parsed.lines.map((line) => ({
+        ...line,
+        amount: toMinorUnits(line.amount, statementCurrency),
+      }));
+      for (let i = 0; i < lines.length; i += BATCH_SIZE) {
+        const result = await addLines.mutate({
+          currency: statementCurrency,
+          lines: lines.slice(i, i + BATCH_SIZE),
+        });
+        added += result.added;
+        duplicates += result.duplicates;
+      }
+      toast.success(
+        `Added ${added} ${added === 1 ? "line" : "lines"}` +
+          (duplicates ? `, ${duplicates} already uploaded` : "")
+      );
+      setFile(null);
+      setFileName("");
+    } catch (error) {
+      toast.error("Failed to upload the statement: " + error.message);
+    } finally {
+      setIsUploading(false);
+    }
+  };
+
+  const handleRestore = async (lineId) => {
+    try {
+      await setIgnored.mutate({ lineId, ignored: false });
+    } catch (error) {
+      toast.error("Failed to restore the line: " + error.message);
+    }
+  };
+
+  const header = file?.kind === "csv" ? file.rows[0] : [];
+
+  return (
+    <div className="container max-w-4xl mx-auto py-6 space-y-6">
+      <div>
+        <h1 className="text-5xl gradient-title">Bank statement</h1>
+        <p className="text-muted-foreground mt-1">
+          Match transfers from your bank to settlements with your friends
+        </p>
+      </div>
+
+      <Card>
+        <CardHeader>
+          <CardTitle>Upload a statement</CardTitle>
+        </CardHeader>
+        <CardContent className="space-y-4">
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+            <div className="space-y-2">
+              <Label htmlFor="statement-file">OFX, QFX or CSV file</Label>
+              <Input
+                id="statement-file"
+                type="file"
+                accept=".ofx,.qfx,.csv,text/csv"
+                onChange={(e) => handleFile(e.target.files?.[0])}
+              />
+              {fileName && (
+                <p className="text-xs text-muted-foreground">
+                  {fileName}
+                  {parsed && `: ${parsed.lines.length} transactions`}
+                  {parsed?.skipped.length > 0 &&
+                    `, lines ${parsed.skipped.join(", ")} skipped`}
+                </p>
+              )}
+            </div>
+            <div className="space-y-2">
+              <Label htmlFor="statement-currency">Currency</Label>
+              <CurrencySelect
+                id="statement-currency"
+                value={statementCurrency}
+                onChange={(e) => setCurrency(e.target.value)}
+              />
+            </div>
+          </div>
+
+          {file?.kind === "csv" && (
+            <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+              {CSV_FIELDS.map((field) => (
+                <div key={field.key} className="space-y-2">
+                  <Label htmlFor={`statement-${field.key}`}>{field.label}</Label>
+                  <select
+                    id={`statement-${field.key}`}
+                    className={selectClassName}
+                    value={columns[field.key] ?? ""}
+                    onChange={(e) =>
+                      setColumns({ ...columns, [field.key]: e.target.value })
+                    }
+                  >
+                    <option value="">
+                      {field.required ? "Pick a column" : "None"}
+                    </option>
+                    {header.map((column) => (
+                      <option key={column} value={column}>
+                        {column}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+              ))}
+              <p className="text-xs text-muted-foreground sm:col-span-2">
+                Pick either a signed amount column, or the money in and money
+                out columns.
+              </p>
+            </div>
+          )}
+
+          <Button
+            onClick={handleUpload}
+            disabled={!parsed || parsed.lines.length === 0 || isUploading}
+          >
+            <FileUp className="mr-2 h-4 w-4" />
+            {isUploading ? "Uploading..." : "Add to review queue"}
+          </Button>
+        </CardContent>
+      </Card>
+
+      <Card>
+        <CardHeader>
+          <CardTitle>To review</CardTitle>
+        </CardHeader>
+        <CardContent className="space-y-4">
+          {isLoading ? (
+            <BarLoader width={"100%"} color="#36d7b7" />
+          ) : queue?.lines.length ? (
+            queue.lines.map((line) => (
+              <StatementLine
+                key={line.id}
+                line={line}
+                contacts={contacts?.users ?? []}
+                groups={contacts?.groups ?? []}
+              />
+            ))
+          ) : (
+            <p className="text-sm text-muted-foreground text-center py-4">
+              Nothing to review. Upload a statement to match its transfers.
+            </p>
+          )}
+        </CardContent>
+      </Card>
+
+      {queue?.ignored.length > 0 && (
+        <Card>
+          <CardHeader>
+            <CardTitle>Ignored</CardTitle>
+          </CardHeader>
+          <CardContent className="space-y-2">
+            {queue.ignored.map((line) => (
+              <div
+                key={line.id}
+                className="flex items-center justify-between gap-4 text-sm"
+              >
+                <span className="truncate text-muted-foreground">
+                  {format(new Date(line.date), "MMM d, yyyy")} ·{" "}
+                  {line.description || "—"}
+                </span>
+                <div className="flex items-center gap-2 whitespace-nowrap">
+                  <span>
+                    {line.amount > 0 ? "+" : "-"}
+                    {formatCurrency(Math.abs(line.amount), line.currency)}
+                  </span>
+                  <Button
+                    size="sm"
+                    variant="ghost"
+                    disabled={setIgnored.isLoading}
+                    onClick={() => handleRestore(line.id)}
+                  >
+                    Restore
+                  </Button>
+                </div>
+              </div>
+            ))}
+          </CardContent>
+        </Card>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,55 @@
+import { auth } from "@clerk/nextjs/server";
+import { ConvexHttpClient } from "convex/browser";
+import { api } from "@/convex/_generated/api";
+import { isAllowedAttachmentType } from "@/convex/lib/attachments";
+
+/* ──────────────────────────────────────────────────────────────────────────
+   GET /api/attachments/<expenseId>/<storageId> – a receipt or photo
+   ----------------------------------------------------------------------------
+   Runs as the signed-in user, so only people who can see the expense get
+   the file. Served inline (thumbnails, the viewer); add ?download=1 to
+   save it instead.
+   ──────────────────────────────────────────────────────────────────────── */
+export async function GET(req, { params }) {
+  const { userId, getToken } = await auth();
+  if (!userId) {
+    return new Response("Not authenticated", { status: 401 });
+  }
+
+  const { expenseId, storageId } = await params;
+  const convex = new ConvexHttpClient(process.env.NEXT_PUBLIC_CONVEX_URL);
+  convex.setAuth(await getToken({ template: "convex" }));
+
+  let file;
+  try {
+    file = await convex.query(api.attachments.getAttachmentFile, {
+      expenseId,
+      storageId,
+    });
+  } catch {
+    return new Response("Attachment not found", { status: 404 });
+  }
+
+  const upstream = await fetch(file.url);
+  if (!upstream.ok) {
+    return new Response("Attachment not found", { status: 404 });
+  }
+
+  // Anything stored before the type allowlist is only offered as a download
+  const allowed = isAllowedAttachmentType(file.contentType);
+  const disposition =
+    allowed && !req.nextUrl.searchParams.get("download")
+      ? "inline"
+      : "attachment";
+  return new Response(upstream.body, {
+    headers: {
+      "Content-Type": allowed ? file.contentType : "application/octet-stream",
+      "Content-Disposition": `${disposition}; filename*=UTF-8''${encodeURIComponent(file.name)}`,
+      // Stored files never change; keep them out of shared caches
+      "Cache-Control": "private, max-age=3600",
+      "X-Content-Type-Options": "nosniff",
+      // No script runs even if a file does get rendered as a document
+      "Content-Security-Policy": "sandbox",
+    },
+  });
+}
@@ -0,0 +1,70 @@
+import { auth } from "@clerk/nextjs/server";
+import { ConvexHttpClient } from "convex/browser";
+import { endOfDay, format, parseISO, startOfDay } from "date-fns";
+import { api } from "@/convex/_generated/api";
+import { toExportCsv, toExportJson } from "@/lib/export";
+
+/* ──────────────────────────────────────────────────────────────────────────
+   GET /api/export – download expenses, settlements and balances
+   ----------------------------------------------------------------------------
+   ?scope=group&id=<groupId> | scope=person&id=<userId> | scope=all
+   &format=csv|json (default csv), optional &from / &to (yyyy-MM-dd) and
+   &category=<category id>. Runs as the signed-in user, so Convex applies
+   the same access rules as in the app.
+   ──────────────────────────────────────────────────────────────────────── */
+export async function GET(req) {
+  const { userId, getToken } = await auth();
+  if (!userId) {
+    return new Response("Not authenticated", { status: 401 });
+  }
+
+  const params = req.nextUrl.searchParams;
+  const exportFormat = params.get("format") ?? "csv";
+  if (!["csv", "json"].includes(exportFormat)) {
+    return new Response(`Unknown export format: ${exportFormat}`, {
+      status: 400,
+    });
+  }
+
+  // yyyy-MM-dd → the start / end of that day
+  const from = params.get("from") && startOfDay(parseISO(params.get("from")));
+  const to = params.get("to") && endOfDay(parseISO(params.get("to")));
+  if ([from, to].some((date) => date && isNaN(date))) {
+    return new Response("Dates must look like 2026-01-31", { status: 400 });
+  }
+
+  const convex = new ConvexHttpClient(process.env.NEXT_PUBLIC_CONVEX_URL);
+  convex.setAuth(await getToken({ template: "convex" }));
+
+  let data;
+  try {
+    data = await convex.query(api.exports.getExportData, {
+      scope: params.get("scope") ?? "all",
+      id: params.get("id") ?? undefined,
+      from: from ? from.getTime() : undefined,
+      to: to ? to.getTime() : undefined,
+      category: params.get("category") || undefined,
+    });
+  } catch (error) {
+    return new Response(error.message, { status: 400 });
+  }
+
+  const fileName = `${data.title} ${format(new Date(), "yyyy-MM-dd")}`
+    .replace(/[^\w\- ]+/g, "")
+    .trim();
+
+  return new Response(
+    exportFormat === "csv"
+      ? toExportCsv(data)
+      : JSON.stringify(toExportJson(data), null, 2),
+    {
+      headers: {
+        "Content-Type":
+          exportFormat === "csv"
+            ? "text/csv; charset=utf-8"
+            : "application/json; charset=utf-8",
+        "Content-Disposition": `attachment; filename="${fileName}.${exportFormat}"`,
+      },
+    }
+  );
+}
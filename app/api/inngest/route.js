@@ -1,10 +1,19 @@
 import { serve } from "inngest/next";
 import { inngest } from "@/lib/inngest/client";
-import { helloWorld } from "@/lib/inngest/functions";
-// Create an API that serves zero functions
+import {
+  materializeRecurringExpenses,
+  queuePaymentReminders,
+  sendPaymentReminder,
+  sweepUnattachedUploads,
+} from "@/lib/inngest/functions";
+
+// Serve the background jobs (cron and event functions) to Inngest
 export const { GET, POST, PUT } = serve({
   client: inngest,
   functions: [
-    helloWorld,
+    materializeRecurringExpenses,
+    queuePaymentReminders,
+    sendPaymentReminder,
+    sweepUnattachedUploads,
   ],
-});
\ No newline at end of file
+});
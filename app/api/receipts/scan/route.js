@@ -0,0 +1,117 @@
+import { auth } from "@clerk/nextjs/server";
+import { createWorker } from "tesseract.js";
+import english from "@tesseract.js-data/eng";
+import { parseReceipt } from "@/lib/receipts/parse";
+
+// Must match the attachment limit in convex/lib/attachments.js
+const MAX_SIZE = 10 * 1024 * 1024;
+
+// Scans each user may start per window, per server instance
+const SCANS_PER_WINDOW = 10;
+const WINDOW = 60 * 1000;
+
+// OCR needs Node (worker threads, WebAssembly)
+export const runtime = "nodejs";
+
+// Start times of each user's recent scans, by Clerk user id
+const recentScans = new Map();
+
+// Record a scan for `userId`; false once they've used up the window
+function allowScan(userId) {
+  const now = Date.now();
+  // Forget everyone whose scans have all run out of the window
+  for (const [id, times] of recentScans) {
+    if (times.every((time) => now - time >= WINDOW)) recentScans.delete(id);
+  }
+
+  const recent = (recentScans.get(userId) ?? []).filter(
+    (time) => now - time < WINDOW
+  );
+  if (recent.length >= SCANS_PER_WINDOW) {
+    recentScans.set(userId, recent);
+    return false;
+  }
+  recentScans.set(userId, [...recent, now]);
+  return true;
+}
+
+// One Tesseract worker with the English model shipped in node_modules (so
+// nothing is downloaded and no receipt leaves the server), started on the
+// first scan and kept for the next ones. If it fails to start, the next
+// scan tries again.
+let workerPromise = null;
+const getWorker = () =>
+  (workerPromise ??= createWorker(english.code, 1, {
+    langPath: english.langPath,
+    gzip: english.gzip,
+    cacheMethod: "none",
+  }).catch((error) => {
+    workerPromise = null;
+    throw error;
+  }));
+
+// Scans run one at a time on the shared worker
+let queue = Promise.resolve();
+
+async function recognize(image) {
+  const worker = await getWorker();
+  try {
+    return await worker.recognize(image, {}, { blocks: true });
+  } catch (error) {
+    // Start afresh next time in case the worker itself broke
+    workerPromise = null;
+    await worker.terminate().catch(() => {});
+    throw error;
+  }
+}
+
+async function readLines(image) {
+  const scan = queue.then(() => recognize(image));
+  queue = scan.catch(() => {});
+  const { data } = await scan;
+  return (data.blocks ?? []).flatMap((block) =>
+    block.paragraphs.flatMap((paragraph) =>
+      paragraph.lines.map((line) => ({
+        text: line.text,
+        confidence: line.confidence,
+      }))
+    )
+  );
+}
+
+/* ──────────────────────────────────────────────────────────────────────────
+   POST /api/receipts/scan – read a receipt photo
+   ----------------------------------------------------------------------------
+   Form data with the image as `file`. Returns parseReceipt's fields (each
+   { value, confidence }) for ExpenseForm to prefill. Each user gets
+   SCANS_PER_WINDOW scans a minute.
+   ──────────────────────────────────────────────────────────────────────── */
+export async function POST(req) {
+  const { userId } = await auth();
+  if (!userId) {
+    return new Response("Not authenticated", { status: 401 });
+  }
+  if (!allowScan(userId)) {
+    return new Response("Too many scans, try again in a minute", {
+      status: 429,
+      headers: { "Retry-After": String(WINDOW / 1000) },
+    });
+  }
+
+  const file = (await req.formData()).get("file");
+  if (!file || typeof file === "string" || !file.type.startsWith("image/")) {
+    return new Response("Send the receipt as an image", { status: 400 });
+  }
+  if (file.size > MAX_SIZE) {
+    return new Response("The image is larger than 10 MB", { status: 400 });
+  }
+
+  let lines;
+  try {
+    lines = await readLines(Buffer.from(await file.arrayBuffer()));
+  } catch {
+    return new Response("Couldn't read that image", { status: 422 });
+  }
+
+  return Response.json(parseReceipt(lines));
+}
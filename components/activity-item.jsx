@@ -0,0 +1,100 @@
+import Link from "next/link";
+import { formatDistanceToNow } from "date-fns";
+import {
+  BadgeCheck,
+  CircleAlert,
+  FileUp,
+  HandCoins,
+  Receipt,
+  Trash2,
+  UserPlus,
+  Users,
+} from "lucide-react";
+import { formatCurrency } from "@/lib/utils";
+
+const ICONS = {
+  expense_created: Receipt,
+  expense_deleted: Trash2,
+  settlement_created: HandCoins,
+  settlement_confirmed: BadgeCheck,
+  settlement_disputed: CircleAlert,
+  settlement_deleted: Trash2,
+  group_created: Users,
+  member_added: UserPlus,
+  member_joined: UserPlus,
+  expenses_imported: FileUp,
+};
+
+// "your" for the current user ("You"), "Priya's" for anyone else
+const possessive = (name) => (name === "You" ? "your" : `${name}'s`);
+
+// "Priya added “Dinner” (₹1,200.00) in Goa trip"…
+function describe(activity) {
+  const amount =
+    activity.amount !== undefined
+      ? formatCurrency(activity.amount, activity.currency)
+      : "";
+  const where = activity.groupName ? ` in ${activity.groupName}` : "";
+
+  switch (activity.type) {
+    case "expense_created":
+      return `${activity.actorName} added “${activity.description}” (${amount})${where}`;
+    case "expense_deleted":
+      return `${activity.actorName} deleted “${activity.description}” (${amount})${where}`;
+    case "settlement_created":
+      return `${activity.payerName} paid ${activity.receiverName} ${amount}${where}`;
+    case "settlement_confirmed":
+      return `${activity.actorName} confirmed ${possessive(activity.payerName)} payment of ${amount}${where}`;
+    case "settlement_disputed":
+      return `${activity.actorName} disputed ${possessive(activity.payerName)} payment of ${amount}${where}: “${activity.description}”`;
+    case "settlement_deleted":
+      return `${activity.actorName} deleted the payment of ${amount} from ${activity.payerName} to ${activity.receiverName}${where}`;
+    case "group_created":
+      return `${activity.actorName} created the group ${activity.groupName ?? activity.description}`;
+    case "member_added":
+      return `${activity.actorName} added new members to ${activity.groupName ?? activity.description}`;
+    case "member_joined":
+      return `${activity.actorName} joined ${activity.groupName ?? activity.description}`;
+    case "expenses_imported":
+      return `${activity.actorName} imported ${activity.description}${where}`;
+    default:
+      return `${activity.actorName} made a change${where}`;
+  }
+}
+
+// One line of the activity feed (header bell and dashboard)
+export function ActivityItem({ activity, unread = false, onClick }) {
+  const Icon = ICONS[activity.type] ?? Receipt;
+
+  const content = (
+    <div className="flex items-start gap-3">
+      <div className="bg-primary/10 p-2 rounded-full shrink-0">
+        <Icon className="h-4 w-4 text-primary" />
+      </div>
+      <div className="flex-1 min-w-0">
+        <p className={`text-sm ${unread ? "font-medium" : ""}`}>
+          {describe(activity)}
+        </p>
+        <p className="text-xs text-muted-foreground">
+          {formatDistanceToNow(new Date(activity.createdAt), {
+            addSuffix: true,
+          })}
+        </p>
+      </div>
+      {unread && (
+        <span className="mt-2 h-2 w-2 rounded-full bg-green-600 shrink-0" />
+      )}
+    </div>
+  );
+
+  const className = "block hover:bg-muted p-2 rounded-md transition-colors";
+  return activity.href ? (
+    <Link href={activity.href} className={className} onClick={onClick}>
+      {content}
+    </Link>
+  ) : (
+    <div className={className} onClick={onClick}>
+      {content}
+    </div>
+  );
+}
@@ -0,0 +1,164 @@
+"use client";
+
+import { useState } from "react";
+import { api } from "@/convex/_generated/api";
+import { useConvexMutation, useConvexQuery } from "@/hooks/use-convex-query";
+import { toast } from "sonner";
+import {
+  Dialog,
+  DialogContent,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from "@/components/ui/dialog";
+import { Button } from "@/components/ui/button";
+import { Avatar, AvatarFallback, AvatarImage } from "@/components/ui/avatar";
+import { Badge } from "@/components/ui/badge";
+import {
+  Command,
+  CommandEmpty,
+  CommandGroup,
+  CommandInput,
+  CommandItem,
+  CommandList,
+} from "@/components/ui/command";
+import { X } from "lucide-react";
+import { InviteByEmailItem } from "@/components/invite-by-email-item";
+
+// Search for people and add them to an existing group (admins only)
+export function AddMembersDialog({ groupId, members, isOpen, onClose }) {
+  const [selected, setSelected] = useState([]);
+  const [searchQuery, setSearchQuery] = useState("");
+
+  const addMembers = useConvexMutation(api.groups.addMembers);
+  const { data: searchResults, isLoading: isSearching } = useConvexQuery(
+    api.users.searchUsers,
+    { query: searchQuery }
+  );
+
+  // People already in the group or picked can't be picked again
+  const candidates = (searchResults || []).filter(
+    (user) =>
+      !members.some((m) => m.id === user.id) &&
+      !selected.some((s) => s.id === user.id)
+  );
+
+  const handleClose = () => {
+    setSelected([]);
+    setSearchQuery("");
+    onClose();
+  };
+
+  const handleAdd = async () => {
+    try {
+      await addMembers.mutate({
+        groupId,
+        userIds: selected.map((user) => user.id),
+      });
+      toast.success(
+        `Added ${selected.length} ${selected.length === 1 ? "member" : "members"}`
+      );
+      handleClose();
+    } catch (error) {
+      toast.error("Failed to add members: " + error.message);
+    }
+  };
+
+  return (
+    <Dialog open={isOpen} onOpenChange={(open) => !open && handleClose()}>
+      <DialogContent className="sm:max-w-md">
+        <DialogHeader>
+          <DialogTitle>Add members</DialogTitle>
+        </DialogHeader>
+
+        {selected.length > 0 && (
+          <div className="flex flex-wrap gap-2">
+            {selected.map((user) => (
+              <Badge key={user.id} variant="secondary" className="px-3 py-1">
+                <Avatar className="h-5 w-5 mr-2">
+                  <AvatarImage src={user.imageUrl} />
+                  <AvatarFallback>{user.name?.charAt(0) || "?"}</AvatarFallback>
+                </Avatar>
+                <span>{user.name}</span>
+                <button
+                  type="button"
+                  onClick={() =>
+                    setSelected(selected.filter((s) => s.id !== user.id))
+                  }
+                  className="ml-2 text-muted-foreground hover:text-foreground"
+                >
+                  <X className="h-3 w-3" />
+                </button>
+              </Badge>
+            ))}
+          </div>
+        )}
+
+        <Command className="border rounded-md" shouldFilter={false}>
+          <CommandInput
+            placeholder="Search by name or email..."
+            value={searchQuery}
+            onValueChange={setSearchQuery}
+          />
+          <CommandList>
+            <CommandEmpty>
+              <p className="py-3 px-4 text-sm text-center text-muted-foreground">
+                {searchQuery.length < 2
+                  ? "Type at least 2 characters to search"
+                  : isSearching
+                    ? "Searching..."
+                    : "No users found"}
+              </p>
+            </CommandEmpty>
+            <CommandGroup heading="Users">
+              {candidates.map((user) => (
+                <CommandItem
+                  key={user.id}
+                  value={user.name + user.email}
+                  onSelect={() => setSelected([...selected, user])}
+                >
+                  <div className="flex items-center gap-2">
+                    <Avatar className="h-6 w-6">
+                      <AvatarImage src={user.imageUrl} />
+                      <AvatarFallback>
+                        {user.name?.charAt(0) || "?"}
+                      </AvatarFallback>
+                    </Avatar>
+                    <div className="flex flex-col">
+                      <span className="text-sm">{user.name}</span>
+                      <span className="text-xs text-muted-foreground">
+                        {user.email}
+                      </span>
+                    </div>
+                  </div>
+                </CommandItem>
+              ))}
+            </CommandGroup>
+            <InviteByEmailItem
+              query={searchQuery}
+              results={searchResults}
+              onInvited={(user) => {
+                if (!members.some((m) => m.id === user.id)) {
+                  setSelected([...selected, user]);
+                }
+                setSearchQuery("");
+              }}
+            />
+          </CommandList>
+        </Command>
+
+        <DialogFooter>
+          <Button type="button" variant="outline" onClick={handleClose}>
+            Cancel
+          </Button>
+          <Button
+            onClick={handleAdd}
+            disabled={selected.length === 0 || addMembers.isLoading}
+          >
+            {addMembers.isLoading ? "Adding..." : "Add to group"}
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+}
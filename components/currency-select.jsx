@@ -0,0 +1,24 @@
+"use client";
+
+import { getAllCurrencies } from "@/lib/currencies";
+import { cn } from "@/lib/utils";
+
+// Native select of the supported currencies; spreads extra props so it can be
+// used with react-hook-form's register() or as a controlled input
+export function CurrencySelect({ className, ...props }) {
+  return (
+    <select
+      className={cn(
+        "w-full rounded-md border border-input bg-background px-3 py-2 text-sm",
+        className
+      )}
+      {...props}
+    >
+      {getAllCurrencies().map((currency) => (
+        <option key={currency.code} value={currency.code}>
+          {currency.code} – {currency.name}
+        </option>
+      ))}
+    </select>
+  );
+}
@@ -0,0 +1,150 @@
+"use client";
+
+import { useForm } from "react-hook-form";
+import { zodResolver } from "@hookform/resolvers/zod";
+import * as z from "zod";
+import { format } from "date-fns";
+import { api } from "@/convex/_generated/api";
+import { useConvexMutation, useConvexQuery } from "@/hooks/use-convex-query";
+import { toast } from "sonner";
+import {
+  Dialog,
+  DialogContent,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from "@/components/ui/dialog";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Textarea } from "@/components/ui/textarea";
+import { CurrencySelect } from "@/components/currency-select";
+import { formatCurrency } from "@/lib/utils";
+import { fromMinorUnits, toMinorUnits } from "@/lib/money";
+
+const settlementSchema = z.object({
+  amount: z
+    .string()
+    .min(1, "Amount is required")
+    .refine((val) => !isNaN(parseFloat(val)) && parseFloat(val) > 0, {
+      message: "Amount must be a positive number",
+    }),
+  currency: z.string().min(1, "Currency is required"),
+  date: z.string().min(1, "Date is required"),
+  note: z.string().optional(),
+});
+
+// Correct a settlement's amount, currency, date or note (payer or
+// receiver). Earlier versions are listed below the form.
+export function EditSettlementDialog({ settlement, isOpen, onClose }) {
+  const updateSettlement = useConvexMutation(api.settlements.updateSettlement);
+  const { data: history } = useConvexQuery(
+    api.settlements.getSettlementHistory,
+    isOpen && settlement ? { settlementId: settlement._id } : "skip"
+  );
+
+  const {
+    register,
+    handleSubmit,
+    formState: { errors, isSubmitting },
+  } = useForm({
+    resolver: zodResolver(settlementSchema),
+    values: settlement && {
+      amount: String(fromMinorUnits(settlement.amount, settlement.currency)),
+      currency: settlement.currency,
+      date: format(new Date(settlement.date), "yyyy-MM-dd"),
+      note: settlement.note ?? "",
+    },
+  });
+
+  const onSubmit = async (data) => {
+    try {
+      await updateSettlement.mutate({
+        settlementId: settlement._id,
+        amount: toMinorUnits(data.amount, data.currency),
+        currency: data.currency,
+        // Noon local time, so the day doesn't shift across time zones
+        date: new Date(`${data.date}T12:00:00`).getTime(),
+        note: data.note || undefined,
+      });
+      toast.success("Settlement updated");
+      onClose();
+    } catch (error) {
+      toast.error("Failed to update settlement: " + error.message);
+    }
+  };
+
+  return (
+    <Dialog open={isOpen} onOpenChange={(open) => !open && onClose()}>
+      <DialogContent className="sm:max-w-md">
+        <DialogHeader>
+          <DialogTitle>Edit settlement</DialogTitle>
+        </DialogHeader>
+
+        <form onSubmit={handleSubmit(onSubmit)} className="space-y-4">
+          <div className="space-y-2">
+            <Label htmlFor="settlement-amount">Amount</Label>
+            <div className="flex gap-2">
+              <Input
+                id="settlement-amount"
+                type="number"
+                step="0.01"
+                min="0.01"
+                {...register("amount")}
+              />
+              <CurrencySelect
+                className="w-28"
+                aria-label="Currency"
+                {...register("currency")}
+              />
+            </div>
+            {errors.amount && (
+              <p className="text-sm text-red-500">{errors.amount.message}</p>
+            )}
+          </div>
+
+          <div className="space-y-2">
+            <Label htmlFor="settlement-date">Date</Label>
+            <Input id="settlement-date" type="date" {...register("date")} />
+            {errors.date && (
+              <p className="text-sm text-red-500">{errors.date.message}</p>
+            )}
+          </div>
+
+          <div className="space-y-2">
+            <Label htmlFor="settlement-note">Note (optional)</Label>
+            <Textarea id="settlement-note" {...register("note")} />
+          </div>
+
+          <p className="text-xs text-muted-foreground">
+            Changes made by the payer need the receiver to confirm them again
+          </p>
+
+          <DialogFooter>
+            <Button type="button" variant="outline" onClick={onClose}>
+              Cancel
+            </Button>
+            <Button type="submit" disabled={isSubmitting}>
+              {isSubmitting ? "Saving..." : "Save"}
+            </Button>
+          </DialogFooter>
+        </form>
+
+        {history?.length > 0 && (
+          <div className="border-t pt-3 space-y-1 text-sm">
+            <p className="font-medium">Earlier versions</p>
+            {history.map((entry) => (
+              <p key={entry.id} className="text-muted-foreground">
+                {formatCurrency(entry.previous.amount, entry.previous.currency)}{" "}
+                on {format(new Date(entry.previous.date), "MMM d, yyyy")}
+                {entry.previous.note && ` · ${entry.previous.note}`} — changed
+                by {entry.editedBy},{" "}
+                {format(new Date(entry.editedAt), "MMM d, yyyy")}
+              </p>
+            ))}
+          </div>
+        )}
+      </DialogContent>
+    </Dialog>
+  );
+}
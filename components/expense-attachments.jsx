@@ -0,0 +1,104 @@
+"use client";
+
+import { useState } from "react";
+import Image from "next/image";
+import {
+  Dialog,
+  DialogContent,
+  DialogHeader,
+  DialogTitle,
+} from "@/components/ui/dialog";
+import { Button } from "@/components/ui/button";
+import { Download, FileText } from "lucide-react";
+
+// Attachments are served by app/api/attachments, which checks that the
+// signed-in user may see the expense
+export const attachmentUrl = (expenseId, storageId) =>
+  `/api/attachments/${expenseId}/${storageId}`;
+
+export const isImage = (attachment) =>
+  attachment.contentType?.startsWith("image/");
+
+// Thumbnail of one attachment: the image itself, or a PDF icon
+export function AttachmentThumbnail({ src, attachment, className = "h-14 w-14" }) {
+  return isImage(attachment) ? (
+    <Image
+      src={src}
+      alt={attachment.name}
+      width={112}
+      height={112}
+      unoptimized // the optimizer can't send the user's session
+      className={`${className} rounded-md border object-cover`}
+    />
+  ) : (
+    <div
+      className={`${className} rounded-md border bg-muted flex items-center justify-center`}
+      title={attachment.name}
+    >
+      <FileText className="h-6 w-6 text-muted-foreground" />
+    </div>
+  );
+}
+
+// An expense's receipts and photos as thumbnails; clicking one opens it
+// full size
+export function ExpenseAttachments({ expenseId, attachments }) {
+  const [open, setOpen] = useState(null);
+
+  if (!attachments?.length) return null;
+  const openUrl = open && attachmentUrl(expenseId, open.storageId);
+
+  return (
+    <>
+      <div className="flex gap-2 flex-wrap">
+        {attachments.map((attachment) => (
+          <button
+            key={attachment.storageId}
+            type="button"
+            className="rounded-md focus:outline-none focus:ring-2 focus:ring-ring"
+            onClick={() => setOpen(attachment)}
+          >
+            <AttachmentThumbnail
+              src={attachmentUrl(expenseId, attachment.storageId)}
+              attachment={attachment}
+            />
+            <span className="sr-only">Open {attachment.name}</span>
+          </button>
+        ))}
+      </div>
+
+      <Dialog open={!!open} onOpenChange={(isOpen) => !isOpen && setOpen(null)}>
+        <DialogContent className="sm:max-w-3xl">
+          <DialogHeader>
+            <DialogTitle className="truncate pr-6">{open?.name}</DialogTitle>
+          </DialogHeader>
+          {open &&
+            (isImage(open) ? (
+              <Image
+                src={openUrl}
+                alt={open.name}
+                width={1200}
+                height={1600}
+                unoptimized
+                className="max-h-[70vh] w-auto mx-auto object-contain"
+              />
+            ) : (
+              <iframe
+                src={openUrl}
+                title={open.name}
+                className="w-full h-[70vh] rounded-md border"
+              />
+            ))}
+          <div className="flex justify-end">
+            <Button variant="outline" asChild>
+              <a href={`${openUrl}?download=1`}>
+                <Download className="mr-2 h-4 w-4" />
+                Download
+              </a>
+            </Button>
+          </div>
+        </DialogContent>
+      </Dialog>
+    </>
+  );
+}
@@ -1,5 +1,6 @@
 "use client";
 
+import { useState } from "react";
 import { useConvexQuery, useConvexMutation } from "@/hooks/use-convex-query";
 import { api } from "@/convex/_generated/api";
 import { format } from "date-fns";
@@ -8,10 +9,23 @@ import { Avatar, AvatarFallback, AvatarImage } from "@/components/ui/avatar";
 import { Badge } from "@/components/ui/badge";
 import { getCategoryById } from "@/lib/expense-categories";
 import { getCategoryIcon } from "@/lib/expense-categories";
-import { Trash2 } from "lucide-react";
+import { ChevronDown, ChevronUp, Pencil, Trash2 } from "lucide-react";
 import { Button } from "@/components/ui/button";
+import Link from "next/link";
 import { toast } from "sonner";
 import { formatCurrency } from "@/lib/utils";
+import { ExpenseAttachments } from "@/components/expense-attachments";
+import { expenseSettlementStatus } from "@/lib/allocation";
+
+// How much of an expense settlements have paid off, see lib/allocation.js
+const SETTLEMENT_STATUS = {
+  open: { label: "Open", className: "text-amber-700 border-amber-300" },
+  partial: {
+    label: "Partially settled",
+    className: "text-blue-700 border-blue-300",
+  },
+  settled: { label: "Settled", className: "text-green-700 border-green-300" },
+};
 
 export function ExpenseList({
   expenses,
@@ -22,6 +36,8 @@ export function ExpenseList({
 }) {
   const { data: currentUser } = useConvexQuery(api.users.getCurrentUser);
   const deleteExpense = useConvexMutation(api.expenses.deleteExpense);
+  // Itemized expenses whose item breakdown is shown
+  const [expandedIds, setExpandedIds] = useState([]);
 
   if (!expenses || !expenses.length) {
     return (
@@ -47,15 +63,28 @@ export function ExpenseList({
     };
   };
 
-  // Check if the user can delete an expense (creator or payer)
+  // Everyone who paid towards an expense (single-payer expenses have no `payers`)
+  const getPayerIds = (expense) =>
+    expense.payers?.length > 0
+      ? expense.payers.map((p) => p.userId)
+      : [expense.paidByUserId];
+
+  // Check if the user can edit or delete an expense (creator or a payer)
   const canDeleteExpense = (expense) => {
     if (!currentUser) return false;
     return (
       expense.createdBy === currentUser._id ||
-      expense.paidByUserId === currentUser._id
+      getPayerIds(expense).includes(currentUser._id)
     );
   };
 
+  const toggleExpanded = (expenseId) =>
+    setExpandedIds((ids) =>
+      ids.includes(expenseId)
+        ? ids.filter((id) => id !== expenseId)
+        : [...ids, expenseId]
+    );
+
   // Handle delete expense
   const handleDeleteExpense = async (expense) => {
     // Use basic JavaScript confirm
@@ -76,11 +105,17 @@ export function ExpenseList({
   return (
     <div className="flex flex-col gap-4">
       {expenses.map((expense) => {
-        const payer = getUserDetails(expense.paidByUserId, expense);
-        const isCurrentUserPayer = expense.paidByUserId === currentUser?._id;
+        const payerIds = getPayerIds(expense);
+        const isCurrentUserPayer = payerIds.includes(currentUser?._id);
+        const payerNames = payerIds
+          .map((id) => getUserDetails(id, expense).name)
+          .join(" & ");
         const category = getCategoryById(expense.category);
         const CategoryIcon = getCategoryIcon(category.id);
         const showDeleteOption = canDeleteExpense(expense);
+        const hasItems = expense.items?.length > 0;
+        const isExpanded = expandedIds.includes(expense._id);
+        const status = SETTLEMENT_STATUS[expenseSettlementStatus(expense)];
 
         return (
           <Card
@@ -96,7 +131,15 @@ export function ExpenseList({
                   </div>
 
                   <div>
-                    <h3 className="font-medium">{expense.description}</h3>
+                    <div className="flex items-center gap-2">
+                      <h3 className="font-medium">{expense.description}</h3>
+                      <Badge
+                        variant="outline"
+                        className={`text-xs ${status.className}`}
+                      >
+                        {status.label}
+                      </Badge>
+                    </div>
                     <div className="flex items-center text-sm text-muted-foreground gap-2">
                       <span>
                         {format(new Date(expense.date), "MMM d, yyyy")}
@@ -105,10 +148,21 @@ export function ExpenseList({
                         <>
                           <span>•</span>
                           <span>
-                            {isCurrentUserPayer ? "You" : payer.name} paid
+                            {payerNames} paid
                           </span>
                         </>
                       )}
+                      {expense.updatedAt && (
+                        <>
+                          <span>•</span>
+                          <Link
+                            href={`/expenses/${expense._id}`}
+                            className="hover:underline"
+                          >
+                            Edited
+                          </Link>
+                        </>
+                      )}
                     </div>
                   </div>
                 </div>
@@ -116,7 +170,7 @@ export function ExpenseList({
                 <div className="flex items-center gap-2">
                   <div className="text-right">
                     <div className="font-medium">
-                      {formatCurrency(expense.amount)}
+                      {formatCurrency(expense.amount, expense.currency)}
                     </div>
                     {isGroupExpense ? (
                       <Badge variant="outline" className="mt-1">
@@ -128,13 +182,27 @@ export function ExpenseList({
                           <span className="text-green-600">You paid</span>
                         ) : (
                           <span className="text-red-600">
-                            {payer.name} paid
+                            {payerNames} paid
                           </span>
                         )}
                       </div>
                     )}
                   </div>
 
+                  {showDeleteOption && (
+                    <Button
+                      variant="ghost"
+                      size="icon"
+                      className="h-8 w-8 rounded-full"
+                      asChild
+                    >
+                      <Link href={`/expenses/${expense._id}`}>
+                        <Pencil className="h-4 w-4" />
+                        <span className="sr-only">Edit expense</span>
+                      </Link>
+                    </Button>
+                  )}
+
                   {showDeleteOption && (
                     <Button
                       variant="ghost"
@@ -176,13 +244,81 @@ export function ExpenseList({
                           </AvatarFallback>
                         </Avatar>
                         <span>
-                          {isCurrentUser ? "You" : splitUser.name}: {formatCurrency(split.amount)}
+                          {isCurrentUser ? "You" : splitUser.name}:{" "}
+                          {formatCurrency(split.amount, expense.currency)}
+                          {split.settledAmount > 0 &&
+                            !split.paid &&
+                            ` (${formatCurrency(
+                              split.amount - split.settledAmount,
+                              expense.currency
+                            )} left)`}
                         </span>
                       </Badge>
                     );
                   })}
+                  {hasItems && (
+                    <Button
+                      variant="ghost"
+                      size="sm"
+                      className="h-6 px-2 text-xs text-muted-foreground"
+                      onClick={() => toggleExpanded(expense._id)}
+                    >
+                      {isExpanded ? (
+                        <ChevronUp className="mr-1 h-3 w-3" />
+                      ) : (
+                        <ChevronDown className="mr-1 h-3 w-3" />
+                      )}
+                      {expense.items.length} items
+                    </Button>
+                  )}
                 </div>
               </div>
+
+              {/* Receipts and photos */}
+              {expense.attachments?.length > 0 && (
+                <div className="mt-3">
+                  <ExpenseAttachments
+                    expenseId={expense._id}
+                    attachments={expense.attachments}
+                  />
+                </div>
+              )}
+
+              {/* Item breakdown for itemized receipts */}
+              {hasItems && isExpanded && (
+                <div className="mt-3 border-t pt-3 space-y-1 text-sm">
+                  {expense.items.map((item, idx) => (
+                    <div key={idx} className="flex justify-between gap-4">
+                      <span>
+                        {item.name}
+                        <span className="text-muted-foreground">
+                          {" "}
+                          ·{" "}
+                          {item.participantIds
+                            .map((id) => getUserDetails(id).name)
+                            .join(", ")}
+                        </span>
+                      </span>
+                      <span>{formatCurrency(item.amount, expense.currency)}</span>
+                    </div>
+                  ))}
+                  {[
+                    ["Tax", expense.extras?.tax],
+                    ["Tip", expense.extras?.tip],
+                    ["Service charge", expense.extras?.serviceCharge],
+                  ]
+                    .filter(([, amount]) => amount > 0)
+                    .map(([label, amount]) => (
+                      <div
+                        key={label}
+                        className="flex justify-between gap-4 text-muted-foreground"
+                      >
+                        <span>{label} (shared in proportion)</span>
+                        <span>{formatCurrency(amount, expense.currency)}</span>
+                      </div>
+                    ))}
+                </div>
+              )}
             </CardContent>
           </Card>
         );
@@ -0,0 +1,257 @@
+"use client";
+
+import { useEffect, useRef, useState } from "react";
+import { usePaginatedQuery } from "convex/react";
+import { api } from "@/convex/_generated/api";
+import { useConvexQuery } from "@/hooks/use-convex-query";
+import { BarLoader } from "react-spinners";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { ExpenseList } from "@/components/expense-list";
+import { getAllCategories } from "@/lib/expense-categories";
+import { Search, X } from "lucide-react";
+
+const PAGE_SIZE = 20;
+
+const selectClassName =
+  "w-full rounded-md border border-input bg-background px-3 py-2 text-sm";
+
+const EMPTY_FILTERS = {
+  text: "",
+  category: "",
+  payerId: "",
+  participantId: "",
+  minAmount: "",
+  maxAmount: "",
+  fromDate: "",
+  toDate: "",
+};
+
+// Form values → searchExpenses args (blank fields are left out)
+function toSearchArgs(filters, text) {
+  const amount = (value) =>
+    value === "" || isNaN(parseFloat(value)) ? undefined : parseFloat(value);
+  return {
+    text: text || undefined,
+    category: filters.category || undefined,
+    payerId: filters.payerId || undefined,
+    participantId: filters.participantId || undefined,
+    minAmount: amount(filters.minAmount),
+    maxAmount: amount(filters.maxAmount),
+    // Whole days, local time
+    fromDate: filters.fromDate
+      ? new Date(`${filters.fromDate}T00:00:00`).getTime()
+      : undefined,
+    toDate: filters.toDate
+      ? new Date(`${filters.toDate}T23:59:59.999`).getTime()
+      : undefined,
+  };
+}
+
+/* ──────────────────────────────────────────────────────────────────────────
+   ExpenseSearch – filters plus an infinitely scrolling ExpenseList
+   ----------------------------------------------------------------------------
+   Pages come from api.expenses.searchExpenses: pass groupId for a group,
+   otherUserId for 1-to-1 expenses with someone, or neither for all of mine.
+   `userLookupMap` names the people offered as payer / participant; people
+   on the loaded expenses are added to it.
+   ──────────────────────────────────────────────────────────────────────── */
+export function ExpenseSearch({
+  groupId,
+  otherUserId,
+  userLookupMap = {},
+  ...listProps
+}) {
+  const { data: currentUser } = useConvexQuery(api.users.getCurrentUser);
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+
+  // Search the description once typing pauses
+  const [text, setText] = useState("");
+  useEffect(() => {
+    const timer = setTimeout(() => setText(filters.text.trim()), 400);
+    return () => clearTimeout(timer);
+  }, [filters.text]);
+
+  const { results, status, loadMore } = usePaginatedQuery(
+    api.expenses.searchExpenses,
+    { groupId, otherUserId, ...toSearchArgs(filters, text) },
+    { initialNumItems: PAGE_SIZE }
+  );
+
+  // Load the next page when the end of the list scrolls into view
+  const sentinelRef = useRef(null);
+  useEffect(() => {
+    const sentinel = sentinelRef.current;
+    if (!sentinel || status !== "CanLoadMore") return;
+    const observer = new IntersectionObserver((entries) => {
+      if (entries[0].isIntersecting) loadMore(PAGE_SIZE);
+    });
+    observer.observe(sentinel);
+    return () => observer.disconnect();
+  }, [status, loadMore, results.length]);
+
+  const people = { ...userLookupMap };
+  for (const expense of results) Object.assign(people, expense.people);
+  const personOptions = Object.entries(people)
+    .map(([id, person]) => ({
+      id,
+      name: id === currentUser?._id ? "You" : person.name,
+    }))
+    .sort((a, b) => a.name.localeCompare(b.name));
+
+  const setFilter = (key) => (e) =>
+    setFilters((prev) => ({ ...prev, [key]: e.target.value }));
+  const isFiltered = Object.keys(EMPTY_FILTERS).some(
+    (key) => filters[key] !== ""
+  );
+
+  return (
+    <div className="space-y-4">
+      <div className="border rounded-md p-3 space-y-3">
+        <div className="relative">
+          <Search className="absolute left-3 top-1/2 -translate-y-1/2 h-4 w-4 text-muted-foreground" />
+          <Input
+            className="pl-9"
+            placeholder="Search descriptions"
+            value={filters.text}
+            onChange={setFilter("text")}
+          />
+        </div>
+
+        <div className="grid grid-cols-2 md:grid-cols-3 gap-3">
+          <div className="space-y-1">
+            <Label htmlFor="filter-category" className="text-xs">
+              Category
+            </Label>
+            <select
+              id="filter-category"
+              className={selectClassName}
+              value={filters.category}
+              onChange={setFilter("category")}
+            >
+              <option value="">Any</option>
+              {getAllCategories().map((category) => (
+                <option key={category.id} value={category.id}>
+                  {category.name}
+                </option>
+              ))}
+            </select>
+          </div>
+          <div className="space-y-1">
+            <Label htmlFor="filter-payer" className="text-xs">
+              Paid by
+            </Label>
+            <select
+              id="filter-payer"
+              className={selectClassName}
+              value={filters.payerId}
+              onChange={setFilter("payerId")}
+            >
+              <option value="">Anyone</option>
+              {personOptions.map((person) => (
+                <option key={person.id} value={person.id}>
+                  {person.name}
+                </option>
+              ))}
+            </select>
+          </div>
+          <div className="space-y-1">
+            <Label htmlFor="filter-participant" className="text-xs">
+              Includes
+            </Label>
+            <select
+              id="filter-participant"
+              className={selectClassName}
+              value={filters.participantId}
+              onChange={setFilter("participantId")}
+            >
+              <option value="">Anyone</option>
+              {personOptions.map((person) => (
+                <option key={person.id} value={person.id}>
+                  {person.name}
+                </option>
+              ))}
+            </select>
+          </div>
+          <div className="space-y-1">
+            <Label className="text-xs">Amount</Label>
+            <div className="flex gap-1">
+              <Input
+                type="number"
+                min="0"
+                step="0.01"
+                placeholder="Min"
+                aria-label="Minimum amount"
+                value={filters.minAmount}
+                onChange={setFilter("minAmount")}
+              />
+              <Input
+                type="number"
+                min="0"
+                step="0.01"
+                placeholder="Max"
+                aria-label="Maximum amount"
+                value={filters.maxAmount}
+                onChange={setFilter("maxAmount")}
+              />
+            </div>
+          </div>
+          <div className="space-y-1 md:col-span-2">
+            <Label className="text-xs">Date</Label>
+            <div className="flex gap-1 items-center">
+              <Input
+                type="date"
+                aria-label="From date"
+                value={filters.fromDate}
+                onChange={setFilter("fromDate")}
+              />
+              <span className="text-muted-foreground">–</span>
+              <Input
+                type="date"
+                aria-label="To date"
+                value={filters.toDate}
+                onChange={setFilter("toDate")}
+              />
+            </div>
+          </div>
+        </div>
+
+        {isFiltered && (
+          <div className="flex justify-end">
+            <Button
+              variant="ghost"
+              size="sm"
+              onClick={() => setFilters(EMPTY_FILTERS)}
+            >
+              <X className="mr-1 h-4 w-4" />
+              Clear filters
+            </Button>
+          </div>
+        )}
+      </div>
+
+      {status === "LoadingFirstPage" ? (
+        <BarLoader width={"100%"} color="#36d7b7" />
+      ) : (
+        <ExpenseList
+          expenses={results}
+          userLookupMap={people}
+          {...listProps}
+        />
+      )}
+
+      <div ref={sentinelRef} />
+      {status === "LoadingMore" && (
+        <BarLoader width={"100%"} color="#36d7b7" />
+      )}
+      {status === "CanLoadMore" && (
+        <div className="flex justify-center">
+          <Button variant="outline" onClick={() => loadMore(PAGE_SIZE)}>
+            Load more
+          </Button>
+        </div>
+      )}
+    </div>
+  );
+}
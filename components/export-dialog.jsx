@@ -0,0 +1,121 @@
+"use client";
+
+import { useState } from "react";
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from "@/components/ui/dialog";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Download } from "lucide-react";
+import { getAllCategories } from "@/lib/expense-categories";
+
+const selectClassName =
+  "w-full rounded-md border border-input bg-background px-3 py-2 text-sm";
+
+// "Export" button with the options of app/api/export/route.js. `scope` and
+// `id` pick what is exported: a group, a person or everything ("all").
+export function ExportDialog({ scope, id }) {
+  const [open, setOpen] = useState(false);
+  const [exportFormat, setExportFormat] = useState("csv");
+  const [from, setFrom] = useState("");
+  const [to, setTo] = useState("");
+  const [category, setCategory] = useState("");
+
+  const params = new URLSearchParams({ scope, format: exportFormat });
+  if (id) params.set("id", id);
+  if (from) params.set("from", from);
+  if (to) params.set("to", to);
+  if (category) params.set("category", category);
+
+  return (
+    <>
+      <Button variant="outline" onClick={() => setOpen(true)}>
+        <Download className="mr-2 h-4 w-4" />
+        Export
+      </Button>
+
+      <Dialog open={open} onOpenChange={setOpen}>
+        <DialogContent className="sm:max-w-md">
+          <DialogHeader>
+            <DialogTitle>Export</DialogTitle>
+            <DialogDescription>
+              Expenses and settlements with everyone&apos;s shares and running
+              balances.
+            </DialogDescription>
+          </DialogHeader>
+
+          <div className="space-y-4">
+            <div className="space-y-2">
+              <Label htmlFor="export-format">Format</Label>
+              <select
+                id="export-format"
+                className={selectClassName}
+                value={exportFormat}
+                onChange={(e) => setExportFormat(e.target.value)}
+              >
+                <option value="csv">CSV (spreadsheet)</option>
+                <option value="json">JSON</option>
+              </select>
+            </div>
+
+            <div className="grid grid-cols-2 gap-2">
+              <div className="space-y-2">
+                <Label htmlFor="export-from">From</Label>
+                <Input
+                  id="export-from"
+                  type="date"
+                  value={from}
+                  onChange={(e) => setFrom(e.target.value)}
+                />
+              </div>
+              <div className="space-y-2">
+                <Label htmlFor="export-to">To</Label>
+                <Input
+                  id="export-to"
+                  type="date"
+                  value={to}
+                  onChange={(e) => setTo(e.target.value)}
+                />
+              </div>
+            </div>
+
+            <div className="space-y-2">
+              <Label htmlFor="export-category">Category</Label>
+              <select
+                id="export-category"
+                className={selectClassName}
+                value={category}
+                onChange={(e) => setCategory(e.target.value)}
+              >
+                <option value="">All (with settlements)</option>
+                {getAllCategories().map((c) => (
+                  <option key={c.id} value={c.id}>
+                    {c.name}
+                  </option>
+                ))}
+              </select>
+            </div>
+          </div>
+
+          <DialogFooter>
+            <Button variant="outline" onClick={() => setOpen(false)}>
+              Cancel
+            </Button>
+            <Button asChild onClick={() => setOpen(false)}>
+              <a href={`/api/export?${params}`} download>
+                <Download className="mr-2 h-4 w-4" />
+                Download
+              </a>
+            </Button>
+          </DialogFooter>
+        </DialogContent>
+      </Dialog>
+    </>
+  );
+}
@@ -3,7 +3,7 @@
 import { useConvexQuery } from "@/hooks/use-convex-query";
 import { api } from "@/convex/_generated/api";
 import { Avatar, AvatarFallback, AvatarImage } from "@/components/ui/avatar";
-import { ArrowUpCircle, ArrowDownCircle } from "lucide-react";
+import { ArrowUpCircle, ArrowDownCircle, ArrowRight } from "lucide-react";
 import { formatCurrency } from "@/lib/utils";
 
 /**
@@ -16,8 +16,17 @@ import { formatCurrency } from "@/lib/utils";
  *   owes:   { to: string;   amount: number }[];  // this member → others
  *   owedBy: { from: string; amount: number }[];  // others → this member
  * }
+ *
+ * When `simplified` is set, who-owes-whom comes from `simplifiedDebts`
+ * (the minimum-transfer plan, `{ from, to, amount }[]`) instead.
+ * All amounts are in the group's base `currency`.
  */
-export function GroupBalances({ balances }) {
+export function GroupBalances({
+  balances,
+  simplified = false,
+  simplifiedDebts = [],
+  currency,
+}) {
   const { data: currentUser } = useConvexQuery(api.users.getCurrentUser);
 
   /* ───── guards ────────────────────────────────────────────────────────── */
@@ -41,20 +50,33 @@ export function GroupBalances({ balances }) {
 
   const userMap = Object.fromEntries(balances.map((b) => [b.id, b]));
 
+  const owedBy = simplified
+    ? simplifiedDebts.filter((t) => t.to === me.id)
+    : me.owedBy;
+  const owes = simplified
+    ? simplifiedDebts.filter((t) => t.from === me.id)
+    : me.owes;
+
   // Who owes me?
-  const owedByMembers = me.owedBy
+  const owedByMembers = owedBy
     .map(({ from, amount }) => ({ ...userMap[from], amount }))
     .sort((a, b) => b.amount - a.amount);
 
   // Whom do I owe?
-  const owingToMembers = me.owes
+  const owingToMembers = owes
     .map(({ to, amount }) => ({ ...userMap[to], amount }))
     .sort((a, b) => b.amount - a.amount);
 
+  // Payments that don't involve me, shown so the whole plan is visible
+  const otherTransfers = simplified
+    ? simplifiedDebts.filter((t) => t.from !== me.id && t.to !== me.id)
+    : [];
+
   const isAllSettledUp =
     me.totalBalance === 0 &&
     owedByMembers.length === 0 &&
-    owingToMembers.length === 0;
+    owingToMembers.length === 0 &&
+    otherTransfers.length === 0;
 
   /* ───── UI ────────────────────────────────────────────────────────────── */
   return (
@@ -72,10 +94,10 @@ export function GroupBalances({ balances }) {
           }`}
         >
           {me.totalBalance > 0
-            ? `+${formatCurrency(me.totalBalance)}`
+            ? `+${formatCurrency(me.totalBalance, currency)}`
             : me.totalBalance < 0
-              ? `-${formatCurrency(Math.abs(me.totalBalance))}`
-              : formatCurrency(0)}
+              ? `-${formatCurrency(Math.abs(me.totalBalance), currency)}`
+              : formatCurrency(0, currency)}
         </p>
         <p className="text-sm text-muted-foreground mt-1">
           {me.totalBalance > 0
@@ -115,7 +137,7 @@ export function GroupBalances({ balances }) {
                       <span className="text-sm">{member.name}</span>
                     </div>
                     <span className="font-medium text-green-600">
-                      {formatCurrency(member.amount)}
+                      {formatCurrency(member.amount, currency)}
                     </span>
                   </div>
                 ))}
@@ -146,7 +168,33 @@ export function GroupBalances({ balances }) {
                       <span className="text-sm">{member.name}</span>
                     </div>
                     <span className="font-medium text-red-600">
-                      {formatCurrency(member.amount)}
+                      {formatCurrency(member.amount, currency)}
+                    </span>
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
+
+          {/* Rest of the simplified plan */}
+          {otherTransfers.length > 0 && (
+            <div>
+              <h3 className="text-sm font-medium flex items-center mb-3">
+                <ArrowRight className="h-4 w-4 text-muted-foreground mr-2" />
+                Other payments
+              </h3>
+              <div className="space-y-3">
+                {otherTransfers.map((t) => (
+                  <div
+                    key={`${t.from}-${t.to}`}
+                    className="flex items-center justify-between text-sm"
+                  >
+                    <span>
+                      {userMap[t.from]?.name ?? "Unknown"} pays{" "}
+                      {userMap[t.to]?.name ?? "Unknown"}
+                    </span>
+                    <span className="font-medium">
+                      {formatCurrency(t.amount, currency)}
                     </span>
                   </div>
                 ))}
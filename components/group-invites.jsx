@@ -0,0 +1,236 @@
+"use client";
+
+import { useState } from "react";
+import { addDays, format } from "date-fns";
+import { api } from "@/convex/_generated/api";
+import { useConvexMutation, useConvexQuery } from "@/hooks/use-convex-query";
+import { toast } from "sonner";
+import { Avatar, AvatarFallback, AvatarImage } from "@/components/ui/avatar";
+import { Badge } from "@/components/ui/badge";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Check, Copy, Link2, X } from "lucide-react";
+
+const selectClassName =
+  "w-full rounded-md border border-input bg-background px-3 py-2 text-sm";
+
+// Days until a new link expires; "" never expires
+const EXPIRY_OPTIONS = [
+  { value: "1", label: "1 day" },
+  { value: "7", label: "7 days" },
+  { value: "30", label: "30 days" },
+  { value: "", label: "Never" },
+];
+
+const inviteUrl = (token) => `${window.location.origin}/join/${token}`;
+
+// Invite links of a group and the join requests they produced (admins only)
+export function GroupInvites({ groupId }) {
+  const [expiryDays, setExpiryDays] = useState("7");
+  const [maxUses, setMaxUses] = useState("");
+  const [requiresApproval, setRequiresApproval] = useState(false);
+
+  const { data } = useConvexQuery(api.groups.getGroupInvites, { groupId });
+  const createInvite = useConvexMutation(api.groups.createInvite);
+  const revokeInvite = useConvexMutation(api.groups.revokeInvite);
+  const decideJoinRequest = useConvexMutation(api.groups.decideJoinRequest);
+
+  const invites = data?.invites || [];
+  const requests = data?.requests || [];
+
+  const copyLink = async (token) => {
+    await navigator.clipboard.writeText(inviteUrl(token));
+    toast.success("Invite link copied");
+  };
+
+  const handleCreate = async () => {
+    try {
+      const token = await createInvite.mutate({
+        groupId,
+        expiresAt: expiryDays
+          ? addDays(new Date(), Number(expiryDays)).getTime()
+          : undefined,
+        maxUses: maxUses ? Number(maxUses) : undefined,
+        requiresApproval,
+      });
+      await copyLink(token);
+      setMaxUses("");
+    } catch (error) {
+      toast.error("Failed to create invite link: " + error.message);
+    }
+  };
+
+  const handleRevoke = async (inviteId) => {
+    try {
+      await revokeInvite.mutate({ inviteId });
+      toast.success("Invite link revoked");
+    } catch (error) {
+      toast.error("Failed to revoke invite link: " + error.message);
+    }
+  };
+
+  const handleDecide = async (request, approve) => {
+    try {
+      await decideJoinRequest.mutate({ requestId: request.id, approve });
+      toast.success(
+        approve
+          ? `${request.user.name} joined the group`
+          : `Request from ${request.user.name} rejected`
+      );
+    } catch (error) {
+      toast.error("Failed to answer join request: " + error.message);
+    }
+  };
+
+  return (
+    <div className="space-y-4">
+      {requests.length > 0 && (
+        <div className="space-y-2">
+          <p className="text-sm font-medium">Waiting for approval</p>
+          {requests.map((request) => (
+            <div
+              key={request.id}
+              className="flex items-center justify-between gap-2"
+            >
+              <div className="flex items-center gap-2 min-w-0">
+                <Avatar className="h-7 w-7">
+                  <AvatarImage src={request.user.imageUrl} />
+                  <AvatarFallback>{request.user.name.charAt(0)}</AvatarFallback>
+                </Avatar>
+                <span className="text-sm truncate">{request.user.name}</span>
+              </div>
+              <div className="flex items-center">
+                <Button
+                  variant="ghost"
+                  size="icon"
+                  className="h-7 w-7 rounded-full text-green-600"
+                  onClick={() => handleDecide(request, true)}
+                >
+                  <Check className="h-3.5 w-3.5" />
+                  <span className="sr-only">Approve</span>
+                </Button>
+                <Button
+                  variant="ghost"
+                  size="icon"
+                  className="h-7 w-7 rounded-full text-red-500"
+                  onClick={() => handleDecide(request, false)}
+                >
+                  <X className="h-3.5 w-3.5" />
+                  <span className="sr-only">Reject</span>
+                </Button>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {invites.length === 0 ? (
+        <p className="text-sm text-muted-foreground">No active invite links</p>
+      ) : (
+        <div className="space-y-2">
+          {invites.map((invite) => (
+            <div
+              key={invite.id}
+              className="flex items-center justify-between gap-2"
+            >
+              <div className="text-xs text-muted-foreground space-y-1">
+                <div className="flex flex-wrap items-center gap-1">
+                  <span>
+                    {invite.expiresAt
+                      ? `Expires ${format(new Date(invite.expiresAt), "MMM d")}`
+                      : "No expiry"}
+                  </span>
+                  <span>·</span>
+                  <span>
+                    {invite.maxUses
+                      ? `${invite.uses}/${invite.maxUses} used`
+                      : `${invite.uses} used`}
+                  </span>
+                </div>
+                {invite.requiresApproval && (
+                  <Badge variant="outline" className="text-xs py-0 h-5">
+                    Needs approval
+                  </Badge>
+                )}
+              </div>
+              <div className="flex items-center">
+                <Button
+                  variant="ghost"
+                  size="icon"
+                  className="h-7 w-7 rounded-full"
+                  onClick={() => copyLink(invite.token)}
+                >
+                  <Copy className="h-3.5 w-3.5" />
+                  <span className="sr-only">Copy link</span>
+                </Button>
+                <Button
+                  variant="ghost"
+                  size="icon"
+                  className="h-7 w-7 rounded-full text-red-500 hover:text-red-700 hover:bg-red-100"
+                  onClick={() => handleRevoke(invite.id)}
+                >
+                  <X className="h-3.5 w-3.5" />
+                  <span className="sr-only">Revoke</span>
+                </Button>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      <div className="space-y-3 pt-3 border-t">
+        <div className="grid grid-cols-2 gap-2">
+          <div className="space-y-1">
+            <Label htmlFor="invite-expiry" className="text-xs">
+              Expires after
+            </Label>
+            <select
+              id="invite-expiry"
+              className={selectClassName}
+              value={expiryDays}
+              onChange={(e) => setExpiryDays(e.target.value)}
+            >
+              {EXPIRY_OPTIONS.map((option) => (
+                <option key={option.value} value={option.value}>
+                  {option.label}
+                </option>
+              ))}
+            </select>
+          </div>
+          <div className="space-y-1">
+            <Label htmlFor="invite-max-uses" className="text-xs">
+              Max uses
+            </Label>
+            <Input
+              id="invite-max-uses"
+              type="number"
+              min="1"
+              step="1"
+              placeholder="Unlimited"
+              value={maxUses}
+              onChange={(e) => setMaxUses(e.target.value)}
+            />
+          </div>
+        </div>
+        <label className="flex items-center gap-2 text-sm">
+          <input
+            type="checkbox"
+            checked={requiresApproval}
+            onChange={(e) => setRequiresApproval(e.target.checked)}
+          />
+          Admins approve each new member
+        </label>
+        <Button
+          variant="outline"
+          size="sm"
+          onClick={handleCreate}
+          disabled={createInvite.isLoading}
+        >
+          <Link2 className="mr-2 h-4 w-4" />
+          Create and copy link
+        </Button>
+      </div>
+    </div>
+  );
+}
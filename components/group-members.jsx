@@ -1,12 +1,49 @@
 "use client";
 
-import { useConvexQuery } from "@/hooks/use-convex-query";
+import { useState } from "react";
+import { useRouter } from "next/navigation";
+import { useConvexMutation, useConvexQuery } from "@/hooks/use-convex-query";
 import { api } from "@/convex/_generated/api";
+import { toast } from "sonner";
 import { Avatar, AvatarFallback, AvatarImage } from "@/components/ui/avatar";
 import { Badge } from "@/components/ui/badge";
+import { Button } from "@/components/ui/button";
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from "@/components/ui/dialog";
+import {
+  Crown,
+  LogOut,
+  Shield,
+  ShieldOff,
+  UserMinus,
+  UserPlus,
+} from "lucide-react";
+import { AddMembersDialog } from "@/components/add-members-dialog";
+import { formatCurrency } from "@/lib/utils";
 
-export function GroupMembers({ members }) {
+// `readOnly` (archived groups) hides the membership actions
+export function GroupMembers({
+  members,
+  groupId,
+  ownerId,
+  balances = [],
+  currency,
+  readOnly = false,
+}) {
+  const router = useRouter();
   const { data: currentUser } = useConvexQuery(api.users.getCurrentUser);
+  const [addOpen, setAddOpen] = useState(false);
+  // { kind: "leave" | "remove", member } while a confirmation is open
+  const [confirming, setConfirming] = useState(null);
+
+  const setMemberRole = useConvexMutation(api.groups.setMemberRole);
+  const transferOwnership = useConvexMutation(api.groups.transferOwnership);
 
   if (!members || members.length === 0) {
     return (
@@ -16,10 +53,38 @@ export function GroupMembers({ members }) {
     );
   }
 
+  const me = members.find((m) => m.id === currentUser?._id);
+  const amAdmin = me?.role === "admin";
+  const amOwner = me?.id === ownerId;
+
+  const handleRole = async (member, role) => {
+    try {
+      await setMemberRole.mutate({ groupId, userId: member.id, role });
+      toast.success(
+        role === "admin"
+          ? `${member.name} is now an admin`
+          : `${member.name} is no longer an admin`,
+      );
+    } catch (error) {
+      toast.error("Failed to change role: " + error.message);
+    }
+  };
+
+  const handleTransfer = async (member) => {
+    if (!window.confirm(`Make ${member.name} the owner of this group?`)) return;
+    try {
+      await transferOwnership.mutate({ groupId, userId: member.id });
+      toast.success(`${member.name} now owns this group`);
+    } catch (error) {
+      toast.error("Failed to transfer ownership: " + error.message);
+    }
+  };
+
   return (
     <div className="space-y-3">
       {members.map((member) => {
         const isCurrentUser = member.id === currentUser?._id;
+        const isOwner = member.id === ownerId;
         const isAdmin = member.role === "admin";
 
         return (
@@ -40,14 +105,209 @@ export function GroupMembers({ members }) {
                     </Badge>
                   )}
                 </div>
-                {isAdmin && (
-                  <span className="text-xs text-muted-foreground">Admin</span>
+                {(isOwner || isAdmin) && (
+                  <span className="text-xs text-muted-foreground">
+                    {isOwner ? "Owner" : "Admin"}
+                  </span>
                 )}
               </div>
             </div>
+
+            {!readOnly &&
+              !isCurrentUser &&
+              !isOwner &&
+              (amAdmin || amOwner) && (
+                <div className="flex items-center">
+                  {amOwner && (
+                    <Button
+                      variant="ghost"
+                      size="icon"
+                      className="h-7 w-7 rounded-full"
+                      onClick={() => handleTransfer(member)}
+                    >
+                      <Crown className="h-3.5 w-3.5" />
+                      <span className="sr-only">Make owner</span>
+                    </Button>
+                  )}
+                  {amAdmin && (
+                    <>
+                      <Button
+                        variant="ghost"
+                        size="icon"
+                        className="h-7 w-7 rounded-full"
+                        onClick={() =>
+                          handleRole(member, isAdmin ? "member" : "admin")
+                        }
+                      >
+                        {isAdmin ? (
+                          <ShieldOff className="h-3.5 w-3.5" />
+                        ) : (
+                          <Shield className="h-3.5 w-3.5" />
+                        )}
+                        <span className="sr-only">
+                          {isAdmin ? "Remove admin" : "Make admin"}
+                        </span>
+                      </Button>
+                      <Button
+                        variant="ghost"
+                        size="icon"
+                        className="h-7 w-7 rounded-full text-red-500 hover:text-red-700 hover:bg-red-100"
+                        onClick={() =>
+                          setConfirming({ kind: "remove", member })
+                        }
+                      >
+                        <UserMinus className="h-3.5 w-3.5" />
+                        <span className="sr-only">Remove from group</span>
+                      </Button>
+                    </>
+                  )}
+                </div>
+              )}
           </div>
         );
       })}
+
+      {!readOnly && (
+        <div className="flex flex-wrap gap-2 pt-3 border-t">
+          {amAdmin && (
+            <Button
+              variant="outline"
+              size="sm"
+              onClick={() => setAddOpen(true)}
+            >
+              <UserPlus className="mr-2 h-4 w-4" />
+              Add members
+            </Button>
+          )}
+          {me && !amOwner && (
+            <Button
+              variant="outline"
+              size="sm"
+              onClick={() => setConfirming({ kind: "leave", member: me })}
+            >
+              <LogOut className="mr-2 h-4 w-4" />
+              Leave group
+            </Button>
+          )}
+        </div>
+      )}
+
+      <AddMembersDialog
+        groupId={groupId}
+        members={members}
+        isOpen={addOpen}
+        onClose={() => setAddOpen(false)}
+      />
+
+      {confirming && (
+        <ConfirmDepartureDialog
+          key={`${confirming.kind}-${confirming.member.id}`}
+          {...confirming}
+          groupId={groupId}
+          balance={balances.find((b) => b.id === confirming.member.id)}
+          currency={currency}
+          onClose={() => setConfirming(null)}
+          onLeft={() => router.push("/contacts")}
+        />
+      )}
     </div>
   );
-}
\ No newline at end of file
+}
+
+// Confirm leaving / removing someone. Debts have to be settled first; money
+// owed to them can be written off
+function ConfirmDepartureDialog({
+  kind,
+  member,
+  groupId,
+  balance,
+  currency,
+  onClose,
+  onLeft,
+}) {
+  const leaveGroup = useConvexMutation(api.groups.leaveGroup);
+  const removeMember = useConvexMutation(api.groups.removeMember);
+
+  const owes = (balance?.owes ?? []).reduce((sum, d) => sum + d.amount, 0);
+  const owed = (balance?.owedBy ?? []).reduce((sum, d) => sum + d.amount, 0);
+  // Only what others owe can be forgiven on the way out
+  const hasBalance = owed > 0;
+  const isLeaving = kind === "leave";
+  const who = isLeaving ? "You" : member.name;
+
+  const handleConfirm = async () => {
+    try {
+      if (isLeaving) {
+        await leaveGroup.mutate({ groupId, writeOff: hasBalance });
+        toast.success("You left the group");
+        onClose();
+        onLeft();
+      } else {
+        await removeMember.mutate({
+          groupId,
+          userId: member.id,
+          writeOff: hasBalance,
+        });
+        toast.success(`${member.name} was removed from the group`);
+        onClose();
+      }
+    } catch (error) {
+      toast.error(
+        (isLeaving ? "Failed to leave group: " : "Failed to remove member: ") +
+          error.message,
+      );
+    }
+  };
+
+  const isSubmitting = leaveGroup.isLoading || removeMember.isLoading;
+
+  return (
+    <Dialog open onOpenChange={(open) => !open && onClose()}>
+      <DialogContent className="sm:max-w-md">
+        <DialogHeader>
+          <DialogTitle>
+            {isLeaving ? "Leave this group?" : `Remove ${member.name}?`}
+          </DialogTitle>
+          <DialogDescription>
+            {owes > 0 ? (
+              <>
+                {who} still {isLeaving ? "owe" : "owes"}{" "}
+                {formatCurrency(owes, currency)} in this group. Settle up
+                before {isLeaving ? "leaving" : "removing them"}.
+              </>
+            ) : hasBalance ? (
+              <>
+                {who} {isLeaving ? "are" : "is"} still owed{" "}
+                {formatCurrency(owed, currency)}. Settle up first, or write
+                it off: the debts are marked as forgiven and nobody is asked
+                to pay them.
+              </>
+            ) : isLeaving ? (
+              "You won't see this group's expenses any more."
+            ) : (
+              `${member.name} won't see this group's expenses any more.`
+            )}
+          </DialogDescription>
+        </DialogHeader>
+        <DialogFooter>
+          <Button variant="outline" onClick={onClose}>
+            Cancel
+          </Button>
+          <Button
+            variant="destructive"
+            onClick={handleConfirm}
+            disabled={isSubmitting || owes > 0}
+          >
+            {hasBalance
+              ? isLeaving
+                ? "Write off and leave"
+                : "Write off and remove"
+              : isLeaving
+                ? "Leave group"
+                : "Remove"}
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+}
@@ -2,7 +2,7 @@
 
 import React from "react";
 import { Button } from "./ui/button";
-import { LayoutDashboard } from "lucide-react";
+import { LayoutDashboard, Wallet } from "lucide-react";
 import Link from "next/link";
 import { SignInButton, SignUpButton, UserButton } from "@clerk/nextjs";
 import { useStoreUser } from "@/hooks/use-store-user";
@@ -10,6 +10,7 @@ import { BarLoader } from "react-spinners";
 import { Authenticated, Unauthenticated } from "convex/react";
 import Image from "next/image";
 import { usePathname } from "next/navigation";
+import { NotificationBell } from "./notification-bell";
 
 export default function Header() {
   const { isLoading } = useStoreUser();
@@ -47,6 +48,8 @@ export default function Header() {
 
         <div className="flex items-center gap-4">
           <Authenticated>
+            <NotificationBell />
+
             <Link href="/dashboard">
               <Button
                 variant="outline"
@@ -69,7 +72,15 @@ export default function Header() {
                 },
               }}
               afterSignOutUrl="/"
-            />
+            >
+              <UserButton.MenuItems>
+                <UserButton.Link
+                  label="Payment details"
+                  labelIcon={<Wallet className="h-4 w-4" />}
+                  href="/profile"
+                />
+              </UserButton.MenuItems>
+            </UserButton>
           </Authenticated>
 
           <Unauthenticated>
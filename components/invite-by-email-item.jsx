@@ -0,0 +1,49 @@
+"use client";
+
+import { api } from "@/convex/_generated/api";
+import { useConvexMutation } from "@/hooks/use-convex-query";
+import { toast } from "sonner";
+import { CommandGroup, CommandItem } from "@/components/ui/command";
+import { Mail } from "lucide-react";
+import { isValidEmail, normalizeEmail } from "@/lib/email";
+
+// Offered inside a user search when the query is an email nobody matched:
+// creates a placeholder user for it and hands it to `onInvited`
+export function InviteByEmailItem({ query, results, onInvited }) {
+  const createPlaceholderUser = useConvexMutation(
+    api.users.createPlaceholderUser
+  );
+
+  const email = query.trim();
+  if (!isValidEmail(email)) return null;
+  if (results?.some((u) => u.email?.toLowerCase() === normalizeEmail(email))) {
+    return null;
+  }
+
+  const handleInvite = async () => {
+    try {
+      const user = await createPlaceholderUser.mutate({ email });
+      toast.success(`${user.email} can join Splitz with this email`);
+      onInvited(user);
+    } catch (error) {
+      toast.error("Failed to invite: " + error.message);
+    }
+  };
+
+  return (
+    <CommandGroup heading="Not on Splitz yet">
+      <CommandItem
+        value={query}
+        onSelect={handleInvite}
+        disabled={createPlaceholderUser.isLoading}
+      >
+        <div className="flex items-center gap-2">
+          <Mail className="h-4 w-4 text-muted-foreground" />
+          <span className="text-sm">
+            Invite <span className="font-medium">{email}</span>
+          </span>
+        </div>
+      </CommandItem>
+    </CommandGroup>
+  );
+}
@@ -0,0 +1,72 @@
+"use client";
+
+import { useState } from "react";
+import { Bell } from "lucide-react";
+import { api } from "@/convex/_generated/api";
+import { useConvexMutation, useConvexQuery } from "@/hooks/use-convex-query";
+import { Button } from "./ui/button";
+import { Popover, PopoverContent, PopoverTrigger } from "./ui/popover";
+import { ActivityItem } from "./activity-item";
+
+// Header bell: unread count plus the latest notifications
+export function NotificationBell() {
+  const [open, setOpen] = useState(false);
+
+  const { data } = useConvexQuery(api.activities.getMyNotifications);
+  const markRead = useConvexMutation(api.activities.markNotificationsRead);
+
+  const notifications = data?.notifications ?? [];
+  const unreadCount = data?.unreadCount ?? 0;
+
+  return (
+    <Popover open={open} onOpenChange={setOpen}>
+      <PopoverTrigger asChild>
+        <Button variant="ghost" className="relative w-10 h-10 p-0">
+          <Bell className="h-5 w-5" />
+          {unreadCount > 0 && (
+            <span className="absolute top-1 right-1 min-w-4 h-4 px-1 rounded-full bg-red-600 text-[10px] leading-4 text-white">
+              {unreadCount > 9 ? "9+" : unreadCount}
+            </span>
+          )}
+          <span className="sr-only">Notifications</span>
+        </Button>
+      </PopoverTrigger>
+      <PopoverContent align="end" className="w-80 p-0">
+        <div className="flex items-center justify-between px-4 py-3 border-b">
+          <span className="font-medium">Notifications</span>
+          {unreadCount > 0 && (
+            <Button
+              variant="link"
+              size="sm"
+              className="p-0 h-auto"
+              onClick={() => markRead.mutate({})}
+            >
+              Mark all as read
+            </Button>
+          )}
+        </div>
+        <div className="max-h-96 overflow-y-auto p-2">
+          {notifications.length === 0 ? (
+            <p className="text-sm text-muted-foreground text-center py-6">
+              Nothing new yet
+            </p>
+          ) : (
+            notifications.map((notification) => (
+              <ActivityItem
+                key={notification._id}
+                activity={notification}
+                unread={!notification.read}
+                onClick={() => {
+                  if (!notification.read) {
+                    markRead.mutate({ notificationIds: [notification._id] });
+                  }
+                  setOpen(false);
+                }}
+              />
+            ))
+          )}
+        </div>
+      </PopoverContent>
+    </Popover>
+  );
+}
@@ -0,0 +1,16 @@
+"use client";
+
+// Balances count confirmed payments only; this adds the ones still waiting
+// for the receiver to confirm them (the queries' `includePending`)
+export function PendingToggle({ checked, onChange }) {
+  return (
+    <label className="flex items-center gap-2 text-sm text-muted-foreground">
+      <input
+        type="checkbox"
+        checked={checked}
+        onChange={(e) => onChange(e.target.checked)}
+      />
+      Include pending payments
+    </label>
+  );
+}
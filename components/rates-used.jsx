@@ -0,0 +1,23 @@
+"use client";
+
+import { format } from "date-fns";
+
+/**
+ * Lists the exchange rates a balance was converted with.
+ * `ratesUsed` is the `{ from, to, rate, updatedAt }[]` returned by the
+ * balance queries; nothing is rendered when no conversion happened.
+ */
+export function RatesUsed({ ratesUsed }) {
+  if (!ratesUsed?.length) return null;
+
+  return (
+    <div className="text-xs text-muted-foreground space-y-0.5">
+      {ratesUsed.map((r) => (
+        <p key={`${r.from}-${r.to}`}>
+          Converted at 1 {r.from} = {Number(r.rate.toFixed(6))} {r.to} (rate
+          from {format(new Date(r.updatedAt), "MMM d, yyyy")})
+        </p>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,320 @@
+"use client";
+
+import { useState } from "react";
+import { useForm } from "react-hook-form";
+import { zodResolver } from "@hookform/resolvers/zod";
+import * as z from "zod";
+import { endOfDay, format, parseISO } from "date-fns";
+import { api } from "@/convex/_generated/api";
+import { useConvexMutation } from "@/hooks/use-convex-query";
+import { toast } from "sonner";
+import { Card, CardContent } from "@/components/ui/card";
+import { Badge } from "@/components/ui/badge";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import {
+  Dialog,
+  DialogContent,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from "@/components/ui/dialog";
+import { Pause, Pencil, Play, Repeat, SkipForward } from "lucide-react";
+import { formatCurrency } from "@/lib/utils";
+import { fromMinorUnits, toMinorUnits } from "@/lib/money";
+
+// "Every month", "Every 10 days"…
+const describeCadence = ({ cadence, intervalDays }) =>
+  ({
+    daily: "Every day",
+    weekly: "Every week",
+    monthly: "Every month",
+  })[cadence] ?? `Every ${intervalDays} days`;
+
+export function RecurringExpenseList({ recurringExpenses, userLookupMap = {} }) {
+  const [editing, setEditing] = useState(null);
+
+  const setPaused = useConvexMutation(api.recurring.setRecurringExpensePaused);
+  const skipNext = useConvexMutation(api.recurring.skipNextOccurrence);
+
+  if (!recurringExpenses || !recurringExpenses.length) {
+    return (
+      <Card>
+        <CardContent className="py-8 text-center text-muted-foreground">
+          No recurring expenses. Pick a schedule under &quot;Repeats&quot; when
+          adding a group expense.
+        </CardContent>
+      </Card>
+    );
+  }
+
+  const handlePause = async (template) => {
+    const paused = template.status === "active";
+    try {
+      await setPaused.mutate({ recurringExpenseId: template._id, paused });
+      toast.success(paused ? "Recurring expense paused" : "Recurring expense resumed");
+    } catch (error) {
+      toast.error("Failed to update recurring expense: " + error.message);
+    }
+  };
+
+  const handleSkip = async (template) => {
+    try {
+      await skipNext.mutate({ recurringExpenseId: template._id });
+      toast.success(
+        `Skipped the ${format(new Date(template.nextDate), "MMM d")} occurrence`
+      );
+    } catch (error) {
+      toast.error("Failed to skip occurrence: " + error.message);
+    }
+  };
+
+  return (
+    <div className="flex flex-col gap-4">
+      {recurringExpenses.map((template) => {
+        const payerName =
+          userLookupMap[template.paidByUserId]?.name || "Other User";
+
+        return (
+          <Card key={template._id}>
+            <CardContent className="py-4">
+              <div className="flex items-center justify-between gap-4">
+                <div className="flex items-center gap-3">
+                  <div className="bg-primary/10 p-2 rounded-full">
+                    <Repeat className="h-5 w-5 text-primary" />
+                  </div>
+                  <div>
+                    <h3 className="font-medium">{template.description}</h3>
+                    <div className="flex flex-wrap items-center text-sm text-muted-foreground gap-2">
+                      <span>{describeCadence(template)}</span>
+                      <span>•</span>
+                      <span>{payerName} pays</span>
+                      <span>•</span>
+                      {template.status === "ended" ? (
+                        <span>No more occurrences</span>
+                      ) : (
+                        <span>
+                          Next {format(new Date(template.nextDate), "MMM d, yyyy")}
+                        </span>
+                      )}
+                      {template.endDate && template.status !== "ended" && (
+                        <>
+                          <span>•</span>
+                          <span>
+                            Ends {format(new Date(template.endDate), "MMM d, yyyy")}
+                          </span>
+                        </>
+                      )}
+                    </div>
+                  </div>
+                </div>
+
+                <div className="flex items-center gap-2">
+                  <div className="text-right">
+                    <div className="font-medium">
+                      {formatCurrency(template.amount, template.currency)}
+                    </div>
+                    {template.status !== "active" && (
+                      <Badge variant="outline" className="mt-1 capitalize">
+                        {template.status}
+                      </Badge>
+                    )}
+                  </div>
+
+                  {template.canManage && template.status !== "ended" && (
+                    <>
+                      <Button
+                        variant="ghost"
+                        size="icon"
+                        className="h-8 w-8 rounded-full"
+                        onClick={() => handlePause(template)}
+                      >
+                        {template.status === "paused" ? (
+                          <Play className="h-4 w-4" />
+                        ) : (
+                          <Pause className="h-4 w-4" />
+                        )}
+                        <span className="sr-only">
+                          {template.status === "paused" ? "Resume" : "Pause"}
+                        </span>
+                      </Button>
+                      <Button
+                        variant="ghost"
+                        size="icon"
+                        className="h-8 w-8 rounded-full"
+                        onClick={() => handleSkip(template)}
+                      >
+                        <SkipForward className="h-4 w-4" />
+                        <span className="sr-only">Skip next occurrence</span>
+                      </Button>
+                    </>
+                  )}
+                  {template.canManage && (
+                    <Button
+                      variant="ghost"
+                      size="icon"
+                      className="h-8 w-8 rounded-full"
+                      onClick={() => setEditing(template)}
+                    >
+                      <Pencil className="h-4 w-4" />
+                      <span className="sr-only">Edit future occurrences</span>
+                    </Button>
+                  )}
+                </div>
+              </div>
+            </CardContent>
+          </Card>
+        );
+      })}
+
+      {editing && (
+        <EditRecurringExpenseDialog
+          key={editing._id}
+          template={editing}
+          onClose={() => setEditing(null)}
+        />
+      )}
+    </div>
+  );
+}
+
+const editSchema = z.object({
+  description: z.string().min(1, "Description is required"),
+  amount: z
+    .string()
+    .min(1, "Amount is required")
+    .refine((val) => !isNaN(parseFloat(val)) && parseFloat(val) > 0, {
+      message: "Amount must be a positive number",
+    }),
+  cadence: z.enum(["daily", "weekly", "monthly", "custom"]),
+  intervalDays: z.string().optional(),
+  endDate: z.string().optional(), // yyyy-mm-dd
+});
+
+// Edit the description, amount and schedule of future occurrences
+function EditRecurringExpenseDialog({ template, onClose }) {
+  const updateRecurringExpense = useConvexMutation(
+    api.recurring.updateRecurringExpense
+  );
+
+  const {
+    register,
+    handleSubmit,
+    watch,
+    formState: { errors, isSubmitting },
+  } = useForm({
+    resolver: zodResolver(editSchema),
+    defaultValues: {
+      description: template.description,
+      amount: String(fromMinorUnits(template.amount, template.currency)),
+      cadence: template.cadence,
+      intervalDays: String(template.intervalDays ?? 7),
+      endDate: template.endDate
+        ? format(new Date(template.endDate), "yyyy-MM-dd")
+        : "",
+    },
+  });
+  const cadence = watch("cadence");
+
+  const onSubmit = async (data) => {
+    try {
+      await updateRecurringExpense.mutate({
+        recurringExpenseId: template._id,
+        description: data.description,
+        amount: toMinorUnits(data.amount, template.currency),
+        cadence: data.cadence,
+        intervalDays:
+          data.cadence === "custom" ? parseInt(data.intervalDays, 10) : undefined,
+        endDate: data.endDate
+          ? endOfDay(parseISO(data.endDate)).getTime()
+          : undefined,
+      });
+      toast.success("Future occurrences updated");
+      onClose();
+    } catch (error) {
+      toast.error("Failed to update recurring expense: " + error.message);
+    }
+  };
+
+  return (
+    <Dialog open onOpenChange={(open) => !open && onClose()}>
+      <DialogContent className="sm:max-w-md">
+        <DialogHeader>
+          <DialogTitle>Edit future occurrences</DialogTitle>
+        </DialogHeader>
+
+        <form onSubmit={handleSubmit(onSubmit)} className="space-y-4">
+          <div className="space-y-2">
+            <Label htmlFor="description">Description</Label>
+            <Input id="description" {...register("description")} />
+            {errors.description && (
+              <p className="text-sm text-red-500">
+                {errors.description.message}
+              </p>
+            )}
+          </div>
+
+          <div className="space-y-2">
+            <Label htmlFor="amount">Amount ({template.currency})</Label>
+            <Input
+              id="amount"
+              type="number"
+              step="0.01"
+              min="0.01"
+              {...register("amount")}
+            />
+            {errors.amount && (
+              <p className="text-sm text-red-500">{errors.amount.message}</p>
+            )}
+            <p className="text-xs text-muted-foreground">
+              Everyone keeps their share of the new amount
+            </p>
+          </div>
+
+          <div className="grid grid-cols-2 gap-4">
+            <div className="space-y-2">
+              <Label htmlFor="cadence">Repeats</Label>
+              <select
+                id="cadence"
+                className="w-full rounded-md border border-input bg-background px-3 py-2 text-sm"
+                {...register("cadence")}
+              >
+                <option value="daily">Daily</option>
+                <option value="weekly">Weekly</option>
+                <option value="monthly">Monthly</option>
+                <option value="custom">Every few days</option>
+              </select>
+            </div>
+            {cadence === "custom" && (
+              <div className="space-y-2">
+                <Label htmlFor="intervalDays">Every (days)</Label>
+                <Input
+                  id="intervalDays"
+                  type="number"
+                  min="1"
+                  step="1"
+                  {...register("intervalDays")}
+                />
+              </div>
+            )}
+          </div>
+
+          <div className="space-y-2">
+            <Label htmlFor="endDate">Ends (optional)</Label>
+            <Input id="endDate" type="date" {...register("endDate")} />
+          </div>
+
+          <DialogFooter>
+            <Button type="button" variant="outline" onClick={onClose}>
+              Cancel
+            </Button>
+            <Button type="submit" disabled={isSubmitting}>
+              {isSubmitting ? "Saving..." : "Save"}
+            </Button>
+          </DialogFooter>
+        </form>
+      </DialogContent>
+    </Dialog>
+  );
+}
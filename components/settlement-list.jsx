@@ -1,14 +1,31 @@
 "use client";
 
 import { useState } from "react";
-import { useConvexQuery } from "@/hooks/use-convex-query";
+import { useConvexMutation, useConvexQuery } from "@/hooks/use-convex-query";
 import { api } from "@/convex/_generated/api";
 import { format } from "date-fns";
 import { Card, CardContent } from "@/components/ui/card";
 import { Badge } from "@/components/ui/badge";
-import { ArrowLeftRight } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import { Textarea } from "@/components/ui/textarea";
+import {
+  Dialog,
+  DialogContent,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from "@/components/ui/dialog";
+import {
+  ArrowLeftRight,
+  Check,
+  CircleAlert,
+  Pencil,
+  Trash2,
+} from "lucide-react";
 import Link from "next/link";
+import { toast } from "sonner";
 import { formatCurrency } from "@/lib/utils";
+import { EditSettlementDialog } from "@/components/edit-settlement-dialog";
 
 export function SettlementList({
   settlements,
@@ -16,6 +33,13 @@ export function SettlementList({
   userLookupMap,
 }) {
   const { data: currentUser } = useConvexQuery(api.users.getCurrentUser);
+  const confirmSettlement = useConvexMutation(api.settlements.confirmSettlement);
+  const disputeSettlement = useConvexMutation(api.settlements.disputeSettlement);
+  const deleteSettlement = useConvexMutation(api.settlements.deleteSettlement);
+  const [editing, setEditing] = useState(null);
+  // The payment being disputed and why
+  const [disputing, setDisputing] = useState(null);
+  const [disputeReason, setDisputeReason] = useState("");
   console.log("settlements", settlements);
 
   if (!settlements || !settlements.length) {
@@ -41,6 +65,46 @@ export function SettlementList({
     };
   };
 
+  const handleConfirm = async (settlement) => {
+    try {
+      await confirmSettlement.mutate({ settlementId: settlement._id });
+      toast.success("Payment confirmed");
+    } catch (error) {
+      toast.error("Failed to confirm payment: " + error.message);
+    }
+  };
+
+  const handleDispute = async () => {
+    try {
+      await disputeSettlement.mutate({
+        settlementId: disputing._id,
+        reason: disputeReason,
+      });
+      toast.success("Payment disputed");
+      setDisputing(null);
+      setDisputeReason("");
+    } catch (error) {
+      toast.error("Failed to dispute payment: " + error.message);
+    }
+  };
+
+  const handleDelete = async (settlement) => {
+    if (
+      !window.confirm(
+        "Delete this settlement? The balance will go back to what it was before it was recorded."
+      )
+    ) {
+      return;
+    }
+
+    try {
+      await deleteSettlement.mutate({ settlementId: settlement._id });
+      toast.success("Settlement deleted");
+    } catch (error) {
+      toast.error("Failed to delete settlement: " + error.message);
+    }
+  };
+
   return (
     <div className="flex flex-col gap-4">
       {settlements.map((settlement) => {
@@ -49,6 +113,13 @@ export function SettlementList({
         const isCurrentUserPayer = settlement.paidByUserId === currentUser?._id;
         const isCurrentUserReceiver =
           settlement.receivedByUserId === currentUser?._id;
+        const isPending = settlement.status === "pending";
+        const isDisputed = settlement.status === "disputed";
+        // Write-offs are undone from the group, not edited here
+        const canModify =
+          !settlement.writtenOff &&
+          (isCurrentUserPayer || isCurrentUserReceiver);
+        const canAnswer = isCurrentUserReceiver && (isPending || isDisputed);
 
         return (
           <Card
@@ -65,11 +136,13 @@ export function SettlementList({
 
                   <div>
                     <h3 className="font-medium">
-                      {isCurrentUserPayer
-                        ? `You paid ${receiver.name}`
-                        : isCurrentUserReceiver
-                          ? `${payer.name} paid you`
-                          : `${payer.name} paid ${receiver.name}`}
+                      {settlement.writtenOff
+                        ? `${receiver.name} wrote off ${isCurrentUserPayer ? "your" : `${payer.name}'s`} debt`
+                        : isCurrentUserPayer
+                          ? `You paid ${receiver.name}`
+                          : isCurrentUserReceiver
+                            ? `${payer.name} paid you`
+                            : `${payer.name} paid ${receiver.name}`}
                     </h3>
                     <div className="flex items-center text-sm text-muted-foreground gap-2">
                       <span>
@@ -81,15 +154,36 @@ export function SettlementList({
                           <span>{settlement.note}</span>
                         </>
                       )}
+                      {settlement.updatedAt && (
+                        <>
+                          <span>•</span>
+                          <span>Edited</span>
+                        </>
+                      )}
                     </div>
                   </div>
                 </div>
 
                 <div className="text-right">
                   <div className="font-medium">
-                    {formatCurrency(settlement.amount)}
+                    {formatCurrency(settlement.amount, settlement.currency)}
                   </div>
-                  {isGroupSettlement ? (
+                  {settlement.writtenOff ? (
+                    <Badge variant="outline" className="mt-1">
+                      Written off
+                    </Badge>
+                  ) : isPending ? (
+                    <Badge
+                      variant="outline"
+                      className="mt-1 text-amber-700 border-amber-300"
+                    >
+                      Awaiting confirmation
+                    </Badge>
+                  ) : isDisputed ? (
+                    <Badge variant="destructive" className="mt-1">
+                      Disputed
+                    </Badge>
+                  ) : isGroupSettlement ? (
                     <Badge variant="outline" className="mt-1">
                       Group settlement
                     </Badge>
@@ -106,10 +200,103 @@ export function SettlementList({
                   )}
                 </div>
               </div>
+
+              {isDisputed && settlement.disputeReason && (
+                <p className="mt-3 text-sm text-red-600 flex items-start gap-1">
+                  <CircleAlert className="h-4 w-4 mt-0.5 shrink-0" />
+                  {isCurrentUserReceiver ? "You" : receiver.name} disputed this:
+                  “{settlement.disputeReason}”
+                </p>
+              )}
+
+              {(canModify || canAnswer) && (
+                <div className="mt-3 flex gap-2 justify-end">
+                  {canModify && (
+                    <>
+                      <Button
+                        variant="ghost"
+                        size="sm"
+                        onClick={() => setEditing(settlement)}
+                      >
+                        <Pencil className="mr-1 h-4 w-4" />
+                        Edit
+                      </Button>
+                      <Button
+                        variant="ghost"
+                        size="sm"
+                        className="text-red-600"
+                        onClick={() => handleDelete(settlement)}
+                        disabled={deleteSettlement.isLoading}
+                      >
+                        <Trash2 className="mr-1 h-4 w-4" />
+                        Delete
+                      </Button>
+                    </>
+                  )}
+                  {/* Only the receiver can say whether the money arrived */}
+                  {canAnswer && isPending && (
+                    <Button
+                      variant="outline"
+                      size="sm"
+                      onClick={() => setDisputing(settlement)}
+                    >
+                      Dispute
+                    </Button>
+                  )}
+                  {canAnswer && (
+                    <Button
+                      size="sm"
+                      onClick={() => handleConfirm(settlement)}
+                      disabled={confirmSettlement.isLoading}
+                    >
+                      <Check className="mr-1 h-4 w-4" />
+                      Confirm received
+                    </Button>
+                  )}
+                </div>
+              )}
             </CardContent>
           </Card>
         );
       })}
+
+      <Dialog
+        open={!!disputing}
+        onOpenChange={(open) => !open && setDisputing(null)}
+      >
+        <DialogContent>
+          <DialogHeader>
+            <DialogTitle>Dispute this payment</DialogTitle>
+          </DialogHeader>
+          <p className="text-sm text-muted-foreground">
+            {disputing &&
+              `${getUserDetails(disputing.paidByUserId).name} says they paid you ${formatCurrency(disputing.amount, disputing.currency)}. Let them know what's wrong; it won't count until you confirm it.`}
+          </p>
+          <Textarea
+            placeholder="Never arrived, wrong amount…"
+            value={disputeReason}
+            onChange={(e) => setDisputeReason(e.target.value)}
+          />
+          <DialogFooter>
+            <Button variant="outline" onClick={() => setDisputing(null)}>
+              Cancel
+            </Button>
+            <Button
+              variant="destructive"
+              onClick={handleDispute}
+              disabled={!disputeReason.trim() || disputeSettlement.isLoading}
+            >
+              Dispute payment
+            </Button>
+          </DialogFooter>
+        </DialogContent>
+      </Dialog>
+
+      <EditSettlementDialog
+        settlement={editing}
+        isOpen={!!editing}
+        onClose={() => setEditing(null)}
+      />
     </div>
   );
 }
\ No newline at end of file
@@ -13,10 +13,31 @@ import type {
   FilterApi,
   FunctionReference,
 } from "convex/server";
+import type * as activities from "../activities.js";
+import type * as attachments from "../attachments.js";
+import type * as categories from "../categories.js";
 import type * as contacts from "../contacts.js";
 import type * as dashboard from "../dashboard.js";
 import type * as expenses from "../expenses.js";
+import type * as exports from "../exports.js";
+import type * as fxRates from "../fxRates.js";
 import type * as groups from "../groups.js";
+import type * as lib_activity from "../lib/activity.js";
+import type * as lib_attachments from "../lib/attachments.js";
+import type * as lib_balances from "../lib/balances.js";
+import type * as lib_categories from "../lib/categories.js";
+import type * as lib_currency from "../lib/currency.js";
+import type * as lib_expenses from "../lib/expenses.js";
+import type * as lib_groups from "../lib/groups.js";
+import type * as lib_jobs from "../lib/jobs.js";
+import type * as lib_outstanding from "../lib/outstanding.js";
+import type * as lib_participants from "../lib/participants.js";
+import type * as lib_placeholders from "../lib/placeholders.js";
+import type * as lib_settlements from "../lib/settlements.js";
+import type * as migrations from "../migrations.js";
+import type * as reconciliation from "../reconciliation.js";
+import type * as recurring from "../recurring.js";
+import type * as reminders from "../reminders.js";
 import type * as seed from "../seed.js";
 import type * as settlements from "../settlements.js";
 import type * as users from "../users.js";
@@ -30,10 +51,31 @@ import type * as users from "../users.js";
  * ```
  */
 declare const fullApi: ApiFromModules<{
+  activities: typeof activities;
+  attachments: typeof attachments;
+  categories: typeof categories;
   contacts: typeof contacts;
   dashboard: typeof dashboard;
   expenses: typeof expenses;
+  exports: typeof exports;
+  fxRates: typeof fxRates;
   groups: typeof groups;
+  "lib/activity": typeof lib_activity;
+  "lib/attachments": typeof lib_attachments;
+  "lib/balances": typeof lib_balances;
+  "lib/categories": typeof lib_categories;
+  "lib/currency": typeof lib_currency;
+  "lib/expenses": typeof lib_expenses;
+  "lib/groups": typeof lib_groups;
+  "lib/jobs": typeof lib_jobs;
+  "lib/outstanding": typeof lib_outstanding;
+  "lib/participants": typeof lib_participants;
+  "lib/placeholders": typeof lib_placeholders;
+  "lib/settlements": typeof lib_settlements;
+  migrations: typeof migrations;
+  reconciliation: typeof reconciliation;
+  recurring: typeof recurring;
+  reminders: typeof reminders;
   seed: typeof seed;
   settlements: typeof settlements;
   users: typeof users;
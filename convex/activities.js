@@ -0,0 +1,155 @@
+import { mutation, query } from "./_generated/server";
+import { v } from "convex/values";
+import { internal } from "./_generated/api";
+
+const FEED_LIMIT = 20;
+
+/* ──────────────────────────────────────────────────────────────────────────
+   describeActivities – what the UI needs to show each activity, from `me`'s
+   point of view (the current user is "You")
+   ──────────────────────────────────────────────────────────────────────── */
+async function describeActivities(ctx, me, activities) {
+  const docs = new Map(); // users, groups and expenses by id
+  const load = async (id) => {
+    if (!docs.has(id)) docs.set(id, await ctx.db.get(id));
+    return docs.get(id);
+  };
+  const nameOf = async (userId) => {
+    if (!userId) return undefined;
+    if (userId === me._id) return "You";
+    return (await load(userId))?.name ?? "Someone";
+  };
+
+  const described = [];
+  for (const activity of activities) {
+    const group = activity.groupId ? await load(activity.groupId) : null;
+    const expense =
+      activity.type === "expense_created" && activity.expenseId
+        ? await load(activity.expenseId)
+        : null;
+    const otherUserId = activity.userIds.find((id) => id !== me._id);
+
+    described.push({
+      _id: activity._id,
+      type: activity.type,
+      description: activity.description,
+      amount: activity.amount,
+      currency: activity.currency,
+      createdAt: activity.createdAt,
+      actorName: await nameOf(activity.actorId),
+      payerName: await nameOf(activity.paidByUserId),
+      receiverName: await nameOf(activity.receivedByUserId),
+      groupName: group?.name,
+      // Deleted expenses and groups fall back to the group / the other person
+      href: expense
+        ? `/expenses/${expense._id}`
+        : group
+          ? `/groups/${group._id}`
+          : otherUserId
+            ? `/person/${otherUserId}`
+            : null,
+    });
+  }
+  return described;
+}
+
+// ----------- Header Bell -----------
+
+// Latest notifications of the current user and how many are unread
+export const getMyNotifications = query({
+  handler: async (ctx) => {
+    const me = await ctx.runQuery(internal.users.getCurrentUser);
+
+    const notifications = await ctx.db
+      .query("notifications")
+      .withIndex("by_user", (q) => q.eq("userId", me._id))
+      .order("desc")
+      .take(FEED_LIMIT);
+
+    const unread = await ctx.db
+      .query("notifications")
+      .withIndex("by_user_and_read", (q) =>
+        q.eq("userId", me._id).eq("read", false)
+      )
+      .collect();
+
+    const activities = (
+      await Promise.all(notifications.map((n) => ctx.db.get(n.activityId)))
+    ).filter(Boolean);
+    const described = await describeActivities(ctx, me, activities);
+
+    return {
+      notifications: notifications
+        .map((n) => ({
+          ...described.find((a) => a._id === n.activityId),
+          _id: n._id,
+          read: n.read,
+        }))
+        .filter((n) => n.type),
+      unreadCount: unread.length,
+    };
+  },
+});
+
+// Mark notifications as read (all of them when `notificationIds` is omitted)
+export const markNotificationsRead = mutation({
+  args: { notificationIds: v.optional(v.array(v.id("notifications"))) },
+  handler: async (ctx, { notificationIds }) => {
+    const me = await ctx.runQuery(internal.users.getCurrentUser);
+
+    const notifications = notificationIds
+      ? await Promise.all(notificationIds.map((id) => ctx.db.get(id)))
+      : await ctx.db
+          .query("notifications")
+          .withIndex("by_user_and_read", (q) =>
+            q.eq("userId", me._id).eq("read", false)
+          )
+          .collect();
+
+    for (const n of notifications) {
+      if (n && n.userId === me._id && !n.read) {
+        await ctx.db.patch(n._id, { read: true });
+      }
+    }
+  },
+});
+
+// ----------- Dashboard -----------
+
+// Recent activity in the current user's groups and with their contacts
+export const getRecentActivity = query({
+  args: { limit: v.optional(v.number()) },
+  handler: async (ctx, { limit = 10 }) => {
+    const me = await ctx.runQuery(internal.users.getCurrentUser);
+
+    // Everything that happened in my groups…
+    const groups = (await ctx.db.query("groups").collect()).filter((group) =>
+      group.members.some((m) => m.userId === me._id)
+    );
+    const groupActivities = await Promise.all(
+      groups.map((group) =>
+        ctx.db
+          .query("activities")
+          .withIndex("by_group_and_created", (q) => q.eq("groupId", group._id))
+          .order("desc")
+          .take(limit)
+      )
+    );
+
+    // …and one-on-one activity I was part of
+    const notifications = await ctx.db
+      .query("notifications")
+      .withIndex("by_user", (q) => q.eq("userId", me._id))
+      .order("desc")
+      .take(limit * 5);
+    const oneToOne = (
+      await Promise.all(notifications.map((n) => ctx.db.get(n.activityId)))
+    ).filter((a) => a && !a.groupId);
+
+    const recent = [...groupActivities.flat(), ...oneToOne]
+      .sort((a, b) => b.createdAt - a.createdAt)
+      .slice(0, limit);
+
+    return await describeActivities(ctx, me, recent);
+  },
+});
@@ -0,0 +1,109 @@
+import { mutation, query } from "./_generated/server";
+import { v } from "convex/values";
+import { internal } from "./_generated/api";
+import { canViewExpense } from "./lib/expenses";
+import { assertJobSecret } from "./lib/jobs";
+
+// Uploads not attached to an expense within this long are deleted
+const UNATTACHED_UPLOAD_TTL = 24 * 60 * 60 * 1000;
+
+// Uploads deleted per sweepUnattachedUploads call
+const SWEEP_BATCH = 100;
+
+// Short-lived URL the browser uploads a receipt to; the storage id it gets
+// back is registered with recordUpload, then passed to createExpense /
+// updateExpense
+export const generateUploadUrl = mutation({
+  handler: async (ctx) => {
+    await ctx.runQuery(internal.users.getCurrentUser);
+    return await ctx.storage.generateUploadUrl();
+  },
+});
+
+// Claim a file just uploaded as the current user's; only the uploader can
+// attach it to an expense (see storedAttachments)
+export const recordUpload = mutation({
+  args: { storageId: v.id("_storage") },
+  handler: async (ctx, { storageId }) => {
+    const me = await ctx.runQuery(internal.users.getCurrentUser);
+
+    const existing = await ctx.db
+      .query("uploads")
+      .withIndex("by_storage", (q) => q.eq("storageId", storageId))
+      .unique();
+    if (existing) throw new Error("This file is already in use");
+    if (!(await ctx.db.system.get(storageId))) {
+      throw new Error("File not found");
+    }
+
+    await ctx.db.insert("uploads", {
+      storageId,
+      uploadedBy: me._id,
+      uploadedAt: Date.now(),
+    });
+  },
+});
+
+/* ──────────────────────────────────────────────────────────────────────────
+   getAttachmentFile – where to fetch one of an expense's attachments
+   ----------------------------------------------------------------------------
+   Only for people who can see the expense (anyone involved, or a member of
+   its group). Used by app/api/attachments, which streams the file, so the
+   storage URL itself never reaches the browser.
+   ──────────────────────────────────────────────────────────────────────── */
+export const getAttachmentFile = query({
+  args: { expenseId: v.id("expenses"), storageId: v.id("_storage") },
+  handler: async (ctx, { expenseId, storageId }) => {
+    const me = await ctx.runQuery(internal.users.getCurrentUser);
+
+    const expense = await ctx.db.get(expenseId);
+    const group = expense?.groupId ? await ctx.db.get(expense.groupId) : null;
+    const attachment = expense?.attachments?.find(
+      (a) => a.storageId === storageId
+    );
+    if (!attachment || !canViewExpense(expense, group, me._id)) {
+      throw new Error("Attachment not found");
+    }
+
+    const url = await ctx.storage.getUrl(storageId);
+    if (!url) throw new Error("Attachment not found");
+
+    return {
+      url,
+      name: attachment.name,
+      contentType: attachment.contentType,
+    };
+  },
+});
+
+/* ──────────────────────────────────────────────────────────────────────────
+   sweepUnattachedUploads – delete files that never made it onto an expense
+   ----------------------------------------------------------------------------
+   Called by the hourly Inngest cron in lib/inngest/functions.js. Uploads
+   recorded more than a day ago and still unattached (the form was
+   abandoned) lose their row and their file, a batch at a time: call again
+   while `isDone` is false.
+   ──────────────────────────────────────────────────────────────────────── */
+export const sweepUnattachedUploads = mutation({
+  args: { secret: v.string() },
+  handler: async (ctx, { secret }) => {
+    assertJobSecret(secret);
+
+    const cutoff = Date.now() - UNATTACHED_UPLOAD_TTL;
+    const stale = await ctx.db
+      .query("uploads")
+      .withIndex("by_expense_and_uploaded", (q) =>
+        q.eq("expenseId", undefined).lt("uploadedAt", cutoff)
+      )
+      .take(SWEEP_BATCH);
+
+    for (const upload of stale) {
+      if (await ctx.db.system.get(upload.storageId)) {
+        await ctx.storage.delete(upload.storageId);
+      }
+      await ctx.db.delete(upload._id);
+    }
+
+    return { deleted: stale.length, isDone: stale.length < SWEEP_BATCH };
+  },
+});
@@ -0,0 +1,26 @@
+import { query } from "./_generated/server";
+import { v } from "convex/values";
+import { internal } from "./_generated/api";
+import { suggestExpenseCategory } from "./lib/categories";
+
+// Category suggestion while an expense's description is typed; the same
+// one createExpense applies when no category is sent
+export const suggestCategory = query({
+  args: {
+    description: v.string(),
+    groupId: v.optional(v.id("groups")),
+  },
+  handler: async (ctx, { description, groupId }) => {
+    const me = await ctx.runQuery(internal.users.getCurrentUser);
+
+    // Only members learn from a group's habits
+    const group = groupId ? await ctx.db.get(groupId) : null;
+    const isMember = group?.members.some((m) => m.userId === me._id);
+
+    return await suggestExpenseCategory(ctx, {
+      userId: me._id,
+      groupId: isMember ? groupId : undefined,
+      description,
+    });
+  },
+});
@@ -2,6 +2,9 @@
 import { query, mutation } from "./_generated/server";
 import { v } from "convex/values";
 import { internal } from "./_generated/api";
+import { assertSupportedCurrency, DEFAULT_CURRENCY } from "./lib/currency";
+import { expensePayers } from "./lib/balances";
+import { recordActivity } from "./lib/activity";
 
 /* ──────────────────────────────────────────────────────────────────────────
    1. getAllContacts – 1‑to‑1 expense contacts + groups
@@ -37,6 +40,7 @@ export const getAllContacts = query({
         Then filter to keep only expenses where:
         1. paidByUserId is NOT the current user (someone else paid)
         2. Current user is in the splits array (you owe money for this expense)
+           or is one of several payers
         This gives us expenses where others paid but we're part of the split
     */    
     const expensesNotPaidByYou = (
@@ -47,7 +51,8 @@ export const getAllContacts = query({
     ).filter(
       (e) =>
         e.paidByUserId !== currentUser._id &&
-        e.splits.some((s) => s.userId === currentUser._id)
+        (e.splits.some((s) => s.userId === currentUser._id) ||
+          expensePayers(e).some((p) => p.userId === currentUser._id))
     );
 
     /* ── combine all personal expenses ──────────────────────────────────── */
@@ -61,15 +66,16 @@ export const getAllContacts = query({
     /*
         Goal: find all unique user IDs that the current user has financial interactions with
         Loop through all personal expenses and collect user IDs from:
-        1. paidByUserId (if it's not the current user) - who paid for expenses you're involved in
+        1. payers (except the current user) - who paid for expenses you're involved in
         2. splits array (excluding current user) - who you share expenses with
         Use Set to ensure uniqueness and avoid duplicate contacts
     */
     const contactIds = new Set();
     personalExpenses.forEach((exp) => {
       // If someone else paid this expense, add them as a contact
-      if (exp.paidByUserId !== currentUser._id)
-        contactIds.add(exp.paidByUserId);
+      expensePayers(exp).forEach((p) => {
+        if (p.userId !== currentUser._id) contactIds.add(p.userId);
+      });
 
       // Add all users from splits (except current user) as contacts
       exp.splits.forEach((s) => {
@@ -77,6 +83,15 @@ export const getAllContacts = query({
       });
     });
 
+    // People you invited by email are contacts before any expense with them
+    const invited = await ctx.db
+      .query("users")
+      .withIndex("by_invited_by", (q) => q.eq("invitedBy", currentUser._id))
+      .collect();
+    invited.forEach((u) => {
+      if (u.isPlaceholder) contactIds.add(u._id);
+    });
+
     /* ── fetch user documents for contacts ─────────────────────────────── */
     /*
         Goal: get full user information for each contact ID
@@ -94,6 +109,7 @@ export const getAllContacts = query({
               name: u.name,
               email: u.email,
               imageUrl: u.imageUrl,
+              isPlaceholder: u.isPlaceholder ?? false,
               type: "user", // distinguish from groups
             }
           : null;
@@ -109,16 +125,24 @@ export const getAllContacts = query({
         4. Include member count for display purposes
         5. Mark type as "group" to distinguish from individual users
     */
-    const userGroups = (await ctx.db.query("groups").collect())
+    const allUserGroups = (await ctx.db.query("groups").collect())
       .filter((g) => g.members.some((m) => m.userId === currentUser._id))
       .map((g) => ({
         id: g._id,
         name: g.name,
         description: g.description,
         memberCount: g.members.length,
+        archivedAt: g.archivedAt,
         type: "group",
       }));
 
+    /*
+        Archived groups are listed separately so old trips don't clutter
+        the main list
+    */
+    const userGroups = allUserGroups.filter((g) => !g.archivedAt);
+    const archivedGroups = allUserGroups.filter((g) => g.archivedAt);
+
     /* ── sort results alphabetically ───────────────────────────────────── */
     /*
         Sort both users and groups alphabetically by name for better UX
@@ -127,6 +151,7 @@ export const getAllContacts = query({
     */
     contactUsers.sort((a, b) => a?.name.localeCompare(b?.name));
     userGroups.sort((a, b) => a.name.localeCompare(b.name));
+    archivedGroups.sort((a, b) => b.archivedAt - a.archivedAt);
 
     /* ── return combined results ───────────────────────────────────────── */
     /*
@@ -134,7 +159,11 @@ export const getAllContacts = query({
         Filter out any null users (from deleted accounts)
         This gives the frontend everything needed to display contacts
     */
-    return { users: contactUsers.filter(Boolean), groups: userGroups };
+    return {
+      users: contactUsers.filter(Boolean),
+      groups: userGroups,
+      archivedGroups,
+    };
   },
 });
 
@@ -145,6 +174,7 @@ export const createGroup = mutation({
   args: {
     name: v.string(),
     description: v.optional(v.string()),
+    baseCurrency: v.optional(v.string()),
     members: v.array(v.id("users")),
   },
   handler: async (ctx, args) => {
@@ -162,6 +192,15 @@ export const createGroup = mutation({
     */
     if (!args.name.trim()) throw new Error("Group name cannot be empty");
 
+    /* ── validate base currency ────────────────────────────────────────── */
+    /*
+        Balances in the group are converted into this currency
+        Defaults to the creator's own base currency
+    */
+    const baseCurrency =
+      args.baseCurrency ?? currentUser.baseCurrency ?? DEFAULT_CURRENCY;
+    assertSupportedCurrency(baseCurrency);
+
     /* ── prepare unique member list ─────────────────────────────────────── */
     /*
         Create a Set to ensure unique member IDs (no duplicates)
@@ -191,9 +230,10 @@ export const createGroup = mutation({
         - Creator gets "admin" role, others get "member" role
         - All members get current timestamp as joinedAt
     */
-    return await ctx.db.insert("groups", {
+    const groupId = await ctx.db.insert("groups", {
       name: args.name.trim(),
       description: args.description?.trim() ?? "",
+      baseCurrency,
       createdBy: currentUser._id,
       members: [...uniqueMembers].map((id) => ({
         userId: id,
@@ -201,5 +241,19 @@ export const createGroup = mutation({
         joinedAt: Date.now(),
       })),
     });
+
+    /* ── tell the members ──────────────────────────────────────────────── */
+    /*
+        Everyone added to the group sees it in their activity feed
+    */
+    await recordActivity(ctx, {
+      type: "group_created",
+      actorId: currentUser._id,
+      groupId,
+      description: args.name.trim(),
+      userIds: [...uniqueMembers],
+    });
+
+    return groupId;
   },
 });
\ No newline at end of file
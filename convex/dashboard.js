@@ -1,71 +1,26 @@
 import { query } from "./_generated/server";
+import { v } from "convex/values";
 import { internal } from "./_generated/api";
+import { DEFAULT_CURRENCY, getFxConverter } from "./lib/currency";
+import { countsTowardsBalance, expenseDebts } from "./lib/balances";
+import { getOneToOneBalances } from "./lib/outstanding";
 
 // Get user balances
 export const getUserBalances = query({
-  handler: async (ctx) => {
+  args: {
+    includePending: v.optional(v.boolean()), // count payments not yet confirmed
+  },
+  handler: async (ctx, { includePending }) => {
     // Get current user information
     const user = await ctx.runQuery(internal.users.getCurrentUser);
 
-    /* ───────────── 1‑to‑1 expenses (no groupId) ───────────── */
-    // Filter expenses to only include 1-to-1 expenses where user is involved
-    const expenses = (await ctx.db.query("expenses").collect()).filter(
-      (e) =>
-        !e.groupId && // 1‑to‑1 only
-        (e.paidByUserId === user._id ||
-          e.splits.some((s) => s.userId === user._id))
-    );
-
-    /* Initialize balance tracking variables and objects */
-    let youOwe = 0;
-    let youAreOwed = 0;
-    const balanceByUser = {};
-
-    // Process each expense to calculate balances
-    for (const e of expenses) {
-      const isPayer = e.paidByUserId === user._id;
-      const mySplit = e.splits.find((s) => s.userId === user._id);
-
-      // If user paid the expense, calculate how much others owe them
-      if (isPayer) {
-        for (const s of e.splits) {
-          if (s.userId === user._id || s.paid) continue;
-          youAreOwed += s.amount;
-          (balanceByUser[s.userId] ??= { owed: 0, owing: 0 }).owed += s.amount;
-        }
-      } 
-      // If user didn't pay but owes money for this expense
-      else if (mySplit && !mySplit.paid) {
-        youOwe += mySplit.amount;
-        (balanceByUser[e.paidByUserId] ??= { owed: 0, owing: 0 }).owing +=
-          mySplit.amount;
-      }
-    }
-
-    /* ───────────── 1‑to‑1 settlements (no groupId) ───────────── */
-    // Get settlements where user is involved (either paid or received)
-    const settlements = (await ctx.db.query("settlements").collect()).filter(
-      (s) =>
-        !s.groupId &&
-        (s.paidByUserId === user._id || s.receivedByUserId === user._id)
+    // Everything is tallied in the user's base currency
+    const { youOwe, youAreOwed, balanceByUser, fx } = await getOneToOneBalances(
+      ctx,
+      user,
+      { includePending }
     );
 
-    // Apply settlements to adjust balances
-    for (const s of settlements) {
-      // If user made the settlement payment
-      if (s.paidByUserId === user._id) {
-        youOwe -= s.amount;
-        (balanceByUser[s.receivedByUserId] ??= { owed: 0, owing: 0 }).owing -=
-          s.amount;
-      } 
-      // If user received the settlement payment
-      else {
-        youAreOwed -= s.amount;
-        (balanceByUser[s.paidByUserId] ??= { owed: 0, owing: 0 }).owed -=
-          s.amount;
-      }
-    }
-
     /* Build formatted lists for UI display */
     const youOweList = [];
     const youAreOwedByList = [];
@@ -93,6 +48,8 @@ export const getUserBalances = query({
       youAreOwed,
       totalBalance: youAreOwed - youOwe,
       oweDetails: { youOwe: youOweList, youAreOwedBy: youAreOwedByList },
+      currency: fx.currency,
+      ratesUsed: fx.ratesUsed(),
     };
   },
 });
@@ -113,12 +70,16 @@ export const getTotalSpent = query({
       .withIndex("by_date", (q) => q.gte("date", startOfYear))
       .collect();
 
-    // Filter expenses to only include those where user is involved
-    const userExpenses = expenses.filter(
-      (expense) =>
-        expense.paidByUserId === user._id ||
-        expense.splits.some((split) => split.userId === user._id)
-    );
+    // Filter expenses to only include those where user is involved,
+    // expressed in the user's base currency
+    const fx = await getFxConverter(ctx, user.baseCurrency ?? DEFAULT_CURRENCY);
+    const userExpenses = expenses
+      .filter(
+        (expense) =>
+          expense.paidByUserId === user._id ||
+          expense.splits.some((split) => split.userId === user._id)
+      )
+      .map(fx.convertExpense);
 
     // Calculate user's total personal spending (only their share)
     let totalSpent = 0;
@@ -151,12 +112,15 @@ export const getMonthlySpending = query({
       .withIndex("by_date", (q) => q.gte("date", startOfYear))
       .collect();
 
-    // Filter for expenses where user is involved
-    const userExpenses = allExpenses.filter(
-      (expense) =>
-        expense.paidByUserId === user._id ||
-        expense.splits.some((split) => split.userId === user._id)
-    );
+    // Filter for expenses where user is involved, in the user's base currency
+    const fx = await getFxConverter(ctx, user.baseCurrency ?? DEFAULT_CURRENCY);
+    const userExpenses = allExpenses
+      .filter(
+        (expense) =>
+          expense.paidByUserId === user._id ||
+          expense.splits.some((split) => split.userId === user._id)
+      )
+      .map(fx.convertExpense);
 
     // Initialize monthly totals object
     const monthlyTotals = {};
@@ -201,63 +165,67 @@ export const getMonthlySpending = query({
 
 // Get groups for the current user
 export const getUserGroups = query({
-  handler: async (ctx) => {
+  args: {
+    includePending: v.optional(v.boolean()), // count payments not yet confirmed
+  },
+  handler: async (ctx, { includePending }) => {
     // Get current user information
     const user = await ctx.runQuery(internal.users.getCurrentUser);
 
     // Fetch all groups from database
     const allGroups = await ctx.db.query("groups").collect();
 
-    // Filter to only groups where user is a member
-    const groups = allGroups.filter((group) =>
-      group.members.some((member) => member.userId === user._id)
+    // Filter to only groups where user is a member (archived ones are hidden)
+    const groups = allGroups.filter(
+      (group) =>
+        !group.archivedAt &&
+        group.members.some((member) => member.userId === user._id)
     );
 
     // Calculate balances for each group the user belongs to
     const enhancedGroups = await Promise.all(
       groups.map(async (group) => {
+        // Each group's balance is shown in its own base currency
+        const fx = await getFxConverter(
+          ctx,
+          group.baseCurrency ?? DEFAULT_CURRENCY
+        );
+
         // Get all expenses specific to this group
-        const expenses = await ctx.db
-          .query("expenses")
-          .withIndex("by_group", (q) => q.eq("groupId", group._id))
-          .collect();
+        const expenses = (
+          await ctx.db
+            .query("expenses")
+            .withIndex("by_group", (q) => q.eq("groupId", group._id))
+            .collect()
+        ).map(fx.convertExpense);
 
         let balance = 0;
 
         // Calculate net balance from expenses
         expenses.forEach((expense) => {
-          // If user paid the expense, others owe them
-          if (expense.paidByUserId === user._id) {
-            expense.splits.forEach((split) => {
-              if (split.userId !== user._id && !split.paid) {
-                balance += split.amount;
-              }
-            });
-          } 
-          // If someone else paid, user might owe them
-          else {
-            const userSplit = expense.splits.find(
-              (split) => split.userId === user._id
-            );
-            if (userSplit && !userSplit.paid) {
-              balance -= userSplit.amount;
-            }
-          }
+          expenseDebts(expense).forEach(({ from, to, amount }) => {
+            // If user paid (part of) the expense, others owe them
+            if (to === user._id) balance += amount;
+            // If someone else paid, user might owe them
+            else if (from === user._id) balance -= amount;
+          });
         });
 
         // Apply settlements to adjust the balance
-        const settlements = await ctx.db
-          .query("settlements")
-          .filter((q) =>
-            q.and(
-              q.eq(q.field("groupId"), group._id),
+        const settlements = (
+          await ctx.db
+            .query("settlements")
+            .withIndex("by_group", (q) => q.eq("groupId", group._id))
+            .filter((q) =>
               q.or(
                 q.eq(q.field("paidByUserId"), user._id),
                 q.eq(q.field("receivedByUserId"), user._id)
               )
             )
-          )
-          .collect();
+            .collect()
+        )
+          .filter((s) => countsTowardsBalance(s, includePending))
+          .map(fx.convertSettlement);
 
         // Process each settlement to update balance
         settlements.forEach((settlement) => {
@@ -275,6 +243,8 @@ export const getUserGroups = query({
           ...group,
           id: group._id,
           balance,
+          currency: fx.currency,
+          ratesUsed: fx.ratesUsed(),
         };
       })
     );
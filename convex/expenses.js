@@ -1,68 +1,282 @@
 import { mutation, query } from "./_generated/server";
+import { paginationOptsValidator } from "convex/server";
 import { v } from "convex/values";
 import { internal } from "./_generated/api";
+import { DEFAULT_CURRENCY, getFxConverter } from "./lib/currency";
+import {
+  countsTowardsBalance,
+  expenseDebts,
+  expensePayers,
+} from "./lib/balances";
+import {
+  canManageExpense,
+  canViewExpense,
+  itemizedSplits,
+  payersValidator,
+  splitsValidator,
+  validateExpense,
+} from "./lib/expenses";
+import { expenseUserIds, recordActivity } from "./lib/activity";
+import { assertGroupActive } from "./lib/groups";
+import { learnCategory, suggestExpenseCategory } from "./lib/categories";
+import {
+  attachmentsValidator,
+  claimAttachments,
+  deleteAttachments,
+  storedAttachments,
+} from "./lib/attachments";
+import { reallocateExpense, settlementsBetween } from "./lib/settlements";
+import {
+  expensesBetween,
+  participantRows,
+  syncExpenseParticipants,
+} from "./lib/participants";
+import { fromMinorUnits } from "../lib/money";
+
+// Validate and store a new expense for createExpense and importExpenses
+async function insertExpense(ctx, user, args) {
+  const group = args.groupId ? await ctx.db.get(args.groupId) : null;
+  const currency =
+    args.currency ??
+    group?.baseCurrency ??
+    user.baseCurrency ??
+    DEFAULT_CURRENCY;
+
+  // Itemized receipts: the splits come from the items
+  const itemized = args.splitType === "itemized";
+  const splits = itemized ? itemizedSplits(args) : args.splits;
+
+  await validateExpense(ctx, user, { ...args, currency, splits });
+
+  // Without a category the suggestion is used; a chosen one is learned from
+  const suggestion = await suggestExpenseCategory(ctx, {
+    userId: user._id,
+    groupId: args.groupId,
+    description: args.description,
+  });
+  if (args.category) {
+    await learnCategory(ctx, {
+      userId: user._id,
+      groupId: args.groupId,
+      description: args.description,
+      category: args.category,
+      suggested: suggestion?.category,
+    });
+  }
+
+  const attachments = args.attachments?.length
+    ? await storedAttachments(ctx, args.attachments, { userId: user._id })
+    : undefined;
+
+  // Create the expense
+  const expenseId = await ctx.db.insert("expenses", {
+    description: args.description,
+    amount: args.amount,
+    currency,
+    category: args.category || suggestion?.category || "Other",
+    date: args.date,
+    paidByUserId: args.paidByUserId,
+    payers: args.payers,
+    splitType: args.splitType,
+    splits,
+    items: itemized ? args.items : undefined,
+    extras: itemized ? args.extras : undefined,
+    groupId: args.groupId,
+    createdBy: user._id,
+    attachments,
+  });
+  await claimAttachments(ctx, attachments, expenseId);
+  await syncExpenseParticipants(ctx, expenseId);
+
+  return { expenseId, currency, splits };
+}
 
 // Create a new expense
 export const createExpense = mutation({
   args: {
     description: v.string(),
-    amount: v.number(),
-    category: v.optional(v.string()),
+    amount: v.number(), // integer minor units (paise, cents…)
+    currency: v.optional(v.string()), // defaults to the group's / creator's base currency
+    category: v.optional(v.string()), // suggested from the description when left out
     date: v.number(), // timestamp
-    paidByUserId: v.id("users"),
-    splitType: v.string(), // "equal", "percentage", "exact"
-    splits: v.array(
+    paidByUserId: v.id("users"), // main payer; one of `payers` when several paid
+    payers: v.optional(payersValidator), // only when several people paid
+    splitType: v.string(), // "equal", "percentage", "exact", "shares", "adjustment", "itemized"
+    splits: splitsValidator, // derived from `items` for "itemized" splits
+    items: v.optional(
+      v.array(
+        v.object({
+          name: v.string(),
+          amount: v.number(), // integer minor units
+          participantIds: v.array(v.id("users")),
+        })
+      )
+    ), // "itemized" splits only
+    extras: v.optional(
       v.object({
-        userId: v.id("users"),
-        amount: v.number(),
-        paid: v.boolean(),
+        tax: v.number(),
+        tip: v.number(),
+        serviceCharge: v.number(),
       })
-    ),
+    ), // "itemized" splits only, minor units
+    attachments: v.optional(attachmentsValidator), // receipts and photos
     groupId: v.optional(v.id("groups")),
   },
   handler: async (ctx, args) => {
     // Use centralized getCurrentUser function
     const user = await ctx.runQuery(internal.users.getCurrentUser);
 
-    // If there's a group, verify the user is a member
-    if (args.groupId) {
-      const group = await ctx.db.get(args.groupId);
-      if (!group) {
-        throw new Error("Group not found");
-      }
+    const { expenseId, currency, splits } = await insertExpense(ctx, user, args);
+
+    await recordActivity(ctx, {
+      type: "expense_created",
+      actorId: user._id,
+      groupId: args.groupId,
+      expenseId,
+      description: args.description,
+      amount: args.amount,
+      currency,
+      userIds: expenseUserIds({ ...args, splits }),
+    });
+
+    return expenseId;
+  },
+});
+
+// Update an existing expense, keeping the previous version in expenseHistory
+export const updateExpense = mutation({
+  args: {
+    expenseId: v.id("expenses"),
+    description: v.string(),
+    amount: v.number(), // integer minor units (paise, cents…)
+    currency: v.optional(v.string()), // defaults to the group's / creator's base currency
+    category: v.optional(v.string()), // keeps the current category when left out
+    date: v.number(), // timestamp
+    paidByUserId: v.id("users"), // main payer; one of `payers` when several paid
+    payers: v.optional(payersValidator), // only when several people paid
+    splitType: v.string(), // "equal", "percentage", "exact", "shares", "adjustment", "itemized"
+    splits: splitsValidator, // derived from `items` for "itemized" splits
+    items: v.optional(
+      v.array(
+        v.object({
+          name: v.string(),
+          amount: v.number(), // integer minor units
+          participantIds: v.array(v.id("users")),
+        })
+      )
+    ), // "itemized" splits only
+    extras: v.optional(
+      v.object({
+        tax: v.number(),
+        tip: v.number(),
+        serviceCharge: v.number(),
+      })
+    ), // "itemized" splits only, minor units
+    attachments: v.optional(attachmentsValidator), // the full new list; removed files are deleted
+  },
+  handler: async (ctx, args) => {
+    const user = await ctx.runQuery(internal.users.getCurrentUser);
+
+    const expense = await ctx.db.get(args.expenseId);
+    if (!expense) {
+      throw new Error("Expense not found");
+    }
+
+    // Same rule as deleteExpense: only the creator or a payer can edit
+    if (!canManageExpense(expense, user._id)) {
+      throw new Error("You don't have permission to edit this expense");
+    }
 
-      const isMember = group.members.some(
-        (member) => member.userId === user._id
+    const currency = args.currency ?? expense.currency ?? DEFAULT_CURRENCY;
+
+    // Itemized receipts: the splits come from the items
+    const itemized = args.splitType === "itemized";
+    const computedSplits = itemized ? itemizedSplits(args) : args.splits;
+
+    // An expense can't move between groups, so re-run the checks against its own group
+    await validateExpense(ctx, user, {
+      ...args,
+      currency,
+      splits: computedSplits,
+      groupId: expense.groupId,
+    });
+
+    // What was already settled stays settled, as far as it still applies
+    const splits = await reallocateExpense(ctx, expense, {
+      ...args,
+      currency,
+      splits: computedSplits,
+    });
+
+    // Attachments left out of the new list are deleted for good (they
+    // aren't part of the history)
+    let attachments = expense.attachments;
+    if (args.attachments) {
+      attachments = args.attachments.length
+        ? await storedAttachments(ctx, args.attachments, {
+            userId: user._id,
+            expense,
+          })
+        : undefined;
+      const keptIds = args.attachments.map((a) => a.storageId);
+      await deleteAttachments(
+        ctx,
+        (expense.attachments ?? []).filter((a) => !keptIds.includes(a.storageId))
       );
-      if (!isMember) {
-        throw new Error("You are not a member of this group");
-      }
+      await claimAttachments(ctx, attachments, expense._id);
     }
 
-    // Verify that splits add up to the total amount (with small tolerance for floating point issues)
-    const totalSplitAmount = args.splits.reduce(
-      (sum, split) => sum + split.amount,
-      0
-    );
-    const tolerance = 0.01; // Allow for small rounding errors
-    if (Math.abs(totalSplitAmount - args.amount) > tolerance) {
-      throw new Error("Split amounts must add up to the total expense amount");
+    // A new category is a correction to learn from
+    const category = args.category || expense.category;
+    if (category !== expense.category) {
+      await learnCategory(ctx, {
+        userId: user._id,
+        groupId: expense.groupId,
+        description: args.description,
+        category,
+        suggested: expense.category,
+        previous: expense.category,
+      });
     }
 
-    // Create the expense
-    const expenseId = await ctx.db.insert("expenses", {
+    // Keep the version being replaced so members can see what changed
+    await ctx.db.insert("expenseHistory", {
+      expenseId: expense._id,
+      editedBy: user._id,
+      editedAt: Date.now(),
+      previous: {
+        description: expense.description,
+        amount: expense.amount,
+        currency: expense.currency,
+        category: expense.category,
+        date: expense.date,
+        paidByUserId: expense.paidByUserId,
+        payers: expense.payers,
+        splitType: expense.splitType,
+        splits: expense.splits,
+        items: expense.items,
+        extras: expense.extras,
+      },
+    });
+
+    await ctx.db.patch(expense._id, {
       description: args.description,
       amount: args.amount,
-      category: args.category || "Other",
+      currency,
+      category,
       date: args.date,
       paidByUserId: args.paidByUserId,
+      payers: args.payers,
       splitType: args.splitType,
-      splits: args.splits,
-      groupId: args.groupId,
-      createdBy: user._id,
+      splits,
+      items: itemized ? args.items : undefined,
+      extras: itemized ? args.extras : undefined,
+      attachments,
+      updatedAt: Date.now(),
     });
+    await syncExpenseParticipants(ctx, expense._id);
 
-    return expenseId;
+    return expense._id;
   },
 });
 
@@ -70,86 +284,43 @@ export const createExpense = mutation({
 
 // Get expenses between current user and a specific person
 export const getExpensesBetweenUsers = query({
-  args: { userId: v.id("users") },
-  handler: async (ctx, { userId }) => {
+  args: {
+    userId: v.id("users"),
+    includePending: v.optional(v.boolean()), // count payments not yet confirmed
+  },
+  handler: async (ctx, { userId, includePending }) => {
     const me = await ctx.runQuery(internal.users.getCurrentUser);
     if (me._id === userId) throw new Error("Cannot query yourself");
 
-    /* ───── 1. One-on-one expenses where either user is the payer ───── */
-    // Use the compound index (`paidByUserId`,`groupId`) with groupId = undefined
-    const myPaid = await ctx.db
-      .query("expenses")
-      .withIndex("by_user_and_group", (q) =>
-        q.eq("paidByUserId", me._id).eq("groupId", undefined)
-      )
-      .collect();
-
-    const theirPaid = await ctx.db
-      .query("expenses")
-      .withIndex("by_user_and_group", (q) =>
-        q.eq("paidByUserId", userId).eq("groupId", undefined)
-      )
-      .collect();
-
-    // Merge → candidate set is now just the rows either of us paid for
-    const candidateExpenses = [...myPaid, ...theirPaid];
+    /* ───── 1. One-on-one expenses we're both on, newest first ─────── */
+    // Either of us may be one of several payers, payer or split alike
+    const expenses = await expensesBetween(ctx, me._id, userId);
 
-    /* ───── 2. Keep only rows where BOTH are involved (payer or split) ─ */
-    const expenses = candidateExpenses.filter((e) => {
-      // me is always involved (I’m the payer OR in splits – verified below)
-      const meInSplits = e.splits.some((s) => s.userId === me._id);
-      const themInSplits = e.splits.some((s) => s.userId === userId);
-
-      const meInvolved = e.paidByUserId === me._id || meInSplits;
-      const themInvolved = e.paidByUserId === userId || themInSplits;
-
-      return meInvolved && themInvolved;
-    });
-
-    expenses.sort((a, b) => b.date - a.date);
-
-    /* ───── 3. Settlements between the two of us (groupId = undefined) ─ */
-    const settlements = await ctx.db
-      .query("settlements")
-      .filter((q) =>
-        q.and(
-          q.eq(q.field("groupId"), undefined),
-          q.or(
-            q.and(
-              q.eq(q.field("paidByUserId"), me._id),
-              q.eq(q.field("receivedByUserId"), userId)
-            ),
-            q.and(
-              q.eq(q.field("paidByUserId"), userId),
-              q.eq(q.field("receivedByUserId"), me._id)
-            )
-          )
-        )
-      )
-      .collect();
+    /* ───── 2. Settlements between the two of us (groupId = undefined) ─ */
+    const settlements = await settlementsBetween(ctx, me._id, userId);
 
     settlements.sort((a, b) => b.date - a.date);
 
-    /* ───── 4. Compute running balance ──────────────────────────────── */
+    /* ───── 3. Compute running balance (in my base currency) ─────────── */
+    const fx = await getFxConverter(ctx, me.baseCurrency ?? DEFAULT_CURRENCY);
     let balance = 0;
 
-    for (const e of expenses) {
-      if (e.paidByUserId === me._id) {
-        const split = e.splits.find((s) => s.userId === userId && !s.paid);
-        if (split) balance += split.amount; // they owe me
-      } else {
-        const split = e.splits.find((s) => s.userId === me._id && !s.paid);
-        if (split) balance -= split.amount; // I owe them
+    for (const e of expenses.map(fx.convertExpense)) {
+      for (const { from, to, amount } of expenseDebts(e)) {
+        if (from === userId && to === me._id) balance += amount; // they owe me
+        if (from === me._id && to === userId) balance -= amount; // I owe them
       }
     }
 
-    for (const s of settlements) {
+    for (const s of settlements
+      .filter((st) => countsTowardsBalance(st, includePending))
+      .map(fx.convertSettlement)) {
       if (s.paidByUserId === me._id)
         balance += s.amount; // I paid them back
       else balance -= s.amount; // they paid me back
     }
 
-    /* ───── 5. Return payload ───────────────────────────────────────── */
+    /* ───── 4. Return payload ───────────────────────────────────────── */
     const other = await ctx.db.get(userId);
     if (!other) throw new Error("User not found");
 
@@ -163,6 +334,214 @@ export const getExpensesBetweenUsers = query({
         imageUrl: other.imageUrl,
       },
       balance,
+      currency: fx.currency,
+      ratesUsed: fx.ratesUsed(),
+    };
+  },
+});
+
+// ----------- Expense search -----------
+
+/* ============================================================================
+ *  QUERY: searchExpenses
+ *  One page of expenses, newest first, for usePaginatedQuery. Scoped to a
+ *  group (groupId), to my 1-to-1 expenses with someone (otherUserId), or
+ *  else to every expense I'm part of. Groups page through the expenses
+ *  index, the others through my expenseParticipants rows; both narrow by
+ *  date range. The other filters (text is a case-insensitive substring of
+ *  the description) apply to each page, so a page can come back shorter
+ *  than asked.
+ * -------------------------------------------------------------------------- */
+export const searchExpenses = query({
+  args: {
+    paginationOpts: paginationOptsValidator,
+    groupId: v.optional(v.id("groups")),
+    otherUserId: v.optional(v.id("users")),
+    text: v.optional(v.string()), // matched against the description
+    category: v.optional(v.string()),
+    payerId: v.optional(v.id("users")),
+    participantId: v.optional(v.id("users")), // has a share of it
+    // In the expense's own currency, major units (12.5 is ₹12.50 or $12.50)
+    minAmount: v.optional(v.number()),
+    maxAmount: v.optional(v.number()),
+    fromDate: v.optional(v.number()), // timestamps, inclusive
+    toDate: v.optional(v.number()),
+  },
+  handler: async (ctx, args) => {
+    const me = await ctx.runQuery(internal.users.getCurrentUser);
+
+    if (args.groupId) {
+      const group = await ctx.db.get(args.groupId);
+      if (!group) throw new Error("Group not found");
+      if (!group.members.some((m) => m.userId === me._id))
+        throw new Error("You are not a member of this group");
+    }
+    if (args.otherUserId === me._id) throw new Error("Cannot query yourself");
+
+    const text = args.text?.trim().toLowerCase();
+    const inDateRange = (q) => {
+      if (args.fromDate !== undefined) q = q.gte("date", args.fromDate);
+      if (args.toDate !== undefined) q = q.lte("date", args.toDate);
+      return q;
+    };
+
+    /* ───── 1. as much as the indexes can do ──────────────────────────── */
+    let result;
+    if (args.groupId) {
+      let results = ctx.db
+        .query("expenses")
+        .withIndex("by_group_and_date", (q) =>
+          inDateRange(q.eq("groupId", args.groupId))
+        )
+        .order("desc");
+      if (args.category) {
+        results = results.filter((q) =>
+          q.eq(q.field("category"), args.category)
+        );
+      }
+      result = await results.paginate(args.paginationOpts);
+    } else {
+      // My participant rows, or only those of my 1-to-1 expenses with them
+      const rows = await participantRows(ctx, me._id, {
+        withUserId: args.otherUserId,
+        fromDate: args.fromDate,
+        toDate: args.toDate,
+      }).paginate(args.paginationOpts);
+      const expenses = await Promise.all(
+        rows.page.map((row) => ctx.db.get(row.expenseId))
+      );
+      result = { ...rows, page: expenses.filter(Boolean) };
+    }
+
+    /* ───── 2. the rest, on this page ─────────────────────────────────── */
+    const matches = (e) => {
+      if (text && !e.description.toLowerCase().includes(text)) return false;
+      if (args.category && e.category !== args.category) return false;
+      if (args.payerId && !expensePayers(e).some((p) => p.userId === args.payerId))
+        return false;
+      if (args.participantId && !e.splits.some((s) => s.userId === args.participantId))
+        return false;
+
+      const amount = fromMinorUnits(e.amount, e.currency ?? DEFAULT_CURRENCY);
+      if (args.minAmount !== undefined && amount < args.minAmount) return false;
+      if (args.maxAmount !== undefined && amount > args.maxAmount) return false;
+      return true;
+    };
+    const page = result.page.filter(matches);
+
+    /* ───── 3. names for everyone on the page ─────────────────────────── */
+    const userIds = [...new Set(page.flatMap(expenseUserIds))];
+    const users = await Promise.all(userIds.map((id) => ctx.db.get(id)));
+    const people = Object.fromEntries(
+      users
+        .filter(Boolean)
+        .map((u) => [u._id, { id: u._id, name: u.name, imageUrl: u.imageUrl }])
+    );
+
+    return {
+      ...result,
+      // Each expense carries the people on it, for the list's name lookup
+      page: page.map((e) => ({
+        ...e,
+        people: Object.fromEntries(
+          expenseUserIds(e)
+            .filter((id) => people[id])
+            .map((id) => [id, people[id]])
+        ),
+      })),
+    };
+  },
+});
+
+// ----------- Expense Details Page -----------
+
+// Fields compared when describing what an edit changed
+const TRACKED_FIELDS = [
+  "description",
+  "amount",
+  "currency",
+  "category",
+  "date",
+  "paidByUserId",
+  "payers",
+  "splitType",
+  "splits",
+  "items",
+  "extras",
+];
+
+// Get a single expense with its participants and edit history
+export const getExpenseById = query({
+  args: { expenseId: v.id("expenses") },
+  handler: async (ctx, { expenseId }) => {
+    const me = await ctx.runQuery(internal.users.getCurrentUser);
+
+    const expense = await ctx.db.get(expenseId);
+    if (!expense) throw new Error("Expense not found");
+
+    /* ───── 1. Access: anyone involved, or any member of its group ───── */
+    const group = expense.groupId ? await ctx.db.get(expense.groupId) : null;
+    if (!canViewExpense(expense, group, me._id)) {
+      throw new Error("You don't have access to this expense");
+    }
+
+    /* ───── 2. Participants (group members for group expenses) ──────── */
+    const participantIds = group
+      ? group.members.map((m) => m.userId)
+      : [
+          ...new Set([
+            ...expensePayers(expense).map((p) => p.userId),
+            ...expense.splits.map((s) => s.userId),
+          ]),
+        ];
+
+    const participants = (
+      await Promise.all(participantIds.map((id) => ctx.db.get(id)))
+    )
+      .filter(Boolean)
+      .map((u) => ({
+        id: u._id,
+        name: u.name,
+        email: u.email,
+        imageUrl: u.imageUrl,
+      }));
+
+    /* ───── 3. History, newest first, each diffed against its successor */
+    const history = await ctx.db
+      .query("expenseHistory")
+      .withIndex("by_expense", (q) => q.eq("expenseId", expenseId))
+      .collect();
+    history.sort((a, b) => b.editedAt - a.editedAt);
+
+    const revisions = await Promise.all(
+      history.map(async (entry, idx) => {
+        // The newest entry was replaced by the current expense
+        const next = idx === 0 ? expense : history[idx - 1].previous;
+        const editor = await ctx.db.get(entry.editedBy);
+
+        return {
+          id: entry._id,
+          editedAt: entry.editedAt,
+          editedBy: { id: entry.editedBy, name: editor?.name ?? "Unknown" },
+          changes: TRACKED_FIELDS.filter(
+            (field) =>
+              JSON.stringify(entry.previous[field]) !==
+              JSON.stringify(next[field])
+          ).map((field) => ({
+            field,
+            from: entry.previous[field],
+            to: next[field],
+          })),
+        };
+      })
+    );
+
+    return {
+      expense,
+      group: group ? { id: group._id, name: group.name } : null,
+      participants,
+      history: revisions,
+      canEdit: canManageExpense(expense, me._id),
     };
   },
 });
@@ -183,42 +562,123 @@ export const deleteExpense = mutation({
     }
 
     // Check if user is authorized to delete this expense
-    // Only the creator of the expense or the payer can delete it
-    if (expense.createdBy !== user._id && expense.paidByUserId !== user._id) {
+    // Only the creator of the expense or one of its payers can delete it
+    if (!canManageExpense(expense, user._id)) {
       throw new Error("You don't have permission to delete this expense");
     }
 
-    // Delete any settlements that specifically reference this expense
-    // Since we can't use array.includes directly in the filter, we'll
-    // fetch all settlements and then filter in memory
-    const allSettlements = await ctx.db.query("settlements").collect();
+    // Archived groups are read-only
+    const group = expense.groupId ? await ctx.db.get(expense.groupId) : null;
+    if (group) assertGroupActive(group);
 
-    const relatedSettlements = allSettlements.filter(
-      (settlement) =>
-        settlement.relatedExpenseIds !== undefined &&
-        settlement.relatedExpenseIds.includes(args.expenseId)
-    );
+    // Settlements that paid it off no longer cover it; the money they
+    // moved still counts towards the balance
+    await reallocateExpense(ctx, expense, null);
 
-    for (const settlement of relatedSettlements) {
-      // Remove this expense ID from the relatedExpenseIds array
-      const updatedRelatedExpenseIds = settlement.relatedExpenseIds.filter(
-        (id) => id !== args.expenseId
-      );
+    // Drop the edit history along with the expense
+    const history = await ctx.db
+      .query("expenseHistory")
+      .withIndex("by_expense", (q) => q.eq("expenseId", args.expenseId))
+      .collect();
+    for (const entry of history) {
+      await ctx.db.delete(entry._id);
+    }
+
+    // Delete the expense and its receipts
+    await deleteAttachments(ctx, expense.attachments);
+    await ctx.db.delete(args.expenseId);
+    await syncExpenseParticipants(ctx, args.expenseId);
 
-      if (updatedRelatedExpenseIds.length === 0) {
-        // If this was the only related expense, delete the settlement
-        await ctx.db.delete(settlement._id);
-      } else {
-        // Otherwise update the settlement to remove this expense ID
-        await ctx.db.patch(settlement._id, {
-          relatedExpenseIds: updatedRelatedExpenseIds,
+    await recordActivity(ctx, {
+      type: "expense_deleted",
+      actorId: user._id,
+      groupId: expense.groupId,
+      expenseId: args.expenseId,
+      description: expense.description,
+      amount: expense.amount,
+      currency: expense.currency,
+      userIds: expenseUserIds(expense),
+    });
+
+    return { success: true };
+  },
+});
+// ----------- Import -----------
+
+// Rows per importExpenses call; the import page sends larger files in batches
+const IMPORT_BATCH_SIZE = 50;
+
+/* ──────────────────────────────────────────────────────────────────────────
+   importExpenses – create a batch of expenses read from a CSV file
+   ----------------------------------------------------------------------------
+   Every row goes through the same checks as createExpense; in a group
+   everyone on the row also has to be a member. A row that fails doesn't
+   stop the others: the result lists { expenseId } or { error } per row, in
+   order. One "expenses_imported" activity covers the whole batch instead of
+   a notification per row.
+   ──────────────────────────────────────────────────────────────────────── */
+export const importExpenses = mutation({
+  args: {
+    groupId: v.optional(v.id("groups")),
+    expenses: v.array(
+      v.object({
+        description: v.string(),
+        amount: v.number(), // integer minor units
+        currency: v.string(),
+        category: v.optional(v.string()),
+        date: v.number(), // timestamp
+        paidByUserId: v.id("users"),
+        payers: v.optional(payersValidator),
+        splitType: v.string(), // "equal" or "exact"
+        splits: splitsValidator,
+      })
+    ),
+  },
+  handler: async (ctx, { groupId, expenses }) => {
+    const user = await ctx.runQuery(internal.users.getCurrentUser);
+    if (expenses.length > IMPORT_BATCH_SIZE) {
+      throw new Error(`Import at most ${IMPORT_BATCH_SIZE} expenses at a time`);
+    }
+
+    const group = groupId ? await ctx.db.get(groupId) : null;
+    const results = [];
+    const imported = [];
+
+    for (const expense of expenses) {
+      try {
+        if (!["equal", "exact"].includes(expense.splitType)) {
+          throw new Error(`Can't import "${expense.splitType}" splits`);
+        }
+        const outsider =
+          group &&
+          expenseUserIds(expense).find(
+            (id) => !group.members.some((m) => m.userId === id)
+          );
+        if (outsider) {
+          throw new Error("Everyone on the expense must be a group member");
+        }
+
+        const { expenseId } = await insertExpense(ctx, user, {
+          ...expense,
+          groupId,
         });
+        results.push({ expenseId });
+        imported.push(expense);
+      } catch (error) {
+        results.push({ error: error.message });
       }
     }
 
-    // Delete the expense
-    await ctx.db.delete(args.expenseId);
+    if (imported.length > 0) {
+      await recordActivity(ctx, {
+        type: "expenses_imported",
+        actorId: user._id,
+        groupId,
+        description: `${imported.length} ${imported.length === 1 ? "expense" : "expenses"}`,
+        userIds: imported.flatMap(expenseUserIds),
+      });
+    }
 
-    return { success: true };
+    return results;
   },
-});
\ No newline at end of file
+});
@@ -0,0 +1,240 @@
+import { query } from "./_generated/server";
+import { v } from "convex/values";
+import { internal } from "./_generated/api";
+import {
+  countsTowardsBalance,
+  expenseDebts,
+  expensePayers,
+} from "./lib/balances";
+import { DEFAULT_CURRENCY, getFxConverter } from "./lib/currency";
+import { categoryId } from "./lib/categories";
+import { expensesBetween, participantRows } from "./lib/participants";
+import { settlementsBetween } from "./lib/settlements";
+
+const SCOPES = ["group", "person", "all"];
+
+// Expenses and settlements an export of `scope` covers, before any filter.
+// `people` get share and balance columns; `counts(from, to)` tells which
+// debts move their balances.
+async function loadScope(ctx, me, scope, id) {
+  if (scope === "group") {
+    const groupId = id && ctx.db.normalizeId("groups", id);
+    const group = groupId && (await ctx.db.get(groupId));
+    if (!group) throw new Error("Group not found");
+    if (!group.members.some((m) => m.userId === me._id)) {
+      throw new Error("You are not a member of this group");
+    }
+
+    const expenses = await ctx.db
+      .query("expenses")
+      .withIndex("by_group", (q) => q.eq("groupId", group._id))
+      .collect();
+    const settlements = await ctx.db
+      .query("settlements")
+      .withIndex("by_group", (q) => q.eq("groupId", group._id))
+      .collect();
+
+    // Former members keep their columns, their history is part of the group
+    const people = [
+      ...new Set([
+        ...group.members.map((m) => m.userId),
+        ...expenses.flatMap((e) => [
+          ...expensePayers(e).map((p) => p.userId),
+          ...e.splits.map((s) => s.userId),
+        ]),
+        ...settlements.flatMap((s) => [s.paidByUserId, s.receivedByUserId]),
+      ]),
+    ];
+
+    return {
+      title: group.name,
+      baseCurrency: group.baseCurrency ?? DEFAULT_CURRENCY,
+      people,
+      expenses,
+      settlements,
+      counts: () => true,
+    };
+  }
+
+  const baseCurrency = me.baseCurrency ?? DEFAULT_CURRENCY;
+
+  if (scope === "person") {
+    const userId = id && ctx.db.normalizeId("users", id);
+    const other = userId && (await ctx.db.get(userId));
+    if (!other) throw new Error("User not found");
+
+    const pair = [me._id, other._id];
+    const expenses = await expensesBetween(ctx, me._id, other._id);
+    const settlements = await settlementsBetween(ctx, me._id, other._id);
+
+    return {
+      title: other.name,
+      baseCurrency,
+      people: pair,
+      expenses,
+      settlements,
+      counts: (from, to) => pair.includes(from) && pair.includes(to),
+    };
+  }
+
+  // Everything I'm involved in, in groups and one-on-one
+  const rows = await participantRows(ctx, me._id).collect();
+  const expenses = (
+    await Promise.all(rows.map((r) => ctx.db.get(r.expenseId)))
+  ).filter(Boolean);
+  const settlements = [
+    ...(await ctx.db
+      .query("settlements")
+      .withIndex("by_user_and_group", (q) => q.eq("paidByUserId", me._id))
+      .collect()),
+    ...(await ctx.db
+      .query("settlements")
+      .withIndex("by_receiver_and_group", (q) =>
+        q.eq("receivedByUserId", me._id)
+      )
+      .collect()),
+  ];
+
+  return {
+    title: "All expenses",
+    baseCurrency,
+    people: [me._id],
+    expenses,
+    settlements,
+    counts: (from, to) => from === me._id || to === me._id,
+  };
+}
+
+/* ──────────────────────────────────────────────────────────────────────────
+   getExportData – rows for the CSV / JSON export (app/api/export/route.js)
+   ----------------------------------------------------------------------------
+   `scope` is "group" (id = group), "person" (id = the other user, one-on-one
+   only) or "all" (everything the current user is involved in). Rows are
+   oldest first with each person's share of an expense (in the expense's
+   currency) and their running balance in the base currency: + ve ⇒ owed
+   money, – ve ⇒ owes money. Running balances count every transaction up to
+   that row, including ones the date / category filters leave out, so they
+   match the balances in the app.
+   Category ids are left for the caller to name (lib/expense-categories.js
+   pulls in the icon set, which doesn't belong in Convex functions).
+   ──────────────────────────────────────────────────────────────────────── */
+export const getExportData = query({
+  args: {
+    scope: v.string(),
+    id: v.optional(v.string()),
+    from: v.optional(v.number()), // timestamp, inclusive
+    to: v.optional(v.number()), // timestamp, inclusive
+    category: v.optional(v.string()), // expense category id; drops settlements
+  },
+  handler: async (ctx, args) => {
+    const me = await ctx.runQuery(internal.users.getCurrentUser);
+    if (!SCOPES.includes(args.scope)) {
+      throw new Error(`Unknown export scope: ${args.scope}`);
+    }
+
+    const { title, baseCurrency, people, expenses, settlements, counts } =
+      await loadScope(ctx, me, args.scope, args.id);
+    const fx = await getFxConverter(ctx, baseCurrency);
+
+    /* ───── 1. Names for everyone mentioned ──────────────────────────── */
+    const names = {};
+    const groupNames = {};
+    const userIds = new Set([
+      ...people,
+      ...expenses.flatMap((e) => expensePayers(e).map((p) => p.userId)),
+      ...settlements.flatMap((s) => [s.paidByUserId, s.receivedByUserId]),
+    ]);
+    for (const userId of userIds) {
+      const user = await ctx.db.get(userId);
+      names[userId] = user?.name ?? "Unknown user";
+    }
+    names[me._id] = `${me.name} (you)`;
+    const groupIds = new Set(
+      [...expenses, ...settlements].map((t) => t.groupId).filter(Boolean)
+    );
+    for (const groupId of groupIds) {
+      groupNames[groupId] = (await ctx.db.get(groupId))?.name ?? "Deleted group";
+    }
+
+    /* ───── 2. Oldest first, running balances ────────────────────────── */
+    const transactions = [
+      ...expenses.map((e) => ({ type: "expense", doc: e })),
+      ...settlements.map((s) => ({ type: "settlement", doc: s })),
+    ].sort((a, b) => a.doc.date - b.doc.date);
+
+    const balances = Object.fromEntries(people.map((id) => [id, 0]));
+    const move = (from, to, amount) => {
+      if (!counts(from, to)) return;
+      if (to in balances) balances[to] += amount;
+      if (from in balances) balances[from] -= amount;
+    };
+
+    const inRange = (date) =>
+      (args.from === undefined || date >= args.from) &&
+      (args.to === undefined || date <= args.to);
+
+    const rows = [];
+    for (const { type, doc } of transactions) {
+      if (type === "expense") {
+        for (const debt of expenseDebts(fx.convertExpense(doc))) {
+          move(debt.from, debt.to, debt.amount);
+        }
+      } else {
+        // Running balances follow confirmed payments only
+        if (countsTowardsBalance(doc)) {
+          const { amount } = fx.convertSettlement(doc);
+          move(doc.receivedByUserId, doc.paidByUserId, amount);
+        }
+      }
+
+      if (!inRange(doc.date)) continue;
+      if (args.category) {
+        if (type !== "expense") continue;
+        if (categoryId(doc.category) !== categoryId(args.category)) continue;
+      }
+
+      const isExpense = type === "expense";
+      rows.push({
+        date: doc.date,
+        type,
+        description: isExpense
+          ? doc.description
+          : (doc.note || (doc.writtenOff ? "Written off" : "Settlement")) +
+            (doc.status === "pending" || doc.status === "disputed"
+              ? ` (${doc.status})`
+              : ""),
+        category: isExpense ? categoryId(doc.category) : null,
+        group: doc.groupId ? groupNames[doc.groupId] : null,
+        amount: doc.amount,
+        currency: doc.currency ?? DEFAULT_CURRENCY,
+        paidBy: isExpense
+          ? expensePayers(doc).map((p) => names[p.userId])
+          : [names[doc.paidByUserId]],
+        receivedBy: isExpense ? null : names[doc.receivedByUserId],
+        // Settlements have no shares
+        shares: Object.fromEntries(
+          people.map((id) => [
+            id,
+            isExpense
+              ? (doc.splits.find((s) => s.userId === id)?.amount ?? 0)
+              : null,
+          ])
+        ),
+        balances: { ...balances },
+      });
+    }
+
+    return {
+      title,
+      scope: args.scope,
+      baseCurrency: fx.currency,
+      people: people.map((id) => ({ id, name: names[id] })),
+      rows,
+      balances: people.map((id) => ({
+        id,
+        name: names[id],
+        balance: balances[id],
+      })),
+    };
+  },
+});
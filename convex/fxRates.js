@@ -0,0 +1,177 @@
+import { mutation, query } from "./_generated/server";
+import { v } from "convex/values";
+import { internal } from "./_generated/api";
+import { assertSupportedCurrency, DEFAULT_CURRENCY } from "./lib/currency";
+
+// Only admins can change the rate table
+async function getAdmin(ctx) {
+  const user = await ctx.runQuery(internal.users.getCurrentUser);
+  if (!user.isAdmin) {
+    throw new Error("Only admins can manage exchange rates");
+  }
+  return user;
+}
+
+// Insert or update the rate for one currency pair
+async function upsertRate(ctx, user, { fromCurrency, toCurrency, rate }, source) {
+  assertSupportedCurrency(fromCurrency);
+  assertSupportedCurrency(toCurrency);
+  if (fromCurrency === toCurrency) {
+    throw new Error("From and to currencies must differ");
+  }
+  if (!(rate > 0)) throw new Error("Rate must be positive");
+
+  const existing = await ctx.db
+    .query("fxRates")
+    .withIndex("by_pair", (q) =>
+      q.eq("fromCurrency", fromCurrency).eq("toCurrency", toCurrency)
+    )
+    .unique();
+
+  const fields = { rate, source, updatedBy: user._id, updatedAt: Date.now() };
+  if (existing) {
+    await ctx.db.patch(existing._id, fields);
+    return existing._id;
+  }
+  return await ctx.db.insert("fxRates", { fromCurrency, toCurrency, ...fields });
+}
+
+// List every stored rate
+export const getRates = query({
+  handler: async (ctx) => {
+    await ctx.runQuery(internal.users.getCurrentUser);
+
+    const rates = await ctx.db.query("fxRates").collect();
+    rates.sort(
+      (a, b) =>
+        a.fromCurrency.localeCompare(b.fromCurrency) ||
+        a.toCurrency.localeCompare(b.toCurrency)
+    );
+    return rates;
+  },
+});
+
+// Add or edit a single rate
+export const setRate = mutation({
+  args: {
+    fromCurrency: v.string(),
+    toCurrency: v.string(),
+    rate: v.number(),
+  },
+  handler: async (ctx, args) => {
+    const admin = await getAdmin(ctx);
+    return await upsertRate(ctx, admin, args, "manual");
+  },
+});
+
+// Whether expenses or settlements are recorded in `currency` (unset means
+// the default)
+async function amountsIn(ctx, currency) {
+  for (const table of ["expenses", "settlements"]) {
+    const codes =
+      currency === DEFAULT_CURRENCY ? [currency, undefined] : [currency];
+    for (const code of codes) {
+      const row = await ctx.db
+        .query(table)
+        .withIndex("by_currency", (q) => q.eq("currency", code))
+        .first();
+      if (row) return true;
+    }
+  }
+  return false;
+}
+
+// Whether any user or group shows its balances in `currency`
+async function baseIn(ctx, currency) {
+  for (const table of ["users", "groups"]) {
+    const row = await ctx.db
+      .query(table)
+      .filter((q) =>
+        currency === DEFAULT_CURRENCY
+          ? q.or(
+              q.eq(q.field("baseCurrency"), currency),
+              q.eq(q.field("baseCurrency"), undefined)
+            )
+          : q.eq(q.field("baseCurrency"), currency)
+      )
+      .first();
+    if (row) return true;
+  }
+  return false;
+}
+
+// Remove a rate. Refused while stored amounts still convert through it (and
+// the inverse pair isn't there to take over): balances would stop loading.
+export const deleteRate = mutation({
+  args: { rateId: v.id("fxRates") },
+  handler: async (ctx, { rateId }) => {
+    await getAdmin(ctx);
+
+    const rate = await ctx.db.get(rateId);
+    if (!rate) throw new Error("Rate not found");
+    const { fromCurrency: from, toCurrency: to } = rate;
+
+    const inverse = await ctx.db
+      .query("fxRates")
+      .withIndex("by_pair", (q) =>
+        q.eq("fromCurrency", to).eq("toCurrency", from)
+      )
+      .unique();
+    if (!inverse) {
+      const inUse =
+        ((await amountsIn(ctx, from)) && (await baseIn(ctx, to))) ||
+        ((await amountsIn(ctx, to)) && (await baseIn(ctx, from)));
+      if (inUse) {
+        throw new Error(
+          `${from} → ${to} is still used to convert balances. Update the rate instead of deleting it`
+        );
+      }
+    }
+
+    await ctx.db.delete(rateId);
+    return { success: true };
+  },
+});
+
+/* ──────────────────────────────────────────────────────────────────────────
+   importRatesCsv – bulk upsert from CSV text
+   Each line is `from,to,rate` (e.g. `USD,INR,83.25`); a header line and
+   blank lines are skipped. Bad lines are reported back instead of aborting.
+   ──────────────────────────────────────────────────────────────────────── */
+export const importRatesCsv = mutation({
+  args: { csv: v.string() },
+  handler: async (ctx, { csv }) => {
+    const admin = await getAdmin(ctx);
+
+    let imported = 0;
+    const errors = [];
+
+    const lines = csv.split(/\r?\n/);
+    for (let i = 0; i < lines.length; i++) {
+      const line = lines[i].trim();
+      if (!line) continue;
+
+      const [from, to, rateText] = line.split(",").map((c) => c.trim());
+      // Header row
+      if (i === 0 && isNaN(parseFloat(rateText))) continue;
+
+      try {
+        await upsertRate(
+          ctx,
+          admin,
+          {
+            fromCurrency: from?.toUpperCase(),
+            toCurrency: to?.toUpperCase(),
+            rate: parseFloat(rateText),
+          },
+          "csv"
+        );
+        imported++;
+      } catch (error) {
+        errors.push({ line: i + 1, message: error.message });
+      }
+    }
+
+    return { imported, errors };
+  },
+});
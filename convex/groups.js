@@ -1,6 +1,111 @@
-import { query } from "./_generated/server";
+import { mutation, query } from "./_generated/server";
 import { v } from "convex/values";
 import { internal } from "./_generated/api";
+import { simplifyDebts } from "./lib/balances";
+import {
+  assertRecordsConvertible,
+  assertSupportedCurrency,
+  DEFAULT_CURRENCY,
+} from "./lib/currency";
+import { getGroupLedger } from "./lib/outstanding";
+import { recordActivity } from "./lib/activity";
+import { assertGroupActive } from "./lib/groups";
+import { deleteAttachments } from "./lib/attachments";
+import { unmatchStatementLines } from "./lib/settlements";
+import { syncExpenseParticipants } from "./lib/participants";
+
+const ROLES = ["admin", "member"];
+
+// Load a group the current user belongs to for a change. Archived groups are
+// read-only unless `allowArchived`; `adminAction` (e.g. "remove members")
+// limits the change to admins.
+async function getGroupForMember(
+  ctx,
+  groupId,
+  { adminAction, allowArchived = false } = {}
+) {
+  const currentUser = await ctx.runQuery(internal.users.getCurrentUser);
+
+  const group = await ctx.db.get(groupId);
+  if (!group) throw new Error("Group not found");
+
+  const member = group.members.find((m) => m.userId === currentUser._id);
+  if (!member) throw new Error("You are not a member of this group");
+  if (adminAction && member.role !== "admin") {
+    throw new Error(`Only group admins can ${adminAction}`);
+  }
+  if (!allowArchived) assertGroupActive(group);
+
+  return { currentUser, group, member };
+}
+
+/* ──────────────────────────────────────────────────────────────────────────
+   closeBalances – clear a departing member's pair-wise balances
+   ----------------------------------------------------------------------------
+   What `userId` owes has to be settled first: their creditors never agreed
+   to forgive it. What others owe them throws too, unless `writeOff` is set:
+   then each of those debts is forgiven with a settlement marked
+   `writtenOff`, so the ledger nets to zero for them.
+   ──────────────────────────────────────────────────────────────────────── */
+async function closeBalances(ctx, group, userId, { writeOff, actorId }) {
+  const { fx, ledger } = await getGroupLedger(ctx, group);
+  const who = userId === actorId ? "You" : "This member";
+
+  const owing = Object.values(ledger[userId] ?? {}).some((amount) => amount > 0);
+  if (owing) {
+    throw new Error(
+      `${who} still ${userId === actorId ? "owe" : "owes"} money in this group. Settle up first`
+    );
+  }
+
+  const debts = [];
+  for (const [other, row] of Object.entries(ledger)) {
+    if (row[userId] > 0) {
+      debts.push({ from: other, to: userId, amount: row[userId] });
+    }
+  }
+  if (debts.length === 0) return;
+
+  if (!writeOff) {
+    throw new Error(
+      `${who} ${userId === actorId ? "are" : "is"} still owed money in this group. Settle up or write it off first`
+    );
+  }
+
+  for (const debt of debts) {
+    await ctx.db.insert("settlements", {
+      amount: debt.amount,
+      currency: fx.currency,
+      note: "Written off",
+      date: Date.now(),
+      paidByUserId: debt.from,
+      receivedByUserId: debt.to,
+      groupId: group._id,
+      writtenOff: true,
+      status: "confirmed",
+      confirmedAt: Date.now(),
+      createdBy: actorId,
+    });
+  }
+}
+
+// Pause the group's recurring expenses that involve a departing member
+async function pauseRecurringExpensesOf(ctx, groupId, userId) {
+  const templates = await ctx.db
+    .query("recurringExpenses")
+    .withIndex("by_group", (q) => q.eq("groupId", groupId))
+    .collect();
+
+  for (const t of templates) {
+    const involved =
+      t.paidByUserId === userId ||
+      t.payers?.some((p) => p.userId === userId) ||
+      t.splits.some((s) => s.userId === userId);
+    if (involved && t.status === "active") {
+      await ctx.db.patch(t._id, { status: "paused" });
+    }
+  }
+}
 
 export const getGroupOrMembers = query({
   args: {
@@ -12,8 +117,11 @@ export const getGroupOrMembers = query({
 
     // Get all groups where the user is a member
     const allGroups = await ctx.db.query("groups").collect();
-    const userGroups = allGroups.filter((group) =>
-      group.members.some((member) => member.userId === currentUser._id)
+    // Archived groups are read-only, so they can't be picked for new expenses
+    const userGroups = allGroups.filter(
+      (group) =>
+        !group.archivedAt &&
+        group.members.some((member) => member.userId === currentUser._id)
     );
 
     // If a specific group ID is provided, only return details for that group
@@ -51,6 +159,7 @@ export const getGroupOrMembers = query({
           id: selectedGroup._id,
           name: selectedGroup.name,
           description: selectedGroup.description,
+          baseCurrency: selectedGroup.baseCurrency ?? DEFAULT_CURRENCY,
           createdBy: selectedGroup.createdBy,
           members: validMembers,
         },
@@ -78,8 +187,11 @@ export const getGroupOrMembers = query({
 
 // Get expenses for a specific group
 export const getGroupExpenses = query({
-  args: { groupId: v.id("groups") },
-  handler: async (ctx, { groupId }) => {
+  args: {
+    groupId: v.id("groups"),
+    includePending: v.optional(v.boolean()), // count payments not yet confirmed
+  },
+  handler: async (ctx, { groupId, includePending }) => {
     // Use centralized getCurrentUser function
     const currentUser = await ctx.runQuery(internal.users.getCurrentUser);
 
@@ -89,15 +201,13 @@ export const getGroupExpenses = query({
     if (!group.members.some((m) => m.userId === currentUser._id))
       throw new Error("You are not a member of this group");
 
-    const expenses = await ctx.db
-      .query("expenses")
-      .withIndex("by_group", (q) => q.eq("groupId", groupId))
-      .collect();
-
-    const settlements = await ctx.db
-      .query("settlements")
-      .filter((q) => q.eq(q.field("groupId"), groupId))
-      .collect();
+    /* ----------  ledgers, in the group's base currency ---------- */
+    // totals: net balance per member, ledger: netted pair‑wise debts
+    const { expenses, settlements, fx, totals, ledger } = await getGroupLedger(
+      ctx,
+      group,
+      { includePending }
+    );
 
     /* ----------  member map ---------- */
     const memberDetails = await Promise.all(
@@ -108,58 +218,6 @@ export const getGroupExpenses = query({
     );
     const ids = memberDetails.map((m) => m.id);
 
-    /* ----------  ledgers ---------- */
-    // total net balance (old behaviour)
-    const totals = Object.fromEntries(ids.map((id) => [id, 0]));
-    // pair‑wise ledger  debtor -> creditor -> amount
-    const ledger = {};
-    ids.forEach((a) => {
-      ledger[a] = {};
-      ids.forEach((b) => {
-        if (a !== b) ledger[a][b] = 0;
-      });
-    });
-
-    /* ----------  apply expenses ---------- */
-    for (const exp of expenses) {
-      const payer = exp.paidByUserId;
-      for (const split of exp.splits) {
-        if (split.userId === payer || split.paid) continue; // skip payer & settled
-        const debtor = split.userId;
-        const amt = split.amount;
-
-        totals[payer] += amt;
-        totals[debtor] -= amt;
-
-        ledger[debtor][payer] += amt; // debtor owes payer
-      }
-    }
-
-    /* ----------  apply settlements ---------- */
-    for (const s of settlements) {
-      totals[s.paidByUserId] += s.amount;
-      totals[s.receivedByUserId] -= s.amount;
-
-      ledger[s.paidByUserId][s.receivedByUserId] -= s.amount; // they paid back
-    }
-
-    /* ----------  net the pair‑wise ledger ---------- */
-    ids.forEach((a) => {
-      ids.forEach((b) => {
-        if (a >= b) return; // visit each unordered pair once
-        const diff = ledger[a][b] - ledger[b][a];
-        if (diff > 0) {
-          ledger[a][b] = diff;
-          ledger[b][a] = 0;
-        } else if (diff < 0) {
-          ledger[b][a] = -diff;
-          ledger[a][b] = 0;
-        } else {
-          ledger[a][b] = ledger[b][a] = 0;
-        }
-      });
-    });
-
     /* ----------  shape the response ---------- */
     const balances = memberDetails.map((m) => ({
       ...m,
@@ -176,18 +234,649 @@ export const getGroupExpenses = query({
     memberDetails.forEach((member) => {
       userLookupMap[member.id] = member;
     });
+    // Former members still show up in old expenses and settlements
+    for (const userId of Object.keys(ledger)) {
+      if (userLookupMap[userId]) continue;
+      const u = await ctx.db.get(userId);
+      if (u) userLookupMap[userId] = { id: u._id, name: u.name, imageUrl: u.imageUrl };
+    }
 
     return {
       group: {
         id: group._id,
         name: group.name,
         description: group.description,
+        simplifyDebts: group.simplifyDebts ?? false,
+        baseCurrency: fx.currency,
+        ownerId: group.createdBy,
+        archivedAt: group.archivedAt,
       },
       members: memberDetails,
       expenses,
       settlements,
       balances,
       userLookupMap,
+      ratesUsed: fx.ratesUsed(),
     };
   },
-});
\ No newline at end of file
+});
+
+// Get the minimum set of transfers that settles every balance in a group
+export const getSimplifiedDebts = query({
+  args: {
+    groupId: v.id("groups"),
+    includePending: v.optional(v.boolean()), // count payments not yet confirmed
+  },
+  handler: async (ctx, { groupId, includePending }) => {
+    const currentUser = await ctx.runQuery(internal.users.getCurrentUser);
+
+    const group = await ctx.db.get(groupId);
+    if (!group) throw new Error("Group not found");
+
+    if (!group.members.some((m) => m.userId === currentUser._id))
+      throw new Error("You are not a member of this group");
+
+    const { totals } = await getGroupLedger(ctx, group, { includePending });
+
+    return simplifyDebts(totals); // [{ from, to, amount }] in the base currency
+  },
+});
+
+// Toggle between the pair-wise and simplified balance views of a group
+export const setSimplifyDebts = mutation({
+  args: { groupId: v.id("groups"), simplifyDebts: v.boolean() },
+  handler: async (ctx, { groupId, simplifyDebts }) => {
+    await getGroupForMember(ctx, groupId);
+
+    await ctx.db.patch(groupId, { simplifyDebts });
+  },
+});
+
+// Change the currency a group's balances are shown in (admins only)
+export const setBaseCurrency = mutation({
+  args: { groupId: v.id("groups"), currency: v.string() },
+  handler: async (ctx, { groupId, currency }) => {
+    await getGroupForMember(ctx, groupId, {
+      adminAction: "change the base currency",
+    });
+
+    assertSupportedCurrency(currency);
+    // Everything already recorded has to convert into the new base
+    const recorded = await Promise.all(
+      ["expenses", "settlements"].map((table) =>
+        ctx.db
+          .query(table)
+          .withIndex("by_group", (q) => q.eq("groupId", groupId))
+          .collect()
+      )
+    );
+    await assertRecordsConvertible(ctx, recorded.flat(), currency);
+
+    await ctx.db.patch(groupId, { baseCurrency: currency });
+  },
+});
+
+// Why `invite` can't be used right now, or null if it can
+function inviteProblem(invite, now = Date.now()) {
+  if (invite.revokedAt) return "This invite link has been revoked";
+  if (invite.expiresAt && invite.expiresAt <= now) {
+    return "This invite link has expired";
+  }
+  if (invite.maxUses !== undefined && invite.uses >= invite.maxUses) {
+    return "This invite link has been used up";
+  }
+  return null;
+}
+
+// Add `userId` as a plain member and tell the rest of the group
+async function joinGroup(ctx, group, userId) {
+  await ctx.db.patch(group._id, {
+    members: [
+      ...group.members,
+      { userId, role: "member", joinedAt: Date.now() },
+    ],
+  });
+
+  await recordActivity(ctx, {
+    type: "member_joined",
+    actorId: userId,
+    groupId: group._id,
+    description: group.name,
+    userIds: group.members.map((m) => m.userId),
+  });
+}
+
+// ----------- Membership -----------
+
+// Add people to a group (admins only)
+export const addMembers = mutation({
+  args: { groupId: v.id("groups"), userIds: v.array(v.id("users")) },
+  handler: async (ctx, { groupId, userIds }) => {
+    const { currentUser, group } = await getGroupForMember(ctx, groupId, {
+      adminAction: "add members",
+    });
+
+    const newIds = [...new Set(userIds)].filter(
+      (id) => !group.members.some((m) => m.userId === id)
+    );
+    if (newIds.length === 0) return groupId;
+
+    for (const id of newIds) {
+      if (!(await ctx.db.get(id))) throw new Error(`User with ID ${id} not found`);
+    }
+
+    await ctx.db.patch(groupId, {
+      members: [
+        ...group.members,
+        ...newIds.map((id) => ({
+          userId: id,
+          role: "member",
+          joinedAt: Date.now(),
+        })),
+      ],
+    });
+
+    await recordActivity(ctx, {
+      type: "member_added",
+      actorId: currentUser._id,
+      groupId,
+      description: group.name,
+      userIds: newIds,
+    });
+
+    return groupId;
+  },
+});
+
+// Remove someone else from a group (admins only). They must not owe anything;
+// what they're owed has to be settled or written off (`writeOff`).
+export const removeMember = mutation({
+  args: {
+    groupId: v.id("groups"),
+    userId: v.id("users"),
+    writeOff: v.optional(v.boolean()),
+  },
+  handler: async (ctx, { groupId, userId, writeOff }) => {
+    const { currentUser, group } = await getGroupForMember(ctx, groupId, {
+      adminAction: "remove members",
+    });
+
+    if (userId === currentUser._id) {
+      throw new Error("Use \"Leave group\" to remove yourself");
+    }
+    if (!group.members.some((m) => m.userId === userId)) {
+      throw new Error("This person is not a member of the group");
+    }
+    if (userId === group.createdBy) {
+      throw new Error("The group owner can't be removed");
+    }
+
+    await closeBalances(ctx, group, userId, {
+      writeOff,
+      actorId: currentUser._id,
+    });
+    await ctx.db.patch(groupId, {
+      members: group.members.filter((m) => m.userId !== userId),
+    });
+    await pauseRecurringExpensesOf(ctx, groupId, userId);
+  },
+});
+
+// Leave a group. The owner has to hand the group over first, debts have to
+// be settled, and money still owed to you settled or written off (`writeOff`).
+export const leaveGroup = mutation({
+  args: { groupId: v.id("groups"), writeOff: v.optional(v.boolean()) },
+  handler: async (ctx, { groupId, writeOff }) => {
+    const { currentUser, group } = await getGroupForMember(ctx, groupId);
+
+    if (group.createdBy === currentUser._id) {
+      throw new Error("Transfer ownership to another member before leaving");
+    }
+
+    await closeBalances(ctx, group, currentUser._id, {
+      writeOff,
+      actorId: currentUser._id,
+    });
+    await ctx.db.patch(groupId, {
+      members: group.members.filter((m) => m.userId !== currentUser._id),
+    });
+    await pauseRecurringExpensesOf(ctx, groupId, currentUser._id);
+  },
+});
+
+// Promote a member to admin or demote an admin (admins only)
+export const setMemberRole = mutation({
+  args: { groupId: v.id("groups"), userId: v.id("users"), role: v.string() },
+  handler: async (ctx, { groupId, userId, role }) => {
+    const { group } = await getGroupForMember(ctx, groupId, {
+      adminAction: "change roles",
+    });
+
+    if (!ROLES.includes(role)) throw new Error(`Unknown role: ${role}`);
+    if (!group.members.some((m) => m.userId === userId)) {
+      throw new Error("This person is not a member of the group");
+    }
+    if (userId === group.createdBy) {
+      throw new Error("The group owner is always an admin");
+    }
+
+    await ctx.db.patch(groupId, {
+      members: group.members.map((m) =>
+        m.userId === userId ? { ...m, role } : m
+      ),
+    });
+  },
+});
+
+// Hand the group over to another member (owner only); they become an admin
+export const transferOwnership = mutation({
+  args: { groupId: v.id("groups"), userId: v.id("users") },
+  handler: async (ctx, { groupId, userId }) => {
+    const { currentUser, group } = await getGroupForMember(ctx, groupId);
+
+    if (group.createdBy !== currentUser._id) {
+      throw new Error("Only the group owner can transfer ownership");
+    }
+    if (!group.members.some((m) => m.userId === userId)) {
+      throw new Error("This person is not a member of the group");
+    }
+    if (userId === currentUser._id) return;
+
+    await ctx.db.patch(groupId, {
+      createdBy: userId,
+      members: group.members.map((m) =>
+        m.userId === userId ? { ...m, role: "admin" } : m
+      ),
+    });
+  },
+});
+
+// ----------- Lifecycle -----------
+
+// Rename a group or change its description (admins only)
+export const updateGroup = mutation({
+  args: {
+    groupId: v.id("groups"),
+    name: v.string(),
+    description: v.optional(v.string()),
+  },
+  handler: async (ctx, { groupId, name, description }) => {
+    await getGroupForMember(ctx, groupId, { adminAction: "edit the group" });
+
+    if (!name.trim()) throw new Error("Group name cannot be empty");
+
+    await ctx.db.patch(groupId, {
+      name: name.trim(),
+      description: description?.trim() ?? "",
+    });
+  },
+});
+
+// Archive a group (read-only, hidden from lists) or restore it (admins only).
+// Archiving pauses its recurring expenses; they stay paused after a restore.
+export const setGroupArchived = mutation({
+  args: { groupId: v.id("groups"), archived: v.boolean() },
+  handler: async (ctx, { groupId, archived }) => {
+    const { group } = await getGroupForMember(ctx, groupId, {
+      adminAction: archived ? "archive the group" : "restore the group",
+      allowArchived: true,
+    });
+
+    if (archived) {
+      if (group.archivedAt) return;
+
+      const templates = await ctx.db
+        .query("recurringExpenses")
+        .withIndex("by_group", (q) => q.eq("groupId", groupId))
+        .collect();
+      for (const t of templates) {
+        if (t.status === "active") {
+          await ctx.db.patch(t._id, { status: "paused" });
+        }
+      }
+    }
+
+    await ctx.db.patch(groupId, {
+      archivedAt: archived ? (group.archivedAt ?? Date.now()) : undefined,
+    });
+  },
+});
+
+/* ──────────────────────────────────────────────────────────────────────────
+   deleteGroup – delete a group with everything recorded in it (owner only)
+   ----------------------------------------------------------------------------
+   Only allowed once every balance in the group is zero, so deleting can't
+   erase a debt. Expenses (with their edit history), settlements,
+   recurring expenses, invites and the group's activity feed (with the
+   notifications of it) go with it.
+   ──────────────────────────────────────────────────────────────────────── */
+export const deleteGroup = mutation({
+  args: { groupId: v.id("groups") },
+  handler: async (ctx, { groupId }) => {
+    const { currentUser, group } = await getGroupForMember(ctx, groupId, {
+      allowArchived: true,
+    });
+
+    if (group.createdBy !== currentUser._id) {
+      throw new Error("Only the group owner can delete the group");
+    }
+
+    const { expenses, settlements, ledger } = await getGroupLedger(ctx, group);
+    const unsettled = Object.values(ledger).some((row) =>
+      Object.values(row).some((amount) => amount !== 0)
+    );
+    if (unsettled) {
+      throw new Error(
+        "Everyone has to be settled up before the group can be deleted"
+      );
+    }
+
+    for (const expense of expenses) {
+      const history = await ctx.db
+        .query("expenseHistory")
+        .withIndex("by_expense", (q) => q.eq("expenseId", expense._id))
+        .collect();
+      for (const entry of history) {
+        await ctx.db.delete(entry._id);
+      }
+      await deleteAttachments(ctx, expense.attachments);
+      await ctx.db.delete(expense._id);
+      await syncExpenseParticipants(ctx, expense._id);
+    }
+
+    for (const settlement of settlements) {
+      const history = await ctx.db
+        .query("settlementHistory")
+        .withIndex("by_settlement", (q) => q.eq("settlementId", settlement._id))
+        .collect();
+      for (const entry of history) {
+        await ctx.db.delete(entry._id);
+      }
+      await unmatchStatementLines(ctx, settlement._id);
+      await ctx.db.delete(settlement._id);
+    }
+
+    const memory = await ctx.db
+      .query("categoryMemory")
+      .withIndex("by_group_and_keyword", (q) => q.eq("groupId", groupId))
+      .collect();
+    for (const row of memory) {
+      await ctx.db.delete(row._id);
+    }
+
+    const templates = await ctx.db
+      .query("recurringExpenses")
+      .withIndex("by_group", (q) => q.eq("groupId", groupId))
+      .collect();
+    for (const template of templates) {
+      await ctx.db.delete(template._id);
+    }
+
+    const invites = await ctx.db
+      .query("groupInvites")
+      .withIndex("by_group", (q) => q.eq("groupId", groupId))
+      .collect();
+    for (const invite of invites) {
+      await ctx.db.delete(invite._id);
+    }
+
+    const requests = await ctx.db
+      .query("joinRequests")
+      .withIndex("by_group_and_user", (q) => q.eq("groupId", groupId))
+      .collect();
+    for (const request of requests) {
+      await ctx.db.delete(request._id);
+    }
+
+    // The group's feed, and everyone's notifications of it
+    const activities = await ctx.db
+      .query("activities")
+      .withIndex("by_group_and_created", (q) => q.eq("groupId", groupId))
+      .collect();
+    for (const activity of activities) {
+      const notifications = await ctx.db
+        .query("notifications")
+        .withIndex("by_activity", (q) => q.eq("activityId", activity._id))
+        .collect();
+      for (const notification of notifications) {
+        await ctx.db.delete(notification._id);
+      }
+      await ctx.db.delete(activity._id);
+    }
+
+    await ctx.db.delete(groupId);
+  },
+});
+
+// ----------- Invites -----------
+
+/* ──────────────────────────────────────────────────────────────────────────
+   createInvite – make a shareable /join/[token] link for a group (admins only)
+   ----------------------------------------------------------------------------
+   Anyone with the link can join until it expires, runs out of uses or is
+   revoked. With `requiresApproval` joining only files a request that an
+   admin accepts or rejects (see decideJoinRequest).
+   ──────────────────────────────────────────────────────────────────────── */
+export const createInvite = mutation({
+  args: {
+    groupId: v.id("groups"),
+    expiresAt: v.optional(v.number()), // timestamp
+    maxUses: v.optional(v.number()),
+    requiresApproval: v.boolean(),
+  },
+  handler: async (ctx, args) => {
+    const { currentUser } = await getGroupForMember(ctx, args.groupId, {
+      adminAction: "create invite links",
+    });
+
+    if (args.expiresAt !== undefined && args.expiresAt <= Date.now()) {
+      throw new Error("The expiry date must be in the future");
+    }
+    if (
+      args.maxUses !== undefined &&
+      (!Number.isInteger(args.maxUses) || args.maxUses < 1)
+    ) {
+      throw new Error("Max uses must be a whole number of at least 1");
+    }
+
+    const token = crypto.randomUUID().replaceAll("-", "");
+    await ctx.db.insert("groupInvites", {
+      ...args,
+      token,
+      createdBy: currentUser._id,
+      createdAt: Date.now(),
+      uses: 0,
+    });
+
+    return token;
+  },
+});
+
+// Usable invites of a group and the join requests waiting for approval
+// (admins only)
+export const getGroupInvites = query({
+  args: { groupId: v.id("groups") },
+  handler: async (ctx, { groupId }) => {
+    await getGroupForMember(ctx, groupId, {
+      adminAction: "manage invite links",
+      allowArchived: true,
+    });
+
+    const now = Date.now();
+    const invites = (
+      await ctx.db
+        .query("groupInvites")
+        .withIndex("by_group", (q) => q.eq("groupId", groupId))
+        .collect()
+    ).filter((invite) => !inviteProblem(invite, now));
+
+    const requests = await ctx.db
+      .query("joinRequests")
+      .withIndex("by_group_and_status", (q) =>
+        q.eq("groupId", groupId).eq("status", "pending")
+      )
+      .collect();
+
+    return {
+      invites: invites.map((invite) => ({
+        id: invite._id,
+        token: invite.token,
+        createdAt: invite.createdAt,
+        expiresAt: invite.expiresAt,
+        maxUses: invite.maxUses,
+        uses: invite.uses,
+        requiresApproval: invite.requiresApproval,
+      })),
+      requests: await Promise.all(
+        requests.map(async (request) => {
+          const user = await ctx.db.get(request.userId);
+          return {
+            id: request._id,
+            createdAt: request.createdAt,
+            user: {
+              id: request.userId,
+              name: user?.name ?? "Unknown user",
+              email: user?.email,
+              imageUrl: user?.imageUrl,
+            },
+          };
+        })
+      ),
+    };
+  },
+});
+
+export const revokeInvite = mutation({
+  args: { inviteId: v.id("groupInvites") },
+  handler: async (ctx, { inviteId }) => {
+    const invite = await ctx.db.get(inviteId);
+    if (!invite) throw new Error("Invite not found");
+
+    await getGroupForMember(ctx, invite.groupId, {
+      adminAction: "revoke invite links",
+      allowArchived: true,
+    });
+
+    if (!invite.revokedAt) {
+      await ctx.db.patch(inviteId, { revokedAt: Date.now() });
+    }
+  },
+});
+
+// What the /join/[token] page shows before the current user accepts
+export const getInvite = query({
+  args: { token: v.string() },
+  handler: async (ctx, { token }) => {
+    const currentUser = await ctx.runQuery(internal.users.getCurrentUser);
+
+    const invite = await ctx.db
+      .query("groupInvites")
+      .withIndex("by_token", (q) => q.eq("token", token))
+      .unique();
+    const group = invite && (await ctx.db.get(invite.groupId));
+    if (!group) return null;
+
+    const pendingRequest = await ctx.db
+      .query("joinRequests")
+      .withIndex("by_group_and_user", (q) =>
+        q.eq("groupId", group._id).eq("userId", currentUser._id)
+      )
+      .filter((q) => q.eq(q.field("status"), "pending"))
+      .first();
+
+    return {
+      groupId: group._id,
+      groupName: group.name,
+      description: group.description,
+      memberCount: group.members.length,
+      requiresApproval: invite.requiresApproval,
+      problem: group.archivedAt
+        ? "This group is archived"
+        : inviteProblem(invite),
+      isMember: group.members.some((m) => m.userId === currentUser._id),
+      isPending: !!pendingRequest,
+    };
+  },
+});
+
+// Join through an invite link. Returns "joined", or "pending" when an admin
+// still has to approve.
+export const joinWithInvite = mutation({
+  args: { token: v.string() },
+  handler: async (ctx, { token }) => {
+    const currentUser = await ctx.runQuery(internal.users.getCurrentUser);
+
+    const invite = await ctx.db
+      .query("groupInvites")
+      .withIndex("by_token", (q) => q.eq("token", token))
+      .unique();
+    const group = invite && (await ctx.db.get(invite.groupId));
+    if (!group) throw new Error("Invite not found");
+
+    if (group.members.some((m) => m.userId === currentUser._id)) {
+      return { status: "joined", groupId: group._id };
+    }
+
+    assertGroupActive(group);
+    const problem = inviteProblem(invite);
+    if (problem) throw new Error(problem);
+
+    if (invite.requiresApproval) {
+      const pending = await ctx.db
+        .query("joinRequests")
+        .withIndex("by_group_and_user", (q) =>
+          q.eq("groupId", group._id).eq("userId", currentUser._id)
+        )
+        .filter((q) => q.eq(q.field("status"), "pending"))
+        .first();
+      if (pending) return { status: "pending", groupId: group._id };
+
+      await ctx.db.insert("joinRequests", {
+        groupId: group._id,
+        inviteId: invite._id,
+        userId: currentUser._id,
+        status: "pending",
+        createdAt: Date.now(),
+      });
+    } else {
+      await joinGroup(ctx, group, currentUser._id);
+    }
+
+    // A request counts as a use, so a limited link can't collect more
+    // requests than it has places
+    await ctx.db.patch(invite._id, { uses: invite.uses + 1 });
+
+    return {
+      status: invite.requiresApproval ? "pending" : "joined",
+      groupId: group._id,
+    };
+  },
+});
+
+// Accept or reject a pending join request (admins only)
+export const decideJoinRequest = mutation({
+  args: { requestId: v.id("joinRequests"), approve: v.boolean() },
+  handler: async (ctx, { requestId, approve }) => {
+    const request = await ctx.db.get(requestId);
+    if (!request) throw new Error("Join request not found");
+
+    const { currentUser, group } = await getGroupForMember(
+      ctx,
+      request.groupId,
+      { adminAction: "approve join requests" }
+    );
+    if (request.status !== "pending") {
+      throw new Error("This request has already been decided");
+    }
+
+    await ctx.db.patch(requestId, {
+      status: approve ? "approved" : "rejected",
+      decidedBy: currentUser._id,
+      decidedAt: Date.now(),
+    });
+
+    if (approve && !group.members.some((m) => m.userId === request.userId)) {
+      await joinGroup(ctx, group, request.userId);
+    }
+  },
+});
@@ -0,0 +1,38 @@
+// convex/lib/activity.js
+// Writes to the activity feed. Mutations that change shared data call
+// recordActivity; the feed itself is read by convex/activities.js.
+
+/* ──────────────────────────────────────────────────────────────────────────
+   recordActivity – store one activity and notify everyone involved
+   ----------------------------------------------------------------------------
+   `activity` holds the fields of the activities table except createdAt.
+   Each user in `userIds` gets a notification; the actor's is already read.
+   ──────────────────────────────────────────────────────────────────────── */
+export async function recordActivity(ctx, activity) {
+  const createdAt = Date.now();
+  const userIds = [...new Set([activity.actorId, ...activity.userIds])];
+
+  const activityId = await ctx.db.insert("activities", {
+    ...activity,
+    userIds,
+    createdAt,
+  });
+
+  for (const userId of userIds) {
+    await ctx.db.insert("notifications", {
+      userId,
+      activityId,
+      read: userId === activity.actorId,
+      createdAt,
+    });
+  }
+
+  return activityId;
+}
+
+// Everyone an expense concerns: its payers and the people it is split between
+export const expenseUserIds = (expense) => [
+  expense.paidByUserId,
+  ...(expense.payers ?? []).map((p) => p.userId),
+  ...expense.splits.map((s) => s.userId),
+];
@@ -0,0 +1,101 @@
+// convex/lib/attachments.js
+// Receipts and photos attached to expenses. The files live in Convex file
+// storage; the expense keeps their ids (see `attachments` in schema.js) and
+// they are only served through convex/attachments.js, which checks access.
+import { v } from "convex/values";
+
+export const MAX_ATTACHMENTS = 5;
+export const MAX_ATTACHMENT_SIZE = 10 * 1024 * 1024; // bytes
+
+// Argument validator: files the browser uploaded, with their original names
+export const attachmentsValidator = v.array(
+  v.object({
+    storageId: v.id("_storage"),
+    name: v.string(),
+  })
+);
+
+// Raster images and PDFs only: an SVG can carry script, and files are served
+// inline from the app's own origin
+export const ATTACHMENT_TYPES = [
+  "image/png",
+  "image/jpeg",
+  "image/webp",
+  "image/gif",
+  "image/heic",
+  "application/pdf",
+];
+
+export const isAllowedAttachmentType = (contentType) =>
+  ATTACHMENT_TYPES.includes(contentType);
+
+/* ──────────────────────────────────────────────────────────────────────────
+   storedAttachments – check uploaded files and describe them for the
+   expense: [{ storageId, name, contentType, size }]
+   ----------------------------------------------------------------------------
+   Type and size come from the storage metadata, not from the browser. A
+   file has to be one `userId` uploaded (see `uploads` in schema.js) and not
+   attached anywhere yet, unless it's already on `expense` (when editing).
+   ──────────────────────────────────────────────────────────────────────── */
+export async function storedAttachments(ctx, attachments, { userId, expense }) {
+  if (attachments.length > MAX_ATTACHMENTS) {
+    throw new Error(`An expense can have at most ${MAX_ATTACHMENTS} attachments`);
+  }
+
+  const stored = [];
+  for (const { storageId, name } of attachments) {
+    const kept = expense?.attachments?.find((a) => a.storageId === storageId);
+    if (kept) {
+      stored.push({ ...kept, name: name.trim().slice(0, 200) || kept.name });
+      continue;
+    }
+
+    const upload = await findUpload(ctx, storageId);
+    if (!upload || upload.uploadedBy !== userId || upload.expenseId) {
+      throw new Error(`${name} wasn't uploaded`);
+    }
+    const file = await ctx.db.system.get(storageId);
+    if (!file) throw new Error(`${name} wasn't uploaded`);
+    if (!isAllowedAttachmentType(file.contentType)) {
+      throw new Error(`${name} isn't a supported image or a PDF`);
+    }
+    if (file.size > MAX_ATTACHMENT_SIZE) {
+      throw new Error(`${name} is larger than 10 MB`);
+    }
+    stored.push({
+      storageId,
+      name: name.trim().slice(0, 200) || "Attachment",
+      contentType: file.contentType,
+      size: file.size,
+    });
+  }
+  return stored;
+}
+
+const findUpload = (ctx, storageId) =>
+  ctx.db
+    .query("uploads")
+    .withIndex("by_storage", (q) => q.eq("storageId", storageId))
+    .unique();
+
+// Mark the files storedAttachments accepted as attached to `expenseId`, so
+// they can't be attached anywhere else
+export async function claimAttachments(ctx, attachments = [], expenseId) {
+  for (const { storageId } of attachments) {
+    const upload = await findUpload(ctx, storageId);
+    if (upload && !upload.expenseId) {
+      await ctx.db.patch(upload._id, { expenseId });
+    }
+  }
+}
+
+// Remove the files of attachments that are no longer kept
+export async function deleteAttachments(ctx, attachments = []) {
+  for (const { storageId } of attachments) {
+    const upload = await findUpload(ctx, storageId);
+    if (upload) await ctx.db.delete(upload._id);
+    if (await ctx.db.system.get(storageId)) {
+      await ctx.storage.delete(storageId);
+    }
+  }
+}
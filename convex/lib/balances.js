@@ -0,0 +1,202 @@
+// convex/lib/balances.js
+// Pure balance helpers shared by the group and settlement queries.
+import { allocateByWeights } from "../../lib/money";
+
+// [{ userId, amount }] contributed towards an expense. Single-payer expenses
+// don't store `payers`; the payer covered the whole amount.
+export const expensePayers = (expense) =>
+  expense.payers?.length > 0
+    ? expense.payers
+    : [{ userId: expense.paidByUserId, amount: expense.amount }];
+
+/* ──────────────────────────────────────────────────────────────────────────
+   expenseDebts – who owes whom because of one expense
+   ----------------------------------------------------------------------------
+   Every unpaid split is owed to the payers in proportion to what each of
+   them contributed (leftover minor units per lib/money.js). The part of a
+   split a payer owes to themselves is dropped. With a single payer this is
+   simply "each split is owed to the payer".
+   → [{ from, to, amount }]
+   ──────────────────────────────────────────────────────────────────────── */
+export function expenseDebts(expense) {
+  const payers = expensePayers(expense);
+  const debts = [];
+
+  for (const split of expense.splits) {
+    // The payer's own share. Splits paid off by settlements still count
+    // here: the settlements themselves are taken off the balance.
+    if (split.paid && !split.settledAmount) continue;
+    const parts = allocateByWeights(
+      split.amount,
+      payers.map((p) => ({ userId: p.userId, weight: p.amount })),
+      expense.paidByUserId
+    );
+    for (const part of parts) {
+      if (part.userId === split.userId || part.amount === 0) continue;
+      debts.push({ from: split.userId, to: part.userId, amount: part.amount });
+    }
+  }
+
+  return debts;
+}
+
+// Whether a settlement moves balances: confirmed ones always (older ones
+// have no status), pending ones only when asked for, disputed ones never
+export const countsTowardsBalance = (settlement, includePending = false) =>
+  settlement.status === "pending"
+    ? includePending
+    : settlement.status !== "disputed";
+
+/* ──────────────────────────────────────────────────────────────────────────
+   computeGroupTotals – net balance per member, in minor units
+   + ve ⇒ the member is owed money, – ve ⇒ the member owes money
+   ──────────────────────────────────────────────────────────────────────── */
+export function computeGroupTotals(memberIds, expenses, settlements) {
+  const totals = Object.fromEntries(memberIds.map((id) => [id, 0]));
+
+  for (const exp of expenses) {
+    for (const debt of expenseDebts(exp)) {
+      totals[debt.to] += debt.amount;
+      totals[debt.from] -= debt.amount;
+    }
+  }
+
+  for (const s of settlements) {
+    totals[s.paidByUserId] += s.amount;
+    totals[s.receivedByUserId] -= s.amount;
+  }
+
+  return totals;
+}
+
+/* ──────────────────────────────────────────────────────────────────────────
+   computePairwiseLedger – who owes whom, netted per pair
+   ledger[debtor][creditor] = amount; for every pair at most one side is > 0
+   ──────────────────────────────────────────────────────────────────────── */
+export function computePairwiseLedger(memberIds, expenses, settlements) {
+  const ledger = {};
+  memberIds.forEach((a) => {
+    ledger[a] = {};
+    memberIds.forEach((b) => {
+      if (a !== b) ledger[a][b] = 0;
+    });
+  });
+
+  // each unpaid split is owed to the payer(s)
+  for (const exp of expenses) {
+    for (const { from, to, amount } of expenseDebts(exp)) {
+      ledger[from][to] += amount; // debtor owes payer
+    }
+  }
+
+  for (const s of settlements) {
+    ledger[s.paidByUserId][s.receivedByUserId] -= s.amount; // they paid back
+  }
+
+  // net each unordered pair once
+  memberIds.forEach((a) => {
+    memberIds.forEach((b) => {
+      if (a >= b) return;
+      const diff = ledger[a][b] - ledger[b][a];
+      ledger[a][b] = Math.max(diff, 0);
+      ledger[b][a] = Math.max(-diff, 0);
+    });
+  });
+
+  return ledger;
+}
+
+/* ──────────────────────────────────────────────────────────────────────────
+   simplifyDebts – minimum-cash-flow settlement plan
+   ----------------------------------------------------------------------------
+   Given net `totals` ({ userId: balance }), returns the smallest list of
+   `{ from, to, amount }` transfers that brings every balance to zero.
+
+   A set of n non-zero balances needs n − k transfers, where k is the largest
+   number of groups it can be split into that each sum to zero. For groups up
+   to EXACT_LIMIT people we find k exactly with a DP over subsets; above that
+   we fall back to greedy matching (largest debtor pays largest creditor),
+   which never needs more than n − 1 transfers.
+   ──────────────────────────────────────────────────────────────────────── */
+const EXACT_LIMIT = 15;
+
+export function simplifyDebts(totals) {
+  // Balances are integer minor units, so the zero-sum checks are exact
+  const people = Object.entries(totals)
+    .map(([userId, balance]) => ({ userId, cents: balance }))
+    .filter((e) => e.cents !== 0);
+
+  const groups =
+    people.length <= EXACT_LIMIT ? zeroSumGroups(people) : [people];
+
+  return groups
+    .flatMap(settleGreedily)
+    .map((t) => ({ from: t.from, to: t.to, amount: t.cents }))
+    .sort((a, b) => b.amount - a.amount);
+}
+
+// Partition `people` into the maximum number of zero-sum groups
+function zeroSumGroups(people) {
+  const n = people.length;
+  const full = (1 << n) - 1;
+
+  const sum = new Array(full + 1).fill(0);
+  const best = new Array(full + 1).fill(0); // max zero-sum groups within mask
+  const drop = new Array(full + 1).fill(-1); // member removed to reach `best`
+
+  for (let mask = 1; mask <= full; mask++) {
+    const low = mask & -mask;
+    sum[mask] = sum[mask ^ low] + people[31 - Math.clz32(low)].cents;
+
+    for (let i = 0; i < n; i++) {
+      if (!(mask & (1 << i))) continue;
+      const rest = mask ^ (1 << i);
+      if (drop[mask] === -1 || best[rest] > best[mask]) {
+        best[mask] = best[rest];
+        drop[mask] = i;
+      }
+    }
+    if (sum[mask] === 0) best[mask] += 1;
+  }
+
+  // Walk the removal chain; every zero-sum mask on it closes a group
+  const groups = [];
+  let current = [];
+  for (let mask = full; mask; mask ^= 1 << drop[mask]) {
+    if (sum[mask] === 0 && current.length > 0) {
+      groups.push(current);
+      current = [];
+    }
+    current.push(people[drop[mask]]);
+  }
+  if (current.length > 0) groups.push(current);
+
+  return groups;
+}
+
+// Settle one zero-sum group: largest debtor pays largest creditor, repeat
+function settleGreedily(group) {
+  const creditors = group
+    .filter((p) => p.cents > 0)
+    .map((p) => ({ ...p }))
+    .sort((a, b) => b.cents - a.cents);
+  const debtors = group
+    .filter((p) => p.cents < 0)
+    .map((p) => ({ ...p, cents: -p.cents }))
+    .sort((a, b) => b.cents - a.cents);
+
+  const transfers = [];
+  let c = 0;
+  let d = 0;
+  while (c < creditors.length && d < debtors.length) {
+    const cents = Math.min(creditors[c].cents, debtors[d].cents);
+    transfers.push({ from: debtors[d].userId, to: creditors[c].userId, cents });
+
+    creditors[c].cents -= cents;
+    debtors[d].cents -= cents;
+    if (creditors[c].cents === 0) c++;
+    if (debtors[d].cents === 0) d++;
+  }
+
+  return transfers;
+}
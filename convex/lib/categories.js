@@ -0,0 +1,110 @@
+// convex/lib/categories.js
+// Category suggestions that learn from how people categorise their
+// expenses. The words of every saved description are remembered with the
+// chosen category, for the user and for the group (see `categoryMemory` in
+// schema.js); the rules themselves are in lib/category-rules.js.
+import { descriptionWords, suggestCategory } from "../../lib/category-rules";
+
+// A category picked over the suggestion counts this much more than one
+// that agrees with it
+const CORRECTION_WEIGHT = 3;
+
+// Group members' habits count half as much as your own
+const GROUP_WEIGHT = 0.5;
+
+// The category id of a stored category: expenses saved without one fall
+// back to "Other", whose id is "other"
+export const categoryId = (category) =>
+  !category || category.toLowerCase() === "other" ? "other" : category;
+
+// Learned rows for the description's words: [{ keyword, category, weight }]
+async function recall(ctx, { userId, groupId }, words) {
+  const memory = [];
+  for (const keyword of words) {
+    const own = await ctx.db
+      .query("categoryMemory")
+      .withIndex("by_user_and_keyword", (q) =>
+        q.eq("userId", userId).eq("keyword", keyword)
+      )
+      .collect();
+    memory.push(...own.map((m) => ({ ...m, weight: m.count })));
+
+    if (groupId) {
+      const group = await ctx.db
+        .query("categoryMemory")
+        .withIndex("by_group_and_keyword", (q) =>
+          q.eq("groupId", groupId).eq("keyword", keyword)
+        )
+        .collect();
+      memory.push(...group.map((m) => ({ ...m, weight: m.count * GROUP_WEIGHT })));
+    }
+  }
+  return memory;
+}
+
+// Suggested category for `description` as seen by `userId` (in `groupId`)
+export async function suggestExpenseCategory(ctx, { userId, groupId, description }) {
+  const memory = await recall(ctx, { userId, groupId }, descriptionWords(description));
+  return suggestCategory(description, memory);
+}
+
+// Add `amount` to the count of every (word, category) pair in one scope
+async function remember(ctx, scope, words, category, amount) {
+  for (const keyword of words) {
+    const rows = scope.userId
+      ? await ctx.db
+          .query("categoryMemory")
+          .withIndex("by_user_and_keyword", (q) =>
+            q.eq("userId", scope.userId).eq("keyword", keyword)
+          )
+          .collect()
+      : await ctx.db
+          .query("categoryMemory")
+          .withIndex("by_group_and_keyword", (q) =>
+            q.eq("groupId", scope.groupId).eq("keyword", keyword)
+          )
+          .collect();
+    const row = rows.find((r) => r.category === category);
+
+    if (row) {
+      const count = row.count + amount;
+      if (count > 0) await ctx.db.patch(row._id, { count, updatedAt: Date.now() });
+      else await ctx.db.delete(row._id);
+    } else if (amount > 0) {
+      await ctx.db.insert("categoryMemory", {
+        ...scope,
+        keyword,
+        category,
+        count: amount,
+        updatedAt: Date.now(),
+      });
+    }
+  }
+}
+
+/* ──────────────────────────────────────────────────────────────────────────
+   learnCategory – remember the category chosen for an expense
+   ----------------------------------------------------------------------------
+   `suggested` is what would have been suggested; choosing something else
+   is a correction and weighs more. `previous` (when an edit changed the
+   category) is unlearned once.
+   ──────────────────────────────────────────────────────────────────────── */
+export async function learnCategory(
+  ctx,
+  { userId, groupId, description, category, suggested, previous }
+) {
+  const words = descriptionWords(description);
+  // "Other" says nothing about the words
+  if (words.length === 0 || categoryId(category) === "other") {
+    return;
+  }
+
+  const amount = suggested && suggested !== category ? CORRECTION_WEIGHT : 1;
+  const scopes = [{ userId }, ...(groupId ? [{ groupId }] : [])];
+  for (const scope of scopes) {
+    await remember(ctx, scope, words, category, amount);
+    if (previous && previous !== category) {
+      await remember(ctx, scope, words, previous, -1);
+    }
+  }
+}
@@ -0,0 +1,135 @@
+// convex/lib/currency.js
+// Conversion of expenses and settlements into a base currency using the
+// admin-maintained `fxRates` table.
+import {
+  DEFAULT_CURRENCY,
+  isSupportedCurrency,
+} from "../../lib/currencies";
+import {
+  allocateByWeights,
+  fromMinorUnits,
+  toMinorUnits,
+} from "../../lib/money";
+
+export { DEFAULT_CURRENCY };
+
+// Throw if `code` isn't one of the currencies in lib/currencies.js
+export function assertSupportedCurrency(code) {
+  if (!isSupportedCurrency(code)) {
+    throw new Error(`Unsupported currency: ${code}`);
+  }
+}
+
+/* ──────────────────────────────────────────────────────────────────────────
+   getFxConverter – converts amounts into `baseCurrency`
+   ----------------------------------------------------------------------------
+   Uses the direct rate (from → base) when there is one, otherwise the inverse
+   of (base → from). Every rate looked up is remembered so queries can report
+   which rates their totals were computed with.
+   Amounts go in and come out as integer minor units of their own currency.
+   ──────────────────────────────────────────────────────────────────────── */
+export async function getFxConverter(ctx, baseCurrency = DEFAULT_CURRENCY) {
+  const rates = await ctx.db.query("fxRates").collect();
+  const used = new Map();
+
+  const rateFor = (currency) => {
+    if (currency === baseCurrency) return 1;
+    if (used.has(currency)) return used.get(currency).rate;
+
+    const direct = rates.find(
+      (r) => r.fromCurrency === currency && r.toCurrency === baseCurrency
+    );
+    const inverse = rates.find(
+      (r) => r.fromCurrency === baseCurrency && r.toCurrency === currency
+    );
+    const row = direct ?? inverse;
+    if (!row) {
+      throw new Error(
+        `No exchange rate from ${currency} to ${baseCurrency}. Ask an admin to add one.`
+      );
+    }
+
+    const rate = direct ? direct.rate : 1 / inverse.rate;
+    used.set(currency, {
+      rateId: row._id,
+      from: currency,
+      to: baseCurrency,
+      rate,
+      updatedAt: row.updatedAt,
+    });
+    return rate;
+  };
+
+  const convert = (amount, currency = DEFAULT_CURRENCY) =>
+    currency === baseCurrency
+      ? amount
+      : toMinorUnits(
+          fromMinorUnits(amount, currency) * rateFor(currency),
+          baseCurrency
+        );
+
+  // Convert the total, then re-split it (and the payers' contributions) so
+  // they still add up exactly
+  const convertExpense = (e) => {
+    const amount = convert(e.amount, e.currency);
+    const reallocate = (parts) =>
+      allocateByWeights(
+        amount,
+        parts.map((p) => ({ userId: p.userId, weight: p.amount })),
+        e.paidByUserId
+      );
+
+    const splits = reallocate(e.splits);
+    const payers = e.payers && reallocate(e.payers);
+    return {
+      ...e,
+      amount,
+      splits: e.splits.map((s, i) => ({
+        ...s,
+        amount: splits[i].amount,
+        // A fully settled split stays fully settled despite rounding
+        ...(s.settledAmount && {
+          settledAmount: s.paid
+            ? splits[i].amount
+            : Math.min(convert(s.settledAmount, e.currency), splits[i].amount),
+        }),
+      })),
+      ...(payers && { payers }),
+    };
+  };
+
+  return {
+    currency: baseCurrency,
+    convert,
+    // Copies with every amount expressed in the base currency
+    convertExpense,
+    convertSettlement: (s) => ({ ...s, amount: convert(s.amount, s.currency) }),
+    // [{ rateId, from, to, rate, updatedAt }] for every rate used so far
+    ratesUsed: () => [...used.values()],
+  };
+}
+
+// Throw unless amounts in `currency` can be converted into every one of
+// `baseCurrencies` (a group's, or the base currencies of everyone involved),
+// so no balance query runs into a missing rate later
+export async function assertConvertible(ctx, currency, baseCurrencies) {
+  for (const base of new Set(baseCurrencies)) {
+    (await getFxConverter(ctx, base)).convert(1, currency);
+  }
+}
+
+// Throw unless every expense / settlement in `records` can be converted
+// into `baseCurrency`, before something switches to it as its base
+export async function assertRecordsConvertible(ctx, records, baseCurrency) {
+  const currencies = new Set(records.map((r) => r.currency ?? DEFAULT_CURRENCY));
+  const fx = await getFxConverter(ctx, baseCurrency);
+  for (const currency of currencies) fx.convert(1, currency);
+}
+
+// The base currencies of `userIds`, for assertConvertible
+export async function baseCurrenciesOf(ctx, userIds) {
+  const users = await Promise.all(
+    [...new Set(userIds)].map((id) => ctx.db.get(id))
+  );
+  return users.map((u) => u?.baseCurrency ?? DEFAULT_CURRENCY);
+}
@@ -0,0 +1,238 @@
+// convex/lib/expenses.js
+// Rules every expense must satisfy, shared by the expense mutations and the
+// recurring expense templates.
+import { v } from "convex/values";
+import {
+  assertConvertible,
+  assertSupportedCurrency,
+  baseCurrenciesOf,
+  DEFAULT_CURRENCY,
+} from "./currency";
+import {
+  itemizedExtrasTotal,
+  splitByShares,
+  splitEqually,
+  splitItemized,
+  splitWithAdjustments,
+} from "../../lib/money";
+import { expensePayers } from "./balances";
+import { assertGroupActive } from "./groups";
+
+// Argument validators for an expense's payers and splits
+export const payersValidator = v.array(
+  v.object({
+    userId: v.id("users"),
+    amount: v.number(), // contribution in integer minor units
+  })
+);
+
+export const splitsValidator = v.array(
+  v.object({
+    userId: v.id("users"),
+    amount: v.number(), // integer minor units
+    paid: v.boolean(),
+    shares: v.optional(v.number()), // "shares" splits only
+    adjustment: v.optional(v.number()), // "adjustment" splits only, minor units
+  })
+);
+
+// The creator and anyone who paid towards an expense can edit or delete it
+export const canManageExpense = (expense, userId) =>
+  expense.createdBy === userId ||
+  expensePayers(expense).some((p) => p.userId === userId);
+
+// Anyone involved in an expense, or any member of its group, can see it
+export const canViewExpense = (expense, group, userId) =>
+  canManageExpense(expense, userId) ||
+  expense.splits.some((s) => s.userId === userId) ||
+  !!group?.members.some((m) => m.userId === userId);
+
+// Shared checks for createExpense, updateExpense and recurring templates
+export async function validateExpense(ctx, user, args) {
+  assertSupportedCurrency(args.currency);
+
+  // If there's a group, verify the user is a member
+  const group = args.groupId ? await ctx.db.get(args.groupId) : null;
+  if (args.groupId) {
+    if (!group) {
+      throw new Error("Group not found");
+    }
+
+    const isMember = group.members.some(
+      (member) => member.userId === user._id
+    );
+    if (!isMember) {
+      throw new Error("You are not a member of this group");
+    }
+    assertGroupActive(group);
+
+    // Nobody outside the group can be charged (e.g. someone who has left)
+    const involved = [
+      args.paidByUserId,
+      ...(args.payers ?? []).map((p) => p.userId),
+      ...args.splits.map((s) => s.userId),
+    ];
+    if (involved.some((id) => !group.members.some((m) => m.userId === id))) {
+      throw new Error("Everyone on the expense must be a member of the group");
+    }
+  }
+
+  // Group balances, and everyone's dashboard and 1-to-1 balances, must be
+  // able to convert the expense's currency
+  await assertConvertible(ctx, args.currency, [
+    ...(group ? [group.baseCurrency ?? DEFAULT_CURRENCY] : []),
+    ...(await baseCurrenciesOf(ctx, [
+      args.paidByUserId,
+      ...(args.payers ?? []).map((p) => p.userId),
+      ...args.splits.map((s) => s.userId),
+    ])),
+  ]);
+
+  // Amounts are integer minor units (paise, cents…)
+  if (!Number.isInteger(args.amount) || args.amount <= 0) {
+    throw new Error("Amount must be a positive whole number of minor units");
+  }
+  if (args.splits.some((s) => !Number.isInteger(s.amount) || s.amount < 0)) {
+    throw new Error("Split amounts must be whole numbers of minor units");
+  }
+
+  // Several payers: their contributions must cover exactly the total
+  if (args.payers) {
+    const payerIds = args.payers.map((p) => p.userId);
+    if (new Set(payerIds).size !== payerIds.length) {
+      throw new Error("Each payer can only be listed once");
+    }
+    if (!payerIds.includes(args.paidByUserId)) {
+      throw new Error("The main payer must be one of the payers");
+    }
+    if (args.payers.some((p) => !Number.isInteger(p.amount) || p.amount <= 0)) {
+      throw new Error(
+        "Payer contributions must be positive whole numbers of minor units"
+      );
+    }
+    const totalPaid = args.payers.reduce((sum, p) => sum + p.amount, 0);
+    if (totalPaid !== args.amount) {
+      throw new Error(
+        "Payer contributions must add up to the total expense amount"
+      );
+    }
+  }
+
+  // Verify that splits add up to exactly the total amount
+  const totalSplitAmount = args.splits.reduce(
+    (sum, split) => sum + split.amount,
+    0
+  );
+  if (totalSplitAmount !== args.amount) {
+    throw new Error("Split amounts must add up to the total expense amount");
+  }
+
+  // Derived split types must match what their stored metadata produces
+  const expected = expectedSplits(args);
+  if (expected.some((e, i) => e.amount !== args.splits[i].amount)) {
+    throw new Error(
+      `Split amounts don't match the ${args.splitType} split of the total`
+    );
+  }
+}
+
+/* ──────────────────────────────────────────────────────────────────────────
+   itemizedSplits – derive the splits of an itemized receipt
+   ----------------------------------------------------------------------------
+   Checks the items and extras, then shares every item (plus its part of the
+   tax, tip and service charge) among the people assigned to it. The client's
+   splits are ignored for "itemized" expenses.
+   ──────────────────────────────────────────────────────────────────────── */
+export function itemizedSplits({
+  amount,
+  items,
+  extras,
+  paidByUserId,
+  payers,
+}) {
+  if (!items?.length) {
+    throw new Error("Itemized expenses need at least one item");
+  }
+  for (const item of items) {
+    if (!item.name.trim()) throw new Error("Every item needs a name");
+    if (!Number.isInteger(item.amount) || item.amount <= 0) {
+      throw new Error(
+        `Item "${item.name}" must cost a positive whole number of minor units`
+      );
+    }
+    if (
+      item.participantIds.length === 0 ||
+      new Set(item.participantIds).size !== item.participantIds.length
+    ) {
+      throw new Error(`Item "${item.name}" needs distinct participants`);
+    }
+  }
+
+  if (
+    extras &&
+    Object.values(extras).some((x) => !Number.isInteger(x) || x < 0)
+  ) {
+    throw new Error(
+      "Tax, tip and service charge must be whole numbers of minor units"
+    );
+  }
+
+  const extrasTotal = itemizedExtrasTotal(extras);
+  const itemsTotal = items.reduce((sum, item) => sum + item.amount, 0);
+  if (itemsTotal + extrasTotal !== amount) {
+    throw new Error(
+      "Items plus tax, tip and service charge must add up to the total amount"
+    );
+  }
+
+  return splitItemized(items, extrasTotal, paidByUserId).map((split) => ({
+    ...split,
+    paid: !payers && split.userId === paidByUserId,
+  }));
+}
+
+/* ──────────────────────────────────────────────────────────────────────────
+   expectedSplits – recompute derived splits from their metadata
+   ----------------------------------------------------------------------------
+   "equal"       nothing stored, everyone gets the same
+   "shares"      splits[].shares – whole-number weights (2 for a couple…)
+   "adjustment"  splits[].adjustment – minor units added to an equal split
+   "percentage" and "exact" only need to add up, and "itemized" splits were
+   already derived by itemizedSplits, so those are returned unchanged.
+   Leftover minor units follow lib/money.js.
+   ──────────────────────────────────────────────────────────────────────── */
+function expectedSplits({ amount, splitType, splits, paidByUserId }) {
+  switch (splitType) {
+    case "equal":
+      return splitEqually(
+        amount,
+        splits.map((s) => s.userId),
+        paidByUserId
+      );
+
+    case "shares":
+      if (
+        splits.some((s) => !Number.isInteger(s.shares) || s.shares < 0) ||
+        splits.every((s) => s.shares === 0)
+      ) {
+        throw new Error(
+          "Shares must be whole numbers and at least one must be positive"
+        );
+      }
+      return splitByShares(amount, splits, paidByUserId);
+
+    case "adjustment":
+      if (splits.some((s) => !Number.isInteger(s.adjustment))) {
+        throw new Error("Adjustments must be whole numbers of minor units");
+      }
+      return splitWithAdjustments(amount, splits, paidByUserId);
+
+    case "percentage":
+    case "exact":
+    case "itemized":
+      return splits;
+
+    default:
+      throw new Error(`Unknown split type: ${splitType}`);
+  }
+}
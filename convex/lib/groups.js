@@ -0,0 +1,9 @@
+// convex/lib/groups.js
+// Group rules shared by the mutations that write to a group.
+
+// Archived groups are read-only until an admin restores them
+export function assertGroupActive(group) {
+  if (group.archivedAt) {
+    throw new Error("This group is archived. Restore it to make changes");
+  }
+}
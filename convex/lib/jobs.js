@@ -0,0 +1,11 @@
+// convex/lib/jobs.js
+// Functions called by the Inngest jobs (through ConvexHttpClient) have no
+// signed-in user, so they check a secret shared with the Next.js server.
+
+// Throw unless `secret` matches the CONVEX_JOBS_SECRET environment variable
+export function assertJobSecret(secret) {
+  const expected = process.env.CONVEX_JOBS_SECRET;
+  if (!expected || secret !== expected) {
+    throw new Error("Invalid job secret");
+  }
+}
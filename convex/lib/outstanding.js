@@ -0,0 +1,113 @@
+// convex/lib/outstanding.js
+// Balance lookups that need the database (and FX rates), shared by the
+// dashboard / group queries and the payment reminder job. The pure maths is
+// in ./balances.js.
+import { DEFAULT_CURRENCY, getFxConverter } from "./currency";
+import {
+  computeGroupTotals,
+  computePairwiseLedger,
+  countsTowardsBalance,
+  expenseDebts,
+} from "./balances";
+import { oneToOneExpenses } from "./participants";
+import { oneToOneSettlements } from "./settlements";
+
+/* ──────────────────────────────────────────────────────────────────────────
+   getOneToOneBalances – `user`'s balances outside groups, in their base
+   currency. balanceByUser is { counterpartId: { owed, owing } }. Only
+   confirmed settlements count, unless `includePending`.
+   ──────────────────────────────────────────────────────────────────────── */
+export async function getOneToOneBalances(ctx, user, { includePending } = {}) {
+  const fx = await getFxConverter(ctx, user.baseCurrency ?? DEFAULT_CURRENCY);
+
+  /* ───────────── 1‑to‑1 expenses (no groupId) ───────────── */
+  // Only 1-to-1 expenses where user is involved
+  const expenses = (await oneToOneExpenses(ctx, user._id)).map(
+    fx.convertExpense
+  );
+
+  let youOwe = 0;
+  let youAreOwed = 0;
+  const balanceByUser = {};
+
+  // Process each expense's debts (one per split and payer)
+  for (const e of expenses) {
+    for (const { from, to, amount } of expenseDebts(e)) {
+      // If user paid (part of) the expense, others owe them
+      if (to === user._id) {
+        youAreOwed += amount;
+        (balanceByUser[from] ??= { owed: 0, owing: 0 }).owed += amount;
+      }
+      // If user owes money to one of the payers
+      else if (from === user._id) {
+        youOwe += amount;
+        (balanceByUser[to] ??= { owed: 0, owing: 0 }).owing += amount;
+      }
+    }
+  }
+
+  /* ───────────── 1‑to‑1 settlements (no groupId) ───────────── */
+  const settlements = (await oneToOneSettlements(ctx, user._id))
+    .filter((s) => countsTowardsBalance(s, includePending))
+    .map(fx.convertSettlement);
+
+  for (const s of settlements) {
+    // If user made the settlement payment
+    if (s.paidByUserId === user._id) {
+      youOwe -= s.amount;
+      (balanceByUser[s.receivedByUserId] ??= { owed: 0, owing: 0 }).owing -=
+        s.amount;
+    }
+    // If user received the settlement payment
+    else {
+      youAreOwed -= s.amount;
+      (balanceByUser[s.paidByUserId] ??= { owed: 0, owing: 0 }).owed -=
+        s.amount;
+    }
+  }
+
+  return { youOwe, youAreOwed, balanceByUser, fx };
+}
+
+/* ──────────────────────────────────────────────────────────────────────────
+   getGroupLedger – a group's expenses and settlements with its net totals
+   and netted pair-wise ledger, all in the group's base currency. Every
+   settlement is returned; only confirmed ones count towards the totals,
+   unless `includePending`.
+   ──────────────────────────────────────────────────────────────────────── */
+export async function getGroupLedger(ctx, group, { includePending } = {}) {
+  const expenses = await ctx.db
+    .query("expenses")
+    .withIndex("by_group", (q) => q.eq("groupId", group._id))
+    .collect();
+
+  const settlements = await ctx.db
+    .query("settlements")
+    .withIndex("by_group", (q) => q.eq("groupId", group._id))
+    .collect();
+
+  const fx = await getFxConverter(ctx, group.baseCurrency ?? DEFAULT_CURRENCY);
+  const baseExpenses = expenses.map(fx.convertExpense);
+  const baseSettlements = settlements
+    .filter((s) => countsTowardsBalance(s, includePending))
+    .map(fx.convertSettlement);
+  // Former members still appear in old expenses and settlements; they left
+  // with a zero balance, so they only net out
+  const ids = [
+    ...new Set([
+      ...group.members.map((m) => m.userId),
+      ...expenses.flatMap((e) => expenseDebts(e).flatMap((d) => [d.from, d.to])),
+      ...settlements.flatMap((s) => [s.paidByUserId, s.receivedByUserId]),
+    ]),
+  ];
+
+  return {
+    expenses,
+    settlements,
+    fx,
+    // + ve ⇒ owed money, – ve ⇒ owes money
+    totals: computeGroupTotals(ids, baseExpenses, baseSettlements),
+    // ledger[debtor][creditor] = amount
+    ledger: computePairwiseLedger(ids, baseExpenses, baseSettlements),
+  };
+}
@@ -0,0 +1,79 @@
+// convex/lib/participants.js
+// `expenseParticipants` indexes expenses by the people on them, so per-user
+// lists (all my expenses, my 1-to-1 expenses with someone) read through an
+// index instead of every expense. Call syncExpenseParticipants whenever an
+// expense is inserted, changes who or when, or is deleted.
+import { expenseUserIds } from "./activity";
+
+/* ──────────────────────────────────────────────────────────────────────────
+   syncExpenseParticipants – rewrite an expense's participant rows
+   ----------------------------------------------------------------------------
+   One row per person on the expense, and for 1-to-1 expenses (no group)
+   one more per other person on it (`withUserId`). Deleted expenses lose
+   their rows.
+   ──────────────────────────────────────────────────────────────────────── */
+export async function syncExpenseParticipants(ctx, expenseId) {
+  const rows = await ctx.db
+    .query("expenseParticipants")
+    .withIndex("by_expense", (q) => q.eq("expenseId", expenseId))
+    .collect();
+  for (const row of rows) await ctx.db.delete(row._id);
+
+  const expense = await ctx.db.get(expenseId);
+  if (!expense) return;
+
+  const userIds = [...new Set(expenseUserIds(expense))];
+  for (const userId of userIds) {
+    const row = { expenseId, userId, date: expense.date };
+    await ctx.db.insert("expenseParticipants", row);
+    if (expense.groupId) continue;
+    for (const withUserId of userIds) {
+      if (withUserId !== userId) {
+        await ctx.db.insert("expenseParticipants", { ...row, withUserId });
+      }
+    }
+  }
+}
+
+// Participant rows of `userId`, newest first: every expense they're on, or
+// with `withUserId` only the 1-to-1 expenses they share with that person.
+// `fromDate` / `toDate` (inclusive) narrow the dates.
+export const participantRows = (
+  ctx,
+  userId,
+  { withUserId, fromDate, toDate } = {}
+) =>
+  ctx.db
+    .query("expenseParticipants")
+    .withIndex("by_user_with_and_date", (q) => {
+      let range = q.eq("userId", userId).eq("withUserId", withUserId);
+      if (fromDate !== undefined) range = range.gte("date", fromDate);
+      if (toDate !== undefined) range = range.lte("date", toDate);
+      return range;
+    })
+    .order("desc");
+
+// Every 1-to-1 expense `userId` is on, whoever with
+export async function oneToOneExpenses(ctx, userId) {
+  const rows = await ctx.db
+    .query("expenseParticipants")
+    .withIndex("by_user_with_and_date", (q) => q.eq("userId", userId))
+    .collect();
+  // Only 1-to-1 expenses have `withUserId` rows, one per other person
+  const expenseIds = new Set(
+    rows.filter((r) => r.withUserId).map((r) => r.expenseId)
+  );
+  const expenses = await Promise.all(
+    [...expenseIds].map((id) => ctx.db.get(id))
+  );
+  return expenses.filter(Boolean);
+}
+
+// The 1-to-1 expenses `userId` and `otherUserId` are both on
+export async function expensesBetween(ctx, userId, otherUserId) {
+  const rows = await participantRows(ctx, userId, {
+    withUserId: otherUserId,
+  }).collect();
+  const expenses = await Promise.all(rows.map((r) => ctx.db.get(r.expenseId)));
+  return expenses.filter(Boolean);
+}
@@ -0,0 +1,317 @@
+// convex/lib/placeholders.js
+// Placeholder users stand in for people who haven't signed up yet. Once they
+// do, users.store folds the placeholder into their real account.
+import { syncExpenseParticipants } from "./participants";
+import { releaseSettlement, unmatchStatementLines } from "./settlements";
+
+// Copy of `value` with every occurrence of the id `fromId` replaced by `toId`
+function replaceId(value, fromId, toId) {
+  if (value === fromId) return toId;
+  if (Array.isArray(value)) return value.map((v) => replaceId(v, fromId, toId));
+  if (value && typeof value === "object") {
+    return Object.fromEntries(
+      Object.entries(value).map(([k, v]) => [k, replaceId(v, fromId, toId)])
+    );
+  }
+  return value;
+}
+
+// Combine entries that now belong to the same user: amounts add up and a
+// split only stays paid if both halves were
+function combineByUser(entries) {
+  if (!entries) return entries;
+  const byUser = new Map();
+  for (const entry of entries) {
+    const existing = byUser.get(entry.userId);
+    if (!existing) {
+      byUser.set(entry.userId, { ...entry });
+      continue;
+    }
+    existing.amount += entry.amount;
+    if ("paid" in entry) existing.paid = existing.paid && entry.paid;
+    if (entry.shares !== undefined) {
+      existing.shares = (existing.shares ?? 0) + entry.shares;
+    }
+    if (entry.adjustment !== undefined) {
+      existing.adjustment = (existing.adjustment ?? 0) + entry.adjustment;
+    }
+    if (entry.settledAmount !== undefined) {
+      existing.settledAmount =
+        (existing.settledAmount ?? 0) + entry.settledAmount;
+    }
+  }
+  return [...byUser.values()];
+}
+
+// Per-table clean-up once two users have become one
+function tidy(table, doc) {
+  switch (table) {
+    case "expenses":
+    case "recurringExpenses":
+      return {
+        ...doc,
+        payers: combineByUser(doc.payers),
+        splits: combineByUser(doc.splits),
+        items: doc.items?.map((item) => ({
+          ...item,
+          participantIds: [...new Set(item.participantIds)],
+        })),
+      };
+    case "groups": {
+      // Keep one membership, the higher role and the earlier join date
+      const members = new Map();
+      for (const m of doc.members) {
+        const existing = members.get(m.userId);
+        members.set(
+          m.userId,
+          existing
+            ? {
+                ...existing,
+                role: existing.role === "admin" ? "admin" : m.role,
+                joinedAt: Math.min(existing.joinedAt, m.joinedAt),
+              }
+            : m
+        );
+      }
+      return { ...doc, members: [...members.values()] };
+    }
+    case "activities":
+      return { ...doc, userIds: [...new Set(doc.userIds)] };
+    default:
+      return doc;
+  }
+}
+
+// Documents of `table` whose `index` starts with `userId`
+const byUser = (ctx, table, index, field, userId) =>
+  ctx.db
+    .query(table)
+    .withIndex(index, (q) => q.eq(field, userId))
+    .collect();
+
+// Documents of `table` in any of `groupIds`, through its by_group index
+const inGroups = async (ctx, table, groupIds) =>
+  (
+    await Promise.all(
+      groupIds.map((groupId) =>
+        ctx.db
+          .query(table)
+          .withIndex("by_group", (q) => q.eq("groupId", groupId))
+          .collect()
+      )
+    )
+  ).flat();
+
+/* ──────────────────────────────────────────────────────────────────────────
+   placeholderDocuments – everything that can refer to `placeholderId`, per
+   table, read through indexes (see convex/schema.js)
+   ----------------------------------------------------------------------------
+   Groups have no index on their members and are read whole, as everywhere
+   else; recurring templates have none on their people either, so those of
+   the placeholder's groups and every 1-to-1 one are read. A document may be
+   returned that doesn't mention the placeholder; the caller checks.
+   ──────────────────────────────────────────────────────────────────────── */
+async function placeholderDocuments(ctx, placeholderId) {
+  const groups = (await ctx.db.query("groups").collect()).filter((g) =>
+    g.members.some((m) => m.userId === placeholderId)
+  );
+  const groupIds = groups.map((g) => g._id);
+
+  // Expenses they're on, and those of their groups they were taken off
+  const rows = await byUser(
+    ctx,
+    "expenseParticipants",
+    "by_user_with_and_date",
+    "userId",
+    placeholderId
+  );
+  const expenses = [
+    ...(await Promise.all(rows.map((r) => ctx.db.get(r.expenseId)))),
+    ...(await inGroups(ctx, "expenses", groupIds)),
+  ].filter(Boolean);
+  const expenseHistory = await Promise.all(
+    [...new Set(expenses.map((e) => e._id))].map((expenseId) =>
+      ctx.db
+        .query("expenseHistory")
+        .withIndex("by_expense", (q) => q.eq("expenseId", expenseId))
+        .collect()
+    )
+  );
+
+  // Templates have no index on their people: their groups', and every 1-to-1
+  const recurringExpenses = await inGroups(ctx, "recurringExpenses", [
+    ...groupIds,
+    undefined,
+  ]);
+
+  const settlements = [
+    ...(await byUser(
+      ctx,
+      "settlements",
+      "by_user_and_group",
+      "paidByUserId",
+      placeholderId
+    )),
+    ...(await byUser(
+      ctx,
+      "settlements",
+      "by_receiver_and_group",
+      "receivedByUserId",
+      placeholderId
+    )),
+  ];
+
+  // Everything they were involved in notified them
+  const notifications = await byUser(
+    ctx,
+    "notifications",
+    "by_user",
+    "userId",
+    placeholderId
+  );
+  const activities = (
+    await Promise.all(notifications.map((n) => ctx.db.get(n.activityId)))
+  ).filter(Boolean);
+
+  // History of their settlements, deleted ones included (from the feed)
+  const settlementIds = new Set([
+    ...settlements.map((st) => st._id),
+    ...activities.map((a) => a.settlementId).filter(Boolean),
+  ]);
+  const settlementHistory = await Promise.all(
+    [...settlementIds].map((settlementId) =>
+      ctx.db
+        .query("settlementHistory")
+        .withIndex("by_settlement", (q) => q.eq("settlementId", settlementId))
+        .collect()
+    )
+  );
+
+  return {
+    groups,
+    expenses,
+    expenseHistory: expenseHistory.flat(),
+    recurringExpenses,
+    settlements,
+    settlementHistory: settlementHistory.flat(),
+    activities,
+    notifications,
+    groupInvites: await inGroups(ctx, "groupInvites", groupIds),
+    joinRequests: await byUser(
+      ctx,
+      "joinRequests",
+      "by_user",
+      "userId",
+      placeholderId
+    ),
+    reminders: await byUser(
+      ctx,
+      "reminders",
+      "by_user",
+      "userId",
+      placeholderId
+    ),
+    reminderSettings: await byUser(
+      ctx,
+      "reminderSettings",
+      "by_user",
+      "userId",
+      placeholderId
+    ),
+    categoryMemory: await byUser(
+      ctx,
+      "categoryMemory",
+      "by_user_and_keyword",
+      "userId",
+      placeholderId
+    ),
+    statementLines: await byUser(
+      ctx,
+      "statementLines",
+      "by_user_and_status",
+      "userId",
+      placeholderId
+    ),
+    users: await byUser(
+      ctx,
+      "users",
+      "by_invited_by",
+      "invitedBy",
+      placeholderId
+    ),
+  };
+}
+
+// Rows that only one of the two users can have; true if `fields` (already
+// moved to `userId`) duplicates one of theirs and was folded into it
+async function foldDuplicate(ctx, table, fields, userId) {
+  if (table === "reminderSettings") {
+    // The real account's own preferences win
+    const own = await byUser(ctx, table, "by_user", "userId", userId);
+    return own.length > 0;
+  }
+  if (table === "categoryMemory") {
+    const own = await ctx.db
+      .query("categoryMemory")
+      .withIndex("by_user_and_keyword", (q) =>
+        q.eq("userId", userId).eq("keyword", fields.keyword)
+      )
+      .collect();
+    const row = own.find((r) => r.category === fields.category);
+    if (!row) return false;
+    await ctx.db.patch(row._id, {
+      count: row.count + fields.count,
+      updatedAt: Math.max(row.updatedAt, fields.updatedAt),
+    });
+    return true;
+  }
+  return false;
+}
+
+/* ──────────────────────────────────────────────────────────────────────────
+   mergePlaceholderUser – move everything recorded against a placeholder
+   onto a real user, then delete the placeholder
+   ----------------------------------------------------------------------------
+   Splits, payers and group memberships that end up duplicated are combined;
+   settlements between the two accounts are dropped (they'd be payments to
+   oneself), as are reminder settings and category memory the real account
+   already has.
+   ──────────────────────────────────────────────────────────────────────── */
+export async function mergePlaceholderUser(ctx, placeholderId, userId) {
+  const documents = await placeholderDocuments(ctx, placeholderId);
+
+  for (const [table, docs] of Object.entries(documents)) {
+    const seen = new Set();
+    for (const doc of docs) {
+      if (seen.has(doc._id)) continue;
+      seen.add(doc._id);
+      if (!JSON.stringify(doc).includes(placeholderId)) continue;
+
+      // System fields (_id, _creationTime) can't be written back
+      const fields = Object.fromEntries(
+        Object.entries(
+          tidy(table, replaceId(doc, placeholderId, userId))
+        ).filter(([key]) => !key.startsWith("_"))
+      );
+
+      if (
+        table === "settlements" &&
+        fields.paidByUserId === fields.receivedByUserId
+      ) {
+        // Give back what it paid off (the expenses already name `userId`)
+        await releaseSettlement(ctx, fields);
+        await unmatchStatementLines(ctx, doc._id);
+        await ctx.db.delete(doc._id);
+        continue;
+      }
+      if (await foldDuplicate(ctx, table, fields, userId)) {
+        await ctx.db.delete(doc._id);
+        continue;
+      }
+      await ctx.db.replace(doc._id, fields);
+      if (table === "expenses") await syncExpenseParticipants(ctx, doc._id);
+    }
+  }
+
+  await ctx.db.delete(placeholderId);
+}
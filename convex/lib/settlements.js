@@ -0,0 +1,378 @@
+// convex/lib/settlements.js
+// Recording a settlement, shared by createSettlement and the bank statement
+// reconciliation in convex/reconciliation.js, and the expenses it pays off
+// (see lib/allocation.js).
+import {
+  assertConvertible,
+  assertSupportedCurrency,
+  baseCurrenciesOf,
+  DEFAULT_CURRENCY,
+} from "./currency";
+import { recordActivity } from "./activity";
+import { assertGroupActive } from "./groups";
+import { allocateInOrder, splitRemaining } from "../../lib/allocation";
+
+/* ──────────────────────────────────────────────────────────────────────────
+   openExpenses – what `debtorId` still owes `creditorId`, oldest first
+   ----------------------------------------------------------------------------
+   Expenses in `groupId` (none for one-on-one) and `currency` that the
+   creditor paid alone and the debtor has an unsettled share of. Expenses
+   with several payers are left to the overall balance.
+   → [{ expense, split, remaining }]
+   ──────────────────────────────────────────────────────────────────────── */
+export async function openExpenses(
+  ctx,
+  { debtorId, creditorId, groupId, currency }
+) {
+  const expenses = await ctx.db
+    .query("expenses")
+    .withIndex("by_user_and_group", (q) =>
+      q.eq("paidByUserId", creditorId).eq("groupId", groupId)
+    )
+    .collect();
+
+  return expenses
+    .filter(
+      (e) =>
+        !e.payers?.length && (e.currency ?? DEFAULT_CURRENCY) === currency
+    )
+    .map((expense) => {
+      const split = expense.splits.find((s) => s.userId === debtorId);
+      return { expense, split, remaining: split ? splitRemaining(split) : 0 };
+    })
+    .filter((open) => open.remaining > 0)
+    .sort((a, b) => a.expense.date - b.expense.date);
+}
+
+// Every one-on-one settlement `userId` paid or received
+export async function oneToOneSettlements(ctx, userId) {
+  return [
+    ...(await ctx.db
+      .query("settlements")
+      .withIndex("by_user_and_group", (q) =>
+        q.eq("paidByUserId", userId).eq("groupId", undefined)
+      )
+      .collect()),
+    ...(await ctx.db
+      .query("settlements")
+      .withIndex("by_receiver_and_group", (q) =>
+        q.eq("receivedByUserId", userId).eq("groupId", undefined)
+      )
+      .collect()),
+  ];
+}
+
+// One-on-one settlements between two people, either way round
+export async function settlementsBetween(ctx, userId, otherUserId) {
+  const paidBy = (payerId, receiverId) =>
+    ctx.db
+      .query("settlements")
+      .withIndex("by_user_and_group", (q) =>
+        q.eq("paidByUserId", payerId).eq("groupId", undefined)
+      )
+      .filter((q) => q.eq(q.field("receivedByUserId"), receiverId))
+      .collect();
+  return [
+    ...(await paidBy(userId, otherUserId)),
+    ...(await paidBy(otherUserId, userId)),
+  ];
+}
+
+// Mark `amount` of the debtor's split on an expense as settled (a negative
+// amount gives it back)
+async function settleSplit(ctx, expense, debtorId, amount) {
+  const splits = expense.splits.map((split) => {
+    if (split.userId !== debtorId) return split;
+    const settledAmount = (split.settledAmount ?? 0) + amount;
+    const updated = { ...split, paid: settledAmount >= split.amount };
+    if (settledAmount > 0) updated.settledAmount = settledAmount;
+    else delete updated.settledAmount;
+    return updated;
+  });
+  await ctx.db.patch(expense._id, { splits });
+}
+
+// Give back what a settlement paid off, before it changes or goes away
+export async function releaseSettlement(ctx, settlement) {
+  for (const { expenseId, amount } of settlement.allocations ?? []) {
+    const expense = await ctx.db.get(expenseId);
+    if (expense) await settleSplit(ctx, expense, settlement.paidByUserId, -amount);
+  }
+}
+
+// Bank statement lines matched to a settlement that is going away go back
+// to the review queue (see convex/reconciliation.js)
+export async function unmatchStatementLines(ctx, settlementId) {
+  const lines = await ctx.db
+    .query("statementLines")
+    .withIndex("by_settlement", (q) => q.eq("settlementId", settlementId))
+    .collect();
+  for (const line of lines) {
+    await ctx.db.patch(line._id, {
+      status: "pending",
+      settlementId: undefined,
+      resolvedAt: undefined,
+    });
+  }
+}
+
+/* ──────────────────────────────────────────────────────────────────────────
+   allocateSettlement – pay off expenses with a settlement once confirmed
+   ----------------------------------------------------------------------------
+   The amount goes to the `relatedExpenseIds` chosen when it was recorded,
+   or else to every open expense between the two, oldest first; whatever is
+   left over only counts towards the balance. Afterwards `relatedExpenseIds`
+   and `allocations` say what it paid for.
+   ──────────────────────────────────────────────────────────────────────── */
+export async function allocateSettlement(ctx, settlement) {
+  const open = await openExpenses(ctx, {
+    debtorId: settlement.paidByUserId,
+    creditorId: settlement.receivedByUserId,
+    groupId: settlement.groupId,
+    currency: settlement.currency ?? DEFAULT_CURRENCY,
+  });
+  // Chosen expenses paid off in the meantime are skipped
+  const chosen = settlement.relatedExpenseIds
+    ? open.filter((o) => settlement.relatedExpenseIds.includes(o.expense._id))
+    : open;
+
+  const allocations = allocateInOrder(
+    settlement.amount,
+    chosen.map((o) => ({ id: o.expense._id, remaining: o.remaining }))
+  ).map(({ id, amount }) => ({ expenseId: id, amount }));
+
+  for (const { expenseId, amount } of allocations) {
+    const { expense } = chosen.find((o) => o.expense._id === expenseId);
+    await settleSplit(ctx, expense, settlement.paidByUserId, amount);
+  }
+
+  await ctx.db.patch(settlement._id, {
+    relatedExpenseIds: allocations.length
+      ? allocations.map((a) => a.expenseId)
+      : undefined,
+    allocations: allocations.length ? allocations : undefined,
+  });
+}
+
+// Checks for a settlement `caller` records or edits; `args` as for
+// createSettlement. Returns the currency, defaulted from the group / caller.
+export async function validateSettlement(ctx, caller, args) {
+  /* ── basic validation ────────────────────────────────────────────────── */
+  if (args.amount <= 0) throw new Error("Amount must be positive");
+  if (!Number.isInteger(args.amount)) {
+    throw new Error("Amount must be a whole number of minor units");
+  }
+  if (args.paidByUserId === args.receivedByUserId) {
+    throw new Error("Payer and receiver cannot be the same user");
+  }
+  if (
+    caller._id !== args.paidByUserId &&
+    caller._id !== args.receivedByUserId
+  ) {
+    throw new Error("You must be either the payer or the receiver");
+  }
+
+  /* ── group check (if provided) ───────────────────────────────────────── */
+  let baseCurrency = caller.baseCurrency ?? DEFAULT_CURRENCY;
+  if (args.groupId) {
+    const group = await ctx.db.get(args.groupId);
+    if (!group) throw new Error("Group not found");
+    assertGroupActive(group);
+
+    const isMember = (uid) => group.members.some((m) => m.userId === uid);
+    if (!isMember(args.paidByUserId) || !isMember(args.receivedByUserId)) {
+      throw new Error("Both parties must be members of the group");
+    }
+    baseCurrency = group.baseCurrency ?? DEFAULT_CURRENCY;
+  }
+
+  /* ── currency check ──────────────────────────────────────────────────── */
+  const currency = args.currency ?? baseCurrency;
+  assertSupportedCurrency(currency);
+  // Group balances, and both people's own balances, must be able to convert it
+  await assertConvertible(ctx, currency, [
+    ...(args.groupId ? [baseCurrency] : []),
+    ...(await baseCurrenciesOf(ctx, [args.paidByUserId, args.receivedByUserId])),
+  ]);
+
+  /* ── the chosen expenses must be open ones between the two ────────────── */
+  if (args.relatedExpenseIds) {
+    const open = await openExpenses(ctx, {
+      debtorId: args.paidByUserId,
+      creditorId: args.receivedByUserId,
+      groupId: args.groupId,
+      currency,
+    });
+    const chosen = new Set(args.relatedExpenseIds);
+    if (open.filter((o) => chosen.has(o.expense._id)).length !== chosen.size) {
+      throw new Error(
+        "A settlement can only cover open expenses in its currency that the receiver paid"
+      );
+    }
+  }
+
+  return currency;
+}
+
+/* ──────────────────────────────────────────────────────────────────────────
+   insertSettlement – validate and store a settlement recorded by `caller`
+   ----------------------------------------------------------------------------
+   `args` are createSettlement's, plus an optional `date` (timestamp, e.g.
+   when the bank booked the transfer; defaults to now). Recorded by the
+   receiver it is confirmed straight away; recorded by the payer it stays
+   "pending" until the receiver confirms it (see allocateSettlement for the
+   `relatedExpenseIds` chosen). Returns the id.
+   ──────────────────────────────────────────────────────────────────────── */
+export async function insertSettlement(ctx, caller, args) {
+  const currency = await validateSettlement(ctx, caller, args);
+
+  /* ── insert ──────────────────────────────────────────────────────────── */
+  // The receiver's word is enough; a payment recorded by the payer waits
+  // for the receiver to confirm it
+  const confirmed = caller._id === args.receivedByUserId;
+  const settlementId = await ctx.db.insert("settlements", {
+    amount: args.amount,
+    currency,
+    note: args.note,
+    date: args.date ?? Date.now(), // server‑side timestamp by default
+    paidByUserId: args.paidByUserId,
+    receivedByUserId: args.receivedByUserId,
+    groupId: args.groupId,
+    relatedExpenseIds: args.relatedExpenseIds,
+    status: confirmed ? "confirmed" : "pending",
+    confirmedAt: confirmed ? Date.now() : undefined,
+    createdBy: caller._id,
+  });
+  if (confirmed) {
+    await allocateSettlement(ctx, await ctx.db.get(settlementId));
+  }
+
+  await recordActivity(ctx, {
+    type: "settlement_created",
+    actorId: caller._id,
+    groupId: args.groupId,
+    settlementId,
+    description: args.note ?? "",
+    amount: args.amount,
+    currency,
+    paidByUserId: args.paidByUserId,
+    receivedByUserId: args.receivedByUserId,
+    userIds: [args.paidByUserId, args.receivedByUserId],
+  });
+
+  return settlementId;
+}
+
+// The receiver (`me`) confirms a pending or disputed payment: it now pays
+// off expenses and counts towards the balance
+export async function confirmPayment(ctx, me, settlement) {
+  await ctx.db.patch(settlement._id, {
+    status: "confirmed",
+    confirmedAt: Date.now(),
+    disputeReason: undefined,
+    disputedAt: undefined,
+  });
+  await allocateSettlement(ctx, settlement);
+
+  await recordActivity(ctx, {
+    type: "settlement_confirmed",
+    actorId: me._id,
+    groupId: settlement.groupId,
+    settlementId: settlement._id,
+    description: settlement.note ?? "",
+    amount: settlement.amount,
+    currency: settlement.currency,
+    paidByUserId: settlement.paidByUserId,
+    receivedByUserId: settlement.receivedByUserId,
+    userIds: [settlement.paidByUserId],
+  });
+}
+
+/* ──────────────────────────────────────────────────────────────────────────
+   reallocateExpense – keep settlements in step with an edited expense
+   ----------------------------------------------------------------------------
+   `next` is the expense as it is about to be saved ({ paidByUserId, payers,
+   currency, splits }), or null when it's deleted. While the payer and
+   currency stay the same everyone keeps what they settled, up to their new
+   share, and the settlements give back any excess, newest first. Otherwise
+   the settlements no longer cover the expense; their money still counts
+   towards the balance.
+   → `next.splits` with the settled amounts carried over
+   ──────────────────────────────────────────────────────────────────────── */
+export async function reallocateExpense(ctx, expense, next) {
+  // Only payments to the expense's payer, in its group, can cover it;
+  // `includes` can't be used in a query filter, so filter those in memory
+  const settlements = (
+    await ctx.db
+      .query("settlements")
+      .withIndex("by_receiver_and_group", (q) =>
+        q
+          .eq("receivedByUserId", expense.paidByUserId)
+          .eq("groupId", expense.groupId)
+      )
+      .collect()
+  )
+    .filter((s) => s.relatedExpenseIds?.includes(expense._id))
+    .sort((a, b) => a.date - b.date);
+
+  const keeps =
+    next &&
+    !next.payers?.length &&
+    next.paidByUserId === expense.paidByUserId &&
+    next.currency === (expense.currency ?? DEFAULT_CURRENCY);
+
+  // What each debtor's new share can still take
+  const room = {};
+  if (keeps) {
+    for (const split of next.splits) {
+      if (split.userId !== next.paidByUserId) room[split.userId] = split.amount;
+    }
+  }
+
+  const settled = {};
+  for (const settlement of settlements) {
+    // Not confirmed yet, so only the choice of expenses is stored
+    if (!settlement.allocations) {
+      if (!next) {
+        await ctx.db.patch(settlement._id, {
+          relatedExpenseIds: settlement.relatedExpenseIds.filter(
+            (id) => id !== expense._id
+          ),
+        });
+      }
+      continue;
+    }
+
+    const debtorId = settlement.paidByUserId;
+    const allocations = (settlement.allocations ?? [])
+      .map((a) => {
+        if (a.expenseId !== expense._id) return a;
+        const amount = Math.min(a.amount, room[debtorId] ?? 0);
+        room[debtorId] = (room[debtorId] ?? 0) - amount;
+        settled[debtorId] = (settled[debtorId] ?? 0) + amount;
+        return { ...a, amount };
+      })
+      .filter((a) => a.amount > 0);
+
+    const covers = allocations.some((a) => a.expenseId === expense._id);
+    const relatedExpenseIds = settlement.relatedExpenseIds.filter(
+      (id) => id !== expense._id || covers
+    );
+    await ctx.db.patch(settlement._id, {
+      allocations: allocations.length ? allocations : undefined,
+      relatedExpenseIds: relatedExpenseIds.length
+        ? relatedExpenseIds
+        : undefined,
+    });
+  }
+
+  return next?.splits.map((split) =>
+    settled[split.userId]
+      ? {
+          ...split,
+          settledAmount: settled[split.userId],
+          paid: settled[split.userId] >= split.amount,
+        }
+      : split
+  );
+}
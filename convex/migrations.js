@@ -0,0 +1,98 @@
+// convex/migrations.js
+import { internalMutation } from "./_generated/server";
+import { DEFAULT_CURRENCY } from "./lib/currency";
+import { syncExpenseParticipants } from "./lib/participants";
+import { allocateByWeights, toMinorUnits } from "../lib/money";
+
+// Record a migration as applied; returns false if it already ran
+async function claimMigration(ctx, name) {
+  const existing = await ctx.db
+    .query("migrations")
+    .withIndex("by_name", (q) => q.eq("name", name))
+    .unique();
+  if (existing) return false;
+
+  await ctx.db.insert("migrations", { name, ranAt: Date.now() });
+  return true;
+}
+
+/**
+ * Convert stored amounts from decimal major units (₹12.34) to integer minor
+ * units (1234). Runs at most once.
+ * Run with: npx convex run migrations:amountsToMinorUnits
+ */
+export const amountsToMinorUnits = internalMutation({
+  args: {},
+  handler: async (ctx) => {
+    if (!(await claimMigration(ctx, "amountsToMinorUnits"))) {
+      return { skipped: true };
+    }
+
+    // Convert the total, then re-split it in proportion to the old split
+    // amounts: rounding each split on its own (33.333 × 3 → 3333 × 3) would
+    // no longer add up to the total
+    const convertExpense = (e) => {
+      const amount = toMinorUnits(e.amount, e.currency ?? DEFAULT_CURRENCY);
+      const reallocate = (parts) => {
+        const minor = allocateByWeights(
+          amount,
+          parts.map((p) => ({ userId: p.userId, weight: p.amount })),
+          e.paidByUserId
+        );
+        return parts.map((p, i) => ({ ...p, amount: minor[i].amount }));
+      };
+
+      return {
+        amount,
+        splits: reallocate(e.splits),
+        ...(e.payers && { payers: reallocate(e.payers) }),
+      };
+    };
+
+    const expenses = await ctx.db.query("expenses").collect();
+    for (const e of expenses) {
+      await ctx.db.patch(e._id, convertExpense(e));
+    }
+
+    const history = await ctx.db.query("expenseHistory").collect();
+    for (const h of history) {
+      await ctx.db.patch(h._id, {
+        previous: { ...h.previous, ...convertExpense(h.previous) },
+      });
+    }
+
+    const settlements = await ctx.db.query("settlements").collect();
+    for (const s of settlements) {
+      await ctx.db.patch(s._id, {
+        amount: toMinorUnits(s.amount, s.currency ?? DEFAULT_CURRENCY),
+      });
+    }
+
+    return {
+      expenses: expenses.length,
+      expenseHistory: history.length,
+      settlements: settlements.length,
+    };
+  },
+});
+
+/**
+ * Fill the expenseParticipants index for expenses created before it
+ * existed. Runs at most once.
+ * Run with: npx convex run migrations:backfillExpenseParticipants
+ */
+export const backfillExpenseParticipants = internalMutation({
+  args: {},
+  handler: async (ctx) => {
+    if (!(await claimMigration(ctx, "backfillExpenseParticipants"))) {
+      return { skipped: true };
+    }
+
+    const expenses = await ctx.db.query("expenses").collect();
+    for (const e of expenses) {
+      await syncExpenseParticipants(ctx, e._id);
+    }
+
+    return { expenses: expenses.length };
+  },
+});
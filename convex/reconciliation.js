@@ -0,0 +1,403 @@
+import { mutation, query } from "./_generated/server";
+import { v } from "convex/values";
+import { internal } from "./_generated/api";
+import {
+  assertSupportedCurrency,
+  DEFAULT_CURRENCY,
+  getFxConverter,
+} from "./lib/currency";
+import { countsTowardsBalance } from "./lib/balances";
+import { assertGroupActive } from "./lib/groups";
+import { getGroupLedger, getOneToOneBalances } from "./lib/outstanding";
+import { confirmPayment, insertSettlement } from "./lib/settlements";
+
+// Lines per addStatementLines call
+const MAX_LINES = 500;
+
+// Recorded settlements this many days either side of a bank line can match it
+const MATCH_WINDOW = 7 * 24 * 60 * 60 * 1000;
+
+// Suggestions shown per line
+const MAX_SUGGESTIONS = 3;
+
+// Does the bank's description mention `user`? Any part of their name of
+// three letters or more, or the part of their email before the "@", counts.
+function mentions(description, user) {
+  const text = description.toLowerCase();
+  const words = (user?.name ?? "")
+    .toLowerCase()
+    .split(/\s+/)
+    .filter((w) => w.length >= 3);
+  const handle = user?.email?.split("@")[0].toLowerCase();
+  return words.some((w) => text.includes(w)) || (!!handle && text.includes(handle));
+}
+
+// Everyone the current user has an open balance with, one-on-one and per
+// group: + ve amount ⇒ they owe me, – ve ⇒ I owe them. Payments waiting
+// for confirmation already count: they may be the lines being matched.
+async function openBalances(ctx, me) {
+  const balances = [];
+
+  const { balanceByUser, fx } = await getOneToOneBalances(ctx, me, {
+    includePending: true,
+  });
+  for (const [userId, { owed, owing }] of Object.entries(balanceByUser)) {
+    if (owed !== owing) {
+      balances.push({ userId, amount: owed - owing, currency: fx.currency });
+    }
+  }
+
+  const groups = (await ctx.db.query("groups").collect()).filter(
+    (g) => !g.archivedAt && g.members.some((m) => m.userId === me._id)
+  );
+  for (const group of groups) {
+    const { ledger, fx } = await getGroupLedger(ctx, group, {
+      includePending: true,
+    });
+    for (const [userId, row] of Object.entries(ledger)) {
+      const amount = (row[me._id] ?? 0) - (ledger[me._id]?.[userId] ?? 0);
+      if (userId !== me._id && amount !== 0) {
+        balances.push({
+          userId,
+          groupId: group._id,
+          groupName: group.name,
+          amount,
+          currency: fx.currency,
+        });
+      }
+    }
+  }
+
+  return balances;
+}
+
+// Pending or ignored line of the current user's statement
+async function getOwnLine(ctx, lineId) {
+  const me = await ctx.runQuery(internal.users.getCurrentUser);
+  const line = await ctx.db.get(lineId);
+  if (!line || line.userId !== me._id) {
+    throw new Error("Statement line not found");
+  }
+  if (line.status === "matched") {
+    throw new Error("This line has already been matched");
+  }
+  return { me, line };
+}
+
+// ----------- Upload -----------
+
+// Add the lines of an uploaded statement (read in the browser by
+// lib/import/bank.js). Lines uploaded before are skipped.
+export const addStatementLines = mutation({
+  args: {
+    currency: v.string(),
+    lines: v.array(
+      v.object({
+        date: v.number(), // timestamp
+        amount: v.number(), // integer minor units; + ve received, – ve sent
+        description: v.string(),
+        externalId: v.optional(v.string()), // the bank's id, e.g. OFX FITID
+      })
+    ),
+  },
+  handler: async (ctx, { currency, lines }) => {
+    const me = await ctx.runQuery(internal.users.getCurrentUser);
+    assertSupportedCurrency(currency);
+    if (lines.length > MAX_LINES) {
+      throw new Error(`Upload at most ${MAX_LINES} lines at a time`);
+    }
+
+    let added = 0;
+    let duplicates = 0;
+    for (const line of lines) {
+      if (!Number.isInteger(line.amount) || line.amount === 0) {
+        throw new Error("Amounts must be non-zero whole numbers of minor units");
+      }
+
+      const fingerprint =
+        line.externalId ??
+        `${line.date}|${line.amount}|${line.description.trim().toLowerCase()}`;
+      const existing = await ctx.db
+        .query("statementLines")
+        .withIndex("by_user_and_fingerprint", (q) =>
+          q.eq("userId", me._id).eq("fingerprint", fingerprint)
+        )
+        .first();
+      if (existing) {
+        duplicates++;
+        continue;
+      }
+
+      await ctx.db.insert("statementLines", {
+        userId: me._id,
+        date: line.date,
+        amount: line.amount,
+        currency,
+        description: line.description.trim(),
+        fingerprint,
+        status: "pending",
+        importedAt: Date.now(),
+      });
+      added++;
+    }
+
+    return { added, duplicates };
+  },
+});
+
+// ----------- Review Queue -----------
+
+/* ──────────────────────────────────────────────────────────────────────────
+   getReviewQueue – unmatched statement lines with suggested matches
+   ----------------------------------------------------------------------------
+   Money received can match a settlement paid to me or someone who owes me;
+   money sent a settlement I paid or someone I owe. Suggestions, best first:
+     settlement  already recorded: same amount and currency, booked within a
+                 week, not matched to another line yet
+     balance     an open balance (one-on-one or in a group), scored by the
+                 amount (all of it, or part) and whether the bank's
+                 description names the person
+   ──────────────────────────────────────────────────────────────────────── */
+export const getReviewQueue = query({
+  handler: async (ctx) => {
+    const me = await ctx.runQuery(internal.users.getCurrentUser);
+
+    const pending = await ctx.db
+      .query("statementLines")
+      .withIndex("by_user_and_status", (q) =>
+        q.eq("userId", me._id).eq("status", "pending")
+      )
+      .collect();
+    const ignored = await ctx.db
+      .query("statementLines")
+      .withIndex("by_user_and_status", (q) =>
+        q.eq("userId", me._id).eq("status", "ignored")
+      )
+      .collect();
+
+    const balances = pending.length > 0 ? await openBalances(ctx, me) : [];
+
+    // My settlements that no statement line claims yet
+    const settlements = [];
+    if (pending.length > 0) {
+      const mine = await ctx.db
+        .query("settlements")
+        .filter((q) =>
+          q.or(
+            q.eq(q.field("paidByUserId"), me._id),
+            q.eq(q.field("receivedByUserId"), me._id)
+          )
+        )
+        .collect();
+      for (const s of mine) {
+        if (s.writtenOff) continue;
+        const claimed = await ctx.db
+          .query("statementLines")
+          .withIndex("by_settlement", (q) => q.eq("settlementId", s._id))
+          .first();
+        if (!claimed) settlements.push(s);
+      }
+    }
+
+    const users = new Map();
+    const getUser = async (id) => {
+      if (!users.has(id)) users.set(id, await ctx.db.get(id));
+      return users.get(id);
+    };
+    const groupNames = new Map();
+    const getGroupName = async (id) => {
+      if (!id) return null;
+      if (!groupNames.has(id)) groupNames.set(id, (await ctx.db.get(id))?.name);
+      return groupNames.get(id);
+    };
+    const converters = new Map();
+    const getConverter = async (currency) => {
+      if (!converters.has(currency)) {
+        converters.set(currency, await getFxConverter(ctx, currency));
+      }
+      return converters.get(currency);
+    };
+
+    const lines = [];
+    for (const line of pending.sort((a, b) => b.date - a.date)) {
+      const incoming = line.amount > 0;
+      const amount = Math.abs(line.amount);
+      const suggestions = [];
+
+      for (const s of settlements) {
+        const mineSide = incoming ? s.receivedByUserId : s.paidByUserId;
+        const other = incoming ? s.paidByUserId : s.receivedByUserId;
+        if (
+          mineSide !== me._id ||
+          s.amount !== amount ||
+          (s.currency ?? DEFAULT_CURRENCY) !== line.currency ||
+          Math.abs(s.date - line.date) > MATCH_WINDOW
+        ) {
+          continue;
+        }
+        const user = await getUser(other);
+        suggestions.push({
+          kind: "settlement",
+          settlementId: s._id,
+          userId: other,
+          name: user?.name ?? "Unknown user",
+          groupId: s.groupId,
+          groupName: await getGroupName(s.groupId),
+          amount: s.amount,
+          currency: s.currency ?? DEFAULT_CURRENCY,
+          date: s.date,
+          score: 4 + (mentions(line.description, user) ? 2 : 0),
+        });
+      }
+
+      for (const b of balances) {
+        if (incoming !== b.amount > 0) continue;
+
+        let converted;
+        try {
+          converted = (await getConverter(b.currency)).convert(
+            amount,
+            line.currency
+          );
+        } catch {
+          continue; // no exchange rate, can't compare
+        }
+
+        const user = await getUser(b.userId);
+        const open = Math.abs(b.amount);
+        const score =
+          (mentions(line.description, user) ? 2 : 0) +
+          (Math.abs(converted - open) <= 1 ? 2 : converted < open ? 1 : 0);
+        if (score < 2) continue;
+
+        suggestions.push({
+          kind: "balance",
+          userId: b.userId,
+          name: user?.name ?? "Unknown user",
+          groupId: b.groupId,
+          groupName: b.groupName ?? null,
+          amount: open,
+          currency: b.currency,
+          score,
+        });
+      }
+
+      lines.push({
+        id: line._id,
+        date: line.date,
+        amount: line.amount,
+        currency: line.currency,
+        description: line.description,
+        suggestions: suggestions
+          .sort((a, b) => b.score - a.score)
+          .slice(0, MAX_SUGGESTIONS),
+      });
+    }
+
+    return {
+      lines,
+      ignored: ignored
+        .sort((a, b) => b.date - a.date)
+        .map((line) => ({
+          id: line._id,
+          date: line.date,
+          amount: line.amount,
+          currency: line.currency,
+          description: line.description,
+        })),
+    };
+  },
+});
+
+/* ──────────────────────────────────────────────────────────────────────────
+   confirmStatementLine – match a line to a settlement
+   ----------------------------------------------------------------------------
+   Either to one that was already recorded (`settlementId`), which must be
+   for the line's amount and currency, or to a new settlement with `userId`
+   (in `groupId`, if given) for the line's amount, currency and date. Money
+   in on the statement confirms a payment still waiting for the current
+   user to confirm it.
+   ──────────────────────────────────────────────────────────────────────── */
+export const confirmStatementLine = mutation({
+  args: {
+    lineId: v.id("statementLines"),
+    settlementId: v.optional(v.id("settlements")),
+    userId: v.optional(v.id("users")),
+    groupId: v.optional(v.id("groups")),
+  },
+  handler: async (ctx, args) => {
+    const { me, line } = await getOwnLine(ctx, args.lineId);
+    const incoming = line.amount > 0;
+
+    let settlementId = args.settlementId;
+    if (settlementId) {
+      const settlement = await ctx.db.get(settlementId);
+      if (!settlement) throw new Error("Settlement not found");
+      const mineSide = incoming
+        ? settlement.receivedByUserId
+        : settlement.paidByUserId;
+      if (mineSide !== me._id) {
+        throw new Error(
+          incoming
+            ? "That settlement wasn't paid to you"
+            : "That settlement wasn't paid by you"
+        );
+      }
+      const claimed = await ctx.db
+        .query("statementLines")
+        .withIndex("by_settlement", (q) => q.eq("settlementId", settlementId))
+        .first();
+      if (claimed) {
+        throw new Error("That settlement is already matched to another line");
+      }
+      if (
+        settlement.amount !== Math.abs(line.amount) ||
+        (settlement.currency ?? DEFAULT_CURRENCY) !== line.currency
+      ) {
+        throw new Error(
+          "That settlement is for a different amount or currency than the line"
+        );
+      }
+
+      // The money arrived, so the payment is confirmed
+      if (incoming && !countsTowardsBalance(settlement)) {
+        if (settlement.groupId) {
+          assertGroupActive(await ctx.db.get(settlement.groupId));
+        }
+        await confirmPayment(ctx, me, settlement);
+      }
+    } else {
+      if (!args.userId) throw new Error("Pick who the transfer was with");
+      settlementId = await insertSettlement(ctx, me, {
+        amount: Math.abs(line.amount),
+        currency: line.currency,
+        note: `Bank transfer: ${line.description}`.slice(0, 200),
+        date: line.date,
+        paidByUserId: incoming ? args.userId : me._id,
+        receivedByUserId: incoming ? me._id : args.userId,
+        groupId: args.groupId,
+      });
+    }
+
+    await ctx.db.patch(line._id, {
+      status: "matched",
+      settlementId,
+      resolvedAt: Date.now(),
+    });
+    return settlementId;
+  },
+});
+
+// Move a line out of the review queue (not a transfer between friends), or
+// back into it
+export const setStatementLineIgnored = mutation({
+  args: { lineId: v.id("statementLines"), ignored: v.boolean() },
+  handler: async (ctx, { lineId, ignored }) => {
+    const { line } = await getOwnLine(ctx, lineId);
+
+    await ctx.db.patch(line._id, {
+      status: ignored ? "ignored" : "pending",
+      resolvedAt: ignored ? Date.now() : undefined,
+    });
+  },
+});
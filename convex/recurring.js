@@ -0,0 +1,440 @@
+import { mutation, query } from "./_generated/server";
+import { v } from "convex/values";
+import { internal } from "./_generated/api";
+import { addDays, addMonths, addWeeks } from "date-fns";
+import { DEFAULT_CURRENCY } from "./lib/currency";
+import {
+  canManageExpense,
+  payersValidator,
+  splitsValidator,
+  validateExpense,
+} from "./lib/expenses";
+import { assertGroupActive } from "./lib/groups";
+import { assertJobSecret } from "./lib/jobs";
+import { suggestExpenseCategory } from "./lib/categories";
+import { expenseUserIds, recordActivity } from "./lib/activity";
+import { syncExpenseParticipants } from "./lib/participants";
+import {
+  allocateByWeights,
+  splitByShares,
+  splitEqually,
+  splitWithAdjustments,
+} from "../lib/money";
+
+const CADENCES = ["daily", "weekly", "monthly", "custom"];
+
+// A template that fell behind (e.g. the job was down) catches up at most
+// this many occurrences per run
+const MAX_CATCH_UP = 31;
+
+// Timestamp of occurrence number `index`, counted from the start date so
+// monthly templates don't drift (Jan 31 → Feb 28 → Mar 31)
+function occurrenceDate(template, index) {
+  const start = new Date(template.startDate);
+  switch (template.cadence) {
+    case "daily":
+      return addDays(start, index).getTime();
+    case "weekly":
+      return addWeeks(start, index).getTime();
+    case "monthly":
+      return addMonths(start, index).getTime();
+    default:
+      return addDays(start, index * template.intervalDays).getTime();
+  }
+}
+
+function assertCadence({ cadence, intervalDays, startDate, endDate }) {
+  if (!CADENCES.includes(cadence)) {
+    throw new Error(`Unknown cadence: ${cadence}`);
+  }
+  if (
+    cadence === "custom" &&
+    (!Number.isInteger(intervalDays) || intervalDays < 1)
+  ) {
+    throw new Error("Custom cadences need a whole number of days (1 or more)");
+  }
+  if (endDate !== undefined && endDate < startDate) {
+    throw new Error("The end date can't be before the first occurrence");
+  }
+}
+
+// "ended" once the next occurrence would fall after the end date
+const statusAfter = (template, nextDate) =>
+  template.endDate !== undefined && nextDate > template.endDate
+    ? "ended"
+    : template.status;
+
+/* ──────────────────────────────────────────────────────────────────────────
+   materializeDue – create an expense for every due occurrence
+   ----------------------------------------------------------------------------
+   Occurrences dated up to `now` become ordinary expenses (linked back via
+   `recurringExpenseId`), then the template moves on to its next date. The
+   template is checked again as createExpense would check it, on behalf of
+   its creator; if it no longer passes (someone left the group, the group
+   was archived…) it is paused instead. Returns the number of expenses
+   created.
+   ──────────────────────────────────────────────────────────────────────── */
+async function materializeDue(ctx, template, now) {
+  if (occurrenceDate(template, template.occurrences) > now) return 0;
+
+  const creator = await ctx.db.get(template.createdBy);
+  try {
+    if (!creator) throw new Error("The creator no longer exists");
+    await validateExpense(ctx, creator, template);
+  } catch {
+    await ctx.db.patch(template._id, { status: "paused" });
+    return 0;
+  }
+
+  let { occurrences } = template;
+  let created = 0;
+
+  while (created < MAX_CATCH_UP) {
+    const date = occurrenceDate(template, occurrences);
+    if (date > now || statusAfter(template, date) === "ended") break;
+
+    const expenseId = await ctx.db.insert("expenses", {
+      description: template.description,
+      amount: template.amount,
+      currency: template.currency,
+      category: template.category,
+      date,
+      paidByUserId: template.paidByUserId,
+      payers: template.payers,
+      splitType: template.splitType,
+      splits: template.splits,
+      groupId: template.groupId,
+      createdBy: template.createdBy,
+      recurringExpenseId: template._id,
+    });
+    await syncExpenseParticipants(ctx, expenseId);
+    await recordActivity(ctx, {
+      type: "expense_created",
+      actorId: template.createdBy,
+      groupId: template.groupId,
+      expenseId,
+      description: template.description,
+      amount: template.amount,
+      currency: template.currency,
+      userIds: expenseUserIds(template),
+    });
+    occurrences++;
+    created++;
+  }
+
+  const nextDate = occurrenceDate(template, occurrences);
+  await ctx.db.patch(template._id, {
+    occurrences,
+    nextDate,
+    status: statusAfter(template, nextDate),
+  });
+  return created;
+}
+
+// Re-split a template for a new amount, keeping each person's share rule
+function rescale(template, amount) {
+  const { splits, paidByUserId } = template;
+  let amounts;
+  switch (template.splitType) {
+    case "equal":
+      amounts = splitEqually(
+        amount,
+        splits.map((s) => s.userId),
+        paidByUserId
+      );
+      break;
+    case "shares":
+      amounts = splitByShares(amount, splits, paidByUserId);
+      break;
+    case "adjustment":
+      amounts = splitWithAdjustments(amount, splits, paidByUserId);
+      break;
+    default:
+      // "percentage" / "exact": keep everyone's proportion of the total
+      amounts = allocateByWeights(
+        amount,
+        splits.map((s) => ({ userId: s.userId, weight: s.amount })),
+        paidByUserId
+      );
+  }
+
+  const payers =
+    template.payers &&
+    allocateByWeights(
+      amount,
+      template.payers.map((p) => ({ userId: p.userId, weight: p.amount })),
+      paidByUserId
+    );
+
+  return {
+    splits: splits.map((s, i) => ({ ...s, amount: amounts[i].amount })),
+    payers,
+  };
+}
+
+// Load a template the current user may change: its creator, one of its
+// payers, or an admin of its group
+async function getManageableTemplate(ctx, recurringExpenseId) {
+  const user = await ctx.runQuery(internal.users.getCurrentUser);
+
+  const template = await ctx.db.get(recurringExpenseId);
+  if (!template) throw new Error("Recurring expense not found");
+
+  const group = template.groupId ? await ctx.db.get(template.groupId) : null;
+  const member = group?.members.find((m) => m.userId === user._id);
+  if (!canManageExpense(template, user._id) && member?.role !== "admin") {
+    throw new Error("You don't have permission to change this recurring expense");
+  }
+  if (group) assertGroupActive(group);
+
+  return { user, template };
+}
+
+// ----------- Group Page -----------
+
+// Recurring expense templates of a group, soonest first
+export const getGroupRecurringExpenses = query({
+  args: { groupId: v.id("groups") },
+  handler: async (ctx, { groupId }) => {
+    const user = await ctx.runQuery(internal.users.getCurrentUser);
+
+    const group = await ctx.db.get(groupId);
+    if (!group) throw new Error("Group not found");
+
+    const member = group.members.find((m) => m.userId === user._id);
+    if (!member) throw new Error("You are not a member of this group");
+
+    const templates = await ctx.db
+      .query("recurringExpenses")
+      .withIndex("by_group", (q) => q.eq("groupId", groupId))
+      .collect();
+
+    // Ended templates go last
+    templates.sort(
+      (a, b) =>
+        (a.status === "ended") - (b.status === "ended") ||
+        a.nextDate - b.nextDate
+    );
+
+    return templates.map((t) => ({
+      ...t,
+      canManage: canManageExpense(t, user._id) || member.role === "admin",
+    }));
+  },
+});
+
+// Create a template; occurrences up to now are created straight away
+export const createRecurringExpense = mutation({
+  args: {
+    description: v.string(),
+    amount: v.number(), // integer minor units (paise, cents…)
+    currency: v.optional(v.string()), // defaults to the group's / creator's base currency
+    category: v.optional(v.string()),
+    paidByUserId: v.id("users"),
+    payers: v.optional(payersValidator), // only when several people paid
+    splitType: v.string(), // any split type except "itemized"
+    splits: splitsValidator,
+    groupId: v.optional(v.id("groups")),
+    cadence: v.string(), // "daily", "weekly", "monthly" or "custom"
+    intervalDays: v.optional(v.number()), // "custom" cadence only
+    startDate: v.number(), // timestamp of the first occurrence
+    endDate: v.optional(v.number()), // timestamp
+  },
+  handler: async (ctx, args) => {
+    const user = await ctx.runQuery(internal.users.getCurrentUser);
+
+    if (args.splitType === "itemized") {
+      throw new Error("Itemized expenses can't repeat");
+    }
+    assertCadence(args);
+
+    const group = args.groupId ? await ctx.db.get(args.groupId) : null;
+    const currency =
+      args.currency ??
+      group?.baseCurrency ??
+      user.baseCurrency ??
+      DEFAULT_CURRENCY;
+
+    await validateExpense(ctx, user, { ...args, currency });
+
+    const suggestion = args.category
+      ? null
+      : await suggestExpenseCategory(ctx, {
+          userId: user._id,
+          groupId: args.groupId,
+          description: args.description,
+        });
+
+    const recurringExpenseId = await ctx.db.insert("recurringExpenses", {
+      description: args.description,
+      amount: args.amount,
+      currency,
+      category: args.category || suggestion?.category || "Other",
+      paidByUserId: args.paidByUserId,
+      payers: args.payers,
+      splitType: args.splitType,
+      splits: args.splits,
+      groupId: args.groupId,
+      cadence: args.cadence,
+      intervalDays: args.cadence === "custom" ? args.intervalDays : undefined,
+      startDate: args.startDate,
+      endDate: args.endDate,
+      occurrences: 0,
+      nextDate: args.startDate,
+      status: "active",
+      createdBy: user._id,
+    });
+
+    await materializeDue(
+      ctx,
+      await ctx.db.get(recurringExpenseId),
+      Date.now()
+    );
+
+    return recurringExpenseId;
+  },
+});
+
+// Edit future occurrences; expenses already created are left alone
+export const updateRecurringExpense = mutation({
+  args: {
+    recurringExpenseId: v.id("recurringExpenses"),
+    description: v.string(),
+    amount: v.number(), // integer minor units of the template's currency
+    cadence: v.string(),
+    intervalDays: v.optional(v.number()),
+    endDate: v.optional(v.number()), // omit to repeat forever
+  },
+  handler: async (ctx, args) => {
+    const { user, template } = await getManageableTemplate(
+      ctx,
+      args.recurringExpenseId
+    );
+    // A new cadence starts counting from the next occurrence
+    const cadenceChanged =
+      args.cadence !== template.cadence ||
+      (args.cadence === "custom" && args.intervalDays !== template.intervalDays);
+    const schedule = cadenceChanged
+      ? { startDate: template.nextDate, occurrences: 0 }
+      : { startDate: template.startDate, occurrences: template.occurrences };
+    assertCadence({ ...args, startDate: schedule.startDate });
+
+    const { splits, payers } = rescale(template, args.amount);
+    await validateExpense(ctx, user, {
+      ...template,
+      description: args.description,
+      amount: args.amount,
+      splits,
+      payers,
+    });
+
+    const updated = {
+      ...template,
+      ...schedule,
+      description: args.description,
+      amount: args.amount,
+      splits,
+      payers,
+      cadence: args.cadence,
+      intervalDays: args.cadence === "custom" ? args.intervalDays : undefined,
+      endDate: args.endDate,
+      // An edited template that had ended may be active again
+      status: template.status === "paused" ? "paused" : "active",
+    };
+    const nextDate = occurrenceDate(updated, updated.occurrences);
+
+    await ctx.db.patch(template._id, {
+      description: updated.description,
+      amount: updated.amount,
+      splits: updated.splits,
+      payers: updated.payers,
+      cadence: updated.cadence,
+      intervalDays: updated.intervalDays,
+      startDate: updated.startDate,
+      endDate: updated.endDate,
+      occurrences: updated.occurrences,
+      nextDate,
+      status: statusAfter(updated, nextDate),
+      updatedAt: Date.now(),
+    });
+
+    return template._id;
+  },
+});
+
+// Pause or resume a template
+export const setRecurringExpensePaused = mutation({
+  args: {
+    recurringExpenseId: v.id("recurringExpenses"),
+    paused: v.boolean(),
+  },
+  handler: async (ctx, { recurringExpenseId, paused }) => {
+    const { template } = await getManageableTemplate(ctx, recurringExpenseId);
+    if (template.status === "ended") {
+      throw new Error("This recurring expense has ended");
+    }
+
+    if (paused) {
+      await ctx.db.patch(template._id, { status: "paused" });
+      return;
+    }
+
+    // Resuming picks up at the first occurrence after now: what fell due
+    // while paused is skipped, not charged late
+    const now = Date.now();
+    let { occurrences } = template;
+    while (occurrenceDate(template, occurrences) <= now) occurrences++;
+
+    const nextDate = occurrenceDate(template, occurrences);
+    await ctx.db.patch(template._id, {
+      occurrences,
+      nextDate,
+      status: statusAfter({ ...template, status: "active" }, nextDate),
+    });
+  },
+});
+
+// Skip the next occurrence without creating an expense for it
+export const skipNextOccurrence = mutation({
+  args: { recurringExpenseId: v.id("recurringExpenses") },
+  handler: async (ctx, { recurringExpenseId }) => {
+    const { template } = await getManageableTemplate(ctx, recurringExpenseId);
+    if (template.status === "ended") {
+      throw new Error("This recurring expense has ended");
+    }
+
+    const occurrences = template.occurrences + 1;
+    const nextDate = occurrenceDate(template, occurrences);
+    await ctx.db.patch(template._id, {
+      occurrences,
+      nextDate,
+      status: statusAfter(template, nextDate),
+    });
+  },
+});
+
+// ----------- Inngest Jobs -----------
+
+// Create every due occurrence of every active template (called by the
+// hourly Inngest cron in lib/inngest/functions.js)
+export const materializeDueExpenses = mutation({
+  args: { secret: v.string() },
+  handler: async (ctx, { secret }) => {
+    assertJobSecret(secret);
+
+    const now = Date.now();
+    const due = await ctx.db
+      .query("recurringExpenses")
+      .withIndex("by_status_and_next_date", (q) =>
+        q.eq("status", "active").lte("nextDate", now)
+      )
+      .collect();
+
+    let created = 0;
+    for (const template of due) {
+      created += await materializeDue(ctx, template, now);
+    }
+
+    return { templates: due.length, created };
+  },
+});
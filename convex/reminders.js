@@ -0,0 +1,333 @@
+import { mutation, query } from "./_generated/server";
+import { v } from "convex/values";
+import { internal } from "./_generated/api";
+import { format, getISOWeek, getISOWeekYear, parseISO } from "date-fns";
+import { simplifyDebts } from "./lib/balances";
+import { assertJobSecret } from "./lib/jobs";
+import { getGroupLedger, getOneToOneBalances } from "./lib/outstanding";
+
+const FREQUENCIES = ["off", "daily", "weekly", "monthly"];
+
+// Users looked at per queueDueReminders call
+const USERS_PER_BATCH = 20;
+const CHANNELS = ["inbox", "email"];
+
+// Used for anyone who never changed their reminder preferences
+const DEFAULT_SETTINGS = {
+  frequency: "weekly",
+  channel: "inbox",
+  quietHoursStart: 22,
+  quietHoursEnd: 8,
+  timeZone: "UTC",
+};
+
+async function getSettings(ctx, userId) {
+  const settings = await ctx.db
+    .query("reminderSettings")
+    .withIndex("by_user", (q) => q.eq("userId", userId))
+    .unique();
+  return { ...DEFAULT_SETTINGS, ...settings };
+}
+
+// Calendar date ("2026-10-19") and hour (0–23) of `now` in `timeZone`
+function localTime(now, timeZone) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat("en-US", {
+      timeZone,
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      hour: "numeric",
+      hourCycle: "h23",
+    })
+      .formatToParts(now)
+      .map((p) => [p.type, p.value])
+  );
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    hour: parseInt(parts.hour, 10),
+  };
+}
+
+// A start after the end wraps past midnight (22 → 8); equal hours mean none
+const inQuietHours = (hour, { quietHoursStart: start, quietHoursEnd: end }) =>
+  start <= end
+    ? hour >= start && hour < end
+    : hour >= start || hour < end;
+
+// The reminder period `date` falls in, e.g. "daily:2026-10-19",
+// "weekly:2026-W43" or "monthly:2026-10"
+function cycleKey(frequency, date) {
+  const day = parseISO(date);
+  switch (frequency) {
+    case "daily":
+      return `daily:${date}`;
+    case "weekly":
+      return `weekly:${getISOWeekYear(day)}-W${String(getISOWeek(day)).padStart(2, "0")}`;
+    default:
+      return `monthly:${format(day, "yyyy-MM")}`;
+  }
+}
+
+/* ──────────────────────────────────────────────────────────────────────────
+   outstandingDebts – everything `user` currently owes, one line per person
+   and group. Groups with "simplify debts" on use the minimum-transfer plan,
+   like the group page. `groupCache` shares group ledgers between users.
+   Payments still waiting for confirmation count as paid: no reminders for
+   money that is already on its way.
+   ──────────────────────────────────────────────────────────────────────── */
+async function outstandingDebts(ctx, user, groups, groupCache) {
+  const debts = [];
+
+  const { balanceByUser, fx } = await getOneToOneBalances(ctx, user, {
+    includePending: true,
+  });
+  for (const [userId, { owed, owing }] of Object.entries(balanceByUser)) {
+    if (owing - owed > 0) {
+      debts.push({ toUserId: userId, amount: owing - owed, currency: fx.currency });
+    }
+  }
+
+  for (const group of groups) {
+    if (!group.members.some((m) => m.userId === user._id)) continue;
+    if (group.archivedAt) continue; // read-only, nothing can be settled there
+
+    if (!groupCache.has(group._id)) {
+      groupCache.set(
+        group._id,
+        await getGroupLedger(ctx, group, { includePending: true })
+      );
+    }
+    const { fx, totals, ledger } = groupCache.get(group._id);
+
+    const owes = group.simplifyDebts
+      ? simplifyDebts(totals)
+          .filter((t) => t.from === user._id)
+          .map((t) => [t.to, t.amount])
+      : Object.entries(ledger[user._id] ?? {}).filter(([, amount]) => amount > 0);
+
+    for (const [toUserId, amount] of owes) {
+      debts.push({
+        toUserId,
+        groupId: group._id,
+        groupName: group.name,
+        amount,
+        currency: fx.currency,
+      });
+    }
+  }
+
+  // Snapshot the names; the reminder reads as it did when it was sent
+  return Promise.all(
+    debts.map(async (debt) => ({
+      ...debt,
+      toName: (await ctx.db.get(debt.toUserId))?.name ?? "Unknown user",
+    }))
+  );
+}
+
+// ----------- Reminders Page -----------
+
+// Reminder preferences of the current user
+export const getMyReminderSettings = query({
+  handler: async (ctx) => {
+    const user = await ctx.runQuery(internal.users.getCurrentUser);
+    return await getSettings(ctx, user._id);
+  },
+});
+
+export const updateReminderSettings = mutation({
+  args: {
+    frequency: v.string(), // "off", "daily", "weekly" or "monthly"
+    channel: v.string(), // "inbox" or "email"
+    quietHoursStart: v.number(), // hour, 0–23
+    quietHoursEnd: v.number(), // hour, 0–23
+    timeZone: v.string(), // IANA name
+  },
+  handler: async (ctx, args) => {
+    const user = await ctx.runQuery(internal.users.getCurrentUser);
+
+    if (!FREQUENCIES.includes(args.frequency)) {
+      throw new Error(`Unknown reminder frequency: ${args.frequency}`);
+    }
+    if (!CHANNELS.includes(args.channel)) {
+      throw new Error(`Unknown reminder channel: ${args.channel}`);
+    }
+    for (const hour of [args.quietHoursStart, args.quietHoursEnd]) {
+      if (!Number.isInteger(hour) || hour < 0 || hour > 23) {
+        throw new Error("Quiet hours must be whole hours between 0 and 23");
+      }
+    }
+    try {
+      localTime(new Date(), args.timeZone);
+    } catch {
+      throw new Error(`Unknown time zone: ${args.timeZone}`);
+    }
+
+    const existing = await ctx.db
+      .query("reminderSettings")
+      .withIndex("by_user", (q) => q.eq("userId", user._id))
+      .unique();
+
+    if (existing) {
+      await ctx.db.patch(existing._id, { ...args, updatedAt: Date.now() });
+      return existing._id;
+    }
+    return await ctx.db.insert("reminderSettings", {
+      userId: user._id,
+      ...args,
+      updatedAt: Date.now(),
+    });
+  },
+});
+
+// Pause reminders until `until` (omit to resume straight away)
+export const snoozeReminders = mutation({
+  args: { until: v.optional(v.number()) }, // timestamp
+  handler: async (ctx, { until }) => {
+    const user = await ctx.runQuery(internal.users.getCurrentUser);
+
+    const existing = await ctx.db
+      .query("reminderSettings")
+      .withIndex("by_user", (q) => q.eq("userId", user._id))
+      .unique();
+
+    if (existing) {
+      await ctx.db.patch(existing._id, { snoozedUntil: until, updatedAt: Date.now() });
+      return;
+    }
+    await ctx.db.insert("reminderSettings", {
+      userId: user._id,
+      ...DEFAULT_SETTINGS,
+      snoozedUntil: until,
+      updatedAt: Date.now(),
+    });
+  },
+});
+
+// Delivered reminders of the current user, newest first
+export const getMyReminders = query({
+  handler: async (ctx) => {
+    const user = await ctx.runQuery(internal.users.getCurrentUser);
+
+    const reminders = await ctx.db
+      .query("reminders")
+      .withIndex("by_user", (q) => q.eq("userId", user._id))
+      .order("desc")
+      .take(50);
+
+    return reminders.filter((r) => r.status === "sent");
+  },
+});
+
+export const markRemindersRead = mutation({
+  handler: async (ctx) => {
+    const user = await ctx.runQuery(internal.users.getCurrentUser);
+
+    const reminders = await ctx.db
+      .query("reminders")
+      .withIndex("by_user", (q) => q.eq("userId", user._id))
+      .collect();
+
+    const now = Date.now();
+    for (const reminder of reminders) {
+      if (reminder.status === "sent" && !reminder.readAt) {
+        await ctx.db.patch(reminder._id, { readAt: now });
+      }
+    }
+  },
+});
+
+// ----------- Inngest Jobs -----------
+
+/* ──────────────────────────────────────────────────────────────────────────
+   queueDueReminders – queue this cycle's reminder for everyone who owes money
+   ----------------------------------------------------------------------------
+   Called by the hourly Inngest cron in lib/inngest/functions.js. Users who
+   turned reminders off, are snoozed, are inside their quiet hours or already
+   have a reminder for the current cycle are skipped. Works through the
+   users a batch at a time: call again with `continueCursor` until `isDone`.
+   `queued` is what the transports in lib/reminders/transports.js need to
+   deliver each reminder.
+   ──────────────────────────────────────────────────────────────────────── */
+export const queueDueReminders = mutation({
+  args: {
+    secret: v.string(),
+    cursor: v.optional(v.string()), // continueCursor of the previous batch
+  },
+  handler: async (ctx, { secret, cursor }) => {
+    assertJobSecret(secret);
+
+    const now = Date.now();
+    const users = await ctx.db
+      .query("users")
+      .paginate({ numItems: USERS_PER_BATCH, cursor: cursor ?? null });
+    const groups = await ctx.db.query("groups").collect();
+    const groupCache = new Map();
+    const queued = [];
+
+    for (const user of users.page) {
+      if (user.isPlaceholder) continue; // hasn't signed up, nowhere to deliver
+      const settings = await getSettings(ctx, user._id);
+      if (settings.frequency === "off") continue;
+      if (settings.snoozedUntil && settings.snoozedUntil > now) continue;
+
+      const { date, hour } = localTime(new Date(now), settings.timeZone);
+      if (inQuietHours(hour, settings)) continue;
+
+      const cycle = cycleKey(settings.frequency, date);
+      const existing = await ctx.db
+        .query("reminders")
+        .withIndex("by_user_and_cycle", (q) =>
+          q.eq("userId", user._id).eq("cycle", cycle)
+        )
+        .first();
+      if (existing) continue; // already reminded this cycle
+
+      const debts = await outstandingDebts(ctx, user, groups, groupCache);
+      if (debts.length === 0) continue;
+
+      const reminderId = await ctx.db.insert("reminders", {
+        userId: user._id,
+        cycle,
+        channel: settings.channel,
+        debts,
+        status: "queued",
+        queuedAt: now,
+      });
+      queued.push({
+        reminderId,
+        channel: settings.channel,
+        name: user.name,
+        email: user.email,
+        debts,
+      });
+    }
+
+    return {
+      queued,
+      continueCursor: users.continueCursor,
+      isDone: users.isDone,
+    };
+  },
+});
+
+// Record the outcome of delivering a queued reminder
+export const completeReminder = mutation({
+  args: {
+    secret: v.string(),
+    reminderId: v.id("reminders"),
+    error: v.optional(v.string()), // set when delivery failed
+  },
+  handler: async (ctx, { secret, reminderId, error }) => {
+    assertJobSecret(secret);
+
+    const reminder = await ctx.db.get(reminderId);
+    if (!reminder) throw new Error("Reminder not found");
+
+    await ctx.db.patch(
+      reminderId,
+      error ? { status: "failed", error } : { status: "sent", sentAt: Date.now() }
+    );
+  },
+});
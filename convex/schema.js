@@ -5,57 +5,260 @@ export default defineSchema({
   users: defineTable({
     name: v.string(),
     email: v.string(),
-    tokenIdentifier: v.string(),
+    tokenIdentifier: v.optional(v.string()), // unset on placeholder users
     imageUrl: v.optional(v.string()),
+    baseCurrency: v.optional(v.string()), // currency the dashboard is shown in, defaults to INR
+    isAdmin: v.optional(v.boolean()), // can manage exchange rates
+    isPlaceholder: v.optional(v.boolean()), // invited by email, hasn't signed up yet
+    invitedBy: v.optional(v.id("users")), // who created the placeholder
+    // Where others can pay this user (see lib/payment-links.js)
+    paymentHandles: v.optional(
+      v.object({
+        upi: v.optional(v.string()), // UPI VPA, e.g. name@bank
+        paypal: v.optional(v.string()), // PayPal.me username
+        venmo: v.optional(v.string()), // Venmo username
+        iban: v.optional(v.string()), // without spaces
+      })
+    ),
   })
     .index("by_token", ["tokenIdentifier"])
     .index("by_email", ["email"])
+    .index("by_invited_by", ["invitedBy"])
     .searchIndex("search_name", { searchField: "name" })
     .searchIndex("search_email", { searchField: "email" }),
 
   // Expenses
   expenses: defineTable({
     description: v.string(),
-    amount: v.number(),
+    amount: v.number(), // integer minor units (paise, cents…) of `currency`
+    currency: v.optional(v.string()), // ISO code, defaults to INR
     category: v.optional(v.string()),
     date: v.number(), // timestamp
-    paidByUserId: v.id("users"), // Reference to users table
-    splitType: v.string(), // "equal", "percentage", "exact"
+    paidByUserId: v.id("users"), // Reference to users table (the main payer)
+    payers: v.optional(
+      v.array(
+        v.object({
+          userId: v.id("users"), // Reference to users table
+          amount: v.number(), // contribution in minor units
+        })
+      )
+    ), // only when several people paid; contributions add up to `amount`
+    splitType: v.string(), // "equal", "percentage", "exact", "shares", "adjustment", "itemized"
     splits: v.array(
       v.object({
         userId: v.id("users"), // Reference to users table
-        amount: v.number(), // amount owed by this user
-        paid: v.boolean(),
+        amount: v.number(), // amount owed by this user, in minor units
+        paid: v.boolean(), // nothing left to pay: the payer's own share, or settled in full
+        shares: v.optional(v.number()), // "shares" splits: this user's number of shares
+        adjustment: v.optional(v.number()), // "adjustment" splits: minor units added to the equal share
+        settledAmount: v.optional(v.number()), // minor units paid off by settlements, see lib/allocation.js
       })
     ),
+    // Itemized receipts ("itemized" splits are derived from these)
+    items: v.optional(
+      v.array(
+        v.object({
+          name: v.string(),
+          amount: v.number(), // minor units, before tax / tip / service
+          participantIds: v.array(v.id("users")), // who shares this item
+        })
+      )
+    ),
+    extras: v.optional(
+      v.object({
+        tax: v.number(), // minor units
+        tip: v.number(), // minor units
+        serviceCharge: v.number(), // minor units
+      })
+    ), // spread across the items in proportion to their amounts
     groupId: v.optional(v.id("groups")), // null for one-on-one expenses
     createdBy: v.id("users"), // Reference to users table
+    updatedAt: v.optional(v.number()), // timestamp of the latest edit
+    recurringExpenseId: v.optional(v.id("recurringExpenses")), // template it was created from
+    // Receipts and photos, served by convex/attachments.js to participants only
+    attachments: v.optional(
+      v.array(
+        v.object({
+          storageId: v.id("_storage"),
+          name: v.string(), // original file name
+          contentType: v.string(), // image/* or application/pdf
+          size: v.number(), // bytes
+        })
+      )
+    ),
   })
     .index("by_group", ["groupId"])
     .index("by_user_and_group", ["paidByUserId", "groupId"])
-    .index("by_date", ["date"]),
+    .index("by_date", ["date"])
+    .index("by_group_and_date", ["groupId", "date"])
+    .index("by_currency", ["currency"]),
+
+  // Who is on each expense, see convex/lib/participants.js
+  expenseParticipants: defineTable({
+    expenseId: v.id("expenses"),
+    userId: v.id("users"),
+    withUserId: v.optional(v.id("users")), // 1-to-1 expenses: one row per other person on it
+    date: v.number(), // the expense's date
+  })
+    .index("by_expense", ["expenseId"])
+    .index("by_user_with_and_date", ["userId", "withUserId", "date"]),
+
+  // Who uploaded each attachment file, and the expense it ended up on
+  uploads: defineTable({
+    storageId: v.id("_storage"),
+    uploadedBy: v.id("users"),
+    uploadedAt: v.number(),
+    expenseId: v.optional(v.id("expenses")), // unset until it's attached
+  })
+    .index("by_storage", ["storageId"])
+    .index("by_expense_and_uploaded", ["expenseId", "uploadedAt"]),
+
+  // Words of past expense descriptions and the categories they were given,
+  // per user and per group; see convex/lib/categories.js
+  categoryMemory: defineTable({
+    userId: v.optional(v.id("users")), // set for a user's own memory…
+    groupId: v.optional(v.id("groups")), // …or for a group's
+    keyword: v.string(), // lower-cased word of a description
+    category: v.string(), // category id
+    count: v.number(), // weighted uses; corrections count more
+    updatedAt: v.number(), // timestamp
+  })
+    .index("by_user_and_keyword", ["userId", "keyword"])
+    .index("by_group_and_keyword", ["groupId", "keyword"]),
+
+  // Expense history (previous versions of edited expenses)
+  expenseHistory: defineTable({
+    expenseId: v.id("expenses"), // Reference to expenses table
+    editedBy: v.id("users"), // Reference to users table
+    editedAt: v.number(), // timestamp
+    previous: v.object({
+      description: v.string(),
+      amount: v.number(),
+      currency: v.optional(v.string()),
+      category: v.optional(v.string()),
+      date: v.number(),
+      paidByUserId: v.id("users"),
+      payers: v.optional(
+        v.array(v.object({ userId: v.id("users"), amount: v.number() }))
+      ),
+      splitType: v.string(),
+      splits: v.array(
+        v.object({
+          userId: v.id("users"),
+          amount: v.number(),
+          paid: v.boolean(),
+          shares: v.optional(v.number()),
+          adjustment: v.optional(v.number()),
+          settledAmount: v.optional(v.number()),
+        })
+      ),
+      items: v.optional(
+        v.array(
+          v.object({
+            name: v.string(),
+            amount: v.number(),
+            participantIds: v.array(v.id("users")),
+          })
+        )
+      ),
+      extras: v.optional(
+        v.object({ tax: v.number(), tip: v.number(), serviceCharge: v.number() })
+      ),
+    }),
+  }).index("by_expense", ["expenseId"]),
+
+  // Recurring expense templates (rent, utilities, subscriptions…); due
+  // occurrences are turned into expenses by the Inngest cron job
+  recurringExpenses: defineTable({
+    description: v.string(),
+    amount: v.number(), // integer minor units of `currency`
+    currency: v.string(), // ISO code
+    category: v.optional(v.string()),
+    paidByUserId: v.id("users"), // Reference to users table
+    payers: v.optional(
+      v.array(v.object({ userId: v.id("users"), amount: v.number() }))
+    ),
+    splitType: v.string(), // any split type except "itemized"
+    splits: v.array(
+      v.object({
+        userId: v.id("users"),
+        amount: v.number(),
+        paid: v.boolean(),
+        shares: v.optional(v.number()),
+        adjustment: v.optional(v.number()),
+      })
+    ),
+    groupId: v.optional(v.id("groups")), // null for one-on-one expenses
+    cadence: v.string(), // "daily", "weekly", "monthly" or "custom"
+    intervalDays: v.optional(v.number()), // "custom" cadence: every N days
+    startDate: v.number(), // timestamp of occurrence 0
+    endDate: v.optional(v.number()), // no occurrences after this timestamp
+    occurrences: v.number(), // occurrences created or skipped so far
+    nextDate: v.number(), // timestamp of the next occurrence
+    status: v.string(), // "active", "paused" or "ended"
+    createdBy: v.id("users"), // Reference to users table
+    updatedAt: v.optional(v.number()), // timestamp of the latest edit
+  })
+    .index("by_group", ["groupId"])
+    .index("by_status_and_next_date", ["status", "nextDate"]),
 
   // Settlements
   settlements: defineTable({
-    amount: v.number(),
+    amount: v.number(), // integer minor units of `currency`
+    currency: v.optional(v.string()), // ISO code, defaults to INR
     note: v.optional(v.string()),
     date: v.number(), // timestamp
     paidByUserId: v.id("users"), // Reference to users table
     receivedByUserId: v.id("users"), // Reference to users table
     groupId: v.optional(v.id("groups")), // null for one-on-one settlements
     relatedExpenseIds: v.optional(v.array(v.id("expenses"))), // Which expenses this settlement covers
+    // How much went to each of them (same currency); the rest only counts
+    // towards the balance
+    allocations: v.optional(
+      v.array(v.object({ expenseId: v.id("expenses"), amount: v.number() }))
+    ),
+    writtenOff: v.optional(v.boolean()), // the debt was forgiven when a member left, nothing was paid
+    // "pending" until the receiver confirms, "confirmed" or "disputed";
+    // older settlements have none and count as confirmed
+    status: v.optional(v.string()),
+    confirmedAt: v.optional(v.number()), // timestamp
+    disputeReason: v.optional(v.string()), // "disputed" only
+    disputedAt: v.optional(v.number()), // timestamp
     createdBy: v.id("users"), // Reference to users table
+    updatedAt: v.optional(v.number()), // timestamp of the latest edit, see settlementHistory
   })
     .index("by_group", ["groupId"])
     .index("by_user_and_group", ["paidByUserId", "groupId"])
     .index("by_receiver_and_group", ["receivedByUserId", "groupId"])
-    .index("by_date", ["date"]),
+    .index("by_receiver_and_status", ["receivedByUserId", "status"])
+    .index("by_date", ["date"])
+    .index("by_currency", ["currency"]),
+
+  // Settlement history: the values an edit replaced, or a deleted
+  // settlement as it last was
+  settlementHistory: defineTable({
+    settlementId: v.id("settlements"), // may no longer exist
+    action: v.string(), // "edited" or "deleted"
+    editedBy: v.id("users"), // Reference to users table
+    editedAt: v.number(), // timestamp
+    previous: v.object({
+      amount: v.number(),
+      currency: v.optional(v.string()),
+      note: v.optional(v.string()),
+      date: v.number(),
+      paidByUserId: v.id("users"),
+      receivedByUserId: v.id("users"),
+      groupId: v.optional(v.id("groups")),
+      status: v.optional(v.string()),
+    }),
+  }).index("by_settlement", ["settlementId"]),
 
   // Groups
   groups: defineTable({
     name: v.string(),
     description: v.optional(v.string()),
-    createdBy: v.id("users"), // Reference to users table
+    baseCurrency: v.optional(v.string()), // balances are shown in this currency, defaults to INR
+    createdBy: v.id("users"), // the group owner, see transferOwnership
     members: v.array(
       v.object({
         userId: v.id("users"), // Reference to users table
@@ -63,5 +266,135 @@ export default defineSchema({
         joinedAt: v.number(),
       })
     ),
+    simplifyDebts: v.optional(v.boolean()), // show the minimum-transfer plan instead of pair-wise debts
+    archivedAt: v.optional(v.number()), // timestamp; archived groups are read-only and hidden from lists
   }),
-});
\ No newline at end of file
+
+  // Lines of uploaded bank statements, matched to settlements in
+  // convex/reconciliation.js
+  statementLines: defineTable({
+    userId: v.id("users"), // whose statement it is
+    date: v.number(), // timestamp the bank booked it
+    amount: v.number(), // integer minor units of `currency`; + ve received, – ve sent
+    currency: v.string(),
+    description: v.string(), // payee / memo as the bank wrote it
+    fingerprint: v.string(), // the bank's transaction id, or date|amount|description; skips re-uploads
+    status: v.string(), // "pending", "matched" or "ignored"
+    settlementId: v.optional(v.id("settlements")), // once matched
+    importedAt: v.number(), // timestamp
+    resolvedAt: v.optional(v.number()), // timestamp of the match / ignore
+  })
+    .index("by_user_and_status", ["userId", "status"])
+    .index("by_user_and_fingerprint", ["userId", "fingerprint"])
+    .index("by_settlement", ["settlementId"]),
+
+  // Shareable links for joining a group, see the Invites section of convex/groups.js
+  groupInvites: defineTable({
+    groupId: v.id("groups"),
+    token: v.string(), // the secret part of /join/[token]
+    createdBy: v.id("users"),
+    createdAt: v.number(), // timestamp
+    expiresAt: v.optional(v.number()), // timestamp; never expires when unset
+    maxUses: v.optional(v.number()), // unlimited when unset
+    uses: v.number(), // joins and join requests so far
+    requiresApproval: v.boolean(), // an admin has to accept each join request
+    revokedAt: v.optional(v.number()), // timestamp
+  })
+    .index("by_token", ["token"])
+    .index("by_group", ["groupId"]),
+
+  // Join requests made through invites that need an admin's approval
+  joinRequests: defineTable({
+    groupId: v.id("groups"),
+    inviteId: v.id("groupInvites"),
+    userId: v.id("users"), // who wants to join
+    status: v.string(), // "pending", "approved" or "rejected"
+    createdAt: v.number(), // timestamp
+    decidedBy: v.optional(v.id("users")),
+    decidedAt: v.optional(v.number()), // timestamp
+  })
+    .index("by_group_and_status", ["groupId", "status"])
+    .index("by_group_and_user", ["groupId", "userId"])
+    .index("by_user", ["userId"]),
+
+  // Activity feed: one row per thing that happened, see convex/lib/activity.js
+  activities: defineTable({
+    type: v.string(), // "expense_created", "expense_deleted", "settlement_created", "settlement_confirmed", "settlement_disputed", "settlement_deleted", "group_created", "member_added", "member_joined" or "expenses_imported"
+    actorId: v.id("users"), // who did it
+    groupId: v.optional(v.id("groups")), // null for one-on-one activity
+    expenseId: v.optional(v.id("expenses")), // may no longer exist
+    settlementId: v.optional(v.id("settlements")),
+    description: v.string(), // expense description, settlement note (dispute reason) or group name
+    amount: v.optional(v.number()), // minor units of `currency`
+    currency: v.optional(v.string()),
+    paidByUserId: v.optional(v.id("users")), // settlements only
+    receivedByUserId: v.optional(v.id("users")), // settlements only
+    userIds: v.array(v.id("users")), // everyone involved
+    createdAt: v.number(), // timestamp
+  }).index("by_group_and_created", ["groupId", "createdAt"]),
+
+  // An activity as seen by one of the people involved (the header bell)
+  notifications: defineTable({
+    userId: v.id("users"), // Reference to users table
+    activityId: v.id("activities"), // Reference to activities table
+    read: v.boolean(), // the actor's own notification starts out read
+    createdAt: v.number(), // timestamp
+  })
+    .index("by_user", ["userId"])
+    .index("by_user_and_read", ["userId", "read"])
+    .index("by_activity", ["activityId"]),
+
+  // Payment reminder preferences (users without a row get the defaults in
+  // convex/reminders.js)
+  reminderSettings: defineTable({
+    userId: v.id("users"), // Reference to users table
+    frequency: v.string(), // "off", "daily", "weekly" or "monthly"
+    channel: v.string(), // "inbox" or "email"
+    quietHoursStart: v.number(), // hour (0–23) in `timeZone` reminders stop…
+    quietHoursEnd: v.number(), // …and the hour they may resume
+    timeZone: v.string(), // IANA name, e.g. "Asia/Kolkata"
+    snoozedUntil: v.optional(v.number()), // timestamp
+    updatedAt: v.number(), // timestamp
+  }).index("by_user", ["userId"]),
+
+  // Payment reminders, at most one per user per cycle; inbox reminders are
+  // shown on /reminders, email ones are also mailed out
+  reminders: defineTable({
+    userId: v.id("users"), // the person who owes money
+    cycle: v.string(), // e.g. "weekly:2026-W42", see cycleKey()
+    channel: v.string(), // "inbox" or "email"
+    debts: v.array(
+      v.object({
+        toUserId: v.id("users"), // Reference to users table
+        toName: v.string(),
+        groupId: v.optional(v.id("groups")), // null for one-on-one balances
+        groupName: v.optional(v.string()),
+        amount: v.number(), // minor units of `currency`
+        currency: v.string(), // the group's / user's base currency
+      })
+    ), // as they stood when the reminder was queued
+    status: v.string(), // "queued", "sent" or "failed"
+    queuedAt: v.number(), // timestamp
+    sentAt: v.optional(v.number()), // timestamp
+    readAt: v.optional(v.number()), // timestamp
+    error: v.optional(v.string()), // why delivery failed
+  })
+    .index("by_user", ["userId"])
+    .index("by_user_and_cycle", ["userId", "cycle"]),
+
+  // Exchange rates (1 fromCurrency = rate toCurrency), maintained by admins
+  fxRates: defineTable({
+    fromCurrency: v.string(),
+    toCurrency: v.string(),
+    rate: v.number(),
+    source: v.string(), // "manual" or "csv"
+    updatedBy: v.id("users"), // Reference to users table
+    updatedAt: v.number(), // timestamp
+  }).index("by_pair", ["fromCurrency", "toCurrency"]),
+
+  // One-off data migrations that have already been applied
+  migrations: defineTable({
+    name: v.string(),
+    ranAt: v.number(), // timestamp
+  }).index("by_name", ["name"]),
+});
@@ -1,9 +1,11 @@
 // convex/seed.js
 import { mutation } from "./_generated/server";
+import { syncExpenseParticipants } from "./lib/participants";
 
 /**
  * Seed database with dummy data using your existing users
  * Run with: npx convex run seed:seedDatabase
+ * All amounts are integer paise (₹1,250.00 → 125000)
  */
 export const seedDatabase = mutation({
   args: {},
@@ -133,66 +135,66 @@ async function createOneOnOneExpenses(ctx, users) {
   const expenseDatas = [
     {
       description: "Dinner at Indian Restaurant",
-      amount: 1250.0,
+      amount: 125000,
       category: "foodDrink", // Using ID from expense-categories.js
       date: twoWeeksAgo,
       paidByUserId: user1._id,
       splitType: "equal",
       splits: [
-        { userId: user1._id, amount: 625.0, paid: true },
-        { userId: user2._id, amount: 625.0, paid: false },
+        { userId: user1._id, amount: 62500, paid: true },
+        { userId: user2._id, amount: 62500, paid: false },
       ],
       createdBy: user1._id,
     },
     {
       description: "Cab ride to airport",
-      amount: 450.0,
+      amount: 45000,
       category: "transportation", 
       date: oneWeekAgo,
       paidByUserId: user2._id,
       splitType: "equal",
       splits: [
-        { userId: user1._id, amount: 225.0, paid: false },
-        { userId: user2._id, amount: 225.0, paid: true },
+        { userId: user1._id, amount: 22500, paid: false },
+        { userId: user2._id, amount: 22500, paid: true },
       ],
       createdBy: user2._id,
     },
     {
       description: "Movie tickets",
-      amount: 500.0,
+      amount: 50000,
       category: "entertainment",
       date: oneWeekAgo + 2 * 24 * 60 * 60 * 1000,
       paidByUserId: user3._id,
       splitType: "equal",
       splits: [
-        { userId: user2._id, amount: 250.0, paid: false },
-        { userId: user3._id, amount: 250.0, paid: true },
+        { userId: user2._id, amount: 25000, paid: false },
+        { userId: user3._id, amount: 25000, paid: true },
       ],
       createdBy: user3._id,
     },
     {
       description: "Groceries",
-      amount: 1875.5,
+      amount: 187550,
       category: "groceries",
       date: oneMonthAgo,
       paidByUserId: user1._id,
       splitType: "percentage",
       splits: [
-        { userId: user1._id, amount: 1312.85, paid: true }, // 70%
-        { userId: user3._id, amount: 562.65, paid: false }, // 30%
+        { userId: user1._id, amount: 131285, paid: true }, // 70%
+        { userId: user3._id, amount: 56265, paid: false }, // 30%
       ],
       createdBy: user1._id,
     },
     {
       description: "Internet bill",
-      amount: 1200.0,
+      amount: 120000,
       category: "utilities",
       date: now - 3 * 24 * 60 * 60 * 1000,
       paidByUserId: user2._id,
       splitType: "equal",
       splits: [
-        { userId: user2._id, amount: 600.0, paid: true },
-        { userId: user3._id, amount: 600.0, paid: false },
+        { userId: user2._id, amount: 60000, paid: true },
+        { userId: user3._id, amount: 60000, paid: false },
       ],
       createdBy: user2._id,
     },
@@ -201,6 +203,7 @@ async function createOneOnOneExpenses(ctx, users) {
   const expenseIds = [];
   for (const expenseData of expenseDatas) {
     const expenseId = await ctx.db.insert("expenses", expenseData);
+    await syncExpenseParticipants(ctx, expenseId);
     expenseIds.push(expenseId);
   }
 
@@ -228,45 +231,45 @@ async function createGroupExpenses(ctx, users, groups) {
   const weekendTripExpenses = [
     {
       description: "Hotel reservation",
-      amount: 9500.0,
+      amount: 950000,
       category: "housing",
       date: twoWeeksAgo,
       paidByUserId: user1._id,
       splitType: "equal",
       splits: [
-        { userId: user1._id, amount: 3166.67, paid: true },
-        { userId: user2._id, amount: 3166.67, paid: false },
-        { userId: user3._id, amount: 3166.66, paid: false },
+        { userId: user1._id, amount: 316667, paid: true },
+        { userId: user2._id, amount: 316667, paid: false },
+        { userId: user3._id, amount: 316666, paid: false },
       ],
       groupId: groups[0]._id, // Weekend Trip Group
       createdBy: user1._id,
     },
     {
       description: "Groceries for weekend",
-      amount: 2450.75,
+      amount: 245075,
       category: "groceries",
       date: twoWeeksAgo + 1 * 24 * 60 * 60 * 1000,
       paidByUserId: user2._id,
       splitType: "equal",
       splits: [
-        { userId: user1._id, amount: 816.92, paid: false },
-        { userId: user2._id, amount: 816.92, paid: true },
-        { userId: user3._id, amount: 816.91, paid: false },
+        { userId: user1._id, amount: 81692, paid: false },
+        { userId: user2._id, amount: 81692, paid: true },
+        { userId: user3._id, amount: 81691, paid: false },
       ],
       groupId: groups[0]._id, // Weekend Trip Group
       createdBy: user2._id,
     },
     {
       description: "Sight-seeing tour",
-      amount: 4500.0,
+      amount: 450000,
       category: "entertainment",
       date: twoWeeksAgo + 2 * 24 * 60 * 60 * 1000,
       paidByUserId: user3._id,
       splitType: "equal",
       splits: [
-        { userId: user1._id, amount: 1500.0, paid: false },
-        { userId: user2._id, amount: 1500.0, paid: false },
-        { userId: user3._id, amount: 1500.0, paid: true },
+        { userId: user1._id, amount: 150000, paid: false },
+        { userId: user2._id, amount: 150000, paid: false },
+        { userId: user3._id, amount: 150000, paid: true },
       ],
       groupId: groups[0]._id, // Weekend Trip Group
       createdBy: user3._id,
@@ -277,28 +280,28 @@ async function createGroupExpenses(ctx, users, groups) {
   const officeExpenses = [
     {
       description: "Coffee and snacks",
-      amount: 850.0,
+      amount: 85000,
       category: "coffee",
       date: oneWeekAgo,
       paidByUserId: user2._id,
       splitType: "equal",
       splits: [
-        { userId: user2._id, amount: 425.0, paid: true },
-        { userId: user3._id, amount: 425.0, paid: false },
+        { userId: user2._id, amount: 42500, paid: true },
+        { userId: user3._id, amount: 42500, paid: false },
       ],
       groupId: groups[1]._id, // Office Expenses Group
       createdBy: user2._id,
     },
     {
       description: "Office supplies",
-      amount: 1250.4,
+      amount: 125040,
       category: "shopping",
       date: oneWeekAgo + 2 * 24 * 60 * 60 * 1000,
       paidByUserId: user3._id,
       splitType: "equal",
       splits: [
-        { userId: user2._id, amount: 625.2, paid: false },
-        { userId: user3._id, amount: 625.2, paid: true },
+        { userId: user2._id, amount: 62520, paid: false },
+        { userId: user3._id, amount: 62520, paid: true },
       ],
       groupId: groups[1]._id, // Office Expenses Group
       createdBy: user3._id,
@@ -309,45 +312,45 @@ async function createGroupExpenses(ctx, users, groups) {
   const projectExpenses = [
     {
       description: "Domain purchase",
-      amount: 1200.0,
+      amount: 120000,
       category: "technology",
       date: now - 5 * 24 * 60 * 60 * 1000,
       paidByUserId: user3._id,
       splitType: "equal",
       splits: [
-        { userId: user1._id, amount: 400.0, paid: false },
-        { userId: user2._id, amount: 400.0, paid: false },
-        { userId: user3._id, amount: 400.0, paid: true },
+        { userId: user1._id, amount: 40000, paid: false },
+        { userId: user2._id, amount: 40000, paid: false },
+        { userId: user3._id, amount: 40000, paid: true },
       ],
       groupId: groups[2]._id, // Project Alpha Group
       createdBy: user3._id,
     },
     {
       description: "Server hosting",
-      amount: 3600.0,
+      amount: 360000,
       category: "bills",
       date: now - 4 * 24 * 60 * 60 * 1000,
       paidByUserId: user1._id,
       splitType: "equal",
       splits: [
-        { userId: user1._id, amount: 1200.0, paid: true },
-        { userId: user2._id, amount: 1200.0, paid: false },
-        { userId: user3._id, amount: 1200.0, paid: false },
+        { userId: user1._id, amount: 120000, paid: true },
+        { userId: user2._id, amount: 120000, paid: false },
+        { userId: user3._id, amount: 120000, paid: false },
       ],
       groupId: groups[2]._id, // Project Alpha Group
       createdBy: user1._id,
     },
     {
       description: "Project dinner",
-      amount: 4800.6,
+      amount: 480060,
       category: "foodDrink",
       date: now - 2 * 24 * 60 * 60 * 1000,
       paidByUserId: user2._id,
       splitType: "percentage",
       splits: [
-        { userId: user1._id, amount: 1600.2, paid: false }, // 33.33%
-        { userId: user2._id, amount: 1600.2, paid: true }, // 33.33%
-        { userId: user3._id, amount: 1600.2, paid: false }, // 33.33%
+        { userId: user1._id, amount: 160020, paid: false }, // 33.33%
+        { userId: user2._id, amount: 160020, paid: true }, // 33.33%
+        { userId: user3._id, amount: 160020, paid: false }, // 33.33%
       ],
       groupId: groups[2]._id, // Project Alpha Group
       createdBy: user2._id,
@@ -364,6 +367,7 @@ async function createGroupExpenses(ctx, users, groups) {
   const expenseIds = [];
   for (const expenseData of allGroupExpenses) {
     const expenseId = await ctx.db.insert("expenses", expenseData);
+    await syncExpenseParticipants(ctx, expenseId);
     expenseIds.push(expenseId);
   }
 
@@ -410,7 +414,7 @@ async function createSettlements(
   const settlementDatas = [
     // Settlement for cab ride
     {
-      amount: 225.0, // Amount user1 owes to user2
+      amount: 22500, // Amount user1 owes to user2
       note: "For cab ride",
       date: fiveDaysAgo,
       paidByUserId: user1._id, // User1 pays
@@ -420,7 +424,7 @@ async function createSettlements(
     },
     // Settlement for hotel
     {
-      amount: 3166.67, // Amount user2 owes to user1
+      amount: 316667, // Amount user2 owes to user1
       note: "Hotel payment",
       date: threeDaysAgo,
       paidByUserId: user2._id, // User2 pays
@@ -431,7 +435,7 @@ async function createSettlements(
     },
     // Settlement for office coffee
     {
-      amount: 425.0, // Amount user3 owes to user2
+      amount: 42500, // Amount user3 owes to user2
       note: "Office coffee",
       date: now - 1 * 24 * 60 * 60 * 1000,
       paidByUserId: user3._id, // User3 pays
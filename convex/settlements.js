@@ -1,6 +1,26 @@
 import { mutation, query } from "./_generated/server";
 import { v } from "convex/values";
 import { internal } from "./_generated/api";
+import {
+  computeGroupTotals,
+  countsTowardsBalance,
+  expenseDebts,
+  simplifyDebts,
+} from "./lib/balances";
+import { DEFAULT_CURRENCY, getFxConverter } from "./lib/currency";
+import {
+  allocateSettlement,
+  confirmPayment,
+  insertSettlement,
+  openExpenses,
+  releaseSettlement,
+  settlementsBetween,
+  unmatchStatementLines,
+  validateSettlement,
+} from "./lib/settlements";
+import { recordActivity } from "./lib/activity";
+import { assertGroupActive } from "./lib/groups";
+import { expensesBetween } from "./lib/participants";
 
 /* ============================================================================
  *  MUTATION: createSettlement
@@ -8,51 +28,326 @@ import { internal } from "./_generated/api";
 
 export const createSettlement = mutation({
   args: {
-    amount: v.number(), // must be > 0
+    amount: v.number(), // integer minor units, must be > 0
+    currency: v.optional(v.string()), // defaults to the group's / payer's base currency
     note: v.optional(v.string()),
     paidByUserId: v.id("users"),
     receivedByUserId: v.id("users"),
     groupId: v.optional(v.id("groups")), // null when settling one‑to‑one
-    relatedExpenseIds: v.optional(v.array(v.id("expenses"))),
+    relatedExpenseIds: v.optional(v.array(v.id("expenses"))), // expenses to pay off; every open one, oldest first, when left out
   },
   handler: async (ctx, args) => {
     // Use centralized getCurrentUser function
     const caller = await ctx.runQuery(internal.users.getCurrentUser);
 
-    /* ── basic validation ────────────────────────────────────────────────── */
-    if (args.amount <= 0) throw new Error("Amount must be positive");
-    if (args.paidByUserId === args.receivedByUserId) {
-      throw new Error("Payer and receiver cannot be the same user");
+    return await insertSettlement(ctx, caller, args);
+  },
+});
+
+/* ============================================================================
+ *  MUTATIONS: updateSettlement / deleteSettlement
+ *  Either party can correct or remove a settlement, as with createSettlement.
+ *  The values replaced are kept in settlementHistory.
+ * -------------------------------------------------------------------------- */
+
+// The settlement, if the current user is its payer or receiver
+async function getOwnSettlement(ctx, settlementId) {
+  const me = await ctx.runQuery(internal.users.getCurrentUser);
+
+  const settlement = await ctx.db.get(settlementId);
+  if (!settlement) throw new Error("Settlement not found");
+  if (
+    settlement.paidByUserId !== me._id &&
+    settlement.receivedByUserId !== me._id
+  ) {
+    throw new Error("You must be either the payer or the receiver");
+  }
+
+  return { me, settlement };
+}
+
+// Forgiven when a member left; the group's balances depend on it
+function assertNotWrittenOff(settlement) {
+  if (settlement.writtenOff) {
+    throw new Error("A written-off debt can't be changed");
+  }
+}
+
+// What settlementHistory keeps of a settlement
+const historyValues = (settlement) => ({
+  amount: settlement.amount,
+  currency: settlement.currency,
+  note: settlement.note,
+  date: settlement.date,
+  paidByUserId: settlement.paidByUserId,
+  receivedByUserId: settlement.receivedByUserId,
+  groupId: settlement.groupId,
+  status: settlement.status,
+});
+
+export const updateSettlement = mutation({
+  args: {
+    settlementId: v.id("settlements"),
+    amount: v.number(), // integer minor units, must be > 0
+    currency: v.optional(v.string()), // keeps the current currency when left out
+    note: v.optional(v.string()),
+    date: v.optional(v.number()), // keeps the current date when left out
+    relatedExpenseIds: v.optional(v.array(v.id("expenses"))), // keeps the current ones when left out
+  },
+  handler: async (ctx, args) => {
+    const { me, settlement } = await getOwnSettlement(ctx, args.settlementId);
+    assertNotWrittenOff(settlement);
+
+    // What it paid off is worked out again for the new amount
+    await releaseSettlement(ctx, settlement);
+
+    const currency = await validateSettlement(ctx, me, {
+      ...settlement,
+      amount: args.amount,
+      currency: args.currency ?? settlement.currency,
+      relatedExpenseIds: args.relatedExpenseIds,
+    });
+
+    await ctx.db.insert("settlementHistory", {
+      settlementId: settlement._id,
+      action: "edited",
+      editedBy: me._id,
+      editedAt: Date.now(),
+      previous: historyValues(settlement),
+    });
+
+    // As when it was recorded: the payer's changes need confirming again
+    const confirmed = me._id === settlement.receivedByUserId;
+    await ctx.db.patch(settlement._id, {
+      amount: args.amount,
+      currency,
+      note: args.note,
+      date: args.date ?? settlement.date,
+      relatedExpenseIds: args.relatedExpenseIds ?? settlement.relatedExpenseIds,
+      allocations: undefined,
+      status: confirmed ? "confirmed" : "pending",
+      confirmedAt: confirmed ? Date.now() : undefined,
+      disputeReason: undefined,
+      disputedAt: undefined,
+      updatedAt: Date.now(),
+    });
+    if (confirmed) {
+      await allocateSettlement(ctx, await ctx.db.get(settlement._id));
     }
-    if (
-      caller._id !== args.paidByUserId &&
-      caller._id !== args.receivedByUserId
-    ) {
+
+    return settlement._id;
+  },
+});
+
+export const deleteSettlement = mutation({
+  args: { settlementId: v.id("settlements") },
+  handler: async (ctx, { settlementId }) => {
+    const { me, settlement } = await getOwnSettlement(ctx, settlementId);
+    assertNotWrittenOff(settlement);
+
+    // Archived groups are read-only
+    const group = settlement.groupId
+      ? await ctx.db.get(settlement.groupId)
+      : null;
+    if (group) assertGroupActive(group);
+
+    await releaseSettlement(ctx, settlement);
+    await unmatchStatementLines(ctx, settlementId);
+
+    await ctx.db.insert("settlementHistory", {
+      settlementId,
+      action: "deleted",
+      editedBy: me._id,
+      editedAt: Date.now(),
+      previous: historyValues(settlement),
+    });
+    await ctx.db.delete(settlementId);
+
+    await recordActivity(ctx, {
+      type: "settlement_deleted",
+      actorId: me._id,
+      groupId: settlement.groupId,
+      settlementId,
+      description: settlement.note ?? "",
+      amount: settlement.amount,
+      currency: settlement.currency,
+      paidByUserId: settlement.paidByUserId,
+      receivedByUserId: settlement.receivedByUserId,
+      userIds: [settlement.paidByUserId, settlement.receivedByUserId],
+    });
+
+    return { success: true };
+  },
+});
+
+// Earlier versions of a settlement, newest first
+export const getSettlementHistory = query({
+  args: { settlementId: v.id("settlements") },
+  handler: async (ctx, { settlementId }) => {
+    const { settlement } = await getOwnSettlement(ctx, settlementId);
+
+    const history = await ctx.db
+      .query("settlementHistory")
+      .withIndex("by_settlement", (q) => q.eq("settlementId", settlement._id))
+      .collect();
+    history.sort((a, b) => b.editedAt - a.editedAt);
+
+    return await Promise.all(
+      history.map(async (entry) => ({
+        id: entry._id,
+        editedAt: entry.editedAt,
+        editedBy: (await ctx.db.get(entry.editedBy))?.name ?? "Unknown",
+        previous: entry.previous,
+      }))
+    );
+  },
+});
+
+/* ============================================================================
+ *  MUTATIONS: confirmSettlement / disputeSettlement
+ *  A payment recorded by the payer is "pending" until the receiver confirms
+ *  it, or disputes it with a reason. A disputed payment can still be
+ *  confirmed later.
+ * -------------------------------------------------------------------------- */
+
+// The settlement, if the current user received it and it awaits an answer
+async function getSettlementToAnswer(ctx, settlementId, statuses) {
+  const me = await ctx.runQuery(internal.users.getCurrentUser);
+
+  const settlement = await ctx.db.get(settlementId);
+  if (!settlement) throw new Error("Settlement not found");
+  if (settlement.receivedByUserId !== me._id) {
+    throw new Error("Only the receiver can confirm or dispute a payment");
+  }
+  if (!statuses.includes(settlement.status)) {
+    throw new Error(`This payment is already ${settlement.status ?? "confirmed"}`);
+  }
+  if (settlement.groupId) {
+    assertGroupActive(await ctx.db.get(settlement.groupId));
+  }
+
+  return { me, settlement };
+}
+
+export const confirmSettlement = mutation({
+  args: { settlementId: v.id("settlements") },
+  handler: async (ctx, { settlementId }) => {
+    const { me, settlement } = await getSettlementToAnswer(ctx, settlementId, [
+      "pending",
+      "disputed",
+    ]);
+
+    await confirmPayment(ctx, me, settlement);
+  },
+});
+
+export const disputeSettlement = mutation({
+  args: {
+    settlementId: v.id("settlements"),
+    reason: v.string(), // shown to the payer
+  },
+  handler: async (ctx, { settlementId, reason }) => {
+    const { me, settlement } = await getSettlementToAnswer(ctx, settlementId, [
+      "pending",
+    ]);
+
+    const disputeReason = reason.trim();
+    if (!disputeReason) throw new Error("Say what's wrong with this payment");
+
+    await ctx.db.patch(settlementId, {
+      status: "disputed",
+      disputeReason,
+      disputedAt: Date.now(),
+    });
+
+    await recordActivity(ctx, {
+      type: "settlement_disputed",
+      actorId: me._id,
+      groupId: settlement.groupId,
+      settlementId,
+      description: disputeReason,
+      amount: settlement.amount,
+      currency: settlement.currency,
+      paidByUserId: settlement.paidByUserId,
+      receivedByUserId: settlement.receivedByUserId,
+      userIds: [settlement.paidByUserId],
+    });
+  },
+});
+
+/* ============================================================================
+ *  QUERY: getSettlementsToConfirm
+ *  Payments other people say they made to the current user, oldest first
+ * -------------------------------------------------------------------------- */
+
+export const getSettlementsToConfirm = query({
+  handler: async (ctx) => {
+    const me = await ctx.runQuery(internal.users.getCurrentUser);
+
+    const pending = await ctx.db
+      .query("settlements")
+      .withIndex("by_receiver_and_status", (q) =>
+        q.eq("receivedByUserId", me._id).eq("status", "pending")
+      )
+      .collect();
+    pending.sort((a, b) => a.date - b.date);
+
+    return await Promise.all(
+      pending.map(async (settlement) => {
+        const payer = await ctx.db.get(settlement.paidByUserId);
+        const group = settlement.groupId
+          ? await ctx.db.get(settlement.groupId)
+          : null;
+        return {
+          ...settlement,
+          payerName: payer?.name ?? "Unknown",
+          groupName: group?.name,
+        };
+      })
+    );
+  },
+});
+
+/* ============================================================================
+ *  QUERY: getOpenExpenses
+ *  The expenses a settlement from `paidByUserId` to `receivedByUserId` can
+ *  pay off, oldest first – the order createSettlement allocates in
+ * -------------------------------------------------------------------------- */
+
+export const getOpenExpenses = query({
+  args: {
+    paidByUserId: v.id("users"),
+    receivedByUserId: v.id("users"),
+    groupId: v.optional(v.id("groups")),
+    currency: v.string(),
+  },
+  handler: async (ctx, args) => {
+    const me = await ctx.runQuery(internal.users.getCurrentUser);
+    if (me._id !== args.paidByUserId && me._id !== args.receivedByUserId) {
       throw new Error("You must be either the payer or the receiver");
     }
-
-    /* ── group check (if provided) ───────────────────────────────────────── */
     if (args.groupId) {
       const group = await ctx.db.get(args.groupId);
-      if (!group) throw new Error("Group not found");
-
-      const isMember = (uid) => group.members.some((m) => m.userId === uid);
-      if (!isMember(args.paidByUserId) || !isMember(args.receivedByUserId)) {
-        throw new Error("Both parties must be members of the group");
+      if (!group?.members.some((m) => m.userId === me._id)) {
+        throw new Error("You are not a member of this group");
       }
     }
 
-    /* ── insert ──────────────────────────────────────────────────────────── */
-    return await ctx.db.insert("settlements", {
-      amount: args.amount,
-      note: args.note,
-      date: Date.now(), // server‑side timestamp
-      paidByUserId: args.paidByUserId,
-      receivedByUserId: args.receivedByUserId,
+    const open = await openExpenses(ctx, {
+      debtorId: args.paidByUserId,
+      creditorId: args.receivedByUserId,
       groupId: args.groupId,
-      relatedExpenseIds: args.relatedExpenseIds,
-      createdBy: caller._id,
+      currency: args.currency,
     });
+
+    return open.map(({ expense, split, remaining }) => ({
+      id: expense._id,
+      description: expense.description,
+      date: expense.date,
+      currency: args.currency,
+      amount: split.amount,
+      remaining,
+    }));
   },
 });
 
@@ -67,6 +362,7 @@ export const getSettlementData = query({
   args: {
     entityType: v.string(), // "user"  | "group"
     entityId: v.string(), // Convex _id (string form) of the user or group
+    includePending: v.optional(v.boolean()), // count payments not yet confirmed
   },
   handler: async (ctx, args) => {
     // Use centralized getCurrentUser function
@@ -77,65 +373,31 @@ export const getSettlementData = query({
       const other = await ctx.db.get(args.entityId);
       if (!other) throw new Error("User not found");
 
-      // ---------- gather expenses where either of us paid or appears in splits
-      const myExpenses = await ctx.db
-        .query("expenses")
-        .withIndex("by_user_and_group", (q) =>
-          q.eq("paidByUserId", me._id).eq("groupId", undefined)
-        )
-        .collect();
-
-      const otherUserExpenses = await ctx.db
-        .query("expenses")
-        .withIndex("by_user_and_group", (q) =>
-          q.eq("paidByUserId", other._id).eq("groupId", undefined)
-        )
-        .collect();
+      // ---------- gather 1‑to‑1 expenses we're both on (either of us may be one of several payers)
+      const oneToOneExpenses = await expensesBetween(ctx, me._id, other._id);
 
-      const expenses = [...myExpenses, ...otherUserExpenses];
+      // ---------- everything is tallied in my base currency
+      const fx = await getFxConverter(
+        ctx,
+        me.baseCurrency ?? DEFAULT_CURRENCY
+      );
 
       let owed = 0; // they owe me
       let owing = 0; // I owe them
 
-      for (const exp of expenses) {
-        const involvesMe =
-          exp.paidByUserId === me._id ||
-          exp.splits.some((s) => s.userId === me._id);
-        const involvesThem =
-          exp.paidByUserId === other._id ||
-          exp.splits.some((s) => s.userId === other._id);
-        if (!involvesMe || !involvesThem) continue;
-
-        // case 1: I paid
-        if (exp.paidByUserId === me._id) {
-          const split = exp.splits.find(
-            (s) => s.userId === other._id && !s.paid
-          );
-          if (split) owed += split.amount;
-        }
-
-        // case 2: They paid
-        if (exp.paidByUserId === other._id) {
-          const split = exp.splits.find((s) => s.userId === me._id && !s.paid);
-          if (split) owing += split.amount;
+      for (const exp of oneToOneExpenses) {
+        for (const debt of expenseDebts(fx.convertExpense(exp))) {
+          // case 1: they owe me (I paid, or paid part)
+          if (debt.from === other._id && debt.to === me._id) owed += debt.amount;
+          // case 2: I owe them
+          if (debt.from === me._id && debt.to === other._id) owing += debt.amount;
         }
       }
 
-      const mySettlements = await ctx.db
-        .query("settlements")
-        .withIndex("by_user_and_group", (q) =>
-          q.eq("paidByUserId", me._id).eq("groupId", undefined)
-        )
-        .collect();
-
-      const otherUserSettlements = await ctx.db
-        .query("settlements")
-        .withIndex("by_user_and_group", (q) =>
-          q.eq("paidByUserId", other._id).eq("groupId", undefined)
-        )
-        .collect();
-
-      const settlements = [...mySettlements, ...otherUserSettlements];
+      // ---------- only payments between the two of us
+      const settlements = (await settlementsBetween(ctx, me._id, other._id))
+        .filter((st) => countsTowardsBalance(st, args.includePending))
+        .map(fx.convertSettlement);
 
       for (const st of settlements) {
         if (st.paidByUserId === me._id) {
@@ -154,10 +416,14 @@ export const getSettlementData = query({
           name: other.name,
           email: other.email,
           imageUrl: other.imageUrl,
+          // Only shown to people who owe them
+          paymentHandles: owing > owed ? other.paymentHandles : undefined,
         },
         youAreOwed: owed,
         youOwe: owing,
         netBalance: owed - owing, // + => you should receive, − => you should pay
+        currency: fx.currency,
+        ratesUsed: fx.ratesUsed(),
       };
     } else if (args.entityType === "group") {
       /* ──────────────────────────────────────────────────────── group page */
@@ -167,11 +433,19 @@ export const getSettlementData = query({
       const isMember = group.members.some((m) => m.userId === me._id);
       if (!isMember) throw new Error("You are not a member of this group");
 
+      // ---------- everything is tallied in the group's base currency
+      const fx = await getFxConverter(
+        ctx,
+        group.baseCurrency ?? DEFAULT_CURRENCY
+      );
+
       // ---------- expenses for this group
-      const expenses = await ctx.db
-        .query("expenses")
-        .withIndex("by_group", (q) => q.eq("groupId", group._id))
-        .collect();
+      const expenses = (
+        await ctx.db
+          .query("expenses")
+          .withIndex("by_group", (q) => q.eq("groupId", group._id))
+          .collect()
+      ).map(fx.convertExpense);
 
       // ---------- initialise per‑member tallies
       const balances = {};
@@ -181,39 +455,57 @@ export const getSettlementData = query({
 
       // ---------- apply expenses
       for (const exp of expenses) {
-        if (exp.paidByUserId === me._id) {
-          // I paid; others may owe me
-          exp.splits.forEach((split) => {
-            if (split.userId !== me._id && !split.paid) {
-              balances[split.userId].owed += split.amount;
-            }
-          });
-        } else if (balances[exp.paidByUserId]) {
-          // Someone else in the group paid; I may owe them
-          const split = exp.splits.find((s) => s.userId === me._id && !s.paid);
-          if (split) balances[exp.paidByUserId].owing += split.amount;
+        for (const { from, to, amount } of expenseDebts(exp)) {
+          if (to === me._id && balances[from]) {
+            // I paid (part of it); others may owe me
+            balances[from].owed += amount;
+          } else if (from === me._id && balances[to]) {
+            // Someone else in the group paid; I may owe them
+            balances[to].owing += amount;
+          }
         }
       }
 
       // ---------- apply settlements within the group
-      const settlements = await ctx.db
-        .query("settlements")
-        .filter((q) => q.eq(q.field("groupId"), group._id))
-        .collect();
+      const settlements = (
+        await ctx.db
+          .query("settlements")
+          .withIndex("by_group", (q) => q.eq("groupId", group._id))
+          .collect()
+      )
+        .filter((st) => countsTowardsBalance(st, args.includePending))
+        .map(fx.convertSettlement);
 
       for (const st of settlements) {
-        // we only care if ONE side is me
-        if (st.paidByUserId === me._id && balances[st.receivedByUserId]) {
-          balances[st.receivedByUserId].owing = Math.max(
-            0,
-            balances[st.receivedByUserId].owing - st.amount
-          );
-        }
-        if (st.receivedByUserId === me._id && balances[st.paidByUserId]) {
-          balances[st.paidByUserId].owed = Math.max(
-            0,
-            balances[st.paidByUserId].owed - st.amount
-          );
+        // we only care about payments between me and another member
+        const iPaid = st.paidByUserId === me._id;
+        if (!iPaid && st.receivedByUserId !== me._id) continue;
+        const counterpart = balances[iPaid ? st.receivedByUserId : st.paidByUserId];
+        if (!counterpart) continue;
+
+        if (iPaid) counterpart.owing = Math.max(0, counterpart.owing - st.amount);
+        else counterpart.owed = Math.max(0, counterpart.owed - st.amount);
+      }
+
+      // ---------- simplified view: settle along the minimum-transfer plan
+      if (group.simplifyDebts) {
+        const totals = computeGroupTotals(
+          group.members.map((m) => m.userId),
+          expenses,
+          settlements
+        );
+
+        Object.values(balances).forEach((b) => {
+          b.owed = 0;
+          b.owing = 0;
+        });
+        for (const t of simplifyDebts(totals)) {
+          if (t.from === me._id && balances[t.to]) {
+            balances[t.to].owing += t.amount;
+          }
+          if (t.to === me._id && balances[t.from]) {
+            balances[t.from].owed += t.amount;
+          }
         }
       }
 
@@ -229,6 +521,7 @@ export const getSettlementData = query({
           userId: uid,
           name: m?.name || "Unknown",
           imageUrl: m?.imageUrl,
+          paymentHandles: owing > owed ? m?.paymentHandles : undefined,
           youAreOwed: owed,
           youOwe: owing,
           netBalance: owed - owing,
@@ -242,7 +535,10 @@ export const getSettlementData = query({
           name: group.name,
           description: group.description,
         },
+        simplified: group.simplifyDebts ?? false,
         balances: list,
+        currency: fx.currency,
+        ratesUsed: fx.ratesUsed(),
       };
     }
 
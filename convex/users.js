@@ -1,6 +1,28 @@
 import { internal } from "./_generated/api";
-import { mutation, query } from "./_generated/server";
+import { internalMutation, mutation, query } from "./_generated/server";
 import { v } from "convex/values";
+import {
+  assertRecordsConvertible,
+  assertSupportedCurrency,
+} from "./lib/currency";
+import { participantRows } from "./lib/participants";
+import { mergePlaceholderUser } from "./lib/placeholders";
+import { oneToOneSettlements } from "./lib/settlements";
+import { isValidEmail, normalizeEmail } from "../lib/email";
+import {
+  normalizePaymentHandle,
+  PAYMENT_METHODS,
+} from "../lib/payment-links";
+
+// Placeholder user invited with `email`, if there is one
+async function findPlaceholder(ctx, email) {
+  if (!email) return null;
+  const users = await ctx.db
+    .query("users")
+    .withIndex("by_email", (q) => q.eq("email", normalizeEmail(email)))
+    .collect();
+  return users.find((u) => u.isPlaceholder) ?? null;
+}
 
 export const store = mutation({
   args: {},
@@ -21,18 +43,43 @@ export const store = mutation({
         q.eq("tokenIdentifier", identity.tokenIdentifier),
       )
       .unique();
+    const placeholder = await findPlaceholder(ctx, identity.email);
+    // Stored the way placeholders and lookups by email expect it
+    const email = identity.email && normalizeEmail(identity.email);
+
     if (user !== null) {
       // If we've seen this identity before but the name has changed, patch the value.
       if (user.name !== identity.name) {
         await ctx.db.patch(user._id, { name: identity.name });
       }
+      // Accounts stored before emails were normalized
+      if (email && user.email !== email) {
+        await ctx.db.patch(user._id, { email });
+      }
+      // Someone invited this email after the account was created
+      if (placeholder) {
+        await mergePlaceholderUser(ctx, placeholder._id, user._id);
+      }
       return user._id;
     }
+
+    // Signing up with an invited email: the placeholder becomes the account,
+    // so every split and settlement recorded against it stays in place
+    if (placeholder) {
+      await ctx.db.patch(placeholder._id, {
+        name: identity.name ?? placeholder.name,
+        tokenIdentifier: identity.tokenIdentifier,
+        imageUrl: identity.pictureUrl,
+        isPlaceholder: undefined,
+      });
+      return placeholder._id;
+    }
+
     // If it's a new identity, create a new `User`.
     return await ctx.db.insert("users", {
       name: identity.name ?? "Anonymous",
       tokenIdentifier: identity.tokenIdentifier,
-      email : identity.email,
+      email,
       imageUrl : identity.pictureUrl,
     });
   },
@@ -98,6 +145,130 @@ export const searchUsers = query({
         name: user.name,
         email: user.email,
         imageUrl: user.imageUrl,
+        isPlaceholder: user.isPlaceholder ?? false,
       }));
   },
-});
\ No newline at end of file
+});
+
+/* ──────────────────────────────────────────────────────────────────────────
+   createPlaceholderUser – add someone who isn't on Splitz yet by email
+   ----------------------------------------------------------------------------
+   Expenses, settlements and groups can use the placeholder like any other
+   user. When they sign up with that email, `store` turns it into their
+   account. Returns the existing user if the email is already known.
+   ──────────────────────────────────────────────────────────────────────── */
+export const createPlaceholderUser = mutation({
+  args: {
+    email: v.string(),
+    name: v.optional(v.string()), // defaults to the part before the "@"
+  },
+  handler: async (ctx, args) => {
+    const currentUser = await ctx.runQuery(internal.users.getCurrentUser);
+
+    const email = normalizeEmail(args.email);
+    if (!isValidEmail(email)) {
+      throw new Error("Please enter a valid email address");
+    }
+
+    const existing = await ctx.db
+      .query("users")
+      .withIndex("by_email", (q) => q.eq("email", email))
+      .first();
+    if (existing?._id === currentUser._id) {
+      throw new Error("You can't invite yourself");
+    }
+
+    const user = existing ?? {
+      name: args.name?.trim() || email.split("@")[0],
+      email,
+      isPlaceholder: true,
+    };
+    const id =
+      existing?._id ??
+      (await ctx.db.insert("users", { ...user, invitedBy: currentUser._id }));
+
+    return {
+      id,
+      name: user.name,
+      email: user.email,
+      imageUrl: user.imageUrl,
+      isPlaceholder: user.isPlaceholder ?? false,
+    };
+  },
+});
+
+// Set the currency the current user's dashboard and 1-to-1 balances are shown in
+export const setBaseCurrency = mutation({
+  args: { currency: v.string() },
+  handler: async (ctx, args) => {
+    const user = await ctx.runQuery(internal.users.getCurrentUser);
+    assertSupportedCurrency(args.currency);
+    // Everything shown in it has to convert into the new base: every
+    // expense I'm on (the dashboard's spending) and my 1-to-1 settlements
+    const rows = await participantRows(ctx, user._id).collect();
+    const expenses = await Promise.all(
+      rows.map((row) => ctx.db.get(row.expenseId))
+    );
+    await assertRecordsConvertible(
+      ctx,
+      [
+        ...expenses.filter(Boolean),
+        ...(await oneToOneSettlements(ctx, user._id)),
+      ],
+      args.currency
+    );
+
+    await ctx.db.patch(user._id, { baseCurrency: args.currency });
+  },
+});
+
+// Save the current user's payment handles; a blank field removes that one
+export const setPaymentHandles = mutation({
+  args: {
+    upi: v.optional(v.string()),
+    paypal: v.optional(v.string()),
+    venmo: v.optional(v.string()),
+    iban: v.optional(v.string()),
+  },
+  handler: async (ctx, args) => {
+    const user = await ctx.runQuery(internal.users.getCurrentUser);
+
+    const paymentHandles = {};
+    for (const method of PAYMENT_METHODS) {
+      const raw = args[method.id]?.trim();
+      if (!raw) continue;
+
+      const handle = normalizePaymentHandle(method.id, raw);
+      if (!handle) {
+        throw new Error(`Please enter a valid ${method.label}`);
+      }
+      paymentHandles[method.id] = handle;
+    }
+
+    await ctx.db.patch(user._id, { paymentHandles });
+    return paymentHandles;
+  },
+});
+
+/* ──────────────────────────────────────────────────────────────────────────
+   setAdmin – let a user manage exchange rates (or take that away)
+   ----------------------------------------------------------------------------
+   Internal, so only someone with access to the Convex deployment can run it:
+     npx convex run users:setAdmin '{"email": "you@example.com"}'
+     npx convex run users:setAdmin '{"email": "you@example.com", "isAdmin": false}'
+   The user has to have signed in at least once.
+   ──────────────────────────────────────────────────────────────────────── */
+export const setAdmin = internalMutation({
+  args: { email: v.string(), isAdmin: v.optional(v.boolean()) },
+  handler: async (ctx, { email, isAdmin = true }) => {
+    const users = await ctx.db
+      .query("users")
+      .withIndex("by_email", (q) => q.eq("email", normalizeEmail(email)))
+      .collect();
+    const user = users.find((u) => !u.isPlaceholder);
+    if (!user) throw new Error(`No signed-up user with email ${email}`);
+
+    await ctx.db.patch(user._id, { isAdmin });
+    return user._id;
+  },
+});
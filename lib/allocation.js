@@ -0,0 +1,40 @@
+// lib/allocation.js
+// How a settlement pays off specific expenses. Each split records the part
+// of it settlements have covered (`settledAmount`, minor units) and is
+// marked `paid` once nothing remains. Shared by convex/lib/settlements.js and
+// the UI, so keep it free of React imports.
+
+// What is still owed on a split. The payer's own share is `paid` from the
+// start and never owed.
+export const splitRemaining = (split) =>
+  split.paid && !split.settledAmount
+    ? 0
+    : split.amount - (split.settledAmount ?? 0);
+
+/* ──────────────────────────────────────────────────────────────────────────
+   allocateInOrder – spend `totalMinor` on debts in the order given
+   ----------------------------------------------------------------------------
+   Each debt takes what it still needs until the money runs out; whatever
+   is left over isn't allocated. With the debts oldest first this is FIFO.
+   debts: [{ id, remaining }]  →  [{ id, amount }] (debts that got something)
+   ──────────────────────────────────────────────────────────────────────── */
+export function allocateInOrder(totalMinor, debts) {
+  const parts = [];
+  let left = totalMinor;
+  for (const { id, remaining } of debts) {
+    if (left <= 0) break;
+    const amount = Math.min(left, remaining);
+    if (amount <= 0) continue;
+    parts.push({ id, amount });
+    left -= amount;
+  }
+  return parts;
+}
+
+// "open" when nothing owed on the expense has been settled, "partial" when
+// some has, "settled" when nothing remains
+export function expenseSettlementStatus(expense) {
+  const owed = expense.splits.filter((s) => s.settledAmount || !s.paid);
+  if (owed.every((s) => s.paid)) return "settled";
+  return owed.some((s) => s.settledAmount > 0) ? "partial" : "open";
+}
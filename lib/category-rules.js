@@ -0,0 +1,99 @@
+// lib/category-rules.js
+// Suggests an expense category from its description. Kept apart from
+// lib/expense-categories.js (which carries the icons) so the Convex
+// functions can use it too: convex/lib/categories.js applies it when an
+// expense is saved without a category, the expense form while typing.
+
+// Words and phrases that point to a category, by category id
+export const CATEGORY_KEYWORDS = {
+  coffee: ["coffee", "cafe", "café", "espresso", "latte", "cappuccino", "starbucks", "tea"],
+  foodDrink: [
+    "lunch", "dinner", "breakfast", "brunch", "restaurant", "pizza", "burger",
+    "sushi", "drinks", "beer", "wine", "bar", "pub", "snacks", "takeaway",
+    "zomato", "swiggy", "food", "meal",
+  ],
+  groceries: ["groceries", "grocery", "supermarket", "vegetables", "fruits", "milk", "bigbasket", "blinkit"],
+  shopping: ["shopping", "clothes", "shoes", "amazon", "flipkart", "mall", "myntra"],
+  travel: ["flight", "hotel", "airbnb", "hostel", "trip", "vacation", "visa", "holiday"],
+  transportation: [
+    "uber", "ola", "taxi", "cab", "fuel", "petrol", "diesel", "parking",
+    "train", "bus", "metro", "toll", "rapido", "auto",
+  ],
+  housing: ["rent", "deposit", "maintenance", "furniture", "repairs", "plumber"],
+  entertainment: ["movie", "cinema", "netflix", "concert", "games", "bowling", "party"],
+  tickets: ["tickets", "ticket", "entry", "pass"],
+  utilities: ["electricity", "internet", "wifi", "broadband", "gas bill", "recharge", "phone bill"],
+  water: ["water bill", "water can", "water"],
+  education: ["course", "tuition", "books for class", "fees", "udemy", "coaching"],
+  health: ["doctor", "medicine", "pharmacy", "hospital", "dentist", "clinic", "gym"],
+  personal: ["haircut", "salon", "spa", "laundry", "cosmetics"],
+  gifts: ["gift", "birthday", "present", "wedding"],
+  technology: ["laptop", "phone", "charger", "headphones", "software", "subscription"],
+  bills: ["bill", "insurance", "tax", "fine", "bank charges"],
+  baby: ["diapers", "baby", "toys", "daycare", "school"],
+  music: ["spotify", "music", "guitar", "album"],
+  books: ["book", "books", "kindle", "novel"],
+};
+
+// Words that say nothing about the category
+const STOP_WORDS = new Set(["the", "and", "for", "with", "from", "our", "my", "at", "of", "to", "in", "on"]);
+
+// The words of a description that can be learned from: lower case, three
+// letters or more, at most ten
+export const descriptionWords = (description) => [
+  ...new Set(
+    (description ?? "")
+      .toLowerCase()
+      .split(/[^\p{L}\p{N}]+/u)
+      .filter((w) => w.length >= 3 && !STOP_WORDS.has(w) && !/^\d+$/.test(w))
+  ),
+].slice(0, 10);
+
+// The category whose keywords appear in the description (longest keyword
+// wins, so "water bill" beats "bill")
+export function keywordCategory(description) {
+  const text = ` ${(description ?? "").toLowerCase()} `;
+  let best = null;
+  for (const [categoryId, keywords] of Object.entries(CATEGORY_KEYWORDS)) {
+    for (const keyword of keywords) {
+      const pattern = new RegExp(`[^\\p{L}]${keyword}[^\\p{L}]`, "u");
+      if (pattern.test(text) && (!best || keyword.length > best.keyword.length)) {
+        best = { categoryId, keyword };
+      }
+    }
+  }
+  return best?.categoryId ?? null;
+}
+
+/* ──────────────────────────────────────────────────────────────────────────
+   suggestCategory – the likeliest category for a description
+   ----------------------------------------------------------------------------
+   `memory` is what was learned from past expenses: [{ keyword, category,
+   weight }] for the description's words (see descriptionWords). History
+   wins when it clearly points one way; otherwise the keyword rules.
+   → { category, source: "history" | "keywords", confidence (0–1) } or null
+   ──────────────────────────────────────────────────────────────────────── */
+export function suggestCategory(description, memory = []) {
+  const scores = {};
+  for (const { category, weight } of memory) {
+    if (weight > 0) scores[category] = (scores[category] ?? 0) + weight;
+  }
+
+  const ranked = Object.entries(scores).sort((a, b) => b[1] - a[1]);
+  const total = ranked.reduce((sum, [, score]) => sum + score, 0);
+  if (ranked.length > 0) {
+    const [category, score] = ranked[0];
+    const share = score / total;
+    // One past expense is enough when nothing disagrees
+    if (share >= 0.6) {
+      return {
+        category,
+        source: "history",
+        confidence: Math.round(Math.min(1, share * Math.min(1, score / 3)) * 100) / 100,
+      };
+    }
+  }
+
+  const category = keywordCategory(description);
+  return category ? { category, source: "keywords", confidence: 0.5 } : null;
+}
@@ -0,0 +1,33 @@
+// lib/currencies.js
+// Shared by the UI and the Convex functions, so keep it free of React imports.
+
+export const DEFAULT_CURRENCY = "INR";
+
+// Object containing all supported currencies
+export const CURRENCIES = {
+  INR: { code: "INR", name: "Indian Rupee", symbol: "₹", decimals: 2 },
+  USD: { code: "USD", name: "US Dollar", symbol: "$", decimals: 2 },
+  EUR: { code: "EUR", name: "Euro", symbol: "€", decimals: 2 },
+  GBP: { code: "GBP", name: "British Pound", symbol: "£", decimals: 2 },
+  AED: { code: "AED", name: "UAE Dirham", symbol: "AED ", decimals: 2 },
+  SGD: { code: "SGD", name: "Singapore Dollar", symbol: "S$", decimals: 2 },
+  THB: { code: "THB", name: "Thai Baht", symbol: "฿", decimals: 2 },
+  AUD: { code: "AUD", name: "Australian Dollar", symbol: "A$", decimals: 2 },
+  CAD: { code: "CAD", name: "Canadian Dollar", symbol: "C$", decimals: 2 },
+  JPY: { code: "JPY", name: "Japanese Yen", symbol: "¥", decimals: 0 },
+};
+
+// Helper function to get currency by code (unknown codes fall back to the default)
+export const getCurrencyByCode = (code) => {
+  return CURRENCIES[code] || CURRENCIES[DEFAULT_CURRENCY];
+};
+
+// Get array of all currencies (useful for dropdowns)
+export const getAllCurrencies = () => {
+  return Object.values(CURRENCIES);
+};
+
+// Check whether a currency code is supported
+export const isSupportedCurrency = (code) => {
+  return Object.prototype.hasOwnProperty.call(CURRENCIES, code);
+};
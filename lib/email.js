@@ -0,0 +1,10 @@
+// lib/email.js
+// Email helpers shared by the app and the Convex functions (placeholder users
+// are matched to real accounts by email).
+
+// Trimmed and lower-cased, so "Asha@Example.com " finds asha@example.com
+export const normalizeEmail = (email) => email.trim().toLowerCase();
+
+// Loose check: something@something.tld, no spaces
+export const isValidEmail = (email) =>
+  /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email.trim());
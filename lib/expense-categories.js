@@ -1,4 +1,6 @@
 // lib/expense-categories.js
+// Keyword rules for suggesting a category are in ./category-rules.js (no
+// icons there, so the Convex functions can import it).
 import {Coffee, ShoppingBag, Utensils, Plane, Car, Home, Film, ShoppingCart, Ticket, Wifi,Droplets,GraduationCap,Heart,Stethoscope,Gift,Smartphone,MoreHorizontal,
     CreditCard,Baby,Music,Book,DollarSign,
   } from "lucide-react";
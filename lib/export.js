@@ -0,0 +1,111 @@
+// lib/export.js
+// Turns convex/exports.js getExportData results into the files served by
+// app/api/export/route.js. Amounts go out in major units (12.34, not 1234)
+// since the files are read by people and spreadsheets.
+import { format } from "date-fns";
+import { getCategoryById } from "./expense-categories";
+import { fromMinorUnits } from "./money";
+
+// Major units, or null for "not applicable"
+const major = (minor, currency) =>
+  minor === null || minor === undefined
+    ? null
+    : fromMinorUnits(minor, currency);
+
+// JSON export: the export data in major units, with names for the payers
+// and receivers. Shares and balances are keyed by user id, since two people
+// can have the same name; `people` names them.
+export function toExportJson(data) {
+  const byPerson = (values, currency) =>
+    Object.fromEntries(
+      data.people.map((p) => [p.id, major(values[p.id], currency)])
+    );
+
+  return {
+    title: data.title,
+    scope: data.scope,
+    exportedAt: new Date().toISOString(),
+    baseCurrency: data.baseCurrency,
+    people: data.people,
+    rows: data.rows.map((row) => ({
+      date: format(new Date(row.date), "yyyy-MM-dd"),
+      type: row.type,
+      description: row.description,
+      category: row.category ? getCategoryById(row.category).name : null,
+      group: row.group,
+      amount: major(row.amount, row.currency),
+      currency: row.currency,
+      paidBy: row.paidBy,
+      receivedBy: row.receivedBy,
+      shares: byPerson(row.shares, row.currency),
+      balances: byPerson(row.balances, data.baseCurrency),
+    })),
+    balances: data.balances.map((b) => ({
+      id: b.id,
+      name: b.name,
+      balance: major(b.balance, data.baseCurrency),
+    })),
+  };
+}
+
+// Quote a CSV field when it contains a separator, quote or line break.
+// Text that a spreadsheet would run as a formula (=, +, -, @, tab or CR
+// first) is prefixed with ' so it stays text; numbers are left alone.
+const csvField = (value) => {
+  if (value === null || value === undefined) return "";
+  let text = String(value);
+  if (typeof value === "string" && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replaceAll('"', '""')}"` : text;
+};
+
+// Column names for `people`; people who share a name are numbered so every
+// column stays distinct
+const columnNames = (people) => {
+  const seen = {};
+  return people.map((p) => {
+    seen[p.name] = (seen[p.name] ?? 0) + 1;
+    return seen[p.name] > 1 ? `${p.name} (${seen[p.name]})` : p.name;
+  });
+};
+
+// CSV export: one line per row of toExportJson, one share and one balance
+// column per person
+export function toExportCsv(data) {
+  const json = toExportJson(data);
+  const names = columnNames(data.people);
+  const withGroup = data.scope === "all";
+
+  const header = [
+    "Date",
+    "Type",
+    "Description",
+    "Category",
+    ...(withGroup ? ["Group"] : []),
+    "Amount",
+    "Currency",
+    "Paid by",
+    "Received by",
+    ...names.map((name) => `${name} share`),
+    ...names.map((name) => `${name} balance (${json.baseCurrency})`),
+  ];
+
+  const lines = json.rows.map((row) => [
+    row.date,
+    row.type,
+    row.description,
+    row.category,
+    ...(withGroup ? [row.group] : []),
+    row.amount,
+    row.currency,
+    row.paidBy.join(" & "),
+    row.receivedBy,
+    ...data.people.map((p) => row.shares[p.id]),
+    ...data.people.map((p) => row.balances[p.id]),
+  ]);
+
+  return [header, ...lines]
+    .map((line) => line.map(csvField).join(","))
+    .join("\r\n");
+}
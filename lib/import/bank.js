@@ -0,0 +1,76 @@
+// lib/import/bank.js
+// Reads bank statements for the reconciliation page: OFX / QFX downloads
+// and CSV exports with user-picked columns.
+// Every reader returns { currency?, lines: [{ date, amount, description,
+// externalId? }] } with `amount` in major units, + ve for money received and
+// – ve for money sent, and `date` a timestamp.
+import { parse } from "date-fns";
+import { csvRecords } from "./csv";
+import { parseAmount, parseDate } from "./expenses";
+
+// Does this text look like an OFX / QFX file?
+export const isOfx = (text) => /<OFX>/i.test(text);
+
+// Value of the first <TAG> in an OFX block. OFX 1.x (SGML) leaves most
+// closing tags out, so the value runs until the next tag or line break.
+const ofxValue = (block, tag) =>
+  block.match(new RegExp(`<${tag}>([^<\\r\\n]*)`, "i"))?.[1].trim() ?? "";
+
+/* ──────────────────────────────────────────────────────────────────────────
+   readOfx – lines of an OFX / QFX statement (SGML or XML flavour)
+   ----------------------------------------------------------------------------
+   Takes every <STMTTRN> transaction: DTPOSTED (yyyyMMdd…), TRNAMT, NAME
+   and MEMO, and FITID as the bank's own id for spotting duplicates. The
+   statement's currency comes from CURDEF.
+   ──────────────────────────────────────────────────────────────────────── */
+export function readOfx(text) {
+  const blocks = text.split(/<STMTTRN>/i).slice(1);
+
+  const lines = blocks.map((block) => {
+    const name = ofxValue(block, "NAME");
+    const memo = ofxValue(block, "MEMO");
+    const posted = ofxValue(block, "DTPOSTED").slice(0, 8);
+    return {
+      date: parse(posted, "yyyyMMdd", new Date()).getTime(),
+      amount: parseAmount(ofxValue(block, "TRNAMT")),
+      description: [name, memo].filter(Boolean).join(" – "),
+      externalId: ofxValue(block, "FITID") || undefined,
+    };
+  });
+
+  return {
+    currency: ofxValue(text, "CURDEF").toUpperCase() || undefined,
+    lines: lines.filter(
+      (line) => !Number.isNaN(line.date) && !Number.isNaN(line.amount)
+    ),
+  };
+}
+
+/* ──────────────────────────────────────────────────────────────────────────
+   readBankCsv – lines of a CSV statement
+   ----------------------------------------------------------------------------
+   `columns` names the column of each field: { date, description } plus
+   either `amount` (signed) or `credit` and `debit` (both positive, as most
+   banks export them). Rows whose date or amount can't be read are returned
+   in `skipped` by their line number.
+   ──────────────────────────────────────────────────────────────────────── */
+export function readBankCsv(rows, columns) {
+  const lines = [];
+  const skipped = [];
+
+  csvRecords(rows).forEach((record, i) => {
+    const amount = columns.amount
+      ? parseAmount(record[columns.amount])
+      : (parseAmount(record[columns.credit]) || 0) -
+        (parseAmount(record[columns.debit]) || 0);
+    const date = parseDate(record[columns.date]);
+
+    if (Number.isNaN(date) || Number.isNaN(amount) || amount === 0) {
+      skipped.push(i + 2);
+      return;
+    }
+    lines.push({ date, amount, description: record[columns.description] ?? "" });
+  });
+
+  return { lines, skipped };
+}
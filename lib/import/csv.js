@@ -0,0 +1,67 @@
+// lib/import/csv.js
+// A small RFC 4180 reader for the import flows (Splitwise exports, bank
+// statements and hand-made spreadsheets).
+
+/* ──────────────────────────────────────────────────────────────────────────
+   parseCsv – text → array of rows, each an array of strings
+   ----------------------------------------------------------------------------
+   Handles quoted fields (with "" for a quote and line breaks inside), CRLF
+   or LF line endings, a leading byte order mark and `;` or tab separated
+   files (the separator is guessed from the first line). Blank lines are
+   dropped.
+   ──────────────────────────────────────────────────────────────────────── */
+export function parseCsv(text) {
+  const input = text.replace(/^\uFEFF/, "");
+  const firstLine = input.slice(0, input.search(/\r?\n|$/));
+  const separator = [",", ";", "\t"].reduce((best, candidate) =>
+    firstLine.split(candidate).length > firstLine.split(best).length
+      ? candidate
+      : best
+  );
+
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === separator) {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && input[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+  row.push(field);
+  rows.push(row);
+
+  return rows.filter((r) => r.some((value) => value.trim() !== ""));
+}
+
+// Rows → objects keyed by the (trimmed) header of the first row
+export function csvRecords(rows) {
+  const [header = [], ...body] = rows;
+  const keys = header.map((h) => h.trim());
+  return body.map((values) =>
+    Object.fromEntries(keys.map((key, i) => [key, (values[i] ?? "").trim()]))
+  );
+}
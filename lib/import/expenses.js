@@ -0,0 +1,291 @@
+// lib/import/expenses.js
+// Turns CSV rows (lib/import/csv.js) into createExpense arguments for the
+// import page. Two layouts are understood:
+//   splitwise – Splitwise's "Export as spreadsheet": Date, Description,
+//               Category, Cost, Currency, then one column per person with
+//               their net balance for the row
+//   generic   – any spreadsheet, with the columns picked by the user and the
+//               cost split equally between the people listed
+// Reading a file gives "drafts" keyed by the people's names in the file;
+// buildExpense resolves them once every name is matched to a user.
+import { isValid, parse, parseISO } from "date-fns";
+import { isSupportedCurrency } from "../currencies";
+import { EXPENSE_CATEGORIES } from "../expense-categories";
+import { allocateByWeights, splitEqually, toMinorUnits } from "../money";
+import { csvRecords } from "./csv";
+
+const SPLITWISE_COLUMNS = ["Date", "Description", "Category", "Cost", "Currency"];
+
+// Splitwise's category names (lower-cased) that don't match one of ours
+const SPLITWISE_CATEGORIES = {
+  "dining out": "foodDrink",
+  "food and drink": "foodDrink",
+  liquor: "foodDrink",
+  "household supplies": "groceries",
+  clothing: "shopping",
+  electronics: "technology",
+  furniture: "shopping",
+  hotel: "travel",
+  plane: "travel",
+  "bus/train": "transportation",
+  taxi: "transportation",
+  car: "transportation",
+  "gas/fuel": "transportation",
+  parking: "transportation",
+  bicycle: "transportation",
+  rent: "housing",
+  mortgage: "housing",
+  home: "housing",
+  maintenance: "housing",
+  movies: "entertainment",
+  games: "entertainment",
+  sports: "entertainment",
+  electricity: "utilities",
+  "heat/gas": "utilities",
+  "tv/phone/internet": "utilities",
+  trash: "utilities",
+  cleaning: "utilities",
+  "medical expenses": "health",
+  insurance: "bills",
+  taxes: "bills",
+  services: "bills",
+  childcare: "baby",
+  uncategorized: "other",
+};
+
+// Our category id for a category name from a file (ours or Splitwise's)
+export function matchCategory(name) {
+  const key = (name ?? "").trim().toLowerCase();
+  if (!key) return "other";
+
+  const own = Object.values(EXPENSE_CATEGORIES).find(
+    (c) => c.id.toLowerCase() === key || c.name.toLowerCase() === key
+  );
+  return own?.id ?? SPLITWISE_CATEGORIES[key] ?? "other";
+}
+
+// "1,234.50", "₹ 99", "-12.5" → number, NaN when it isn't one
+export function parseAmount(text) {
+  const cleaned = (text ?? "").replace(/[^\d.,-]/g, "").replace(/,/g, "");
+  return cleaned && /^-?\d*\.?\d+$/.test(cleaned) ? Number(cleaned) : NaN;
+}
+
+// Accepted date layouts, tried in order. Day-first, like the rest of the app.
+const DATE_FORMATS = ["dd/MM/yyyy", "dd-MM-yyyy", "d MMM yyyy", "MMM d, yyyy"];
+
+// Timestamp of a date from a file, NaN when it can't be read
+export function parseDate(text) {
+  const value = (text ?? "").trim();
+  const iso = parseISO(value);
+  if (isValid(iso)) return iso.getTime();
+
+  for (const layout of DATE_FORMATS) {
+    const date = parse(value, layout, new Date());
+    if (isValid(date)) return date.getTime();
+  }
+  return NaN;
+}
+
+// Does this file look like a Splitwise export?
+export const isSplitwiseExport = (rows) =>
+  SPLITWISE_COLUMNS.every((column) =>
+    (rows[0] ?? []).some((h) => h.trim() === column)
+  );
+
+/* ──────────────────────────────────────────────────────────────────────────
+   readSplitwise – drafts from a Splitwise export
+   ----------------------------------------------------------------------------
+   → { people: [name], drafts: [{ line, date, description, category,
+       currency, cost, nets: { name: amount }, skip? }] }
+   Amounts are still in major units (as written in the file). "Payment" rows
+   are settle-ups, not expenses, and come back with `skip` set; the closing
+   "Total balance" row is dropped.
+   ──────────────────────────────────────────────────────────────────────── */
+export function readSplitwise(rows) {
+  const header = rows[0].map((h) => h.trim());
+  const people = header.filter((h) => h && !SPLITWISE_COLUMNS.includes(h));
+
+  const drafts = csvRecords(rows)
+    .map((record, i) => ({
+      line: i + 2, // 1-based, after the header
+      date: record.Date,
+      description: record.Description,
+      category: record.Category,
+      currency: record.Currency,
+      cost: record.Cost,
+      nets: Object.fromEntries(people.map((name) => [name, record[name]])),
+      skip:
+        record.Category === "Payment"
+          ? "Payments between people aren't imported, settle up in Splitz"
+          : undefined,
+    }))
+    .filter((draft) => draft.description !== "Total balance");
+
+  return { people, drafts };
+}
+
+/* ──────────────────────────────────────────────────────────────────────────
+   readGeneric – drafts from any spreadsheet
+   ----------------------------------------------------------------------------
+   `columns` names the column of each field: { date, description, amount,
+   paidBy, splitWith, currency?, category? }. "Split with" lists people
+   separated by ";", "|" or ",".
+   → { people: [name], drafts: [{ line, date, description, category,
+       currency, cost, paidBy, splitWith: [name] }] }
+   ──────────────────────────────────────────────────────────────────────── */
+export function readGeneric(rows, columns) {
+  const drafts = csvRecords(rows).map((record, i) => ({
+    line: i + 2,
+    date: record[columns.date],
+    description: record[columns.description],
+    category: columns.category ? record[columns.category] : "",
+    currency: columns.currency ? record[columns.currency] : "",
+    cost: record[columns.amount],
+    paidBy: record[columns.paidBy],
+    splitWith: (record[columns.splitWith] ?? "")
+      .split(/[;|,]/)
+      .map((name) => name.trim())
+      .filter(Boolean),
+  }));
+
+  const people = [
+    ...new Set(drafts.flatMap((d) => [d.paidBy, ...d.splitWith])),
+  ].filter(Boolean);
+
+  return { people, drafts };
+}
+
+/* ──────────────────────────────────────────────────────────────────────────
+   buildExpense – createExpense arguments for one draft, or the reason why
+   there can't be any
+   ----------------------------------------------------------------------------
+   `userIds` maps the names in the file to user ids; `defaultCurrency` is
+   used when the file has no currency column.
+   Splitwise rows only record each person's net balance, so the expense is
+   rebuilt to give the same balances: everyone with a negative balance owes
+   exactly that, and whatever is left of the cost is shared by those with a
+   positive balance in proportion to it (they paid the difference). The
+   result is an "exact" split. Generic rows are "equal" splits.
+   → { expense } or { error }
+   ──────────────────────────────────────────────────────────────────────── */
+export function buildExpense(draft, { userIds, defaultCurrency }) {
+  if (draft.skip) return { error: draft.skip };
+
+  const date = parseDate(draft.date);
+  if (Number.isNaN(date)) return { error: `Can't read the date "${draft.date}"` };
+  if (!draft.description?.trim()) return { error: "The description is empty" };
+
+  const currency = (draft.currency || defaultCurrency).trim().toUpperCase();
+  if (!isSupportedCurrency(currency)) {
+    return { error: `Unsupported currency: ${currency}` };
+  }
+
+  const cost = parseAmount(draft.cost);
+  const amount = Number.isNaN(cost) ? NaN : toMinorUnits(cost, currency);
+  if (!(amount > 0)) return { error: `Can't read the amount "${draft.cost}"` };
+
+  if (!draft.nets && !draft.paidBy) return { error: "Nobody paid" };
+
+  // Splitwise lists everyone on every row, with 0.00 when not involved
+  const names = draft.nets
+    ? Object.keys(draft.nets).filter((name) => parseAmount(draft.nets[name]))
+    : [draft.paidBy, ...draft.splitWith];
+  const unmatched = names.filter((name) => !userIds[name]);
+  if (unmatched.length > 0) {
+    return { error: `Pick a user for ${unmatched.join(", ")}` };
+  }
+
+  const base = {
+    description: draft.description.trim(),
+    amount,
+    currency,
+    category: matchCategory(draft.category),
+    date,
+  };
+
+  return draft.nets
+    ? fromNets(base, draft.nets, userIds)
+    : fromEqualSplit(base, draft, userIds);
+}
+
+function fromNets(base, nets, userIds) {
+  const balances = [];
+  for (const [name, text] of Object.entries(nets)) {
+    if (!text) continue;
+    const net = parseAmount(text);
+    if (Number.isNaN(net)) return { error: `Can't read "${text}" for ${name}` };
+    if (net !== 0) {
+      balances.push({
+        userId: userIds[name],
+        net: toMinorUnits(net, base.currency),
+      });
+    }
+  }
+
+  const userIdList = balances.map((b) => b.userId);
+  if (new Set(userIdList).size !== userIdList.length) {
+    return { error: "Two people in this row are matched to the same user" };
+  }
+  if (balances.reduce((sum, b) => sum + b.net, 0) !== 0) {
+    return { error: "The balances in this row don't add up to zero" };
+  }
+
+  const creditors = balances.filter((b) => b.net > 0);
+  const debtors = balances.filter((b) => b.net < 0);
+  if (creditors.length === 0) return { error: "Nobody owes anything here" };
+
+  const owed = creditors.reduce((sum, b) => sum + b.net, 0);
+  if (owed > base.amount) {
+    return { error: "The balances in this row are larger than its cost" };
+  }
+
+  const biggest = [...creditors].sort((a, b) => b.net - a.net)[0].userId;
+  const creditorShares = allocateByWeights(
+    base.amount - owed,
+    creditors.map((b) => ({ userId: b.userId, weight: b.net })),
+    biggest
+  );
+  const payers =
+    creditors.length > 1
+      ? creditors.map((b, i) => ({
+          userId: b.userId,
+          amount: b.net + creditorShares[i].amount,
+        }))
+      : undefined;
+
+  const splits = [
+    ...creditorShares.filter((s) => s.amount > 0),
+    ...debtors.map((b) => ({ userId: b.userId, amount: -b.net })),
+  ].map((s) => ({
+    ...s,
+    paid: !payers && s.userId === biggest,
+  }));
+
+  return {
+    expense: {
+      ...base,
+      paidByUserId: biggest,
+      payers,
+      splitType: "exact",
+      splits,
+    },
+  };
+}
+
+function fromEqualSplit(base, draft, userIds) {
+  if (draft.splitWith.length === 0) return { error: "Nobody to split with" };
+
+  const paidByUserId = userIds[draft.paidBy];
+  const participants = [...new Set(draft.splitWith.map((n) => userIds[n]))];
+
+  return {
+    expense: {
+      ...base,
+      paidByUserId,
+      splitType: "equal",
+      splits: splitEqually(base.amount, participants, paidByUserId).map(
+        (s) => ({ ...s, paid: s.userId === paidByUserId })
+      ),
+    },
+  };
+}
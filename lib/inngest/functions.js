@@ -1,10 +1,96 @@
+import { ConvexHttpClient } from "convex/browser";
+import { api } from "@/convex/_generated/api";
+import { deliverReminder } from "@/lib/reminders/transports";
 import { inngest } from "./client";
 
-export const helloWorld = inngest.createFunction(
-  { id: "hello-world" },
-  { event: "test/hello.world" },
+const convex = new ConvexHttpClient(process.env.NEXT_PUBLIC_CONVEX_URL);
+
+// Turn due recurring expense templates (rent, subscriptions…) into expenses
+export const materializeRecurringExpenses = inngest.createFunction(
+  { id: "materialize-recurring-expenses" },
+  { cron: "0 * * * *" }, // every hour
+  async ({ step }) => {
+    return await step.run("create-due-expenses", () =>
+      convex.mutation(api.recurring.materializeDueExpenses, {
+        secret: process.env.CONVEX_JOBS_SECRET,
+      })
+    );
+  },
+);
+
+// Delete receipt uploads that were never attached to an expense
+export const sweepUnattachedUploads = inngest.createFunction(
+  { id: "sweep-unattached-uploads" },
+  { cron: "30 * * * *" }, // every hour
+  async ({ step }) => {
+    let deleted = 0;
+    for (let batch = 0; ; batch++) {
+      const result = await step.run(`sweep-uploads-${batch}`, () =>
+        convex.mutation(api.attachments.sweepUnattachedUploads, {
+          secret: process.env.CONVEX_JOBS_SECRET,
+        })
+      );
+      deleted += result.deleted;
+      if (result.isDone) break;
+    }
+    return { deleted };
+  },
+);
+
+// Queue payment reminders for everyone who owes money and is due one, a
+// batch of users per step, then hand each reminder to sendPaymentReminder
+export const queuePaymentReminders = inngest.createFunction(
+  { id: "queue-payment-reminders" },
+  { cron: "0 * * * *" }, // every hour, so quiet hours are honoured
+  async ({ step }) => {
+    let total = 0;
+    let cursor;
+    for (let batch = 0; ; batch++) {
+      const { queued, continueCursor, isDone } = await step.run(
+        `queue-due-reminders-${batch}`,
+        () =>
+          convex.mutation(api.reminders.queueDueReminders, {
+            secret: process.env.CONVEX_JOBS_SECRET,
+            cursor,
+          })
+      );
+
+      if (queued.length > 0) {
+        await step.sendEvent(
+          `send-reminders-${batch}`,
+          queued.map((reminder) => ({ name: "reminders/send", data: reminder }))
+        );
+      }
+      total += queued.length;
+      if (isDone) break;
+      cursor = continueCursor;
+    }
+    return { queued: total };
+  },
+);
+
+// Deliver one reminder through its channel (lib/reminders/transports.js)
+export const sendPaymentReminder = inngest.createFunction(
+  {
+    id: "send-payment-reminder",
+    retries: 3,
+    // Out of retries: keep the reminder, marked as failed
+    onFailure: async ({ event, error }) => {
+      await convex.mutation(api.reminders.completeReminder, {
+        secret: process.env.CONVEX_JOBS_SECRET,
+        reminderId: event.data.event.data.reminderId,
+        error: error.message,
+      });
+    },
+  },
+  { event: "reminders/send" },
   async ({ event, step }) => {
-    await step.sleep("wait-a-moment", "1s");
-    return { message: `Hello ${event.data.email}!` };
+    await step.run("deliver", () => deliverReminder(event.data));
+    await step.run("mark-sent", () =>
+      convex.mutation(api.reminders.completeReminder, {
+        secret: process.env.CONVEX_JOBS_SECRET,
+        reminderId: event.data.reminderId,
+      })
+    );
   },
-);
\ No newline at end of file
+);
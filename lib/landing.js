@@ -39,7 +39,7 @@ export const FEATURES = [
     bg: "bg-green-100",
     color: "text-green-600",
     description:
-      "Split equally, by percentage, or by exact amounts to fit any scenario.",
+      "Split equally, by percentage, by shares, or by exact amounts to fit any scenario.",
   },
   {
     title: "Real‑time Updates",
@@ -0,0 +1,122 @@
+// lib/money.js
+// Money is stored and computed as integer minor units (paise for INR, cents
+// for USD, whole yen for JPY). Shared by the UI and the Convex functions, so
+// keep it free of React imports.
+import { getCurrencyByCode } from "./currencies";
+
+const factor = (currency) => 10 ** getCurrencyByCode(currency).decimals;
+
+// 12.34 (INR) → 1234
+export const toMinorUnits = (amount, currency) =>
+  Math.round(Number(amount) * factor(currency));
+
+// 1234 (INR) → 12.34
+export const fromMinorUnits = (minor, currency) => minor / factor(currency);
+
+/* ──────────────────────────────────────────────────────────────────────────
+   allocateByWeights – split `totalMinor` in proportion to `weights`
+   ----------------------------------------------------------------------------
+   Every entry first gets the floor of its exact share. The minor units left
+   over (always fewer than the number of entries) are handed out one each, by
+   this rule:
+     1. largest fractional remainder first;
+     2. on a tie, the payer (`payerId`) absorbs the unit first;
+     3. remaining ties go in the order the entries were given.
+   So a ₹100 three-way equal split is 33.34 / 33.33 / 33.33 with the payer
+   holding the extra paisa, and the parts always sum to exactly `totalMinor`.
+
+   entries: [{ userId, weight }]  →  [{ userId, amount }]
+   ──────────────────────────────────────────────────────────────────────── */
+export function allocateByWeights(totalMinor, entries, payerId) {
+  const totalWeight = entries.reduce((sum, e) => sum + e.weight, 0);
+  if (entries.length === 0 || totalWeight <= 0) {
+    return entries.map((e) => ({ userId: e.userId, amount: 0 }));
+  }
+
+  const parts = entries.map((e, index) => {
+    const exact = (totalMinor * e.weight) / totalWeight;
+    const amount = Math.floor(exact);
+    return { userId: e.userId, amount, remainder: exact - amount, index };
+  });
+
+  let leftover = totalMinor - parts.reduce((sum, p) => sum + p.amount, 0);
+  const order = [...parts].sort(
+    (a, b) =>
+      b.remainder - a.remainder ||
+      (b.userId === payerId) - (a.userId === payerId) ||
+      a.index - b.index
+  );
+  for (let i = 0; leftover > 0; i = (i + 1) % order.length, leftover--) {
+    order[i].amount += 1;
+  }
+
+  return parts.map(({ userId, amount }) => ({ userId, amount }));
+}
+
+// Equal split among `userIds`, following the allocateByWeights rule
+export const splitEqually = (totalMinor, userIds, payerId) =>
+  allocateByWeights(
+    totalMinor,
+    userIds.map((userId) => ({ userId, weight: 1 })),
+    payerId
+  );
+
+// Split by whole-number shares (2 for a couple, 1 for a single…)
+// entries: [{ userId, shares }]  →  [{ userId, amount }]
+export const splitByShares = (totalMinor, entries, payerId) =>
+  allocateByWeights(
+    totalMinor,
+    entries.map((e) => ({ userId: e.userId, weight: e.shares })),
+    payerId
+  );
+
+// Equal split of whatever the adjustments leave over, then each person's
+// adjustment (e.g. +20000 for the extra bottle) added on top
+// entries: [{ userId, adjustment }]  →  [{ userId, amount }]
+export function splitWithAdjustments(totalMinor, entries, payerId) {
+  const adjusted = entries.reduce((sum, e) => sum + e.adjustment, 0);
+  const equal = splitEqually(
+    totalMinor - adjusted,
+    entries.map((e) => e.userId),
+    payerId
+  );
+  return equal.map((part, i) => ({
+    userId: part.userId,
+    amount: part.amount + entries[i].adjustment,
+  }));
+}
+
+/* ──────────────────────────────────────────────────────────────────────────
+   splitItemized – per-person amounts for an itemized receipt
+   ----------------------------------------------------------------------------
+   items: [{ name, amount, participantIds }], extras: tax + tip + service
+   charge in minor units. The extras are spread across the items in
+   proportion to their amounts, then each item is split equally among its
+   participants (both steps follow the allocateByWeights rule).
+   → [{ userId, amount }] in order of first appearance
+   ──────────────────────────────────────────────────────────────────────── */
+export function splitItemized(items, extras, payerId) {
+  const loads = allocateByWeights(
+    extras,
+    items.map((item, i) => ({ userId: `item-${i}`, weight: item.amount })),
+    payerId
+  );
+
+  const totals = new Map();
+  items.forEach((item, i) => {
+    const parts = splitEqually(
+      item.amount + loads[i].amount,
+      item.participantIds,
+      payerId
+    );
+    for (const part of parts) {
+      totals.set(part.userId, (totals.get(part.userId) ?? 0) + part.amount);
+    }
+  });
+
+  return [...totals].map(([userId, amount]) => ({ userId, amount }));
+}
+
+// Tax, tip and service charge of an itemized expense, in minor units
+export const itemizedExtrasTotal = (extras) =>
+  (extras?.tax ?? 0) + (extras?.tip ?? 0) + (extras?.serviceCharge ?? 0);
@@ -0,0 +1,123 @@
+// lib/payment-links.js
+// Payment handles people keep on their profile, and the deep links / QR
+// payloads the settle-up screen builds from them. Shared by convex/users.js
+// (validation) and the UI, so keep it free of React imports.
+import { getCurrencyByCode } from "./currencies";
+import { fromMinorUnits } from "./money";
+
+// `currency` is the one the method can be prefilled in (null: any)
+export const PAYMENT_METHODS = [
+  { id: "upi", label: "UPI ID", placeholder: "name@bank", currency: "INR" },
+  { id: "paypal", label: "PayPal.me", placeholder: "username", currency: null },
+  { id: "venmo", label: "Venmo", placeholder: "username", currency: "USD" },
+  { id: "iban", label: "IBAN", placeholder: "DE89 3704 0044 0532 0130 00", currency: "EUR" },
+];
+
+// ISO 13616: move the first four characters to the end, turn letters into
+// numbers (A = 10) and the result mod 97 must be 1. Done digit by digit so
+// it never leaves the safe integer range.
+function ibanChecksumValid(iban) {
+  const rearranged = iban.slice(4) + iban.slice(0, 4);
+  let remainder = 0;
+  for (const ch of rearranged) {
+    const digits = ch >= "A" ? String(ch.charCodeAt(0) - 55) : ch;
+    for (const d of digits) remainder = (remainder * 10 + Number(d)) % 97;
+  }
+  return remainder === 1;
+}
+
+/* ──────────────────────────────────────────────────────────────────────────
+   normalizePaymentHandle – tidy what the user typed for a method
+   ----------------------------------------------------------------------------
+   Accepts the forms people paste (a full paypal.me link, "@venmo-name",
+   an IBAN with spaces) and returns the bare handle, or null when it isn't
+   a valid one.
+   ──────────────────────────────────────────────────────────────────────── */
+export function normalizePaymentHandle(method, raw) {
+  const value = String(raw ?? "").trim();
+
+  switch (method) {
+    case "upi": {
+      const vpa = value.toLowerCase();
+      return /^[a-z0-9._-]{2,256}@[a-z][a-z0-9]{1,63}$/.test(vpa) ? vpa : null;
+    }
+    case "paypal": {
+      const name = value.replace(/^(https?:\/\/)?(www\.)?paypal\.me\//i, "");
+      return /^[A-Za-z0-9]{1,20}$/.test(name) ? name : null;
+    }
+    case "venmo": {
+      const name = value.replace(/^@/, "");
+      return /^[A-Za-z0-9_-]{5,30}$/.test(name) ? name : null;
+    }
+    case "iban": {
+      const iban = value.replace(/\s+/g, "").toUpperCase();
+      return /^[A-Z]{2}\d{2}[A-Z0-9]{11,30}$/.test(iban) &&
+        ibanChecksumValid(iban)
+        ? iban
+        : null;
+    }
+    default:
+      return null;
+  }
+}
+
+// "DE89370400440532013000" → "DE89 3704 0044 0532 0130 00"
+export const formatIban = (iban) => iban.replace(/(.{4})(?=.)/g, "$1 ");
+
+/* ──────────────────────────────────────────────────────────────────────────
+   paymentRequest – what to open or scan to pay `amount` to a handle
+   ----------------------------------------------------------------------------
+   amount is in minor units; note is the reference the payee sees.
+   Returns { url, qr } – url is the deep link (null for IBAN, which has
+   none) and qr the text to encode (the link itself, or an EPC "SEPA
+   credit transfer" payload for IBAN). Returns null when the method can't
+   be prefilled in `currency` (UPI is INR only, Venmo USD, SEPA EUR).
+   ──────────────────────────────────────────────────────────────────────── */
+export function paymentRequest(method, handle, { amount, currency, note, payeeName }) {
+  const spec = PAYMENT_METHODS.find((m) => m.id === method);
+  if (!spec || !handle || amount <= 0) return null;
+  if (spec.currency && spec.currency !== currency) return null;
+
+  const value = fromMinorUnits(amount, currency).toFixed(
+    getCurrencyByCode(currency).decimals
+  );
+
+  switch (method) {
+    case "upi": {
+      const url =
+        `upi://pay?pa=${handle}&pn=${encodeURIComponent(payeeName)}` +
+        `&am=${value}&cu=INR&tn=${encodeURIComponent(note)}`;
+      return { url, qr: url };
+    }
+    case "paypal": {
+      // PayPal.me has no field for a note
+      const url = `https://paypal.me/${handle}/${value}${currency}`;
+      return { url, qr: url };
+    }
+    case "venmo": {
+      const url =
+        `https://venmo.com/?txn=pay&recipients=${handle}` +
+        `&amount=${value}&note=${encodeURIComponent(note)}`;
+      return { url, qr: url };
+    }
+    case "iban": {
+      // EPC069-12 v002: BIC may be left empty within the SEPA area
+      const qr = [
+        "BCD",
+        "002",
+        "1",
+        "SCT",
+        "",
+        payeeName.slice(0, 70),
+        handle,
+        `EUR${value}`,
+        "",
+        "",
+        note.slice(0, 140),
+      ].join("\n");
+      return { url: null, qr };
+    }
+    default:
+      return null;
+  }
+}
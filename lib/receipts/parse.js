@@ -0,0 +1,185 @@
+// lib/receipts/parse.js
+// Reads the fields of a receipt out of its OCR'd lines (see
+// app/api/receipts/scan). Every field comes back as { value, confidence }
+// with confidence between 0 and 1: how sure the OCR engine was about the
+// line, times how sure we are that the line is the right one.
+import { isValid, parse } from "date-fns";
+import { keywordCategory } from "../category-rules";
+import { parseDate } from "../import/expenses";
+
+// Price at the end of a line: "12.50", "1,234.50", "1.234,50", "₹ 99.00"
+const PRICE_AT_END = /(-?\d{1,3}(?:[,.\s]\d{3})*[.,]\d{2}|-?\d+[.,]\d{2})\s*[A-Z]{0,3}\s*$/;
+
+const TOTAL = /\b(grand\s*total|total\s*(due|amount|payable)?|amount\s*(due|payable)|balance\s*due|net\s*(amount|payable)|to\s*pay)\b/i;
+const SUBTOTAL = /\bsub\s*-?\s*total\b/i;
+const TAX = /\b(tax|vat|gst|cgst|sgst|igst|utgst|hst|pst|service\s*tax)\b/i;
+const TAX_TOTAL = /\b(total\s*tax|tax\s*total|total\s*gst|total\s*vat)\b/i;
+// Lines that carry amounts but aren't items
+const NOT_AN_ITEM = /\b(total|subtotal|tax|vat|gst|cgst|sgst|igst|change|cash|card|visa|mastercard|upi|paid|tender|balance|discount|savings|round(ing)?\s*off|tip|gratuity|service\s*charge)\b/i;
+// Header lines that aren't the merchant's name
+const NOT_A_MERCHANT = /\b(receipt|invoice|bill|welcome|thank|tel|phone|ph|gstin|vat\s*no|tin|www|http|order|table|cashier|date|time)\b|@/i;
+
+const DATE_PATTERNS = [
+  /\b\d{4}-\d{2}-\d{2}\b/, // 2026-01-31
+  /\b\d{1,2}[/.-]\d{1,2}[/.-]\d{2,4}\b/, // 31/01/2026, 31.01.26
+  /\b\d{1,2}[\s-][A-Za-z]{3,9}[\s-,]*\d{2,4}\b/, // 31 Jan 2026, 31-Jan-26
+  /\b[A-Za-z]{3,9}\s+\d{1,2},?\s+\d{4}\b/, // Jan 31, 2026
+];
+const SHORT_YEAR_FORMATS = ["dd/MM/yy", "dd-MM-yy", "dd.MM.yy", "dd-MMM-yy"];
+const DAY = 24 * 60 * 60 * 1000;
+
+// Number of a price as printed, in major units. "1.234,50" is read the
+// European way, anything else with "," as thousands separators.
+export function readPrice(text) {
+  const cleaned = text.replace(/[^\d.,-]/g, "");
+  const european = /^-?\d{1,3}(\.\d{3})*,\d{2}$|^-?\d+,\d{2}$/.test(cleaned);
+  const value = Number(
+    european
+      ? cleaned.replace(/\./g, "").replace(",", ".")
+      : cleaned.replace(/,/g, "")
+  );
+  return Number.isFinite(value) ? value : NaN;
+}
+
+const priceOf = (line) => {
+  const match = line.text.match(PRICE_AT_END);
+  return match ? readPrice(match[1]) : NaN;
+};
+
+const ocrConfidence = (line) => Math.max(0, Math.min(1, line.confidence / 100));
+
+const field = (value, confidence) => ({
+  value,
+  confidence: Math.round(confidence * 100) / 100,
+});
+
+function findDate(lines, now) {
+  for (const line of lines) {
+    for (const pattern of DATE_PATTERNS) {
+      const text = line.text.match(pattern)?.[0];
+      if (!text) continue;
+
+      // "31/01/26" also reads as the year 26, which the range check drops
+      const candidates = [
+        parseDate(text.replace(/\./g, "/")),
+        ...SHORT_YEAR_FORMATS.map((f) => parse(text, f, now))
+          .filter(isValid)
+          .map((d) => d.getTime()),
+      ];
+      // Receipts are from the past few years, never the future
+      const date = candidates.find(
+        (d) => !Number.isNaN(d) && d <= now + DAY && d > now - 5 * 365 * DAY
+      );
+      if (date) return field(date, 0.9 * ocrConfidence(line));
+    }
+  }
+  return null;
+}
+
+function findMerchant(lines) {
+  const line = lines
+    .slice(0, 5)
+    .find(
+      (l) =>
+        (l.text.match(/[A-Za-z]/g) ?? []).length >= 3 &&
+        !NOT_A_MERCHANT.test(l.text) &&
+        Number.isNaN(priceOf(l))
+    );
+  if (!line) return null;
+
+  const name = line.text.replace(/[^\w&'.\- ]+/g, " ").replace(/\s+/g, " ").trim();
+  // The very first line is usually the name; further down it's a guess
+  const position = lines.indexOf(line) === 0 ? 0.8 : 0.6;
+  return field(name, position * ocrConfidence(line));
+}
+
+// The last "total" line (not a subtotal or a tax total), otherwise the
+// largest amount on the receipt
+function findTotal(lines) {
+  const totals = lines.filter(
+    (l) =>
+      TOTAL.test(l.text) &&
+      !SUBTOTAL.test(l.text) &&
+      !TAX_TOTAL.test(l.text) &&
+      priceOf(l) > 0
+  );
+  const grand = totals.find((l) => /grand\s*total/i.test(l.text));
+  const line = grand ?? totals.at(-1);
+  if (line) return { line, ...field(priceOf(line), 0.95 * ocrConfidence(line)) };
+
+  const priced = lines.filter((l) => priceOf(l) > 0);
+  if (priced.length === 0) return null;
+  const largest = priced.reduce((a, b) => (priceOf(b) > priceOf(a) ? b : a));
+  return { line: largest, ...field(priceOf(largest), 0.4 * ocrConfidence(largest)) };
+}
+
+// A "total tax" line if there is one, otherwise every tax line added up
+// (e.g. CGST + SGST)
+function findTax(lines) {
+  const taxLines = lines.filter(
+    (l) => TAX.test(l.text) && !TOTAL.test(l.text.replace(TAX_TOTAL, "")) && priceOf(l) > 0
+  );
+  const total = taxLines.find((l) => TAX_TOTAL.test(l.text));
+  const used = total ? [total] : taxLines;
+  if (used.length === 0) return null;
+
+  const amount = used.reduce((sum, l) => sum + priceOf(l), 0);
+  const confidence = Math.min(...used.map(ocrConfidence)) * 0.85;
+  return field(Math.round(amount * 100) / 100, confidence);
+}
+
+// Priced lines above the totals that read like "Item name   12.50"
+function findItems(lines, totalLine) {
+  const end = totalLine ? lines.indexOf(totalLine) : lines.length;
+  const firstSubtotal = lines.findIndex((l) => SUBTOTAL.test(l.text));
+  const last = firstSubtotal >= 0 ? Math.min(firstSubtotal, end) : end;
+
+  return lines
+    .slice(0, last)
+    .filter((l) => priceOf(l) > 0 && !NOT_AN_ITEM.test(l.text))
+    .map((l) => {
+      const name = l.text
+        .replace(PRICE_AT_END, "")
+        .replace(/^\s*\d+\s*[xX@]\s*/, "") // "2 x Coffee"
+        .replace(/[^\w&'()./\- ]+/g, " ")
+        .replace(/\s+/g, " ")
+        .trim();
+      return { name, amount: priceOf(l), confidence: 0.8 * ocrConfidence(l) };
+    })
+    .filter((item) => /[A-Za-z]{2}/.test(item.name))
+    .map((item) => ({
+      name: field(item.name, item.confidence),
+      amount: field(item.amount, item.confidence),
+    }));
+}
+
+function findCategory(lines) {
+  const category = keywordCategory(lines.map((l) => l.text).join(" "));
+  // Keywords say little about a receipt, keep it a suggestion
+  return category ? field(category, 0.5) : null;
+}
+
+/* ──────────────────────────────────────────────────────────────────────────
+   parseReceipt – the fields of a receipt
+   ----------------------------------------------------------------------------
+   `lines` are the OCR'd lines top to bottom: [{ text, confidence (0–100) }].
+   → { merchant, date, total, tax, category, items: [{ name, amount }] };
+     amounts are in major units, the date a timestamp. Fields that couldn't
+     be found are null (items an empty list).
+   ──────────────────────────────────────────────────────────────────────── */
+export function parseReceipt(lines, now = Date.now()) {
+  const cleanLines = lines
+    .map((l) => ({ text: l.text.trim(), confidence: l.confidence }))
+    .filter((l) => l.text);
+
+  const total = findTotal(cleanLines);
+
+  return {
+    merchant: findMerchant(cleanLines),
+    date: findDate(cleanLines, now),
+    total: total && field(total.value, total.confidence),
+    tax: findTax(cleanLines),
+    category: findCategory(cleanLines),
+    items: findItems(cleanLines, total?.line),
+  };
+}
@@ -0,0 +1,117 @@
+import net from "node:net";
+import { formatCurrency } from "@/lib/utils";
+
+// Delivery channels for payment reminders. Each transport gets the payload
+// queued by convex/reminders.js ({ reminderId, channel, name, email, debts })
+// and throws when the reminder could not be delivered.
+
+// Plain-text body listing what the user owes
+function reminderText({ name, debts }) {
+  const lines = debts.map(
+    (d) =>
+      `- ${formatCurrency(d.amount, d.currency)} to ${d.toName}` +
+      (d.groupName ? ` (${d.groupName})` : "")
+  );
+  return [
+    `Hi ${name},`,
+    "",
+    "A friendly reminder that you have outstanding balances:",
+    "",
+    ...lines,
+    "",
+    "Open Splitz to settle up, or change how often we remind you on the Reminders page.",
+  ].join("\n");
+}
+
+/* ──────────────────────────────────────────────────────────────────────────
+   sendMail – minimal SMTP client (no auth, no TLS)
+   ----------------------------------------------------------------------------
+   Meant for a local SMTP stand-in such as Mailpit or MailHog
+   (SMTP_HOST / SMTP_PORT, localhost:1025 by default).
+   ──────────────────────────────────────────────────────────────────────── */
+function sendMail({ from, to, subject, text }) {
+  const host = process.env.SMTP_HOST || "localhost";
+  const port = parseInt(process.env.SMTP_PORT || "1025", 10);
+
+  const message = [
+    `From: ${from}`,
+    `To: ${to}`,
+    `Subject: ${subject}`,
+    `Date: ${new Date().toUTCString()}`,
+    "MIME-Version: 1.0",
+    "Content-Type: text/plain; charset=utf-8",
+    "",
+    // Lines starting with "." are escaped by doubling it (RFC 5321 §4.5.2)
+    ...text.split("\n").map((line) => (line.startsWith(".") ? `.${line}` : line)),
+  ].join("\r\n");
+
+  // Each command and the reply code it must get back
+  const conversation = [
+    { command: null, expect: 220 }, // greeting
+    { command: "EHLO splitz.local", expect: 250 },
+    { command: `MAIL FROM:<${from}>`, expect: 250 },
+    { command: `RCPT TO:<${to}>`, expect: 250 },
+    { command: "DATA", expect: 354 },
+    { command: `${message}\r\n.`, expect: 250 },
+    { command: "QUIT", expect: 221 },
+  ];
+
+  return new Promise((resolve, reject) => {
+    const socket = net.createConnection({ host, port });
+    socket.setEncoding("utf8");
+    socket.setTimeout(10_000, () =>
+      socket.destroy(new Error("SMTP server timed out"))
+    );
+    socket.on("error", reject);
+    // Closed before the conversation finished (no-op once resolved)
+    socket.on("close", () =>
+      reject(new Error("SMTP server closed the connection"))
+    );
+
+    let step = 0;
+    let buffer = "";
+    socket.on("data", (chunk) => {
+      buffer += chunk;
+      const lines = buffer.split("\r\n");
+      buffer = lines.pop();
+
+      for (const line of lines) {
+        if (!/^\d{3} /.test(line)) continue; // "250-…" continues the reply
+
+        if (parseInt(line, 10) !== conversation[step].expect) {
+          socket.destroy();
+          reject(new Error(`SMTP error: ${line}`));
+          return;
+        }
+        step++;
+        if (step === conversation.length) {
+          socket.end();
+          resolve();
+          return;
+        }
+        socket.write(`${conversation[step].command}\r\n`);
+      }
+    });
+  });
+}
+
+export const reminderTransports = {
+  // The reminder record itself is the inbox entry, nothing to send
+  inbox: async () => {},
+
+  email: async (reminder) => {
+    if (!reminder.email) throw new Error("User has no email address");
+    await sendMail({
+      from: process.env.REMINDER_EMAIL_FROM || "reminders@splitz.local",
+      to: reminder.email,
+      subject: "You have outstanding balances on Splitz",
+      text: reminderText(reminder),
+    });
+  },
+};
+
+export async function deliverReminder(reminder) {
+  const transport = reminderTransports[reminder.channel];
+  if (!transport) throw new Error(`Unknown reminder channel: ${reminder.channel}`);
+  await transport(reminder);
+}
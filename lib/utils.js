@@ -1,19 +1,25 @@
 import { clsx } from "clsx";
 import { twMerge } from "tailwind-merge"
+import { DEFAULT_CURRENCY, getCurrencyByCode } from "./currencies";
+import { fromMinorUnits } from "./money";
 
 export function cn(...inputs) {
   return twMerge(clsx(inputs));
 }
 
 /**
- * Format a number as Indian Rupees (₹)
- * @param {number} amount - The amount to format
- * @param {number} decimals - Number of decimal places (default: 2)
+ * Format an amount in the given currency (Indian Rupees (₹) by default)
+ * @param {number} amount - The amount in integer minor units (paise, cents…)
+ * @param {string} currency - ISO currency code (default: "INR")
+ * @param {number} decimals - Number of decimal places (default: the currency's own)
  * @returns {string} Formatted currency string
  */
-export function formatCurrency(amount, decimals = 2) {
+export function formatCurrency(amount, currency = DEFAULT_CURRENCY, decimals) {
+  const { symbol, decimals: currencyDecimals } = getCurrencyByCode(currency);
+  const places = decimals ?? currencyDecimals;
+
   if (amount === null || amount === undefined) {
-    return `₹0.${'0'.repeat(decimals)}`;
+    return `${symbol}${(0).toFixed(places)}`;
   }
-  return `₹${Number(amount).toFixed(decimals)}`;
+  return `${symbol}${fromMinorUnits(Number(amount), currency).toFixed(places)}`;
 }
@@ -8,6 +8,10 @@ const isProtectedRoute = createRouteMatcher([
   "/contacts(.*)",
   "/person(.*)",
   "/settlements(.*)",
+  "/fx-rates(.*)",
+  "/reminders(.*)",
+  "/profile(.*)",
+  "/join(.*)", // invite links: sign in first, then join
 ])
 export default clerkMiddleware(async (auth, req) => {
   const { userId } = await auth();
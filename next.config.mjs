@@ -1,4 +1,8 @@
 /** @type {import('next').NextConfig} */
-const nextConfig = {};
+const nextConfig = {
+  // Load their WebAssembly, worker script and language model from their own
+  // package folders, so they can't be bundled
+  serverExternalPackages: ["tesseract.js", "@tesseract.js-data/eng"],
+};
 
 export default nextConfig;